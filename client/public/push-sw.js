@@ -0,0 +1,54 @@
+/**
+ * Notifiche push del GPS Tracker, importato nel service worker generato da vite-plugin-pwa.
+ * Le notifiche di un evento allarme hanno l'azione "Prendi in carico": il service worker non ha
+ * la sessione dell'utente, quindi usa il token firmato che il server allega alla notifica (data.ackToken).
+ */
+self.addEventListener('push', (event) => {
+  const payload = event.data ? event.data.json() : {};
+  const data = payload.data || {};
+
+  event.waitUntil(self.registration.showNotification(payload.title || 'GPS Tracker', {
+    body: payload.body,
+    icon: payload.icon,
+    badge: payload.badge,
+    data,
+    actions: payload.actions || [],
+    tag: data.eventId ? `event-${data.eventId}` : undefined,
+    requireInteraction: !!data.eventId
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+
+  if (event.action === 'ack' && data.ackToken) {
+    event.waitUntil(
+      fetch('/auth/push/acknowledge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: data.ackToken })
+      })
+        .then((response) => response.json())
+        .catch(() => ({ success: false, error: 'Server non raggiungibile' }))
+        .then((result) => self.registration.showNotification(
+          result.success ? '✅ Allarme preso in carico' : 'Presa in carico non riuscita',
+          { body: result.success ? event.notification.body : result.error, tag: `event-${data.eventId}` }
+        ))
+    );
+    return;
+  }
+
+  // Click sulla notifica: porta in primo piano l'app (pagina Eventi per gli allarmi)
+  const url = data.eventId ? '/events' : '/';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => 'focus' in c);
+      if (client) {
+        if ('navigate' in client) client.navigate(url);
+        return client.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
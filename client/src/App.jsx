@@ -1,6 +1,6 @@
 import React from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
-import { useAuthStore } from './store';
+import { useAuthStore, hasRole } from './store';
 import MainLayout from './components/layouts/MainLayout';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
@@ -12,6 +12,10 @@ import Events from './pages/Events';
 import Settings from './pages/Settings';
 import Drivers from './pages/Drivers';
 import UserSettings from './pages/UserSettings';
+import Users from './pages/Users';
+import AuditLog from './pages/AuditLog';
+import Webhooks from './pages/Webhooks';
+import NotificationQueue from './pages/NotificationQueue';
 
 // Gestionale pages - Anagrafiche
 import { 
@@ -26,13 +30,17 @@ import {
   TipiDocumenti
 } from './pages/gestionale/anagrafiche';
 
-// Protected Route component
-const ProtectedRoute = ({ children }) => {
-  const { isAuthenticated } = useAuthStore();
+// Protected Route component (role = ruolo minimo richiesto, opzionale)
+const ProtectedRoute = ({ children, role }) => {
+  const { isAuthenticated, user } = useAuthStore();
   
   if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
+
+  if (role && !hasRole(user, role)) {
+    return <Navigate to="/" replace />;
+  }
   
   return children;
 };
@@ -67,6 +75,26 @@ function App() {
           <Route path="events" element={<Events />} />
           <Route path="drivers" element={<Drivers />} />
           <Route path="settings" element={<Settings />} />
+          <Route path="users" element={
+            <ProtectedRoute role="admin">
+              <Users />
+            </ProtectedRoute>
+          } />
+          <Route path="webhooks" element={
+            <ProtectedRoute role="admin">
+              <Webhooks />
+            </ProtectedRoute>
+          } />
+          <Route path="notification-queue" element={
+            <ProtectedRoute role="admin">
+              <NotificationQueue />
+            </ProtectedRoute>
+          } />
+          <Route path="audit-log" element={
+            <ProtectedRoute role="admin">
+              <AuditLog />
+            </ProtectedRoute>
+          } />
           
           {/* Impostazioni Utente (fuori da Satellitare/Gestionale) */}
           <Route path="user-settings" element={<UserSettings />} />
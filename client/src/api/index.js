@@ -1,4 +1,5 @@
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuthStore } from '../store';
 
 const API_BASE_URL = '/api';
@@ -17,43 +18,48 @@ const apiV2 = axios.create({
   timeout: 30000,
 });
 
-api.interceptors.request.use((config) => {
-  const token = useAuthStore.getState().token;
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
+// Auth API instance (route /auth protette: utenti, test notifiche)
+const authHttp = axios.create({
+  baseURL: AUTH_BASE_URL,
+  timeout: 30000,
 });
 
-apiV2.interceptors.request.use((config) => {
+const addAuthHeader = (config) => {
   const token = useAuthStore.getState().token;
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
   return config;
-});
+};
 
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      useAuthStore.getState().logout();
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
+// 401 = sessione scaduta o utente disattivato -> login
+// 403 = ruolo senza permessi: l'errore resta alla pagina
+const handleAuthError = (error) => {
+  if (error.response?.status === 401) {
+    useAuthStore.getState().logout();
+    window.location.href = '/login';
+  } else if (error.response?.status === 403) {
+    toast.error(error.response.data?.error || 'Permessi insufficienti', { id: 'forbidden' });
   }
-);
-
-apiV2.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      useAuthStore.getState().logout();
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
+  return Promise.reject(error);
+};
+
+for (const instance of [api, apiV2, authHttp]) {
+  instance.interceptors.request.use(addAuthHeader);
+  instance.interceptors.response.use((response) => response, handleAuthError);
+}
+
+// Salva un file scaricato come blob, col nome indicato dal server (Content-Disposition)
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 // Auth API
 export const authApi = {
@@ -63,12 +69,12 @@ export const authApi = {
   },
   
   register: async (userData) => {
-    const response = await api.post(`${AUTH_BASE_URL}/register`, userData);
+    const response = await authHttp.post('/register', userData);
     return response.data;
   },
   
   getMe: async () => {
-    const response = await api.get(`${AUTH_BASE_URL}/me`);
+    const response = await authHttp.get('/me');
     return response.data;
   },
 
@@ -78,17 +84,40 @@ export const authApi = {
   },
 
   subscribePush: async (subscription) => {
-    const response = await axios.post(`${AUTH_BASE_URL}/push/subscribe`, { subscription });
+    const response = await authHttp.post('/push/subscribe', { subscription });
     return response.data;
   },
 
   testPush: async () => {
-    const response = await api.post(`${AUTH_BASE_URL}/push/test`);
+    const response = await authHttp.post('/push/test');
     return response.data;
   },
 
   testTelegram: async (chatId) => {
-    const response = await api.post(`${AUTH_BASE_URL}/telegram/test`, { chat_id: chatId });
+    const response = await authHttp.post('/telegram/test', { chat_id: chatId });
+    return response.data;
+  },
+};
+
+// Gestione utenti (solo admin)
+export const usersApi = {
+  getAll: async () => {
+    const response = await authHttp.get('/users');
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await authHttp.post('/register', data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await authHttp.put(`/users/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await authHttp.delete(`/users/${id}`);
     return response.data;
   },
 };
@@ -181,6 +210,48 @@ export const geofencesApi = {
     const response = await api.delete(`/geofences/${id}`);
     return response.data;
   },
+
+  // Anteprima import GeoJSON/KML: zone lette dal file, con conflictId se il nome esiste già
+  previewImport: async (content, format) => {
+    const response = await api.post('/geofences/import/preview', { content, format });
+    return response.data;
+  },
+
+  // onConflict: skip | replace | rename
+  import: async (geofences, onConflict = 'skip') => {
+    const response = await api.post('/geofences/import', { geofences, onConflict });
+    return response.data;
+  },
+
+  // Scarica i geofence (tutti o gli id indicati) in geojson o kml
+  download: async (format = 'geojson', ids = null) => {
+    const params = new URLSearchParams({ format });
+    if (ids?.length) params.append('ids', ids.join(','));
+    const response = await api.get(`/geofences/export?${params}`, { responseType: 'blob' });
+    saveDownload(response, `geofence.${format}`);
+  },
+};
+
+// Permanenze dei veicoli nei geofence
+export const geofenceVisitsApi = {
+  getAll: async (params = {}) => {
+    const searchParams = new URLSearchParams();
+    if (params.limit) searchParams.append('limit', params.limit);
+    if (params.geofence_id) searchParams.append('geofence_id', params.geofence_id);
+    if (params.vehicle_id) searchParams.append('vehicle_id', params.vehicle_id);
+    if (params.open) searchParams.append('open', 'true');
+    const response = await api.get(`/geofence-visits?${searchParams}`);
+    return response.data;
+  },
+
+  // Numero di permanenze e durata media/massima per geofence
+  getStats: async (from = null, to = null) => {
+    const searchParams = new URLSearchParams();
+    if (from) searchParams.append('from', from);
+    if (to) searchParams.append('to', to);
+    const response = await api.get(`/geofence-visits/stats?${searchParams}`);
+    return response.data;
+  },
 };
 
 // Allarmi
@@ -213,9 +284,172 @@ export const eventsApi = {
     if (params.limit) searchParams.append('limit', params.limit);
     if (params.vehicle_id) searchParams.append('vehicle_id', params.vehicle_id);
     if (params.tipo) searchParams.append('tipo', params.tipo);
+    if (params.stato) searchParams.append('stato', params.stato);
     const response = await api.get(`/events?${searchParams}`);
     return response.data;
   },
+
+  // Ciclo di vita: presa in carico, risoluzione, riapertura
+  acknowledge: async (id, commento) => {
+    const response = await api.post(`/events/${id}/acknowledge`, { commento });
+    return response.data;
+  },
+
+  resolve: async (id, commento) => {
+    const response = await api.post(`/events/${id}/resolve`, { commento });
+    return response.data;
+  },
+
+  reopen: async (id) => {
+    const response = await api.post(`/events/${id}/reopen`);
+    return response.data;
+  },
+
+  // Registro aperture/chiusure vano carico
+  getDoorEvents: async (params = {}) => {
+    const searchParams = new URLSearchParams();
+    if (params.limit) searchParams.append('limit', params.limit);
+    if (params.vehicle_id) searchParams.append('vehicle_id', params.vehicle_id);
+    if (params.unauthorized) searchParams.append('unauthorized', 'true');
+    const response = await api.get(`/door-events?${searchParams}`);
+    return response.data;
+  },
+};
+
+// Webhook in uscita (solo admin)
+export const webhooksApi = {
+  getEventTypes: async () => {
+    const response = await api.get('/webhooks/event-types');
+    return response.data;
+  },
+
+  getAll: async () => {
+    const response = await api.get('/webhooks');
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await api.post('/webhooks', data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await api.put(`/webhooks/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await api.delete(`/webhooks/${id}`);
+    return response.data;
+  },
+
+  getDeliveries: async (id, params = {}) => {
+    const searchParams = new URLSearchParams();
+    if (params.stato) searchParams.append('stato', params.stato);
+    if (params.limit) searchParams.append('limit', params.limit);
+    const response = await api.get(`/webhooks/${id}/deliveries?${searchParams}`);
+    return response.data;
+  },
+
+  sendTest: async (id) => {
+    const response = await api.post(`/webhooks/${id}/test`);
+    return response.data;
+  },
+
+  retryDelivery: async (deliveryId) => {
+    const response = await api.post(`/webhooks/deliveries/${deliveryId}/retry`);
+    return response.data;
+  },
+};
+
+// Coda persistente notifiche allarme ed escalation (solo admin)
+export const notificationQueueApi = {
+  getStats: async () => {
+    const response = await api.get('/notification-queue/stats');
+    return response.data;
+  },
+
+  getAll: async (params = {}) => {
+    const searchParams = new URLSearchParams();
+    if (params.stato) searchParams.append('stato', params.stato);
+    if (params.limit) searchParams.append('limit', params.limit);
+    const response = await api.get(`/notification-queue?${searchParams}`);
+    return response.data;
+  },
+
+  retry: async (id) => {
+    const response = await api.post(`/notification-queue/${id}/retry`);
+    return response.data;
+  },
+
+  discard: async (id) => {
+    const response = await api.post(`/notification-queue/${id}/discard`);
+    return response.data;
+  },
+
+  getFailedEscalations: async () => {
+    const response = await api.get('/whatsapp/notifications?status=escalation_failed&limit=100');
+    return response.data;
+  },
+
+  retryEscalation: async (id) => {
+    const response = await api.post(`/whatsapp/notifications/${id}/retry-escalation`);
+    return response.data;
+  },
+
+  getEscalations: async (params = {}) => {
+    const searchParams = new URLSearchParams();
+    if (params.status) searchParams.append('status', params.status);
+    if (params.limit) searchParams.append('limit', params.limit);
+    const response = await api.get(`/whatsapp/notifications?${searchParams}`);
+    return response.data;
+  },
+
+  // Dettaglio notifica con passi della policy e storico dei passi eseguiti
+  getEscalation: async (id) => {
+    const response = await api.get(`/whatsapp/notifications/${id}`);
+    return response.data;
+  },
+};
+
+// Policy di escalation degli allarmi
+export const escalationPoliciesApi = {
+  getAll: async () => {
+    const response = await api.get('/escalation-policies');
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await api.post('/escalation-policies', data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await api.put(`/escalation-policies/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await api.delete(`/escalation-policies/${id}`);
+    return response.data;
+  },
+};
+
+// Registro audit (solo admin)
+export const auditApi = {
+  getAll: async (params = {}) => {
+    const searchParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) searchParams.append(key, value);
+    });
+    const response = await api.get(`/audit-log?${searchParams}`);
+    return response.data;
+  },
+
+  getFilters: async () => {
+    const response = await api.get('/audit-log/filters');
+    return response.data;
+  },
 };
 
 // Monitoraggio
@@ -347,6 +581,11 @@ export const tripsApi = {
     return response.data;
   },
 
+  getActive: async (plate) => {
+    const response = await api.get(`/trips/active/${encodeURIComponent(plate)}`);
+    return response.data;
+  },
+
   getCalendar: async (year, month) => {
     const response = await api.get(`/trips/calendar?year=${year}&month=${month}`);
     return response.data;
@@ -385,6 +624,55 @@ export const tripsApi = {
     const response = await api.delete(`/trips/${id}`);
     return response.data;
   },
+
+  // Scarica il registro temperature HACCP del viaggio (csv o pdf)
+  downloadTemperatureLog: async (id, format = 'csv') => {
+    const response = await api.get(`/trips/${id}/temperature-log?format=${format}`, {
+      responseType: 'blob'
+    });
+    saveDownload(response, `haccp_viaggio_${id}.${format}`);
+  },
+
+  // Scarica la traccia del viaggio (gpx, kml o geojson) con tappe e percorso pianificati
+  downloadTrack: async (id, format = 'gpx') => {
+    const response = await api.get(`/trips/${id}/track?format=${format}`, {
+      responseType: 'blob'
+    });
+    saveDownload(response, `viaggio_${id}.${format}`);
+  },
+
+  getDeviations: async (id) => {
+    const response = await api.get(`/trips/${id}/deviations`);
+    return response.data;
+  },
+
+  updateCorridor: async (id, data) => {
+    const response = await api.put(`/trips/${id}/corridor`, data);
+    return response.data;
+  },
+};
+
+// Range temperatura (catena del freddo)
+export const temperatureRangesApi = {
+  getAll: async () => {
+    const response = await api.get('/temperature-ranges');
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await api.post('/temperature-ranges', data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await api.put(`/temperature-ranges/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await api.delete(`/temperature-ranges/${id}`);
+    return response.data;
+  },
 };
 
 // Google Maps API (tutte le chiamate passano dal server per sicurezza)
@@ -508,6 +796,37 @@ export const positionsApiV2 = {
     const response = await apiV2.get(`/positions/${encodeURIComponent(plate)}`);
     return response.data;
   },
+
+  /**
+   * Get recorded track of a vehicle (default: last 24 hours)
+   * @param {string} plate
+   * @param {string} from - ISO date/time
+   * @param {string} to - ISO date/time
+   */
+  getTrack: async (plate, from, to) => {
+    const params = new URLSearchParams();
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    const response = await apiV2.get(`/positions/${encodeURIComponent(plate)}/track?${params}`);
+    return response.data;
+  },
+
+  /**
+   * Download recorded track of a vehicle as a file (default: last 24 hours)
+   * @param {string} plate
+   * @param {string} format - gpx | kml | geojson
+   * @param {string} from - ISO date/time
+   * @param {string} to - ISO date/time
+   */
+  downloadTrack: async (plate, format = 'gpx', from, to) => {
+    const params = new URLSearchParams({ format });
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    const response = await apiV2.get(`/positions/${encodeURIComponent(plate)}/track?${params}`, {
+      responseType: 'blob'
+    });
+    saveDownload(response, `traccia_${plate}.${format}`);
+  },
 };
 
 /**
@@ -584,6 +903,42 @@ export const hiddenVehiclesApi = {
   },
 };
 
+/**
+ * Vehicle Groups API (fleet visibility per user)
+ */
+export const vehicleGroupsApi = {
+  /**
+   * Get all vehicle groups (admin)
+   */
+  getAll: async () => {
+    const response = await apiV2.get('/vehicle-groups');
+    return response.data;
+  },
+
+  /**
+   * Get the groups assigned to the current user
+   */
+  getMine: async () => {
+    const response = await apiV2.get('/vehicle-groups/mine');
+    return response.data;
+  },
+
+  create: async (data) => {
+    const response = await apiV2.post('/vehicle-groups', data);
+    return response.data;
+  },
+
+  update: async (id, data) => {
+    const response = await apiV2.put(`/vehicle-groups/${id}`, data);
+    return response.data;
+  },
+
+  delete: async (id) => {
+    const response = await apiV2.delete(`/vehicle-groups/${id}`);
+    return response.data;
+  },
+};
+
 /**
  * V2 Geofences API
  */
@@ -0,0 +1,71 @@
+/**
+ * Stream real-time (Server-Sent Events) da /api/stream
+ *
+ * Una sola connessione EventSource condivisa da tutta l'app: si apre alla
+ * prima sottoscrizione e si chiude quando non resta nessun listener.
+ * La riconnessione automatica è gestita dal browser (retry inviato dal server).
+ */
+
+import { useAuthStore } from '../store';
+
+const STREAM_URL = '/api/stream';
+
+let source = null;
+const listeners = new Map(); // tipo evento -> Set di callback
+
+function connect() {
+  if (source) return;
+  // EventSource non supporta header custom: il token va in query string
+  const token = useAuthStore.getState().token;
+  source = new EventSource(`${STREAM_URL}?token=${encodeURIComponent(token || '')}`);
+
+  for (const type of listeners.keys()) {
+    attach(type);
+  }
+}
+
+function disconnect() {
+  if (source) {
+    source.close();
+    source = null;
+  }
+}
+
+function attach(type) {
+  source.addEventListener(type, (event) => {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    listeners.get(type)?.forEach(callback => callback(data));
+  });
+}
+
+/**
+ * Sottoscrive un tipo di evento dello stream
+ * @param {string} type - positions | events | notification | status
+ * @param {Function} callback - Riceve il payload già decodificato
+ * @returns {Function} Funzione per annullare la sottoscrizione
+ */
+export function subscribe(type, callback) {
+  if (!listeners.has(type)) {
+    listeners.set(type, new Set());
+    if (source) attach(type);
+  }
+  listeners.get(type).add(callback);
+  connect();
+
+  return () => {
+    listeners.get(type)?.delete(callback);
+    const hasListeners = [...listeners.values()].some(set => set.size > 0);
+    if (!hasListeners) {
+      disconnect();
+    }
+  };
+}
+
+export const realtimeApi = { subscribe };
+
+export default realtimeApi;
@@ -1,6 +1,8 @@
-import React, { useState, useEffect, createContext, useContext, useCallback } from 'react';
+import React, { useState, useEffect, createContext, useContext, useCallback, useMemo } from 'react';
 import { Outlet, NavLink, useNavigate, useLocation } from 'react-router-dom';
-import { useAuthStore } from '../../store';
+import { useAuthStore, hasRole } from '../../store';
+import { authApi } from '../../api';
+import { useRealtimeUpdates } from '../../hooks/useRealtimeUpdates';
 import { 
   // Satellitare
   Satellite,
@@ -13,6 +15,10 @@ import {
   Users,
   Settings,
   Sliders,
+  UserCog,
+  ClipboardList,
+  Webhook,
+  Inbox,
   
   // Gestionale
   Building2,
@@ -64,6 +70,10 @@ const menuConfig = [
       { path: '/events', icon: History, label: 'Eventi' },
       { path: '/drivers', icon: Users, label: 'Autisti' },
       { path: '/settings', icon: Settings, label: 'Impostazioni' },
+      { path: '/users', icon: UserCog, label: 'Utenti', role: 'admin' },
+      { path: '/webhooks', icon: Webhook, label: 'Webhook', role: 'admin' },
+      { path: '/notification-queue', icon: Inbox, label: 'Coda notifiche', role: 'admin' },
+      { path: '/audit-log', icon: ClipboardList, label: 'Registro modifiche', role: 'admin' },
     ]
   },
   {
@@ -141,6 +151,14 @@ const menuConfig = [
   },
 ];
 
+/**
+ * Rimuove le voci con `role` non consentito all'utente (e le sezioni rimaste vuote)
+ */
+const filterMenuByRole = (items, user) => items
+  .filter(item => !item.role || hasRole(user, item.role))
+  .map(item => item.children ? { ...item, children: filterMenuByRole(item.children, user) } : item)
+  .filter(item => !item.children || item.children.length > 0);
+
 // ============================================================================
 // CONTEXT PER SIDEBAR
 // ============================================================================
@@ -518,9 +536,22 @@ function CategorySection({ category, collapsed, openMenus, onToggle, onNavigate
 // ============================================================================
 export default function MainLayout() {
   const [mobileOpen, setMobileOpen] = useState(false);
-  const { user, logout } = useAuthStore();
+  const { user, logout, setUser } = useAuthStore();
   const navigate = useNavigate();
   const location = useLocation();
+
+  // Posizioni, eventi e notifiche in tempo reale per tutte le pagine
+  useRealtimeUpdates();
+
+  // Ruolo aggiornato dal server (può essere cambiato da un admin dopo il login)
+  useEffect(() => {
+    authApi.getMe()
+      .then(me => setUser({ username: me.username, ruolo: me.ruolo }))
+      .catch(() => {});
+  }, [setUser]);
+
+  // Voci di menu visibili per il ruolo dell'utente
+  const visibleMenu = useMemo(() => filterMenuByRole(menuConfig, user), [user]);
   
   // Sidebar collapsed state (persisted)
   const [collapsed, setCollapsed] = useState(() => {
@@ -689,7 +720,7 @@ export default function MainLayout() {
 
           {/* Navigation */}
           <nav className="flex-1 overflow-y-auto custom-scrollbar">
-            {menuConfig.map((category) => (
+            {visibleMenu.map((category) => (
               <CategorySection
                 key={category.id}
                 category={category}
@@ -0,0 +1,47 @@
+/**
+ * TrackExportButtons - Download della traccia di un veicolo (ultime 24 ore) in GPX, KML o GeoJSON
+ */
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { positionsApiV2 } from '../../api';
+
+const FORMATS = [
+  { id: 'gpx', label: 'GPX' },
+  { id: 'kml', label: 'KML' },
+  { id: 'geojson', label: 'GeoJSON' }
+];
+
+export function TrackExportButtons({ plate }) {
+  const [downloading, setDownloading] = useState(null);
+
+  if (!plate) return null;
+
+  const download = async (format) => {
+    setDownloading(format);
+    try {
+      await positionsApiV2.downloadTrack(plate, format);
+    } catch {
+      toast.error('Errore download traccia');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1 mt-2 pt-2 border-t border-gray-100">
+      <span className="text-xs text-gray-500 mr-1">🗺️ Traccia 24h:</span>
+      {FORMATS.map(({ id, label }) => (
+        <button
+          key={id}
+          onClick={() => download(id)}
+          disabled={downloading !== null}
+          className="px-2 py-0.5 text-xs border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          {downloading === id ? '...' : label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TrackExportButtons;
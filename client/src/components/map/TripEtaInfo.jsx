@@ -0,0 +1,42 @@
+/**
+ * TripEtaInfo - Viaggio in corso del veicolo con l'arrivo stimato alla prossima tappa
+ */
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { tripsApi } from '../../api';
+
+const formatTime = (value) => new Date(value.replace(' ', 'T') + 'Z')
+  .toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
+
+export function TripEtaInfo({ plate }) {
+  const { data: trip } = useQuery({
+    queryKey: ['trip-active', plate],
+    queryFn: () => tripsApi.getActive(plate),
+    enabled: !!plate,
+    refetchInterval: 60000
+  });
+
+  const next = trip?.stops?.find(stop => stop.stato === 'da_raggiungere');
+  if (!trip || !next) return null;
+
+  const late = next.eta_scarto_minuti > 0;
+
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-100 text-xs space-y-0.5">
+      <p className="text-gray-500">🧭 {trip.nome}</p>
+      <p>
+        Prossima tappa: <span className="font-medium">{next.nome}</span>
+      </p>
+      {next.eta && (
+        <p className={late ? 'text-red-600 font-medium' : 'text-gray-700'}>
+          ETA {formatTime(next.eta)}
+          {next.ora_arrivo_prevista && ` (previsto ${next.ora_arrivo_prevista.slice(0, 5)}`}
+          {next.ora_arrivo_prevista && (late ? `, +${next.eta_scarto_minuti} min)` : ')')}
+          {next.eta_pause_minuti > 0 && ` · pause ${next.eta_pause_minuti} min`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TripEtaInfo;
@@ -5,6 +5,8 @@
  */
 import React from 'react';
 import { determineVehicleType, VEHICLE_TYPES } from './drawables/VehicleDrawable';
+import { TrackExportButtons } from './TrackExportButtons';
+import { TripEtaInfo } from './TripEtaInfo';
 
 export function VehicleInfoWindow({ vehicle, onClose }) {
   if (!vehicle) return null;
@@ -114,6 +116,10 @@ export function VehicleInfoWindow({ vehicle, onClose }) {
             </p>
           )}
         </div>
+
+        <TripEtaInfo plate={plate} />
+
+        <TrackExportButtons plate={plate} />
       </div>
     </div>
   );
@@ -18,6 +18,8 @@ import {
 } from '@react-google-maps/api';
 import { GEOFENCE_TYPES } from '../drawables/GeofenceDrawable';
 import { getClusterOptions } from '../drawables/ClusterDrawable';
+import { TrackExportButtons } from '../TrackExportButtons';
+import { TripEtaInfo } from '../TripEtaInfo';
 
 const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY || '';
 const libraries = ['drawing', 'places', 'geometry'];
@@ -361,6 +363,8 @@ function GoogleMapDelegate({
                     </p>
                   )}
                 </div>
+                <TripEtaInfo plate={plate} />
+                <TrackExportButtons plate={plate} />
               </div>
             </InfoWindow>
           );
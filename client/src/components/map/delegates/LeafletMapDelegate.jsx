@@ -10,6 +10,8 @@ import MarkerClusterGroup from 'react-leaflet-cluster';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { GEOFENCE_TYPES } from '../drawables/GeofenceDrawable';
+import { TrackExportButtons } from '../TrackExportButtons';
+import { TripEtaInfo } from '../TripEtaInfo';
 
 // Fix Leaflet default marker icon issue
 delete L.Icon.Default.prototype._getIconUrl;
@@ -364,7 +366,8 @@ export default function LeafletMapDelegate({
         weight: style.strokeWeight,
         opacity: style.strokeOpacity,
         fillColor: style.fillColor,
-        fillOpacity: style.fillOpacity
+        fillOpacity: style.fillOpacity,
+        dashArray: style.dashArray
       };
       
       if (drawable.type === GEOFENCE_TYPES.CIRCLE) {
@@ -473,6 +476,8 @@ function VehiclePopupContent({ vehicle }) {
           </p>
         )}
       </div>
+      <TripEtaInfo plate={plate} />
+      <TrackExportButtons plate={plate} />
     </div>
   );
 }
@@ -8,6 +8,8 @@ import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react'
 import Map, { Marker, Popup, Source, Layer, NavigationControl, ScaleControl } from 'react-map-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
 import { GEOFENCE_TYPES } from '../drawables/GeofenceDrawable';
+import { TrackExportButtons } from '../TrackExportButtons';
+import { TripEtaInfo } from '../TripEtaInfo';
 
 // Mapbox access token - should be set in environment
 const MAPBOX_ACCESS_TOKEN = import.meta.env.VITE_MAPBOX_ACCESS_TOKEN || '';
@@ -321,7 +323,11 @@ export default function MapboxMapDelegate({
           paint={{
             'line-color': geofence.style.strokeColor,
             'line-width': geofence.style.strokeWeight,
-            'line-opacity': geofence.style.strokeOpacity
+            'line-opacity': geofence.style.strokeOpacity,
+            // Mapbox wants dash lengths as multiples of the line width
+            ...(geofence.style.dashArray && {
+              'line-dasharray': geofence.style.dashArray.split(' ').map(n => Number(n) / geofence.style.strokeWeight)
+            })
           }}
         />
       </Source>
@@ -410,6 +416,8 @@ export default function MapboxMapDelegate({
               </p>
             )}
           </div>
+          <TripEtaInfo plate={plate} />
+          <TrackExportButtons plate={plate} />
         </div>
       </Popup>
     );
@@ -12,6 +12,17 @@ export const GEOFENCE_TYPES = {
   RECTANGLE: 'rectangle',
 };
 
+// Geofence categories (same ids as the server's GEOFENCE_CATEGORIES) with their map styling
+export const GEOFENCE_CATEGORIES = {
+  generic: { label: 'Generica', icon: '📍', style: {} },
+  depot: { label: 'Deposito', icon: '🏭', style: { strokeWeight: 3, fillOpacity: 0.25 } },
+  customer: { label: 'Sede cliente', icon: '🏢', style: {} },
+  workshop: { label: 'Officina', icon: '🔧', style: { dashArray: '2 6', fillOpacity: 0.15 } },
+  no_go: { label: 'Area vietata', icon: '⛔', style: { strokeWeight: 3, strokeOpacity: 1, fillOpacity: 0.35, dashArray: '10 6' } },
+  parking: { label: 'Parcheggio', icon: '🅿️', style: { fillOpacity: 0.1, dashArray: '6 4' } },
+  border: { label: 'Confine di stato', icon: '🛂', style: { strokeWeight: 4, fillOpacity: 0.05, dashArray: '12 4 2 4' } },
+};
+
 // Default geofence styles
 const DEFAULT_GEOFENCE_STYLE = {
   strokeColor: '#2563eb',
@@ -39,6 +50,7 @@ export class GeofenceDrawable extends BaseDrawable {
     this.strokeWeight = options.strokeWeight ?? 2;
     this.editable = options.editable || false;
     this.draggable = options.draggable || false;
+    this.category = GEOFENCE_CATEGORIES[options.category] ? options.category : 'generic';
   }
 
   getType() {
@@ -77,6 +89,7 @@ export class GeofenceDrawable extends BaseDrawable {
 
   /**
    * Get the style configuration for this geofence
+   * Category styling overrides the defaults; dashArray (e.g. '6 4') is only set for dashed categories
    * @returns {object} Style options
    */
   getStyle() {
@@ -87,6 +100,7 @@ export class GeofenceDrawable extends BaseDrawable {
       strokeWeight: this.strokeWeight,
       fillColor: this.color,
       fillOpacity: this.fillOpacity,
+      ...GEOFENCE_CATEGORIES[this.category].style,
       clickable: true,
       editable: this.editable,
       draggable: this.draggable,
@@ -194,6 +208,7 @@ export class GeofenceDrawable extends BaseDrawable {
   getCssClasses() {
     const classes = ['geofence'];
     classes.push(`geofence-${this.geofenceType}`);
+    classes.push(`geofence-category-${this.category}`);
     if (this.editable) classes.push('geofence-editable');
     return classes.join(' ');
   }
@@ -217,6 +232,7 @@ export class GeofenceDrawable extends BaseDrawable {
       fillOpacity: geofenceData.fill_opacity ?? 0.2,
       strokeOpacity: geofenceData.stroke_opacity ?? 0.8,
       strokeWeight: geofenceData.stroke_weight ?? 2,
+      category: geofenceData.categoria,
       visible: geofenceData.visible !== false,
       data: geofenceData,
       onClick: options.onClick,
@@ -234,7 +250,8 @@ export class GeofenceDrawable extends BaseDrawable {
       color: this.color,
       fillOpacity: this.fillOpacity,
       strokeOpacity: this.strokeOpacity,
-      strokeWeight: this.strokeWeight
+      strokeWeight: this.strokeWeight,
+      category: this.category
     };
   }
 }
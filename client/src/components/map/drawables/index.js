@@ -3,7 +3,7 @@
  */
 export { BaseDrawable } from './BaseDrawable';
 export { VehicleDrawable, VEHICLE_TYPES, VEHICLE_COLORS, ICON_CONFIG, determineVehicleType } from './VehicleDrawable';
-export { GeofenceDrawable, GEOFENCE_TYPES } from './GeofenceDrawable';
+export { GeofenceDrawable, GEOFENCE_TYPES, GEOFENCE_CATEGORIES } from './GeofenceDrawable';
 export { MarkerDrawable, MARKER_TYPES } from './MarkerDrawable';
 export { PolylineDrawable, POLYLINE_TYPES } from './PolylineDrawable';
 export { 
@@ -28,6 +28,8 @@
 // UI Components
 export { MapSelector } from './MapSelector';
 export { VehicleInfoWindow } from './VehicleInfoWindow';
+export { TrackExportButtons } from './TrackExportButtons';
+export { TripEtaInfo } from './TripEtaInfo';
 
 // Drawable classes
 export {
@@ -42,6 +44,7 @@ export {
   VEHICLE_COLORS,
   ICON_CONFIG,
   GEOFENCE_TYPES,
+  GEOFENCE_CATEGORIES,
   MARKER_TYPES,
   POLYLINE_TYPES,
   ROUTE_CONFIG,
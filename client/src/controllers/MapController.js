@@ -111,6 +111,7 @@ class MapController {
     this._zoom = 6;
     this._selectedVehicleId = null;
     this._showGeofences = true;
+    this._hiddenGeofenceCategories = new Set(); // Geofence categories filtered out of the map
     this._showRoutes = true;
     this._followMode = false;
     this._followedVehicleId = null;
@@ -391,9 +392,20 @@ class MapController {
    * Uses VehicleDrawable.fromVehicleData for proper drawable creation
    * Handles coupling logic and deduplication
    * @param {Array} positions - Array of raw vehicle/position objects from API
+   * @param {object} options - { merge: positions are only the changed vehicles (real-time stream) }
    * @returns {Map} Updated vehicles map
    */
-  updateVehicles(positions) {
+  updateVehicles(positions, { merge = false } = {}) {
+    if (merge) {
+      return this._mergeVehicles(positions);
+    }
+
+    // Same objects already applied incrementally from the stream (e.g. the query cache
+    // updated with the same deltas): nothing to redraw
+    if (positions !== this._rawVehicleData && this._isCurrentVehicleData(positions)) {
+      return this._vehicles;
+    }
+
     // Cache raw data for re-rendering
     this._rawVehicleData = positions || [];
     
@@ -492,6 +504,76 @@ class MapController {
     return this._vehicles;
   }
 
+  /**
+   * Apply position updates for the changed vehicles only.
+   * Unchanged markers keep their drawable (no render version bump, no remount);
+   * new vehicles, shared plates and coupling fall back to a full rebuild.
+   * @param {Array} deltas - Raw vehicle/position objects of the changed vehicles
+   * @returns {Map} Updated vehicles map
+   * @private
+   */
+  _mergeVehicles(deltas = []) {
+    // Nothing loaded yet: the full list will arrive from the API
+    if (!deltas.length || this._rawVehicleData.length === 0) {
+      return this._vehicles;
+    }
+
+    const byId = new Map(deltas.map(v => [v.idServizio, v]));
+    const merged = this._rawVehicleData.map(v => {
+      const update = byId.get(v.idServizio);
+      if (!update) return v;
+      byId.delete(v.idServizio);
+      return update;
+    });
+    const added = [...byId.values()];
+
+    const plateOf = v => this._normalizePlate(v.targa || v.targa_camion);
+    const deltaPlates = new Set(deltas.map(plateOf));
+    const sharedPlate = merged.filter(v => deltaPlates.has(plateOf(v))).length > deltaPlates.size;
+
+    if (added.length > 0 || sharedPlate || (this._enableCoupling && this._coupledPairs.length > 0)) {
+      return this.updateVehicles([...merged, ...added]);
+    }
+
+    this._rawVehicleData = merged;
+    const vehicles = new Map(this._vehicles);
+
+    for (const vehicleData of deltas) {
+      const plate = plateOf(vehicleData);
+      const id = vehicleData.idServizio || vehicleData.id || plate;
+
+      if (this._filters.hiddenVehicles.has(plate)) {
+        vehicles.delete(id);
+        continue;
+      }
+
+      const drawable = VehicleDrawable.fromVehicleData(vehicleData, {
+        isSelected: this._selectedVehicleId === id,
+        onClick: () => this.selectVehicle(id)
+      });
+
+      if (drawable) {
+        vehicles.set(id, drawable);
+      } else {
+        vehicles.delete(id);
+      }
+    }
+
+    this._vehicles = vehicles;
+    this._triggerUpdate('vehicles');
+    return this._vehicles;
+  }
+
+  /**
+   * Check whether a position list holds exactly the vehicle objects already applied
+   * @private
+   */
+  _isCurrentVehicleData(positions = []) {
+    return positions.length > 0 &&
+      positions.length === this._rawVehicleData.length &&
+      positions.every((v, i) => v === this._rawVehicleData[i]);
+  }
+
   /**
    * Set coupling state
    * @param {boolean} enabled
@@ -676,6 +758,7 @@ class MapController {
         color: gf.colore || '#3b82f6',
         coordinates,
         radius: gf.raggio_metri || 100,
+        category: gf.categoria,
         data: gf
       });
       
@@ -693,7 +776,17 @@ class MapController {
    */
   getGeofences() {
     if (!this._showGeofences) return [];
-    return Array.from(this._geofences.values());
+    return Array.from(this._geofences.values())
+      .filter(drawable => !this._hiddenGeofenceCategories.has(drawable.category));
+  }
+
+  /**
+   * Hide geofences of the given categories (see GEOFENCE_CATEGORIES)
+   * @param {Array<string>} categories - Categories to hide (empty = show all)
+   */
+  setHiddenGeofenceCategories(categories) {
+    this._hiddenGeofenceCategories = new Set(categories || []);
+    this._triggerUpdate('geofences');
   }
 
   /**
@@ -1251,6 +1344,7 @@ class MapController {
       followMode: this._followMode,
       followedVehicleId: this._followedVehicleId,
       showGeofences: this._showGeofences,
+      hiddenGeofenceCategories: Array.from(this._hiddenGeofenceCategories),
       showRoutes: this._showRoutes,
       filters: { ...this._filters },
       vehicleCount: this._vehicles.size,
@@ -4,3 +4,4 @@
  */
 
 export { useMapController } from './useMapController';
+export { useRealtimeUpdates } from './useRealtimeUpdates';
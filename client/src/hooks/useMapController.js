@@ -6,6 +6,7 @@
  */
 import { useState, useCallback, useEffect, useRef } from 'react';
 import { createMapController } from '../controllers/MapController';
+import { subscribe } from '../api/realtime';
 
 /**
  * Hook for using MapController in React components
@@ -17,6 +18,8 @@ export function useMapController(options = {}) {
     initialProvider = 'roadmap',
     onVehicleSelect,
     autoRefresh = false,
+    // Apply position updates from the real-time stream incrementally
+    realtime = false,
     // New options for coupling and hiding
     enableCoupling = false,
     coupledPairs = [],
@@ -75,6 +78,15 @@ export function useMapController(options = {}) {
     };
   }, [controller, onVehicleSelect]);
 
+  // Feed the stream's position updates (changed vehicles only) into the controller
+  useEffect(() => {
+    if (!realtime) return undefined;
+
+    return subscribe('positions', ({ positions }) => {
+      controller.updateVehicles(positions, { merge: true });
+    });
+  }, [controller, realtime]);
+
   // Sync coupling settings with controller
   useEffect(() => {
     controller.setCoupling(enableCoupling, coupledPairs);
@@ -93,8 +105,8 @@ export function useMapController(options = {}) {
   /**
    * Update vehicles from position data
    */
-  const updateVehicles = useCallback((positions) => {
-    controller.updateVehicles(positions);
+  const updateVehicles = useCallback((positions, options) => {
+    controller.updateVehicles(positions, options);
   }, [controller]);
 
   /**
@@ -162,6 +174,13 @@ export function useMapController(options = {}) {
     return controller.toggleGeofences();
   }, [controller]);
 
+  /**
+   * Hide geofences by category
+   */
+  const setHiddenGeofenceCategories = useCallback((categories) => {
+    controller.setHiddenGeofenceCategories(categories);
+  }, [controller]);
+
   // ==================== VIEW OPERATIONS ====================
 
   /**
@@ -459,6 +478,7 @@ export function useMapController(options = {}) {
     updateGeofences,
     getGeofences,
     toggleGeofences,
+    setHiddenGeofenceCategories,
     
     // View operations
     setCenter,
@@ -0,0 +1,57 @@
+/**
+ * useRealtimeUpdates - collega lo stream SSE del server alla cache di react-query
+ *
+ * - positions: aggiorna in place la query ['positions'] con i soli veicoli cambiati
+ *   (la mappa li riceve direttamente da useMapController con realtime: true)
+ * - events: invalida le query ['events'] (dashboard, storico eventi)
+ * - status: sostituisce la query ['monitoring-status']
+ * - notification: mostra un toast con allarmi e avvisi appena generati
+ */
+import { useEffect } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { subscribe } from '../api/realtime';
+
+/**
+ * Unisce le posizioni ricevute a quelle già in cache (chiave: idServizio)
+ */
+function mergePositions(current = [], updates = []) {
+  const byId = new Map(updates.map(p => [p.idServizio, p]));
+  const merged = current.map(p => {
+    const update = byId.get(p.idServizio);
+    if (!update) return p;
+    byId.delete(p.idServizio);
+    return update;
+  });
+  return [...merged, ...byId.values()];
+}
+
+export function useRealtimeUpdates() {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const unsubscribers = [
+      subscribe('positions', ({ positions }) => {
+        // Se la dashboard non ha ancora caricato le posizioni lascia fare alla query
+        if (!queryClient.getQueryData(['positions'])) return;
+        queryClient.setQueryData(['positions'], current => mergePositions(current, positions));
+      }),
+
+      subscribe('events', () => {
+        queryClient.invalidateQueries({ queryKey: ['events'] });
+      }),
+
+      subscribe('status', (status) => {
+        queryClient.setQueryData(['monitoring-status'], status);
+      }),
+
+      subscribe('notification', ({ title, body }) => {
+        toast(`${title}\n${body}`, { duration: 8000 });
+      })
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [queryClient]);
+}
+
+export default useRealtimeUpdates;
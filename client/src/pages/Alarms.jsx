@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { alarmsApi, geofencesApi, vehiclesApi, routesApi } from '../api';
-import { Bell, Plus, Trash2, Save, X, ToggleLeft, ToggleRight } from 'lucide-react';
+import { alarmsApi, geofencesApi, vehiclesApi, routesApi, tripsApi, temperatureRangesApi, escalationPoliciesApi } from '../api';
+import { Bell, Plus, Trash2, Save, X, ToggleLeft, ToggleRight, Thermometer } from 'lucide-react';
 import toast from 'react-hot-toast';
 import clsx from 'clsx';
 
@@ -10,7 +10,9 @@ const ALARM_TYPES = [
   { value: 'geofence_exit', label: 'Uscita da zona', description: 'Notifica quando un veicolo esce da una zona' },
   { value: 'late_arrival', label: 'Ritardo arrivo', description: 'Notifica quando un veicolo non arriva in tempo' },
   { value: 'missed_departure', label: 'Mancata partenza', description: 'Notifica quando un veicolo non parte in tempo' },
-  { value: 'speed', label: 'Velocità', description: 'Notifica per variazioni di velocità' },
+  { value: 'speed', label: 'Velocità', description: 'Notifica quando un veicolo supera il limite di velocità' },
+  { value: 'dwell', label: 'Sosta prolungata', description: 'Notifica quando un veicolo resta in una zona oltre i minuti impostati' },
+  { value: 'door_open', label: 'Apertura vano carico', description: 'Notifica quando il vano carico si apre fuori da zone di carico/scarico e tappe del viaggio' },
 ];
 
 const DAYS = [
@@ -36,7 +38,12 @@ export default function Alarms() {
     giorni_settimana: '1,2,3,4,5,6,7',
     notifica_telegram: true,
     notifica_push: true,
+    notifica_chiamata: 0,
     priorita: 1,
+    soglia_velocita: '',
+    durata_minima_secondi: 60,
+    soglia_minuti: '',
+    escalation_policy_id: null,
   });
 
   const queryClient = useQueryClient();
@@ -62,6 +69,11 @@ export default function Alarms() {
     queryFn: routesApi.getAll,
   });
 
+  const { data: policies = [] } = useQuery({
+    queryKey: ['escalation-policies'],
+    queryFn: escalationPoliciesApi.getAll,
+  });
+
   // Mutations
   const createMutation = useMutation({
     mutationFn: alarmsApi.create,
@@ -102,7 +114,12 @@ export default function Alarms() {
       giorni_settimana: '1,2,3,4,5,6,7',
       notifica_telegram: true,
       notifica_push: true,
+      notifica_chiamata: 0,
       priorita: 1,
+      soglia_velocita: '',
+      durata_minima_secondi: 60,
+      soglia_minuti: '',
+      escalation_policy_id: null,
     });
   };
 
@@ -221,8 +238,61 @@ export default function Alarms() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
               />
             </div>
+
+            {newAlarm.tipo === 'speed' && (
+              <>
+                <div>
+                  <label className="text-sm text-gray-600 block mb-1">Limite velocità (km/h) *</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={newAlarm.soglia_velocita}
+                    onChange={(e) => setNewAlarm({ ...newAlarm, soglia_velocita: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    placeholder="Es: 30 in deposito"
+                  />
+                </div>
+
+                <div>
+                  <label className="text-sm text-gray-600 block mb-1">Durata minima oltre il limite (secondi)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={newAlarm.durata_minima_secondi}
+                    onChange={(e) => setNewAlarm({ ...newAlarm, durata_minima_secondi: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              </>
+            )}
+
+            {newAlarm.tipo === 'dwell' && (
+              <div>
+                <label className="text-sm text-gray-600 block mb-1">Sosta oltre (minuti) *</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={newAlarm.soglia_minuti}
+                  onChange={(e) => setNewAlarm({ ...newAlarm, soglia_minuti: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                  placeholder="Es: 90 in attesa di scarico"
+                />
+              </div>
+            )}
           </div>
 
+          {newAlarm.tipo === 'dwell' && (
+            <p className="mt-2 text-xs text-gray-500">
+              Senza zona selezionata vale per tutti i geofence. Scatta una volta per ogni sosta.
+            </p>
+          )}
+
+          {newAlarm.tipo === 'speed' && (
+            <p className="mt-2 text-xs text-gray-500">
+              Se è selezionata una zona, il limite vale solo all'interno della zona.
+            </p>
+          )}
+
           {/* Days */}
           <div className="mt-4">
             <label className="text-sm text-gray-600 block mb-2">Giorni attivi</label>
@@ -267,6 +337,30 @@ export default function Alarms() {
               />
               <span className="text-sm">🔔 Push Browser</span>
             </label>
+            <label className="flex items-center gap-2 cursor-pointer" title="Nell'escalation predefinita il sollecito all'autista diventa una chiamata vocale">
+              <input
+                type="checkbox"
+                checked={!!newAlarm.notifica_chiamata}
+                onChange={(e) => setNewAlarm({ ...newAlarm, notifica_chiamata: e.target.checked ? 1 : 0 })}
+                className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+              />
+              <span className="text-sm">📞 Chiamata</span>
+            </label>
+          </div>
+
+          {/* Escalation */}
+          <div className="mt-4">
+            <label className="text-sm text-gray-600 block mb-1">Escalation WhatsApp</label>
+            <select
+              value={newAlarm.escalation_policy_id || ''}
+              onChange={(e) => setNewAlarm({ ...newAlarm, escalation_policy_id: e.target.value ? parseInt(e.target.value) : null })}
+              className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Predefinita (autista → chiamata → responsabili)</option>
+              {policies.map((p) => (
+                <option key={p.id} value={p.id}>{p.nome} ({p.steps.length} passi)</option>
+              ))}
+            </select>
           </div>
 
           <div className="mt-6 flex justify-end gap-3">
@@ -281,7 +375,7 @@ export default function Alarms() {
             </button>
             <button
               onClick={() => createMutation.mutate(newAlarm)}
-              disabled={!newAlarm.nome || createMutation.isPending}
+              disabled={!newAlarm.nome || (newAlarm.tipo === 'speed' && !newAlarm.soglia_velocita) || (newAlarm.tipo === 'dwell' && !newAlarm.soglia_minuti) || createMutation.isPending}
               className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center gap-2"
             >
               <Save size={16} />
@@ -338,11 +432,36 @@ export default function Alarms() {
                   {alarm.geofence_nome && (
                     <p className="text-gray-600">📍 {alarm.geofence_nome}</p>
                   )}
+                  {alarm.tipo === 'speed' && alarm.soglia_velocita && (
+                    <p className="text-gray-600">
+                      🏎️ Oltre {alarm.soglia_velocita} km/h per {alarm.durata_minima_secondi ?? 60}s
+                    </p>
+                  )}
+                  {alarm.tipo === 'dwell' && alarm.soglia_minuti && (
+                    <p className="text-gray-600">⏳ Sosta oltre {alarm.soglia_minuti} min</p>
+                  )}
                   {(alarm.ora_inizio || alarm.ora_fine) && (
                     <p className="text-gray-600">
                       🕐 {alarm.ora_inizio?.slice(0, 5) || '00:00'} - {alarm.ora_fine?.slice(0, 5) || '23:59'}
                     </p>
                   )}
+                  <div className="flex items-center gap-2 text-gray-600">
+                    <span>🚨</span>
+                    <select
+                      value={alarm.escalation_policy_id || ''}
+                      onChange={(e) => updateMutation.mutate({
+                        id: alarm.id,
+                        data: { escalation_policy_id: e.target.value ? parseInt(e.target.value) : null }
+                      })}
+                      className="flex-1 px-2 py-1 border border-gray-200 rounded text-xs"
+                      title="Policy di escalation"
+                    >
+                      <option value="">Escalation predefinita</option>
+                      {policies.map((p) => (
+                        <option key={p.id} value={p.id}>{p.nome}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
 
                 <div className="mt-3 flex items-center justify-between">
@@ -353,6 +472,9 @@ export default function Alarms() {
                     {alarm.notifica_push && (
                       <span className="text-xs px-2 py-1 bg-secondary-100 text-secondary-700 rounded">🔔 Push</span>
                     )}
+                    {alarm.notifica_chiamata ? (
+                      <span className="text-xs px-2 py-1 bg-orange-100 text-orange-700 rounded">📞 Chiamata</span>
+                    ) : null}
                   </div>
                   <button
                     onClick={() => {
@@ -370,6 +492,292 @@ export default function Alarms() {
           ))}
         </div>
       )}
+
+      <TemperatureRanges vehicles={vehicles} />
+    </div>
+  );
+}
+
+const EMPTY_RANGE = {
+  nome: '',
+  ambito: 'veicolo',
+  vehicle_plate: '',
+  trip_id: '',
+  temp_min: '',
+  temp_max: '',
+  sonda: '',
+  minuti_tolleranza: 10,
+  controlla_frigo: true,
+};
+
+// Range temperatura catena del freddo (per veicolo o per viaggio)
+function TemperatureRanges({ vehicles }) {
+  const [showForm, setShowForm] = useState(false);
+  const [newRange, setNewRange] = useState(EMPTY_RANGE);
+  const queryClient = useQueryClient();
+
+  const { data: ranges = [] } = useQuery({
+    queryKey: ['temperature-ranges'],
+    queryFn: temperatureRangesApi.getAll,
+  });
+
+  const today = new Date().toISOString().split('T')[0];
+  const { data: trips = [] } = useQuery({
+    queryKey: ['trips', 'from', today],
+    queryFn: () => tripsApi.getAll({ from: today }),
+    enabled: showForm,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: temperatureRangesApi.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['temperature-ranges']);
+      toast.success('Range temperatura creato');
+      setShowForm(false);
+      setNewRange(EMPTY_RANGE);
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore creazione'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => temperatureRangesApi.update(id, data),
+    onSuccess: () => queryClient.invalidateQueries(['temperature-ranges']),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: temperatureRangesApi.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['temperature-ranges']);
+      toast.success('Range eliminato');
+    },
+  });
+
+  const handleSave = () => {
+    const toNumber = (v) => (v === '' ? null : Number(v));
+    createMutation.mutate({
+      nome: newRange.nome,
+      vehicle_plate: newRange.ambito === 'veicolo' ? newRange.vehicle_plate : null,
+      trip_id: newRange.ambito === 'viaggio' ? Number(newRange.trip_id) : null,
+      temp_min: toNumber(newRange.temp_min),
+      temp_max: toNumber(newRange.temp_max),
+      sonda: toNumber(newRange.sonda),
+      minuti_tolleranza: toNumber(newRange.minuti_tolleranza) ?? 10,
+      controlla_frigo: newRange.controlla_frigo,
+    });
+  };
+
+  const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500";
+  const isValid = newRange.nome &&
+    (newRange.ambito === 'veicolo' ? newRange.vehicle_plate : newRange.trip_id);
+
+  return (
+    <div className="mt-10">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-xl font-bold text-gray-800">Catena del freddo</h2>
+          <p className="text-gray-500 text-sm">Range temperatura e controllo frigo per veicolo o viaggio</p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className={clsx(
+            "flex items-center gap-2 px-4 py-2 rounded-lg transition-colors",
+            showForm
+              ? "bg-red-100 text-red-600"
+              : "bg-primary-600 text-white hover:bg-primary-700"
+          )}
+        >
+          {showForm ? <X size={18} /> : <Plus size={18} />}
+          <span className="hidden sm:inline">{showForm ? 'Annulla' : 'Nuovo Range'}</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Nome *</label>
+              <input
+                type="text"
+                value={newRange.nome}
+                onChange={(e) => setNewRange({ ...newRange, nome: e.target.value })}
+                className={inputClass}
+                placeholder="Es: Surgelati -18°C"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Applica a</label>
+              <select
+                value={newRange.ambito}
+                onChange={(e) => setNewRange({ ...newRange, ambito: e.target.value })}
+                className={inputClass}
+              >
+                <option value="veicolo">Veicolo (sempre)</option>
+                <option value="viaggio">Viaggio (solo in corso)</option>
+              </select>
+            </div>
+
+            {newRange.ambito === 'veicolo' ? (
+              <div>
+                <label className="text-sm text-gray-600 block mb-1">Veicolo *</label>
+                <select
+                  value={newRange.vehicle_plate}
+                  onChange={(e) => setNewRange({ ...newRange, vehicle_plate: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Seleziona...</option>
+                  {vehicles.filter(v => v.targa_camion).map((v) => (
+                    <option key={v.id} value={v.targa_camion}>
+                      {v.nickname ? `${v.nickname} (${v.targa_camion})` : v.targa_camion}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div>
+                <label className="text-sm text-gray-600 block mb-1">Viaggio *</label>
+                <select
+                  value={newRange.trip_id}
+                  onChange={(e) => setNewRange({ ...newRange, trip_id: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">Seleziona...</option>
+                  {trips.map((t) => (
+                    <option key={t.id} value={t.id}>
+                      {t.data} - {t.nome}{t.vehicle_plate ? ` (${t.vehicle_plate})` : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Temperatura minima (°C)</label>
+              <input
+                type="number"
+                step="0.5"
+                value={newRange.temp_min}
+                onChange={(e) => setNewRange({ ...newRange, temp_min: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Temperatura massima (°C)</label>
+              <input
+                type="number"
+                step="0.5"
+                value={newRange.temp_max}
+                onChange={(e) => setNewRange({ ...newRange, temp_max: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Sonda</label>
+              <select
+                value={newRange.sonda}
+                onChange={(e) => setNewRange({ ...newRange, sonda: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">Tutte</option>
+                <option value="1">Sonda 1</option>
+                <option value="2">Sonda 2</option>
+              </select>
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Tolleranza (minuti)</label>
+              <input
+                type="number"
+                min="0"
+                value={newRange.minuti_tolleranza}
+                onChange={(e) => setNewRange({ ...newRange, minuti_tolleranza: e.target.value })}
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <label className="mt-4 flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={newRange.controlla_frigo}
+              onChange={(e) => setNewRange({ ...newRange, controlla_frigo: e.target.checked })}
+              className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+            />
+            <span className="text-sm">❄️ Allarme frigo spento con merce a bordo (viaggio in corso)</span>
+          </label>
+
+          <div className="mt-6 flex justify-end">
+            <button
+              onClick={handleSave}
+              disabled={!isValid || createMutation.isPending}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center gap-2"
+            >
+              <Save size={16} />
+              Salva
+            </button>
+          </div>
+        </div>
+      )}
+
+      {ranges.length === 0 ? (
+        <div className="text-center py-8 bg-white rounded-lg border border-gray-200">
+          <Thermometer className="mx-auto text-gray-300 mb-2" size={36} />
+          <p className="text-gray-500 text-sm">Nessun range temperatura configurato</p>
+        </div>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+          {ranges.map((range) => (
+            <div
+              key={range.id}
+              className={clsx(
+                "bg-white rounded-lg shadow-sm border p-4",
+                range.attivo ? "border-gray-200" : "border-gray-100 opacity-60"
+              )}
+            >
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <h3 className="font-semibold">{range.nome}</h3>
+                  <p className="text-sm text-gray-500">
+                    {range.trip_id
+                      ? `🗓️ ${range.trip_data || ''} ${range.trip_nome || `Viaggio #${range.trip_id}`}`
+                      : `🚛 ${range.vehicle_plate}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => updateMutation.mutate({ id: range.id, data: { attivo: range.attivo ? 0 : 1 } })}
+                  className={clsx("transition-colors", range.attivo ? "text-green-500" : "text-gray-300")}
+                >
+                  {range.attivo ? <ToggleRight size={28} /> : <ToggleLeft size={28} />}
+                </button>
+              </div>
+
+              <div className="space-y-1 text-sm text-gray-600">
+                <p>
+                  🌡️ {range.temp_min ?? '-∞'}°C / {range.temp_max ?? '+∞'}°C
+                  {range.sonda ? ` (sonda ${range.sonda})` : ''}
+                </p>
+                <p>⏱️ Tolleranza {range.minuti_tolleranza} min</p>
+                {range.controlla_frigo ? <p>❄️ Controllo frigo attivo</p> : null}
+              </div>
+
+              <div className="mt-3 flex justify-end">
+                <button
+                  onClick={() => {
+                    if (window.confirm('Eliminare questo range?')) {
+                      deleteMutation.mutate(range.id);
+                    }
+                  }}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { auditApi } from '../api';
+import { ClipboardList, ChevronDown, ChevronRight, ChevronLeft, Plus, Pencil, Trash2, Zap } from 'lucide-react';
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { it } from 'date-fns/locale';
+
+const PAGE_SIZE = 50;
+
+const ACTION_STYLES = {
+  create: { label: 'Creazione', icon: Plus, color: 'text-green-600', bg: 'bg-green-50' },
+  update: { label: 'Modifica', icon: Pencil, color: 'text-primary-600', bg: 'bg-primary-50' },
+  delete: { label: 'Eliminazione', icon: Trash2, color: 'text-red-600', bg: 'bg-red-50' },
+};
+
+// Azioni specifiche (es. reset, assign-vehicle)
+const OTHER_ACTION = { icon: Zap, color: 'text-orange-600', bg: 'bg-orange-50' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Campi cambiati tra la fotografia prima e dopo (tutti i campi per creazioni ed eliminazioni)
+ */
+const getChanges = (before, after) => {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter(key => key !== 'updated_at');
+  return keys
+    .filter(key => !before || !after || formatValue(before[key]) !== formatValue(after[key]))
+    .map(key => ({ key, before: before?.[key], after: after?.[key] }));
+};
+
+export default function AuditLog() {
+  const [filters, setFilters] = useState({ entity: '', user_id: '', action: '', entity_id: '' });
+  const [page, setPage] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+
+  const { data: options = { entities: [], users: [], actions: [] } } = useQuery({
+    queryKey: ['audit-log-filters'],
+    queryFn: auditApi.getFilters,
+  });
+
+  const { data: result = { data: [], total: 0 }, isLoading } = useQuery({
+    queryKey: ['audit-log', filters, page],
+    queryFn: () => auditApi.getAll({ ...filters, limit: PAGE_SIZE, offset: page * PAGE_SIZE }),
+  });
+
+  const handleFilterChange = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(0);
+  };
+
+  const formatDate = (dateStr) => {
+    try {
+      return format(new Date(dateStr + 'Z'), 'dd MMM yyyy, HH:mm:ss', { locale: it });
+    } catch {
+      return dateStr;
+    }
+  };
+
+  const totalPages = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  return (
+    <div className="p-4 lg:p-6 pb-20 lg:pb-6">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Registro modifiche</h1>
+        <p className="text-gray-500">Chi ha creato, modificato o eliminato geofence, allarmi, viaggi, autisti e anagrafiche</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div>
+          <label className="text-sm text-gray-600 block mb-1">Entità</label>
+          <select
+            value={filters.entity}
+            onChange={(e) => handleFilterChange('entity', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">Tutte</option>
+            {options.entities.map(entity => (
+              <option key={entity} value={entity}>{entity}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="text-sm text-gray-600 block mb-1">ID record</label>
+          <input
+            type="text"
+            value={filters.entity_id}
+            onChange={(e) => handleFilterChange('entity_id', e.target.value)}
+            placeholder="Es: 42"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          />
+        </div>
+
+        <div>
+          <label className="text-sm text-gray-600 block mb-1">Utente</label>
+          <select
+            value={filters.user_id}
+            onChange={(e) => handleFilterChange('user_id', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">Tutti</option>
+            {options.users.map(user => (
+              <option key={user.user_id} value={user.user_id}>{user.username || `#${user.user_id}`}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="text-sm text-gray-600 block mb-1">Azione</label>
+          <select
+            value={filters.action}
+            onChange={(e) => handleFilterChange('action', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+          >
+            <option value="">Tutte</option>
+            {options.actions.map(action => (
+              <option key={action} value={action}>{ACTION_STYLES[action]?.label || action}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Entries */}
+      {isLoading ? (
+        <div className="text-center py-12 text-gray-500">Caricamento...</div>
+      ) : result.data.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <ClipboardList size={48} className="mx-auto mb-3 text-gray-300" />
+          <p>Nessuna modifica registrata</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {result.data.map((entry) => {
+            const style = ACTION_STYLES[entry.action] || OTHER_ACTION;
+            const Icon = style.icon;
+            const isOpen = expanded === entry.id;
+            const changes = isOpen ? getChanges(entry.before, entry.after) : [];
+
+            return (
+              <div key={entry.id}>
+                <button
+                  onClick={() => setExpanded(isOpen ? null : entry.id)}
+                  className="w-full p-4 flex items-center gap-4 text-left hover:bg-gray-50"
+                >
+                  <div className={clsx("p-2 rounded-lg", style.bg)}>
+                    <Icon size={18} className={style.color} />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">
+                      {style.label || entry.action} · {entry.entity}
+                      {entry.entity_id && <span className="text-gray-500"> #{entry.entity_id}</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {entry.username || 'sistema'} · {formatDate(entry.created_at)} · {entry.method} {entry.path}
+                    </p>
+                  </div>
+                  {isOpen ? <ChevronDown size={18} className="text-gray-400" /> : <ChevronRight size={18} className="text-gray-400" />}
+                </button>
+
+                {isOpen && (
+                  <div className="px-4 pb-4">
+                    {changes.length === 0 ? (
+                      <p className="text-sm text-gray-500">Nessun campo modificato</p>
+                    ) : (
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-left text-gray-500">
+                            <th className="py-1 pr-4 font-medium">Campo</th>
+                            <th className="py-1 pr-4 font-medium">Prima</th>
+                            <th className="py-1 font-medium">Dopo</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {changes.map(change => (
+                            <tr key={change.key} className="align-top">
+                              <td className="py-1 pr-4 font-mono text-gray-700">{change.key}</td>
+                              <td className="py-1 pr-4 text-red-700 break-all">{formatValue(change.before)}</td>
+                              <td className="py-1 text-green-700 break-all">{formatValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {result.total > PAGE_SIZE && (
+        <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+          <span>{result.total} modifiche · pagina {page + 1} di {totalPages}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page === 0}
+              className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+            >
+              <ChevronLeft size={18} />
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page + 1 >= totalPages}
+              className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+            >
+              <ChevronRight size={18} />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
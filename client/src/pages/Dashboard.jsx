@@ -1,9 +1,10 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
-import { positionsApi, geofencesApi, eventsApi, monitoringApi } from '../api';
+import { positionsApi, geofencesApi, eventsApi, monitoringApi, hiddenVehiclesApi } from '../api';
 import { useMapStore, useMapPreferencesStore } from '../store';
 import MapView from '../components/MapView';
 import { useMapController } from '../hooks/useMapController';
+import { GEOFENCE_CATEGORIES } from '../components/map';
 // MapProviderSelector moved to Settings page
 import { 
   Truck, 
@@ -63,11 +64,15 @@ export default function Dashboard() {
   const [showCouplingModal, setShowCouplingModal] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   
-  // Veicoli nascosti (salvati in localStorage)
-  const [hiddenVehicles, setHiddenVehicles] = useState(() => {
-    const saved = localStorage.getItem('hiddenVehicles');
+  // Veicoli nascosti (salvati sul server, per utente)
+  const [hiddenVehicles, setHiddenVehicles] = useState([]);
+  
+  // Categorie di geofence nascoste sulla mappa (salvate in localStorage)
+  const [hiddenGeofenceCategories, setHiddenGeofenceCategories] = useState(() => {
+    const saved = localStorage.getItem('hiddenGeofenceCategories');
     return saved ? JSON.parse(saved) : [];
   });
+  const [showGeofenceFilter, setShowGeofenceFilter] = useState(false);
   
   // Coppie trattore-rimorchio (salvate in localStorage)
   const [coupledPairs, setCoupledPairs] = useState(() => {
@@ -81,6 +86,7 @@ export default function Dashboard() {
     controller: mapController,
     updateVehicles,
     updateGeofences,
+    setHiddenGeofenceCategories: setControllerGeofenceCategories,
     focusOnVehicle,
     setProvider: setControllerProvider,
     toggleClustering: controllerToggleClustering,
@@ -88,6 +94,7 @@ export default function Dashboard() {
     state: mapState
   } = useMapController({
     initialProvider: mapType,
+    realtime: true,
     enableCoupling,
     coupledPairs,
     hiddenVehicles,
@@ -127,16 +134,27 @@ export default function Dashboard() {
     localStorage.setItem('coupledPairs', JSON.stringify(coupledPairs));
   }, [coupledPairs]);
   
+  // Carica i veicoli nascosti dell'utente (la vecchia lista in localStorage viene portata sul server)
   useEffect(() => {
-    localStorage.setItem('hiddenVehicles', JSON.stringify(hiddenVehicles));
-  }, [hiddenVehicles]);
+    const legacy = JSON.parse(localStorage.getItem('hiddenVehicles') || '[]');
+    hiddenVehiclesApi.getAll()
+      .then(async (plates) => {
+        if (plates.length === 0 && legacy.length > 0) {
+          await hiddenVehiclesApi.setAll(legacy);
+          plates = legacy;
+        }
+        localStorage.removeItem('hiddenVehicles');
+        setHiddenVehicles(plates);
+      })
+      .catch(err => console.error('Errore caricamento veicoli nascosti:', err));
+  }, []);
 
-  // Fetch positions - aggiornamento ogni 30 secondi dalla cache locale
+  // Fetch positions - caricamento iniziale, poi aggiornate dallo stream real-time (useRealtimeUpdates)
   const { data: positions = [], isLoading: positionsLoading, refetch: refetchPositions } = useQuery({
     queryKey: ['positions'],
     queryFn: positionsApi.getAllPositions,
-    refetchInterval: 30000, // Aggiorna dalla cache ogni 30 secondi
-    staleTime: 25000, // Considera i dati freschi per 25 secondi
+    refetchInterval: 5 * 60 * 1000, // Risincronizzazione di sicurezza (es. dopo disconnessioni)
+    staleTime: Infinity,
   });
 
   // Fetch geofences
@@ -149,18 +167,17 @@ export default function Dashboard() {
   const { data: events = [] } = useQuery({
     queryKey: ['events', { limit: 10 }],
     queryFn: () => eventsApi.getAll({ limit: 10 }),
-    refetchInterval: 30000,
   });
 
   // Fetch monitoring status
   const { data: monitoringStatus } = useQuery({
     queryKey: ['monitoring-status'],
     queryFn: monitoringApi.getStatus,
-    refetchInterval: 60000,
   });
   
   // ========== UPDATE CONTROLLER WITH DATA ==========
-  // When positions change, update the controller
+  // When positions change, update the controller (the stream updates are already applied
+  // incrementally by useMapController, so the same list does not redraw the map)
   useEffect(() => {
     if (positions && positions.length > 0) {
       updateVehicles(positions);
@@ -174,6 +191,17 @@ export default function Dashboard() {
     }
   }, [geofences, updateGeofences]);
 
+  useEffect(() => {
+    localStorage.setItem('hiddenGeofenceCategories', JSON.stringify(hiddenGeofenceCategories));
+    setControllerGeofenceCategories(hiddenGeofenceCategories);
+  }, [hiddenGeofenceCategories, setControllerGeofenceCategories]);
+
+  const toggleGeofenceCategory = (category) => {
+    setHiddenGeofenceCategories(prev =>
+      prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category]
+    );
+  };
+
   const handleRefresh = async () => {
     try {
       await monitoringApi.forceCheck();
@@ -272,6 +300,8 @@ export default function Dashboard() {
         ? prev.filter(p => p !== plate)
         : [...prev, plate]
     );
+    hiddenVehiclesApi.toggle(plate)
+      .catch(err => console.error('Errore salvataggio veicolo nascosto:', err));
   };
 
   // Statistiche corrette
@@ -575,6 +605,41 @@ export default function Dashboard() {
           {/* Divider */}
           <div className="hidden sm:block w-px h-6 bg-gray-300" />
           
+          {/* Filtro categorie geofence */}
+          <div className="relative">
+            <button
+              onClick={() => setShowGeofenceFilter(!showGeofenceFilter)}
+              className={clsx(
+                "flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors",
+                hiddenGeofenceCategories.length > 0
+                  ? "bg-amber-500 text-white"
+                  : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+              )}
+              title="Categorie di zone visibili sulla mappa"
+            >
+              <MapPin size={16} />
+              <span className="hidden sm:inline">Zone</span>
+            </button>
+            {showGeofenceFilter && (
+              <div className="absolute left-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg p-2 z-[1000] w-48">
+                {Object.entries(GEOFENCE_CATEGORIES).map(([id, category]) => (
+                  <label key={id} className="flex items-center gap-2 px-2 py-1 text-sm cursor-pointer hover:bg-gray-50 rounded">
+                    <input
+                      type="checkbox"
+                      checked={!hiddenGeofenceCategories.includes(id)}
+                      onChange={() => toggleGeofenceCategory(id)}
+                      className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                    />
+                    {category.icon} {category.label}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+          
+          {/* Divider */}
+          <div className="hidden sm:block w-px h-6 bg-gray-300" />
+          
           {/* Map Type Selector - Only show for Google Maps */}
           {mapProvider === 'google' && (
             <div className="flex items-center gap-1 bg-gray-100 p-1 rounded-lg">
@@ -2,27 +2,35 @@ import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
   User, Phone, Mail, Truck, Edit2, Save, X, Plus, Trash2, 
-  MessageSquare, Clock, Bell, Link, ChevronDown, ChevronRight
+  MessageSquare, Clock, Bell, Link, ChevronDown, ChevronRight, ArrowUp, ArrowDown, Siren
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import clsx from 'clsx';
+import { useAuthStore } from '../store';
+import { escalationPoliciesApi } from '../api';
 
 const API_BASE = '/api';
 
+// fetch con token JWT (tutte le route /api richiedono autenticazione)
+const authFetch = (url, options = {}) => fetch(url, {
+  ...options,
+  headers: { ...options.headers, ...useAuthStore.getState().getAuthHeaders() },
+});
+
 // API functions
 const driversApi = {
   getAll: async () => {
-    const res = await fetch(`${API_BASE}/drivers`);
+    const res = await authFetch(`${API_BASE}/drivers`);
     if (!res.ok) throw new Error('Errore caricamento autisti');
     return res.json();
   },
   getById: async (id) => {
-    const res = await fetch(`${API_BASE}/drivers/${id}`);
+    const res = await authFetch(`${API_BASE}/drivers/${id}`);
     if (!res.ok) throw new Error('Autista non trovato');
     return res.json();
   },
   create: async (data) => {
-    const res = await fetch(`${API_BASE}/drivers`, {
+    const res = await authFetch(`${API_BASE}/drivers`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -31,7 +39,7 @@ const driversApi = {
     return res.json();
   },
   update: async (id, data) => {
-    const res = await fetch(`${API_BASE}/drivers/${id}`, {
+    const res = await authFetch(`${API_BASE}/drivers/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -40,12 +48,12 @@ const driversApi = {
     return res.json();
   },
   delete: async (id) => {
-    const res = await fetch(`${API_BASE}/drivers/${id}`, { method: 'DELETE' });
+    const res = await authFetch(`${API_BASE}/drivers/${id}`, { method: 'DELETE' });
     if (!res.ok) throw new Error('Errore eliminazione autista');
     return res.json();
   },
   assignVehicle: async (driverId, vehiclePlate) => {
-    const res = await fetch(`${API_BASE}/drivers/${driverId}/assign-vehicle`, {
+    const res = await authFetch(`${API_BASE}/drivers/${driverId}/assign-vehicle`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ vehicle_plate: vehiclePlate }),
@@ -54,7 +62,7 @@ const driversApi = {
     return res.json();
   },
   unassignVehicle: async (driverId, plate) => {
-    const res = await fetch(`${API_BASE}/drivers/${driverId}/unassign-vehicle/${plate}`, { 
+    const res = await authFetch(`${API_BASE}/drivers/${driverId}/unassign-vehicle/${plate}`, { 
       method: 'DELETE' 
     });
     if (!res.ok) throw new Error('Errore rimozione assegnazione');
@@ -64,7 +72,7 @@ const driversApi = {
 
 const vehiclesApi = {
   getAll: async () => {
-    const res = await fetch(`${API_BASE}/vehicles`);
+    const res = await authFetch(`${API_BASE}/vehicles`);
     if (!res.ok) throw new Error('Errore caricamento veicoli');
     return res.json();
   },
@@ -72,12 +80,12 @@ const vehiclesApi = {
 
 const responsablesApi = {
   getAll: async () => {
-    const res = await fetch(`${API_BASE}/responsables`);
+    const res = await authFetch(`${API_BASE}/responsables`);
     if (!res.ok) throw new Error('Errore caricamento responsabili');
     return res.json();
   },
   create: async (data) => {
-    const res = await fetch(`${API_BASE}/responsables`, {
+    const res = await authFetch(`${API_BASE}/responsables`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -86,7 +94,7 @@ const responsablesApi = {
     return res.json();
   },
   update: async (id, data) => {
-    const res = await fetch(`${API_BASE}/responsables/${id}`, {
+    const res = await authFetch(`${API_BASE}/responsables/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(data),
@@ -95,7 +103,7 @@ const responsablesApi = {
     return res.json();
   },
   delete: async (id) => {
-    const res = await fetch(`${API_BASE}/responsables/${id}`, { method: 'DELETE' });
+    const res = await authFetch(`${API_BASE}/responsables/${id}`, { method: 'DELETE' });
     if (!res.ok) throw new Error('Errore eliminazione responsabile');
     return res.json();
   },
@@ -103,22 +111,22 @@ const responsablesApi = {
 
 const whatsappApi = {
   getStatus: async () => {
-    const res = await fetch(`${API_BASE}/whatsapp/status`);
+    const res = await authFetch(`${API_BASE}/whatsapp/status`);
     if (!res.ok) throw new Error('Errore stato WhatsApp');
     return res.json();
   },
   initialize: async () => {
-    const res = await fetch(`${API_BASE}/whatsapp/initialize`, { method: 'POST' });
+    const res = await authFetch(`${API_BASE}/whatsapp/initialize`, { method: 'POST' });
     if (!res.ok) throw new Error('Errore inizializzazione WhatsApp');
     return res.json();
   },
   disconnect: async () => {
-    const res = await fetch(`${API_BASE}/whatsapp/disconnect`, { method: 'POST' });
+    const res = await authFetch(`${API_BASE}/whatsapp/disconnect`, { method: 'POST' });
     if (!res.ok) throw new Error('Errore disconnessione WhatsApp');
     return res.json();
   },
   updateConfig: async (config) => {
-    const res = await fetch(`${API_BASE}/whatsapp/config`, {
+    const res = await authFetch(`${API_BASE}/whatsapp/config`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(config),
@@ -127,7 +135,7 @@ const whatsappApi = {
     return res.json();
   },
   sendTest: async (telefono, messaggio) => {
-    const res = await fetch(`${API_BASE}/whatsapp/send-test`, {
+    const res = await authFetch(`${API_BASE}/whatsapp/send-test`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ telefono, messaggio }),
@@ -137,6 +145,23 @@ const whatsappApi = {
   },
 };
 
+const telephonyApi = {
+  getStatus: async () => {
+    const res = await authFetch(`${API_BASE}/telephony/status`);
+    if (!res.ok) throw new Error('Errore stato telefonia');
+    return res.json();
+  },
+  test: async (tipo, telefono) => {
+    const res = await authFetch(`${API_BASE}/telephony/test-${tipo}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ telefono }),
+    });
+    if (!res.ok) throw new Error('Errore invio di prova');
+    return res.json();
+  },
+};
+
 // Componente per l'editing di un autista
 function DriverForm({ driver, onSave, onCancel, vehicles }) {
   const [form, setForm] = useState({
@@ -462,7 +487,7 @@ function WhatsAppConfig() {
 
       {/* Info escalation */}
       <div className="border-t border-gray-700 pt-4 text-xs text-gray-500">
-        <p className="font-medium mb-2">Sistema di Escalation:</p>
+        <p className="font-medium mb-2">Escalation predefinita (allarmi senza policy):</p>
         <ol className="list-decimal list-inside space-y-1">
           <li>Quando scatta un allarme, viene inviato messaggio WhatsApp all'autista</li>
           <li>Se non risponde entro {config.timeout_risposta_minuti} minuti → messaggio urgente</li>
@@ -561,6 +586,12 @@ export default function Drivers() {
     onError: (err) => toast.error(err.message),
   });
 
+  const toggleOnCallMutation = useMutation({
+    mutationFn: (resp) => responsablesApi.update(resp.id, { reperibile: !resp.reperibile }),
+    onSuccess: () => queryClient.invalidateQueries(['responsables']),
+    onError: (err) => toast.error(err.message),
+  });
+
   const deleteResponsableMutation = useMutation({
     mutationFn: responsablesApi.delete,
     onSuccess: () => {
@@ -615,6 +646,18 @@ export default function Drivers() {
           <MessageSquare className="w-4 h-4 inline mr-2" />
           WhatsApp Bot
         </button>
+        <button
+          onClick={() => setActiveTab('escalation')}
+          className={clsx(
+            'px-4 py-2 -mb-px border-b-2',
+            activeTab === 'escalation' 
+              ? 'border-primary-500 text-primary-500' 
+              : 'border-transparent text-gray-400 hover:text-white'
+          )}
+        >
+          <Siren className="w-4 h-4 inline mr-2" />
+          Escalation
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -870,6 +913,7 @@ export default function Drivers() {
                       <div className="font-medium">{resp.nome} {resp.cognome}</div>
                       <div className="text-sm text-gray-400">
                         {resp.ruolo || 'Responsabile'} - Priorità: {resp.priorita}
+                        {resp.reperibile ? <span className="ml-2 text-orange-400">· Reperibile</span> : null}
                       </div>
                     </div>
                   </div>
@@ -886,6 +930,16 @@ export default function Drivers() {
                         </div>
                       )}
                     </div>
+                    <button
+                      onClick={() => toggleOnCallMutation.mutate(resp)}
+                      className={clsx(
+                        'px-2 py-1 rounded text-xs',
+                        resp.reperibile ? 'bg-orange-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-white'
+                      )}
+                      title="Destinatario dei passi di escalation 'Reperibile'"
+                    >
+                      Reperibile
+                    </button>
                     <button
                       onClick={() => {
                         if (confirm('Eliminare questo responsabile?')) {
@@ -907,6 +961,13 @@ export default function Drivers() {
       {activeTab === 'whatsapp' && (
         <WhatsAppConfig />
       )}
+
+      {activeTab === 'escalation' && (
+        <div className="space-y-6">
+          <TelephonyStatus />
+          <EscalationPolicies responsables={responsables} />
+        </div>
+      )}
     </div>
   );
 }
@@ -921,6 +982,7 @@ function ResponsableForm({ responsable, onSave, onCancel }) {
     email: responsable?.email || '',
     ruolo: responsable?.ruolo || 'responsabile',
     priorita: responsable?.priorita || 1,
+    reperibile: !!responsable?.reperibile,
   });
 
   const handleSubmit = (e) => {
@@ -996,6 +1058,331 @@ function ResponsableForm({ responsable, onSave, onCancel }) {
           />
         </div>
       </div>
+      <label className="flex items-center space-x-2 text-sm text-gray-400">
+        <input
+          type="checkbox"
+          checked={form.reperibile}
+          onChange={(e) => setForm({ ...form, reperibile: e.target.checked })}
+        />
+        <span>Reperibile (contattato dai passi di escalation "Reperibile")</span>
+      </label>
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-600 hover:bg-gray-500 rounded text-white"
+        >
+          Annulla
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 bg-primary-600 hover:bg-primary-500 rounded text-white"
+        >
+          Salva
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const CHANNEL_LABELS = { whatsapp: 'WhatsApp', call: 'Chiamata', sms: 'SMS', telegram: 'Telegram' };
+const RECIPIENT_LABELS = {
+  driver: 'Autista',
+  responsabile: 'Responsabile',
+  responsabili: 'Tutti i responsabili',
+  on_call: 'Reperibile',
+  telegram_group: 'Gruppo Telegram',
+};
+
+const EMPTY_STEP = { canale: 'whatsapp', destinatario: 'driver', responsable_id: '', telegram_chat_id: '', attesa_minuti: 5 };
+
+// Policy di escalation: sequenze di passi assegnabili agli allarmi
+function EscalationPolicies({ responsables }) {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null); // null | 'new' | policy
+
+  const { data: policies = [], isLoading } = useQuery({
+    queryKey: ['escalation-policies'],
+    queryFn: escalationPoliciesApi.getAll,
+  });
+
+  const onError = (err) => toast.error(err.response?.data?.error || err.message);
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => editing?.id
+      ? escalationPoliciesApi.update(editing.id, data)
+      : escalationPoliciesApi.create(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['escalation-policies']);
+      setEditing(null);
+      toast.success('Policy salvata');
+    },
+    onError,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: escalationPoliciesApi.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries(['escalation-policies']);
+      queryClient.invalidateQueries(['alarms']);
+      toast.success('Policy eliminata');
+    },
+    onError,
+  });
+
+  const describeStep = (step) => {
+    const recipient = step.destinatario === 'responsabile' && step.responsabile_nome
+      ? `${step.responsabile_nome} ${step.responsabile_cognome}`
+      : RECIPIENT_LABELS[step.destinatario];
+    return `${CHANNEL_LABELS[step.canale]} → ${recipient}`;
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <span className="text-gray-400">
+          Sequenze di escalation assegnabili agli allarmi. Gli allarmi senza policy usano la sequenza predefinita.
+        </span>
+        <button
+          onClick={() => setEditing('new')}
+          className="px-4 py-2 bg-primary-600 hover:bg-primary-500 rounded flex items-center"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Nuova Policy
+        </button>
+      </div>
+
+      {editing && (
+        <div className="bg-gray-800 rounded-lg p-4 mb-4">
+          <h3 className="text-lg font-medium mb-3">{editing.id ? 'Modifica Policy' : 'Nuova Policy'}</h3>
+          <PolicyForm
+            policy={editing.id ? editing : null}
+            responsables={responsables}
+            onSave={(data) => saveMutation.mutate(data)}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="text-gray-400">Caricamento...</div>
+      ) : policies.length === 0 ? (
+        <div className="text-gray-400 text-center py-8">Nessuna policy configurata.</div>
+      ) : (
+        <div className="space-y-2">
+          {policies.map((policy) => (
+            <div key={policy.id} className="bg-gray-800 rounded-lg p-4">
+              <div className="flex items-start justify-between">
+                <div>
+                  <div className="font-medium">{policy.nome}</div>
+                  <div className="text-sm text-gray-400">
+                    {policy.descrizione ? `${policy.descrizione} - ` : ''}{policy.allarmi} allarmi
+                  </div>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <button
+                    onClick={() => setEditing(policy)}
+                    className="p-2 hover:bg-gray-700 rounded"
+                  >
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (confirm('Eliminare questa policy? Gli allarmi collegati useranno la sequenza predefinita.')) {
+                        deleteMutation.mutate(policy.id);
+                      }
+                    }}
+                    className="p-2 hover:bg-red-700 rounded text-red-400"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <ol className="mt-3 space-y-1 text-sm">
+                {policy.steps.map((step, index) => (
+                  <li key={step.id} className="flex items-center text-gray-300">
+                    <span className="w-6 text-gray-500">{index + 1}.</span>
+                    <span className="flex-1">{describeStep(step)}</span>
+                    {index < policy.steps.length - 1 && (
+                      <span className="flex items-center text-gray-500">
+                        <Clock className="w-3 h-3 mr-1" />
+                        {step.attesa_minuti} min
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Form per policy di escalation con elenco ordinato dei passi
+function PolicyForm({ policy, responsables, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    nome: policy?.nome || '',
+    descrizione: policy?.descrizione || '',
+  });
+  const [steps, setSteps] = useState(
+    policy?.steps?.map(({ canale, destinatario, responsable_id, telegram_chat_id, attesa_minuti }) => ({
+      canale, destinatario, responsable_id: responsable_id || '', telegram_chat_id: telegram_chat_id || '', attesa_minuti,
+    })) || [{ ...EMPTY_STEP }]
+  );
+
+  const updateStep = (index, changes) => {
+    setSteps(steps.map((step, i) => {
+      if (i !== index) return step;
+      const next = { ...step, ...changes };
+      // Il gruppo Telegram si raggiunge solo via Telegram, gli altri destinatari via WhatsApp o chiamata
+      if (changes.destinatario === 'telegram_group') next.canale = 'telegram';
+      else if (changes.destinatario && next.canale === 'telegram') next.canale = 'whatsapp';
+      return next;
+    }));
+  };
+
+  const moveStep = (index, delta) => {
+    const next = [...steps];
+    [next[index], next[index + delta]] = [next[index + delta], next[index]];
+    setSteps(next);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...form,
+      steps: steps.map(step => ({
+        ...step,
+        responsable_id: step.responsable_id ? parseInt(step.responsable_id) : null,
+        attesa_minuti: parseInt(step.attesa_minuti) || 0,
+      })),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Nome *</label>
+          <input
+            type="text"
+            value={form.nome}
+            onChange={(e) => setForm({ ...form, nome: e.target.value })}
+            placeholder="es. Allarmi critici notturni"
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-1">Descrizione</label>
+          <input
+            type="text"
+            value={form.descrizione}
+            onChange={(e) => setForm({ ...form, descrizione: e.target.value })}
+            className="w-full bg-gray-700 border border-gray-600 rounded px-3 py-2 text-white"
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <label className="block text-sm text-gray-400">Passi (l'escalation si ferma alla prima risposta)</label>
+        {steps.map((step, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2 bg-gray-700/50 rounded p-2">
+            <span className="w-6 text-gray-400 text-sm">{index + 1}.</span>
+            <select
+              value={step.destinatario}
+              onChange={(e) => updateStep(index, { destinatario: e.target.value })}
+              className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+            >
+              {Object.entries(RECIPIENT_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {step.destinatario === 'responsabile' && (
+              <select
+                value={step.responsable_id}
+                onChange={(e) => updateStep(index, { responsable_id: e.target.value })}
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+                required
+              >
+                <option value="">Seleziona...</option>
+                {responsables.map((resp) => (
+                  <option key={resp.id} value={resp.id}>{resp.nome} {resp.cognome}</option>
+                ))}
+              </select>
+            )}
+            {step.destinatario === 'telegram_group' ? (
+              <input
+                type="text"
+                value={step.telegram_chat_id}
+                onChange={(e) => updateStep(index, { telegram_chat_id: e.target.value })}
+                placeholder="Chat ID (vuoto = TELEGRAM_CHAT_ID)"
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+              />
+            ) : (
+              <select
+                value={step.canale}
+                onChange={(e) => updateStep(index, { canale: e.target.value })}
+                className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+              >
+                <option value="whatsapp">{CHANNEL_LABELS.whatsapp}</option>
+                <option value="call">{CHANNEL_LABELS.call}</option>
+                <option value="sms">{CHANNEL_LABELS.sms}</option>
+              </select>
+            )}
+            {index < steps.length - 1 && (
+              <label className="flex items-center text-sm text-gray-400">
+                poi attendi
+                <input
+                  type="number"
+                  min="0"
+                  value={step.attesa_minuti}
+                  onChange={(e) => updateStep(index, { attesa_minuti: e.target.value })}
+                  className="w-16 mx-2 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+                />
+                min
+              </label>
+            )}
+            <div className="ml-auto flex items-center">
+              <button
+                type="button"
+                onClick={() => moveStep(index, -1)}
+                disabled={index === 0}
+                className="p-1 hover:bg-gray-600 rounded disabled:opacity-30"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveStep(index, 1)}
+                disabled={index === steps.length - 1}
+                className="p-1 hover:bg-gray-600 rounded disabled:opacity-30"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => setSteps(steps.filter((_, i) => i !== index))}
+                disabled={steps.length === 1}
+                className="p-1 hover:bg-red-700 rounded text-red-400 disabled:opacity-30"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setSteps([...steps, { ...EMPTY_STEP, destinatario: 'responsabili' }])}
+          className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded text-sm flex items-center"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Aggiungi passo
+        </button>
+      </div>
+
       <div className="flex justify-end space-x-2">
         <button
           type="button"
@@ -1014,3 +1401,90 @@ function ResponsableForm({ responsable, onSave, onCancel }) {
     </form>
   );
 }
+
+const CALL_OUTCOMES = {
+  confirmed: 'Confermata',
+  answered: 'Risposta senza conferma',
+  no_answer: 'Nessuna risposta',
+  busy: 'Occupato',
+  failed: 'Fallita',
+};
+
+// Provider telefonico per chiamate vocali e SMS di escalation (TELEPHONY_PROVIDER)
+function TelephonyStatus() {
+  const [testPhone, setTestPhone] = useState('');
+
+  const { data: status } = useQuery({
+    queryKey: ['telephony-status'],
+    queryFn: telephonyApi.getStatus,
+    refetchInterval: 10000,
+  });
+
+  const testMutation = useMutation({
+    mutationFn: (tipo) => telephonyApi.test(tipo, testPhone),
+    onSuccess: (result) => result.success ? toast.success('Inviato') : toast.error(result.error),
+    onError: (err) => toast.error(err.message),
+  });
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <Phone className="w-5 h-5 mr-2" />
+          <span className="font-medium">Chiamate e SMS</span>
+        </div>
+        <span className={clsx('text-sm', status?.configured ? 'text-green-400' : 'text-gray-400')}>
+          {status?.configured ? `Provider: ${status.provider}` : 'Provider non configurato'}
+        </span>
+      </div>
+      {!status?.configured ? (
+        <p className="text-xs text-gray-500">
+          Senza provider (TELEPHONY_PROVIDER) i passi "Chiamata" inviano un messaggio WhatsApp urgente e i passi "SMS" falliscono.
+        </p>
+      ) : (
+        <>
+          {status.provider === 'twilio' && !status.callbackUrl && (
+            <p className="text-xs text-yellow-400">
+              TELEPHONY_CALLBACK_URL non impostato: conferma con il tasto 1 ed esiti delle chiamate non vengono registrati.
+            </p>
+          )}
+          <div className="flex space-x-2">
+            <input
+              type="tel"
+              value={testPhone}
+              onChange={(e) => setTestPhone(e.target.value)}
+              placeholder="+39..."
+              className="flex-1 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white text-sm"
+            />
+            <button
+              onClick={() => testMutation.mutate('call')}
+              disabled={testMutation.isPending || !testPhone}
+              className="px-3 py-1 bg-green-600 hover:bg-green-500 rounded text-sm disabled:opacity-50"
+            >
+              Chiamata di prova
+            </button>
+            <button
+              onClick={() => testMutation.mutate('sms')}
+              disabled={testMutation.isPending || !testPhone}
+              className="px-3 py-1 bg-gray-600 hover:bg-gray-500 rounded text-sm disabled:opacity-50"
+            >
+              SMS di prova
+            </button>
+          </div>
+          {status.log?.length > 0 && (
+            <div className="text-xs text-gray-400 space-y-1 max-h-40 overflow-y-auto">
+              {status.log.map((entry) => (
+                <div key={entry.id} className="flex space-x-2">
+                  <span className="text-gray-500">{entry.id}</span>
+                  <span>{entry.to}</span>
+                  <span className="flex-1 truncate">{entry.message}</span>
+                  {entry.tipo === 'call' && <span>{CALL_OUTCOMES[entry.esito] || entry.esito}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
 import { eventsApi, vehiclesApi } from '../api';
-import { History, Filter, MapPin, Clock, Truck, ArrowRightCircle, ArrowLeftCircle, AlertTriangle } from 'lucide-react';
+import { useAuthStore, hasRole } from '../store';
+import { History, Filter, MapPin, Clock, Truck, ArrowRightCircle, ArrowLeftCircle, AlertTriangle, Gauge, Thermometer, Snowflake, PackageOpen, Hourglass, Route, UserCheck, CheckCircle2, RotateCcw } from 'lucide-react';
 import clsx from 'clsx';
 import { format } from 'date-fns';
 import { it } from 'date-fns/locale';
@@ -14,15 +16,44 @@ const EVENT_TYPES = {
   not_departed: { label: 'Mancata partenza', icon: AlertTriangle, color: 'text-yellow-600', bg: 'bg-yellow-50' },
   stopped: { label: 'Fermo', icon: MapPin, color: 'text-gray-600', bg: 'bg-gray-50' },
   moving: { label: 'In movimento', icon: Truck, color: 'text-primary-600', bg: 'bg-primary-50' },
+  speed: { label: 'Eccesso velocità', icon: Gauge, color: 'text-red-600', bg: 'bg-red-50' },
+  temp_high: { label: 'Temperatura alta', icon: Thermometer, color: 'text-red-600', bg: 'bg-red-50' },
+  temp_low: { label: 'Temperatura bassa', icon: Thermometer, color: 'text-blue-600', bg: 'bg-blue-50' },
+  frigo_off: { label: 'Frigo spento', icon: Snowflake, color: 'text-orange-600', bg: 'bg-orange-50' },
+  temp_ok: { label: 'Temperatura rientrata', icon: Thermometer, color: 'text-green-600', bg: 'bg-green-50' },
+  door_open: { label: 'Vano carico aperto', icon: PackageOpen, color: 'text-red-600', bg: 'bg-red-50' },
+  dwell: { label: 'Sosta prolungata', icon: Hourglass, color: 'text-amber-600', bg: 'bg-amber-50' },
+  route_deviation: { label: 'Fuori percorso', icon: Route, color: 'text-red-600', bg: 'bg-red-50' },
+  trip_expected_late: { label: 'Ritardo previsto', icon: Clock, color: 'text-amber-600', bg: 'bg-amber-50' },
 };
 
+const EVENT_STATES = {
+  open: { label: 'Aperto', className: 'bg-red-100 text-red-700' },
+  acknowledged: { label: 'Preso in carico', className: 'bg-amber-100 text-amber-700' },
+  resolved: { label: 'Risolto', className: 'bg-green-100 text-green-700' },
+};
+
+const ACK_CHANNELS = {
+  web: 'web',
+  telegram: 'Telegram',
+  push: 'notifica push',
+  whatsapp: 'WhatsApp',
+  call: 'chiamata',
+};
+
+// Orari salvati dal DB (CURRENT_TIMESTAMP, UTC senza fuso)
+const parseDbDate = (dateStr) => dateStr.replace(' ', 'T') + 'Z';
+
 export default function Events() {
   const [filters, setFilters] = useState({
     vehicle_id: '',
     tipo: '',
+    stato: '',
     limit: 100,
   });
   const [showFilters, setShowFilters] = useState(false);
+  const { user } = useAuthStore();
+  const canManage = hasRole(user, 'operator');
 
   // Fetch events
   const { data: events = [], isLoading, refetch } = useQuery({
@@ -72,7 +103,7 @@ export default function Events() {
       {/* Filters */}
       {showFilters && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6">
-          <div className="grid gap-4 md:grid-cols-3">
+          <div className="grid gap-4 md:grid-cols-4">
             <div>
               <label className="text-sm text-gray-600 block mb-1">Veicolo</label>
               <select
@@ -103,6 +134,20 @@ export default function Events() {
               </select>
             </div>
 
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Stato</label>
+              <select
+                value={filters.stato}
+                onChange={(e) => handleFilterChange('stato', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">Tutti gli stati</option>
+                {Object.entries(EVENT_STATES).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+
             <div>
               <label className="text-sm text-gray-600 block mb-1">Limite</label>
               <select
@@ -152,6 +197,9 @@ export default function Events() {
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Data/Ora
                   </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Stato
+                  </th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200">
@@ -203,6 +251,9 @@ export default function Events() {
                           {formatDate(event.created_at)}
                         </div>
                       </td>
+                      <td className="px-4 py-3">
+                        <EventLifecycle event={event} canManage={canManage} formatDate={formatDate} />
+                      </td>
                     </tr>
                   );
                 })}
@@ -216,6 +267,170 @@ export default function Events() {
           </div>
         </div>
       )}
+
+      <DoorEventsLog vehicleId={filters.vehicle_id} limit={filters.limit} formatDate={formatDate} />
+    </div>
+  );
+}
+
+// Stato dell'evento (chi/quando/commento) e azioni di presa in carico, risoluzione e riapertura
+function EventLifecycle({ event, canManage, formatDate }) {
+  const queryClient = useQueryClient();
+  const stato = EVENT_STATES[event.stato] ? event.stato : 'open';
+
+  const mutation = useMutation({
+    mutationFn: ({ action, commento }) => action === 'reopen'
+      ? eventsApi.reopen(event.id)
+      : eventsApi[action](event.id, commento),
+    onSuccess: (_, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['events'] });
+      toast.success(action === 'acknowledge' ? 'Evento preso in carico' : action === 'resolve' ? 'Evento risolto' : 'Evento riaperto');
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore aggiornamento evento'),
+  });
+
+  const run = (action) => {
+    if (action === 'reopen') {
+      if (confirm('Riaprire l\'evento?')) mutation.mutate({ action });
+      return;
+    }
+    const commento = prompt(action === 'acknowledge' ? 'Commento presa in carico (facoltativo)' : 'Commento risoluzione (facoltativo)');
+    if (commento === null) return;
+    mutation.mutate({ action, commento });
+  };
+
+  return (
+    <div className="space-y-1 min-w-[10rem]">
+      <span className={clsx('text-xs px-2 py-1 rounded whitespace-nowrap', EVENT_STATES[stato].className)}>
+        {EVENT_STATES[stato].label}
+      </span>
+      {event.preso_in_carico_da && (
+        <p className="text-xs text-gray-500">
+          {event.preso_in_carico_da}
+          {event.preso_in_carico_via && ` via ${ACK_CHANNELS[event.preso_in_carico_via] || event.preso_in_carico_via}`}
+          {event.preso_in_carico_at && `, ${formatDate(parseDbDate(event.preso_in_carico_at))}`}
+        </p>
+      )}
+      {event.risolto_da && (
+        <p className="text-xs text-gray-500">
+          Risolto da {event.risolto_da}{event.risolto_at && `, ${formatDate(parseDbDate(event.risolto_at))}`}
+        </p>
+      )}
+      {event.commento && (
+        <p className="text-xs text-gray-600 italic max-w-xs truncate" title={event.commento}>"{event.commento}"</p>
+      )}
+      {canManage && (
+        <div className="flex gap-1 pt-1">
+          {stato === 'open' && (
+            <button
+              onClick={() => run('acknowledge')}
+              disabled={mutation.isPending}
+              className="p-1.5 text-amber-600 hover:bg-amber-50 rounded disabled:opacity-50"
+              title="Prendi in carico"
+            >
+              <UserCheck size={16} />
+            </button>
+          )}
+          {stato !== 'resolved' && (
+            <button
+              onClick={() => run('resolve')}
+              disabled={mutation.isPending}
+              className="p-1.5 text-green-600 hover:bg-green-50 rounded disabled:opacity-50"
+              title="Risolvi"
+            >
+              <CheckCircle2 size={16} />
+            </button>
+          )}
+          {stato !== 'open' && (
+            <button
+              onClick={() => run('reopen')}
+              disabled={mutation.isPending}
+              className="p-1.5 text-gray-500 hover:bg-gray-100 rounded disabled:opacity-50"
+              title="Riapri"
+            >
+              <RotateCcw size={16} />
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'aperto';
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 1) return `${seconds}s`;
+  if (minutes < 60) return `${minutes} min ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}min`;
+};
+
+// Registro aperture/chiusure vano carico con durata
+function DoorEventsLog({ vehicleId, limit, formatDate }) {
+  const [onlyUnauthorized, setOnlyUnauthorized] = useState(false);
+
+  const { data: doorEvents = [] } = useQuery({
+    queryKey: ['door-events', vehicleId, limit, onlyUnauthorized],
+    queryFn: () => eventsApi.getDoorEvents({ vehicle_id: vehicleId, limit, unauthorized: onlyUnauthorized }),
+  });
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <PackageOpen size={20} className="text-gray-500" />
+          Vano carico
+        </h2>
+        <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={onlyUnauthorized}
+            onChange={(e) => setOnlyUnauthorized(e.target.checked)}
+            className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+          />
+          Solo non autorizzate
+        </label>
+      </div>
+
+      {doorEvents.length === 0 ? (
+        <div className="text-center py-8 bg-white rounded-lg border border-gray-200 text-sm text-gray-500">
+          Nessuna apertura registrata
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Veicolo</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Apertura</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Durata</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden md:table-cell">Luogo</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Esito</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {doorEvents.map((d) => (
+                <tr key={d.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-medium">{d.vehicle_name || d.targa}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{formatDate(d.opened_at.replace(' ', 'T') + 'Z')}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{formatDuration(d.durata_secondi)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600 hidden md:table-cell">
+                    {d.geofence_nome ? `📦 ${d.geofence_nome}` : d.tappa_nome ? `🎯 ${d.tappa_nome}` : d.indirizzo || '-'}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className={clsx(
+                      "text-xs px-2 py-1 rounded",
+                      d.autorizzata ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"
+                    )}>
+                      {d.autorizzata ? 'Autorizzata' : 'Non autorizzata'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { geofencesApi } from '../api';
+import { geofencesApi, geofenceVisitsApi } from '../api';
 import MapView from '../components/MapView';
+import { GEOFENCE_CATEGORIES } from '../components/map';
 import { useMapController } from '../hooks/useMapController';
-import { MapPin, Plus, Edit2, Trash2, Save, X, Eye, EyeOff } from 'lucide-react';
+import { MapPin, Plus, Edit2, Trash2, Save, X, Eye, EyeOff, Upload, Download } from 'lucide-react';
 import toast from 'react-hot-toast';
 import clsx from 'clsx';
 
@@ -12,6 +13,20 @@ const COLORS = [
   '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'
 ];
 
+// Impostazioni di rilevamento ingresso/uscita di default (nessun buffer, conferma immediata)
+const DEFAULT_DETECTION = {
+  buffer_ingresso_metri: 0,
+  buffer_uscita_metri: 0,
+  conferma_campioni: 1,
+  conferma_secondi: 0,
+};
+
+const formatDuration = (seconds) => {
+  if (seconds == null) return '-';
+  const minutes = Math.round(seconds / 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
 export default function Geofences() {
   const [showForm, setShowForm] = useState(false);
   const [editingGeofence, setEditingGeofence] = useState(null);
@@ -22,8 +37,15 @@ export default function Geofences() {
     coordinate: [],
     tipo: 'polygon',
     raggio_metri: 100,
+    zona_carico: false,
+    categoria: 'generic',
+    ...DEFAULT_DETECTION,
   });
+  const [categoryFilter, setCategoryFilter] = useState('');
   const [drawingMode, setDrawingMode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [importPreview, setImportPreview] = useState(null);
+  const fileInputRef = useRef(null);
   
   const queryClient = useQueryClient();
 
@@ -32,6 +54,17 @@ export default function Geofences() {
     queryKey: ['geofences'],
     queryFn: geofencesApi.getAll,
   });
+
+  // Tempi di permanenza degli ultimi 30 giorni, per geofence
+  const { data: visitStats = [] } = useQuery({
+    queryKey: ['geofence-visit-stats'],
+    queryFn: () => geofenceVisitsApi.getStats(),
+  });
+  const statsByGeofence = Object.fromEntries(visitStats.map(s => [s.geofence_id, s]));
+
+  const visibleGeofences = categoryFilter
+    ? geofences.filter(g => (g.categoria || 'generic') === categoryFilter)
+    : geofences;
   
   // Use MapController for geofence display
   const { 
@@ -41,12 +74,12 @@ export default function Geofences() {
     initialProvider: 'roadmap'
   });
   
-  // Update controller when geofences change
+  // Update controller when geofences (or the category filter) change
   useEffect(() => {
     if (geofences) {
-      updateMapGeofences(geofences);
+      updateMapGeofences(categoryFilter ? geofences.filter(g => (g.categoria || 'generic') === categoryFilter) : geofences);
     }
-  }, [geofences, updateMapGeofences]);
+  }, [geofences, categoryFilter, updateMapGeofences]);
 
   // Create mutation
   const createMutation = useMutation({
@@ -88,6 +121,9 @@ export default function Geofences() {
       coordinate: [],
       tipo: 'polygon',
       raggio_metri: 100,
+      zona_carico: false,
+      categoria: 'generic',
+      ...DEFAULT_DETECTION,
     });
     setShowForm(false);
     setDrawingMode(false);
@@ -121,6 +157,37 @@ export default function Geofences() {
     }
   };
 
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      await geofencesApi.download(format, selectedIds);
+    } catch {
+      toast.error('Errore esportazione');
+    }
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      const format = /\.kml$/i.test(file.name) ? 'kml' : /\.(geo)?json$/i.test(file.name) ? 'geojson' : undefined;
+      const preview = await geofencesApi.previewImport(content, format);
+      if (preview.geofences.length === 0) {
+        toast.error(preview.errors[0] || 'Nessuna zona trovata nel file');
+        return;
+      }
+      setImportPreview({ ...preview, fileName: file.name });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'File non leggibile');
+    }
+  };
+
   const toggleActive = (geofence) => {
     updateMutation.mutate({
       id: geofence.id,
@@ -138,17 +205,53 @@ export default function Geofences() {
               <h1 className="text-xl font-bold">Geofence</h1>
               <p className="text-sm text-gray-500">Zone di monitoraggio</p>
             </div>
-            <button
-              onClick={() => setShowForm(!showForm)}
-              className={clsx(
-                "p-2 rounded-lg transition-colors",
-                showForm ? "bg-red-100 text-red-600" : "bg-primary-100 text-primary-600"
-              )}
-            >
-              {showForm ? <X size={20} /> : <Plus size={20} />}
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="p-2 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200"
+                title="Importa GeoJSON/KML"
+              >
+                <Upload size={20} />
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".geojson,.json,.kml"
+                onChange={handleFileSelected}
+                className="hidden"
+              />
+              <button
+                onClick={() => setShowForm(!showForm)}
+                className={clsx(
+                  "p-2 rounded-lg transition-colors",
+                  showForm ? "bg-red-100 text-red-600" : "bg-primary-100 text-primary-600"
+                )}
+              >
+                {showForm ? <X size={20} /> : <Plus size={20} />}
+              </button>
+            </div>
           </div>
 
+          {geofences.length > 0 && (
+            <div className="flex items-center gap-2 mb-3 text-xs">
+              <Download size={14} className="text-gray-400" />
+              <span className="text-gray-500">
+                Esporta {selectedIds.length > 0 ? `${selectedIds.length} selezionati` : 'tutti'}:
+              </span>
+              <button onClick={() => handleExport('geojson')} className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50">
+                GeoJSON
+              </button>
+              <button onClick={() => handleExport('kml')} className="px-2 py-1 border border-gray-300 rounded hover:bg-gray-50">
+                KML
+              </button>
+              {selectedIds.length > 0 && (
+                <button onClick={() => setSelectedIds([])} className="text-gray-400 hover:text-gray-600">
+                  Deseleziona
+                </button>
+              )}
+            </div>
+          )}
+
           {/* New Geofence Form */}
           {showForm && (
             <div className="space-y-3 p-3 bg-gray-50 rounded-lg">
@@ -167,6 +270,36 @@ export default function Geofences() {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
               />
               
+              <div>
+                <label className="text-xs text-gray-500 block mb-1">Categoria</label>
+                <CategorySelect
+                  value={newGeofence.categoria}
+                  onChange={(categoria) => setNewGeofence({ ...newGeofence, categoria })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                />
+                {CATEGORY_HINTS[newGeofence.categoria] && (
+                  <p className="text-xs text-gray-500 mt-1">{CATEGORY_HINTS[newGeofence.categoria]}</p>
+                )}
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer text-sm">
+                <input
+                  type="checkbox"
+                  checked={newGeofence.zona_carico}
+                  onChange={(e) => setNewGeofence({ ...newGeofence, zona_carico: e.target.checked })}
+                  className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                />
+                📦 Zona di carico/scarico (apertura vano autorizzata)
+              </label>
+
+              <details className="text-sm">
+                <summary className="cursor-pointer text-gray-600">Rilevamento ingresso/uscita</summary>
+                <DetectionFields
+                  values={newGeofence}
+                  onChange={(values) => setNewGeofence({ ...newGeofence, ...values })}
+                />
+              </details>
+
               <div>
                 <label className="text-xs text-gray-500 block mb-1">Colore</label>
                 <div className="flex gap-2 flex-wrap">
@@ -235,6 +368,20 @@ export default function Geofences() {
 
         {/* Geofences List */}
         <div className="flex-1 overflow-y-auto p-4">
+          {geofences.length > 0 && (
+            <select
+              value={categoryFilter}
+              onChange={(e) => setCategoryFilter(e.target.value)}
+              className="w-full mb-3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Tutte le categorie</option>
+              {Object.entries(GEOFENCE_CATEGORIES).map(([id, category]) => (
+                <option key={id} value={id}>
+                  {category.icon} {category.label} ({geofences.filter(g => (g.categoria || 'generic') === id).length})
+                </option>
+              ))}
+            </select>
+          )}
           {isLoading ? (
             <div className="flex justify-center py-8">
               <div className="spinner"></div>
@@ -247,7 +394,7 @@ export default function Geofences() {
             </div>
           ) : (
             <div className="space-y-3">
-              {geofences.map((geofence) => (
+              {visibleGeofences.map((geofence) => (
                 <div
                   key={geofence.id}
                   className={clsx(
@@ -259,6 +406,13 @@ export default function Geofences() {
                 >
                   <div className="flex items-start justify-between">
                     <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(geofence.id)}
+                        onChange={() => toggleSelected(geofence.id)}
+                        className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+                        title="Seleziona per l'esportazione"
+                      />
                       <div 
                         className="w-4 h-4 rounded-full" 
                         style={{ backgroundColor: geofence.colore }}
@@ -266,6 +420,13 @@ export default function Geofences() {
                       <h3 className="font-medium">{geofence.nome}</h3>
                     </div>
                     <div className="flex items-center gap-1">
+                      <button
+                        onClick={() => setEditingGeofence(editingGeofence?.id === geofence.id ? null : geofence)}
+                        className="p-1 text-gray-400 hover:text-gray-600"
+                        title="Rilevamento ingresso/uscita"
+                      >
+                        <Edit2 size={16} />
+                      </button>
                       <button
                         onClick={() => toggleActive(geofence)}
                         className="p-1 text-gray-400 hover:text-gray-600"
@@ -285,7 +446,12 @@ export default function Geofences() {
                   {geofence.descrizione && (
                     <p className="text-sm text-gray-500 mt-1">{geofence.descrizione}</p>
                   )}
-                  <div className="flex gap-2 mt-2">
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    <CategorySelect
+                      value={geofence.categoria || 'generic'}
+                      onChange={(categoria) => updateMutation.mutate({ id: geofence.id, data: { categoria } })}
+                      className="text-xs px-1 py-1 bg-gray-100 text-gray-700 rounded border-0"
+                    />
                     <span className="text-xs px-2 py-1 bg-gray-100 text-gray-600 rounded">
                       {geofence.tipo === 'circle' ? 'Cerchio' : 'Poligono'}
                     </span>
@@ -294,7 +460,40 @@ export default function Geofences() {
                         {geofence.raggio_metri}m
                       </span>
                     )}
+                    {geofence.zona_carico ? (
+                      <button
+                        onClick={() => updateMutation.mutate({ id: geofence.id, data: { zona_carico: 0 } })}
+                        className="text-xs px-2 py-1 bg-amber-100 text-amber-700 rounded"
+                        title="Rimuovi zona di carico/scarico"
+                      >
+                        📦 Carico/scarico
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => updateMutation.mutate({ id: geofence.id, data: { zona_carico: 1 } })}
+                        className="text-xs px-2 py-1 bg-gray-50 text-gray-400 rounded hover:text-gray-600"
+                        title="Segna come zona di carico/scarico"
+                      >
+                        📦 +
+                      </button>
+                    )}
+                    {statsByGeofence[geofence.id] && (
+                      <span
+                        className="text-xs px-2 py-1 bg-blue-50 text-blue-700 rounded"
+                        title={`Ultimi 30 giorni: ${statsByGeofence[geofence.id].visite} soste, massima ${formatDuration(statsByGeofence[geofence.id].durata_massima_secondi)}`}
+                      >
+                        ⏱️ {formatDuration(statsByGeofence[geofence.id].durata_media_secondi)} medi
+                      </span>
+                    )}
                   </div>
+                  {editingGeofence?.id === geofence.id && (
+                    <DetectionSettings
+                      geofence={geofence}
+                      saving={updateMutation.isPending}
+                      onCancel={() => setEditingGeofence(null)}
+                      onSave={(data) => updateMutation.mutate({ id: geofence.id, data })}
+                    />
+                  )}
                 </div>
               ))}
             </div>
@@ -315,6 +514,191 @@ export default function Geofences() {
           </div>
         )}
       </div>
+
+      {importPreview && (
+        <ImportPreviewModal
+          preview={importPreview}
+          onClose={() => setImportPreview(null)}
+          onImported={() => {
+            queryClient.invalidateQueries(['geofences']);
+            setImportPreview(null);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// Cosa cambia nel monitoraggio per le categorie con regole proprie
+const CATEGORY_HINTS = {
+  no_go: 'Ogni ingresso viene notificato anche senza allarmi configurati per la zona.',
+  parking: 'Gli allarmi di sosta prolungata generici non scattano qui.',
+  workshop: 'Il veicolo risulta in manutenzione finché resta nella zona.',
+};
+
+function CategorySelect({ value, onChange, className }) {
+  return (
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={className} title="Categoria">
+      {Object.entries(GEOFENCE_CATEGORIES).map(([id, category]) => (
+        <option key={id} value={id}>{category.icon} {category.label}</option>
+      ))}
+    </select>
+  );
+}
+
+// Buffer e conferma delle transizioni: evitano ingressi/uscite ripetuti quando il GPS oscilla sul bordo
+function DetectionFields({ values, onChange }) {
+  const field = (key, label, min, step = 1) => (
+    <label className="block">
+      <span className="text-xs text-gray-500">{label}</span>
+      <input
+        type="number"
+        min={min}
+        step={step}
+        value={values[key] ?? ''}
+        onChange={(e) => onChange({ [key]: e.target.value })}
+        className="w-full px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-primary-500"
+      />
+    </label>
+  );
+
+  return (
+    <div className="grid grid-cols-2 gap-2 mt-2">
+      {field('buffer_ingresso_metri', 'Buffer ingresso (m)', 0, 10)}
+      {field('buffer_uscita_metri', 'Buffer uscita (m)', 0, 10)}
+      {field('conferma_campioni', 'Campioni consecutivi', 1)}
+      {field('conferma_secondi', 'Secondi di conferma', 0, 30)}
+    </div>
+  );
+}
+
+function DetectionSettings({ geofence, saving, onCancel, onSave }) {
+  const [values, setValues] = useState(() => ({
+    buffer_ingresso_metri: geofence.buffer_ingresso_metri ?? 0,
+    buffer_uscita_metri: geofence.buffer_uscita_metri ?? 0,
+    conferma_campioni: geofence.conferma_campioni ?? 1,
+    conferma_secondi: geofence.conferma_secondi ?? 0,
+  }));
+
+  return (
+    <div className="mt-3 p-2 bg-gray-50 rounded text-sm">
+      <DetectionFields values={values} onChange={(changed) => setValues({ ...values, ...changed })} />
+      <div className="flex gap-2 mt-2">
+        <button
+          onClick={() => onSave(values)}
+          disabled={saving}
+          className="flex-1 py-1 bg-primary-600 text-white rounded hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center gap-1"
+        >
+          <Save size={14} />
+          Salva
+        </button>
+        <button onClick={onCancel} className="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300">
+          <X size={14} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Anteprima import GeoJSON/KML: scelta delle zone e di cosa fare con i nomi già esistenti
+function ImportPreviewModal({ preview, onClose, onImported }) {
+  const [selected, setSelected] = useState(() => preview.geofences.map((_, i) => i));
+  const [onConflict, setOnConflict] = useState('skip');
+  const conflicts = preview.geofences.filter(g => g.conflictId).length;
+
+  const importMutation = useMutation({
+    mutationFn: () => geofencesApi.import(
+      preview.geofences.filter((_, i) => selected.includes(i)).map(({ conflictId, ...g }) => g),
+      onConflict
+    ),
+    onSuccess: (result) => {
+      toast.success(`Importati ${result.created.length}, aggiornati ${result.updated.length}, saltati ${result.skipped.length}`);
+      onImported();
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore importazione'),
+  });
+
+  const toggle = (index) => {
+    setSelected(prev => prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[2000] p-4">
+      <div className="bg-white rounded-xl p-6 w-full max-w-lg max-h-[90vh] flex flex-col">
+        <h2 className="text-lg font-semibold mb-1">Importa geofence</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          {preview.fileName}: {preview.geofences.length} zone trovate
+        </p>
+
+        {preview.errors.length > 0 && (
+          <div className="mb-3 p-2 bg-amber-50 text-amber-800 text-xs rounded-lg space-y-1">
+            <p className="font-medium">Elementi ignorati:</p>
+            {preview.errors.map((error, i) => <p key={i}>• {error}</p>)}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto space-y-2 mb-4">
+          {preview.geofences.map((geofence, index) => (
+            <label
+              key={index}
+              className="flex items-center gap-3 p-2 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(index)}
+                onChange={() => toggle(index)}
+                className="w-4 h-4 rounded text-primary-600 focus:ring-primary-500"
+              />
+              <div className="w-4 h-4 rounded-full flex-shrink-0" style={{ backgroundColor: geofence.colore }} />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium truncate">{geofence.nome}</p>
+                <p className="text-xs text-gray-500">
+                  {geofence.tipo === 'circle'
+                    ? `Cerchio ${geofence.raggio_metri}m`
+                    : `Poligono, ${geofence.coordinate.length} vertici`}
+                </p>
+              </div>
+              {geofence.conflictId && (
+                <span className="text-xs px-2 py-1 bg-amber-100 text-amber-700 rounded">Nome esistente</span>
+              )}
+            </label>
+          ))}
+        </div>
+
+        {conflicts > 0 && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {conflicts} zone hanno un nome già presente
+            </label>
+            <select
+              value={onConflict}
+              onChange={(e) => setOnConflict(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="skip">Salta (mantieni quelle esistenti)</option>
+              <option value="replace">Sostituisci forma, colore e descrizione</option>
+              <option value="rename">Importa con un nuovo nome</option>
+            </select>
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => importMutation.mutate()}
+            disabled={selected.length === 0 || importMutation.isPending}
+            className="flex-1 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            <Upload size={16} />
+            Importa {selected.length} zone
+          </button>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+          >
+            Annulla
+          </button>
+        </div>
+      </div>
     </div>
   );
 }
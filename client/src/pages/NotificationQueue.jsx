@@ -0,0 +1,395 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { notificationQueueApi } from '../api';
+import { Inbox, RotateCcw, Trash2, PhoneOff, ChevronDown, ChevronRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { it } from 'date-fns/locale';
+
+const QUEUE_STATES = {
+  failed: { label: 'Non consegnate', className: 'bg-red-100 text-red-700' },
+  pending: { label: 'In coda', className: 'bg-yellow-100 text-yellow-700' },
+  sent: { label: 'Inviate', className: 'bg-green-100 text-green-700' },
+  discarded: { label: 'Scartate', className: 'bg-gray-100 text-gray-600' },
+};
+
+const CHANNELS = { telegram: 'Telegram', push: 'Push', whatsapp: 'WhatsApp', call: 'Chiamata', sms: 'SMS' };
+
+const RECIPIENTS = {
+  driver: 'Autista',
+  responsabile: 'Responsabile',
+  responsabili: 'Tutti i responsabili',
+  on_call: 'Reperibile',
+  telegram_group: 'Gruppo Telegram',
+};
+
+const STEP_RESULTS = {
+  sent: { label: 'Inviato', className: 'text-green-600' },
+  failed: { label: 'Fallito', className: 'text-red-600' },
+  skipped: { label: 'Saltato', className: 'text-gray-500' },
+};
+
+const CALL_OUTCOMES = {
+  queued: 'In coda',
+  ringing: 'Squilla',
+  in_progress: 'In corso',
+  answered: 'Risposta senza conferma',
+  confirmed: 'Confermata con tasto 1',
+  no_answer: 'Nessuna risposta',
+  busy: 'Occupato',
+  failed: 'Non riuscita',
+};
+
+const ESCALATION_STATES = {
+  pending: 'In attesa',
+  sent: 'Inviata',
+  escalated_responsable: 'Escalation',
+  escalation_failed: 'Escalation fallita',
+  confirmed: 'Confermata',
+  responded: 'Risposta',
+  acknowledged: 'Presa in carico',
+};
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return '—';
+  try {
+    return format(new Date(dateStr.includes('T') ? dateStr : dateStr + 'Z'), 'dd MMM yyyy, HH:mm:ss', { locale: it });
+  } catch {
+    return dateStr;
+  }
+};
+
+// Dettaglio di una notifica: passi previsti dalla policy e storico dei passi eseguiti
+function EscalationDetail({ id }) {
+  const { data: detail, isLoading } = useQuery({
+    queryKey: ['escalation', id],
+    queryFn: () => notificationQueueApi.getEscalation(id),
+    refetchInterval: 15000,
+  });
+
+  if (isLoading || !detail) {
+    return <div className="px-4 py-2 text-xs text-gray-500">Caricamento...</div>;
+  }
+
+  return (
+    <div className="px-4 pb-3 pl-10 text-xs space-y-3">
+      <div>
+        <p className="text-gray-500 mb-1">
+          Policy: <span className="text-gray-800">{detail.policy_nome || 'Predefinita'}</span>
+          {detail.next_escalation_at && ` · prossimo passo ${formatDate(detail.next_escalation_at)}`}
+          {detail.risposta_testo && ` · risposta "${detail.risposta_testo}" ${formatDate(detail.risposta_at)}`}
+        </p>
+        {detail.chiamata_esito && (
+          <p className="text-gray-500 mb-1">
+            Ultima chiamata: <span className="text-gray-800">{CALL_OUTCOMES[detail.chiamata_esito] || detail.chiamata_esito}</span>
+            {` · ${formatDate(detail.chiamata_esito_at)}`}
+            {detail.chiamata_durata_secondi > 0 && ` · ${detail.chiamata_durata_secondi}s`}
+          </p>
+        )}
+        <ol className="flex flex-wrap gap-1">
+          {detail.policy_steps.map((step, index) => (
+            <li
+              key={index}
+              className={clsx(
+                'px-2 py-0.5 rounded-full border',
+                index < detail.escalation_level ? 'bg-primary-50 border-primary-200 text-primary-700' : 'border-gray-200 text-gray-500'
+              )}
+            >
+              {index + 1}. {CHANNELS[step.canale] || step.canale} → {RECIPIENTS[step.destinatario] || step.destinatario}
+              {index < detail.policy_steps.length - 1 && ` · ${step.attesa_minuti} min`}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {detail.steps.length === 0 ? (
+        <p className="text-gray-500">Nessun passo eseguito</p>
+      ) : (
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-3 font-medium">Passo</th>
+              <th className="py-1 pr-3 font-medium">Eseguito</th>
+              <th className="py-1 pr-3 font-medium">Canale</th>
+              <th className="py-1 pr-3 font-medium">Destinatario</th>
+              <th className="py-1 font-medium">Esito</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {detail.steps.map((step) => {
+              const result = STEP_RESULTS[step.esito] || STEP_RESULTS.failed;
+              return (
+                <tr key={step.id}>
+                  <td className="py-1 pr-3">{step.livello}</td>
+                  <td className="py-1 pr-3 whitespace-nowrap">{formatDate(step.eseguito_at)}</td>
+                  <td className="py-1 pr-3">{CHANNELS[step.canale] || step.canale}</td>
+                  <td className="py-1 pr-3">
+                    {step.destinatario_nome || RECIPIENTS[step.destinatario] || step.destinatario}
+                    {step.recapito && <span className="text-gray-400"> · {step.recapito}</span>}
+                  </td>
+                  <td className={clsx('py-1', result.className)}>
+                    {result.label}{step.errore && ` · ${step.errore}`}
+                    {step.esito_chiamata && ` · ${CALL_OUTCOMES[step.esito_chiamata] || step.esito_chiamata}`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default function NotificationQueue() {
+  const [stato, setStato] = useState('failed');
+  const [expanded, setExpanded] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: stats } = useQuery({
+    queryKey: ['notification-queue-stats'],
+    queryFn: notificationQueueApi.getStats,
+    refetchInterval: 15000,
+  });
+
+  const { data: entries = [], isLoading } = useQuery({
+    queryKey: ['notification-queue', stato],
+    queryFn: () => notificationQueueApi.getAll({ stato, limit: 200 }),
+    refetchInterval: 15000,
+  });
+
+  const { data: escalations = [] } = useQuery({
+    queryKey: ['failed-escalations'],
+    queryFn: notificationQueueApi.getFailedEscalations,
+    refetchInterval: 30000,
+  });
+
+  const { data: recent = [] } = useQuery({
+    queryKey: ['escalations'],
+    queryFn: () => notificationQueueApi.getEscalations({ limit: 50 }),
+    refetchInterval: 30000,
+  });
+
+  const toggle = (id) => setExpanded(expanded === id ? null : id);
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['notification-queue'] });
+    queryClient.invalidateQueries({ queryKey: ['notification-queue-stats'] });
+    queryClient.invalidateQueries({ queryKey: ['failed-escalations'] });
+    queryClient.invalidateQueries({ queryKey: ['escalations'] });
+    queryClient.invalidateQueries({ queryKey: ['escalation'] });
+  };
+
+  const retryMutation = useMutation({
+    mutationFn: notificationQueueApi.retry,
+    onSuccess: () => {
+      toast.success('Notifica rimessa in coda');
+      invalidate();
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore'),
+  });
+
+  const discardMutation = useMutation({
+    mutationFn: notificationQueueApi.discard,
+    onSuccess: () => {
+      toast.success('Notifica scartata');
+      invalidate();
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore'),
+  });
+
+  const retryEscalationMutation = useMutation({
+    mutationFn: notificationQueueApi.retryEscalation,
+    onSuccess: () => {
+      toast.success('Escalation ripresa');
+      invalidate();
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore'),
+  });
+
+  return (
+    <div className="p-4 lg:p-6 pb-20 lg:pb-6">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Coda notifiche</h1>
+        <p className="text-gray-500">Notifiche allarme ed escalation salvate su database: riprendono dopo un riavvio</p>
+      </div>
+
+      {/* Riepilogo */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        {[
+          { label: 'In coda', value: stats?.pending, className: 'text-yellow-600' },
+          { label: 'Non consegnate', value: stats?.failed, className: 'text-red-600' },
+          { label: 'Inviate (24h)', value: stats?.sent, className: 'text-green-600' },
+          { label: 'Escalation in attesa', value: stats?.escalations?.pending, className: 'text-primary-600' },
+        ].map(({ label, value, className }) => (
+          <div key={label} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className={clsx('text-2xl font-bold', className)}>{value ?? '—'}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Escalation fallite */}
+      {escalations.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-red-200 mb-6">
+          <div className="flex items-center gap-2 px-4 py-3 border-b border-red-100">
+            <PhoneOff size={18} className="text-red-600" />
+            <h2 className="font-semibold text-gray-800">Escalation non riuscite</h2>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {escalations.map((notification) => (
+              <div key={notification.id} className="flex items-center gap-3 px-4 py-2 text-sm">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">
+                    {notification.vehicle_plate} · {notification.driver_nome} {notification.driver_cognome}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    Passo {notification.escalation_level + 1} · {notification.tentativi_escalation} tentativi · {notification.ultimo_errore || '—'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => retryEscalationMutation.mutate(notification.id)}
+                  className="p-1.5 text-gray-500 rounded hover:bg-gray-100"
+                  title="Riprendi escalation"
+                >
+                  <RotateCcw size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Escalation recenti */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+        <div className="px-4 py-3 border-b border-gray-100">
+          <h2 className="font-semibold text-gray-800">Escalation recenti</h2>
+        </div>
+        {recent.length === 0 ? (
+          <div className="text-center py-6 text-sm text-gray-500">Nessuna escalation</div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {recent.map((notification) => (
+              <div key={notification.id}>
+                <button
+                  onClick={() => toggle(notification.id)}
+                  className="w-full flex items-center gap-3 px-4 py-2 text-sm text-left hover:bg-gray-50"
+                >
+                  {expanded === notification.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">
+                      {notification.vehicle_plate} · {notification.alarm_nome || notification.messaggio}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {formatDate(notification.created_at)} · {notification.policy_nome || 'Policy predefinita'} · passo {notification.escalation_level}
+                    </p>
+                  </div>
+                  <span className="text-xs text-gray-600">{ESCALATION_STATES[notification.stato] || notification.stato}</span>
+                </button>
+                {expanded === notification.id && <EscalationDetail id={notification.id} />}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Notifiche allarme */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100 gap-4">
+          <h2 className="font-semibold text-gray-800">Notifiche allarme</h2>
+          <select
+            value={stato}
+            onChange={(e) => setStato(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-xs"
+          >
+            {Object.entries(QUEUE_STATES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div className="text-center py-12 text-gray-500">Caricamento...</div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Inbox size={48} className="mx-auto mb-3 text-gray-300" />
+            <p>Nessuna notifica</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto p-4">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-3 font-medium">#</th>
+                  <th className="py-1 pr-3 font-medium">Tipo</th>
+                  <th className="py-1 pr-3 font-medium">Veicolo</th>
+                  <th className="py-1 pr-3 font-medium">Creata</th>
+                  <th className="py-1 pr-3 font-medium">Stato</th>
+                  <th className="py-1 pr-3 font-medium">Tentativi</th>
+                  <th className="py-1 pr-3 font-medium">Canali inviati</th>
+                  <th className="py-1 pr-3 font-medium">Ultimo esito</th>
+                  <th className="py-1 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {entries.map((entry) => {
+                  const state = QUEUE_STATES[entry.stato] || QUEUE_STATES.pending;
+                  return (
+                    <tr key={entry.id} className="align-top">
+                      <td className="py-1.5 pr-3 text-gray-500">{entry.id}</td>
+                      <td className="py-1.5 pr-3">
+                        <span className="font-mono">{entry.tipo}</span>
+                        {(entry.alarm || entry.geofence) && (
+                          <p className="text-gray-500">{[entry.alarm, entry.geofence].filter(Boolean).join(' · ')}</p>
+                        )}
+                      </td>
+                      <td className="py-1.5 pr-3">{entry.vehicle || '—'}</td>
+                      <td className="py-1.5 pr-3 whitespace-nowrap">{formatDate(entry.created_at)}</td>
+                      <td className="py-1.5 pr-3">
+                        <span className={clsx("px-2 py-0.5 rounded-full", state.className)}>{state.label}</span>
+                      </td>
+                      <td className="py-1.5 pr-3">{entry.tentativi}</td>
+                      <td className="py-1.5 pr-3">
+                        {entry.canali_inviati
+                          ? entry.canali_inviati.split(',').map(c => CHANNELS[c] || c).join(', ')
+                          : '—'}
+                      </td>
+                      <td className="py-1.5 pr-3 text-gray-600">
+                        {entry.stato === 'sent'
+                          ? formatDate(entry.sent_at)
+                          : entry.last_error
+                            ? `${entry.last_error}${entry.stato === 'pending' ? ` · prossimo ${formatDate(entry.next_attempt_at)}` : ''}`
+                            : '—'}
+                      </td>
+                      <td className="py-1.5 text-right whitespace-nowrap">
+                        {(entry.stato === 'failed' || entry.stato === 'discarded') && (
+                          <button
+                            onClick={() => retryMutation.mutate(entry.id)}
+                            className="p-1 text-gray-500 rounded hover:bg-gray-200"
+                            title="Invia di nuovo"
+                          >
+                            <RotateCcw size={14} />
+                          </button>
+                        )}
+                        {entry.stato === 'failed' && (
+                          <button
+                            onClick={() => discardMutation.mutate(entry.id)}
+                            className="p-1 text-red-500 rounded hover:bg-red-50"
+                            title="Scarta"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
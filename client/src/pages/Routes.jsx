@@ -3,7 +3,7 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { templatesApi, tripsApi } from '../api';
 import MapView from '../components/MapView';
 import { useMapController } from '../hooks/useMapController';
-import { useMapPreferencesStore } from '../store';
+import { useAuthStore, useMapPreferencesStore } from '../store';
 
 // Giorni della settimana
 const GIORNI_SETTIMANA = [
@@ -630,7 +630,9 @@ function AddressAutocomplete({ value, onChange }) {
 
     setLoading(true);
     try {
-      const res = await fetch(`/api/google/autocomplete?input=${encodeURIComponent(query)}`);
+      const res = await fetch(`/api/google/autocomplete?input=${encodeURIComponent(query)}`, {
+        headers: useAuthStore.getState().getAuthHeaders()
+      });
       const data = await res.json();
       setSuggestions(data.predictions || []);
     } catch (err) {
@@ -654,7 +656,9 @@ function AddressAutocomplete({ value, onChange }) {
     
     // Geocode per ottenere le coordinate
     try {
-      const res = await fetch(`/api/google/geocode?address=${encodeURIComponent(prediction.description)}`);
+      const res = await fetch(`/api/google/geocode?address=${encodeURIComponent(prediction.description)}`, {
+        headers: useAuthStore.getState().getAuthHeaders()
+      });
       const data = await res.json();
       if (data.results?.[0]?.geometry?.location) {
         const { lat, lng } = data.results[0].geometry.location;
@@ -763,7 +767,8 @@ function ViaggiSection() {
   // Query per i viaggi del giorno selezionato
   const { data: dayTrips = [], isLoading: loadingDayTrips } = useQuery({
     queryKey: ['trips', 'day', formatDate(selectedDate)],
-    queryFn: () => tripsApi.getByDate(formatDate(selectedDate))
+    queryFn: () => tripsApi.getByDate(formatDate(selectedDate)),
+    refetchInterval: 60000
   });
 
   // Conta viaggi per data
@@ -911,6 +916,7 @@ function TripCard({ trip, onUpdate }) {
 
   const getStatusColor = (stato) => {
     switch (stato) {
+      case 'pianificato':
       case 'programmato': return 'bg-yellow-100 text-yellow-700';
       case 'in_corso': return 'bg-primary-100 text-primary-700';
       case 'completato': return 'bg-green-100 text-green-700';
@@ -921,6 +927,7 @@ function TripCard({ trip, onUpdate }) {
 
   const getStatusLabel = (stato) => {
     switch (stato) {
+      case 'pianificato':
       case 'programmato': return 'Programmato';
       case 'in_corso': return 'In corso';
       case 'completato': return 'Completato';
@@ -984,6 +991,37 @@ function TripCard({ trip, onUpdate }) {
             </button>
           </div>
 
+          <div className="flex gap-2 mb-3">
+            <span className="text-xs text-gray-500 self-center">🌡️ Registro HACCP:</span>
+            <button
+              onClick={() => tripsApi.downloadTemperatureLog(trip.id, 'csv').catch(() => alert('Errore download registro'))}
+              className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-white"
+            >
+              CSV
+            </button>
+            <button
+              onClick={() => tripsApi.downloadTemperatureLog(trip.id, 'pdf').catch(() => alert('Errore download registro'))}
+              className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-white"
+            >
+              PDF
+            </button>
+          </div>
+
+          <div className="flex gap-2 mb-3">
+            <span className="text-xs text-gray-500 self-center">🗺️ Traccia:</span>
+            {[['gpx', 'GPX'], ['kml', 'KML'], ['geojson', 'GeoJSON']].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => tripsApi.downloadTrack(trip.id, format).catch(() => alert('Errore download traccia'))}
+                className="px-2 py-1 text-xs border border-gray-300 rounded hover:bg-white"
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <TripDeviations trip={trip} />
+
           {trip.stops && trip.stops.length > 0 && (
             <div className="space-y-1">
               <p className="text-xs font-medium text-gray-500">Tappe:</p>
@@ -994,6 +1032,15 @@ function TripCard({ trip, onUpdate }) {
                   </span>
                   <span>{stop.nome}</span>
                   {stop.completato && <span className="text-green-600">✓</span>}
+                  {!stop.completato && stop.stato === 'da_raggiungere' && stop.eta && (
+                    <span
+                      className={`ml-auto ${stop.eta_scarto_minuti > 0 ? 'text-red-600 font-medium' : 'text-gray-500'}`}
+                      title={stop.eta_pause_minuti > 0 ? `Include ${stop.eta_pause_minuti} min di pause di guida` : undefined}
+                    >
+                      ETA {new Date(stop.eta.replace(' ', 'T') + 'Z').toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' })}
+                      {stop.eta_scarto_minuti > 0 && ` (+${stop.eta_scarto_minuti} min)`}
+                    </span>
+                  )}
                 </div>
               ))}
             </div>
@@ -1004,6 +1051,145 @@ function TripCard({ trip, onUpdate }) {
   );
 }
 
+// Percorso pianificato, corridoio e tratti fuori percorso di un viaggio
+function TripDeviations({ trip }) {
+  const queryClient = useQueryClient();
+  const { provider: mapProvider, mapTypes } = useMapPreferencesStore();
+  const mapType = mapTypes[mapProvider] || 'roadmap';
+  const [corridor, setCorridor] = useState(null);
+
+  const { controller } = useMapController({
+    center: { lat: 41.9028, lng: 12.4964 },
+    zoom: 6
+  });
+
+  const { data } = useQuery({
+    queryKey: ['trip-deviations', trip.id],
+    queryFn: () => tripsApi.getDeviations(trip.id),
+    refetchInterval: trip.stato === 'in_corso' ? 30000 : false
+  });
+
+  useEffect(() => {
+    if (data) {
+      setCorridor({ corridoio_metri: data.corridoio_metri, deviazione_minuti: data.deviazione_minuti });
+    }
+  }, [data]);
+
+  const corridorMutation = useMutation({
+    mutationFn: (values) => tripsApi.updateCorridor(trip.id, values),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['trip-deviations', trip.id] }),
+    onError: (error) => alert(error.response?.data?.error || 'Errore salvataggio corridoio')
+  });
+
+  // Planned route in the template colour, deviation segments in red on top
+  useEffect(() => {
+    if (!controller || !data) return;
+
+    controller.clearRoutes();
+    if (data.percorso.length >= 2) {
+      controller.addRoute(`trip-${trip.id}`, data.percorso, {
+        color: trip.template_colore || '#3B82F6',
+        name: trip.template_nome || 'Percorso pianificato'
+      });
+    }
+    data.deviations.forEach((deviation) => {
+      const path = deviation.punti.map(([lat, lng]) => ({ lat, lng }));
+      if (path.length >= 2) {
+        controller.addRoute(`deviation-${deviation.id}`, path, { color: '#EF4444', name: 'Fuori percorso' });
+      }
+    });
+
+    const points = data.percorso.length > 0
+      ? data.percorso
+      : data.deviations.flatMap(d => d.punti.map(([lat, lng]) => ({ lat, lng })));
+    if (points.length > 0) {
+      const avgLat = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
+      const avgLng = points.reduce((sum, p) => sum + p.lng, 0) / points.length;
+      controller.setCenter({ lat: avgLat, lng: avgLng });
+      controller.setZoom(9);
+    }
+  }, [controller, data, trip.id, trip.template_colore, trip.template_nome]);
+
+  if (!data) return null;
+
+  const formatTime = (value) => value
+    ? new Date(value.replace(' ', 'T') + 'Z').toLocaleString('it-IT', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  return (
+    <div className="mb-3 space-y-2">
+      <p className="text-xs font-medium text-gray-500">🛣️ Corridoio percorso:</p>
+
+      {data.percorso.length >= 2 ? (
+        <div className="h-48 rounded overflow-hidden border border-gray-200">
+          <MapView
+            controller={controller}
+            provider={mapProvider}
+            mapType={mapType}
+            height="100%"
+            hideMapTypeControl={true}
+          />
+        </div>
+      ) : (
+        <p className="text-xs text-gray-400">Nessun percorso pianificato: controllo deviazioni non attivo</p>
+      )}
+
+      {corridor && (
+        <div className="flex items-center gap-2 text-xs">
+          <input
+            type="number"
+            min="0"
+            value={corridor.corridoio_metri}
+            onChange={(e) => setCorridor(prev => ({ ...prev, corridoio_metri: e.target.value }))}
+            className="w-20 px-2 py-1 border border-gray-300 rounded"
+            title="Larghezza del corridoio su ciascun lato (0 = disattivato)"
+          />
+          <span className="text-gray-500">m</span>
+          <input
+            type="number"
+            min="0"
+            value={corridor.deviazione_minuti}
+            onChange={(e) => setCorridor(prev => ({ ...prev, deviazione_minuti: e.target.value }))}
+            className="w-16 px-2 py-1 border border-gray-300 rounded"
+            title="Minuti fuori corridoio prima della notifica"
+          />
+          <span className="text-gray-500">min</span>
+          <button
+            onClick={() => corridorMutation.mutate(corridor)}
+            disabled={corridorMutation.isPending}
+            className="px-2 py-1 border border-gray-300 rounded hover:bg-white"
+          >
+            Salva
+          </button>
+          {data.personalizzato && (
+            <button
+              onClick={() => corridorMutation.mutate({ corridoio_metri: null, deviazione_minuti: null })}
+              className="px-2 py-1 text-gray-500 hover:text-gray-700"
+              title="Torna ai valori predefiniti"
+            >
+              Predefiniti
+            </button>
+          )}
+        </div>
+      )}
+
+      {data.deviations.length > 0 && (
+        <div className="space-y-1">
+          {data.deviations.map((deviation) => (
+            <div key={deviation.id} className="flex items-center gap-2 text-xs text-red-700">
+              <span className="w-2 h-2 rounded-full bg-red-500" />
+              <span>
+                {formatTime(deviation.started_at)} → {formatTime(deviation.ended_at) || 'in corso'}
+              </span>
+              <span className="text-gray-500">max {deviation.max_distanza_metri} m</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Modal per creare un nuovo viaggio
 function TripFormModal({ date, onClose, onSuccess }) {
   const [formData, setFormData] = useState({
@@ -1021,7 +1207,7 @@ function TripFormModal({ date, onClose, onSuccess }) {
   const { data: vehicles = [] } = useQuery({
     queryKey: ['vehicles'],
     queryFn: async () => {
-      const res = await fetch('/api/vehicles');
+      const res = await fetch('/api/vehicles', { headers: useAuthStore.getState().getAuthHeaders() });
       return res.json();
     }
   });
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation } from '@tanstack/react-query';
 import { authApi, monitoringApi, testConnection } from '../api';
-import { useNotificationStore, useMapPreferencesStore } from '../store';
+import { useAuthStore, useNotificationStore, useMapPreferencesStore, hasRole } from '../store';
 import { MAP_PROVIDERS, isProviderConfigured } from '../components/map/delegates';
 import { 
   Settings as SettingsIcon, 
@@ -28,6 +28,7 @@ import clsx from 'clsx';
 export default function Settings() {
   const [telegramChatId, setTelegramChatId] = useState('');
   const { pushEnabled, setPushEnabled } = useNotificationStore();
+  const user = useAuthStore(state => state.user);
   
   // Map preferences
   const { 
@@ -217,9 +218,17 @@ export default function Settings() {
               <p className="text-sm text-gray-500">
                 Intervallo: ogni {monitoringStatus?.interval || 5} minuti
               </p>
+              {monitoringStatus?.alarmQueue && (
+                <p className="text-sm text-gray-500">
+                  Coda notifiche allarme: {monitoringStatus.alarmQueue.pending} in attesa
+                  {monitoringStatus.alarmQueue.failed > 0 && (
+                    <span className="text-red-600">, {monitoringStatus.alarmQueue.failed} fallite</span>
+                  )}
+                </p>
+              )}
             </div>
             <div className="flex gap-2">
-              {monitoringStatus?.running ? (
+              {hasRole(user, 'admin') && (monitoringStatus?.running ? (
                 <button
                   onClick={() => stopMonitoringMutation.mutate()}
                   disabled={stopMonitoringMutation.isPending}
@@ -237,15 +246,17 @@ export default function Settings() {
                   <Play size={18} />
                   Avvia
                 </button>
+              ))}
+              {hasRole(user, 'operator') && (
+                <button
+                  onClick={() => forceCheckMutation.mutate()}
+                  disabled={forceCheckMutation.isPending}
+                  className="flex items-center gap-2 px-4 py-2 bg-primary-100 text-primary-700 rounded-lg hover:bg-primary-200 transition-colors"
+                >
+                  <RefreshCw size={18} className={forceCheckMutation.isPending ? 'animate-spin' : ''} />
+                  Controlla ora
+                </button>
               )}
-              <button
-                onClick={() => forceCheckMutation.mutate()}
-                disabled={forceCheckMutation.isPending}
-                className="flex items-center gap-2 px-4 py-2 bg-primary-100 text-primary-700 rounded-lg hover:bg-primary-200 transition-colors"
-              >
-                <RefreshCw size={18} className={forceCheckMutation.isPending ? 'animate-spin' : ''} />
-                Controlla ora
-              </button>
             </div>
           </div>
         </div>
@@ -280,7 +291,7 @@ export default function Settings() {
                   Attiva
                 </button>
               )}
-              {pushEnabled && (
+              {pushEnabled && hasRole(user, 'admin') && (
                 <button
                   onClick={testPush}
                   className="flex items-center gap-2 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
@@ -322,13 +333,15 @@ export default function Settings() {
                   placeholder="Es: 123456789"
                   className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
                 />
-                <button
-                  onClick={testTelegram}
-                  className="flex items-center gap-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
-                >
-                  <Send size={18} />
-                  Test
-                </button>
+                {hasRole(user, 'admin') && (
+                  <button
+                    onClick={testTelegram}
+                    className="flex items-center gap-2 px-4 py-2 bg-primary-500 text-white rounded-lg hover:bg-primary-600 transition-colors"
+                  >
+                    <Send size={18} />
+                    Test
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,494 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { usersApi, vehicleGroupsApi, positionsApi } from '../api';
+import { useAuthStore } from '../store';
+import { UserCog, Plus, Trash2, Save, X, ToggleLeft, ToggleRight, Truck, Edit2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+
+const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Visualizzatore', description: 'Sola lettura: mappa, viaggi, eventi' },
+  { value: 'operator', label: 'Operatore', description: 'Gestisce viaggi, tratte, allarmi e autisti' },
+  { value: 'admin', label: 'Amministratore', description: 'Configurazione, geofence, notifiche e utenti' },
+];
+
+const EMPTY_GROUP = {
+  nome: '',
+  descrizione: '',
+  fleet_id: '',
+  tag: '',
+  plates: '',
+  user_ids: [],
+};
+
+const EMPTY_USER = {
+  username: '',
+  password: '',
+  ruolo: 'viewer',
+  telegram_chat_id: '',
+};
+
+export default function Users() {
+  const [showForm, setShowForm] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const currentUser = useAuthStore(state => state.user);
+
+  const queryClient = useQueryClient();
+
+  const { data: users = [], isLoading } = useQuery({
+    queryKey: ['users'],
+    queryFn: usersApi.getAll,
+  });
+
+  const createMutation = useMutation({
+    mutationFn: usersApi.create,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Utente creato');
+      setShowForm(false);
+      setNewUser(EMPTY_USER);
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore creazione'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => usersApi.update(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Utente aggiornato');
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore aggiornamento'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: usersApi.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['users'] });
+      toast.success('Utente eliminato');
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore eliminazione'),
+  });
+
+  const handleCreate = () => {
+    if (!newUser.username || !newUser.password) {
+      toast.error('Username e password obbligatori');
+      return;
+    }
+    createMutation.mutate({
+      ...newUser,
+      telegram_chat_id: newUser.telegram_chat_id || null,
+    });
+  };
+
+  return (
+    <div className="p-4 lg:p-6 pb-20 lg:pb-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Utenti</h1>
+          <p className="text-gray-500">Accessi e ruoli degli operatori</p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className={clsx(
+            "flex items-center gap-2 px-4 py-2 rounded-lg transition-colors",
+            showForm
+              ? "bg-red-100 text-red-600"
+              : "bg-primary-600 text-white hover:bg-primary-700"
+          )}
+        >
+          {showForm ? <X size={18} /> : <Plus size={18} />}
+          <span className="hidden sm:inline">{showForm ? 'Annulla' : 'Nuovo Utente'}</span>
+        </button>
+      </div>
+
+      {/* New User Form */}
+      {showForm && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+          <h3 className="font-semibold mb-4">Nuovo Utente</h3>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Username *</label>
+              <input
+                type="text"
+                value={newUser.username}
+                onChange={(e) => setNewUser({ ...newUser, username: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Password *</label>
+              <input
+                type="password"
+                value={newUser.password}
+                onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Ruolo</label>
+              <select
+                value={newUser.ruolo}
+                onChange={(e) => setNewUser({ ...newUser, ruolo: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                {ROLE_OPTIONS.map((role) => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                {ROLE_OPTIONS.find(r => r.value === newUser.ruolo)?.description}
+              </p>
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Chat ID Telegram</label>
+              <input
+                type="text"
+                value={newUser.telegram_chat_id}
+                onChange={(e) => setNewUser({ ...newUser, telegram_chat_id: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end mt-4">
+            <button
+              onClick={handleCreate}
+              disabled={createMutation.isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Save size={18} />
+              Salva
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Users List */}
+      {isLoading ? (
+        <div className="text-center py-12 text-gray-500">Caricamento...</div>
+      ) : users.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <UserCog size={48} className="mx-auto mb-3 text-gray-300" />
+          <p>Nessun utente registrato</p>
+          <p className="text-sm">L'amministratore predefinito è configurato nel file .env</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {users.map((user) => {
+            const isSelf = user.id === currentUser?.id;
+            return (
+              <div key={user.id} className={clsx("p-4 flex items-center gap-4", !user.attivo && "opacity-60")}>
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-gray-900 truncate">
+                    {user.username}
+                    {isSelf && <span className="ml-2 text-xs text-gray-500">(tu)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Creato il {new Date(user.created_at).toLocaleDateString('it-IT')}
+                    {user.telegram_chat_id && ` · Telegram ${user.telegram_chat_id}`}
+                  </p>
+                </div>
+
+                <select
+                  value={user.ruolo}
+                  disabled={isSelf}
+                  onChange={(e) => updateMutation.mutate({ id: user.id, data: { ruolo: e.target.value } })}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm disabled:bg-gray-50"
+                >
+                  {ROLE_OPTIONS.map((role) => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+
+                <button
+                  onClick={() => updateMutation.mutate({ id: user.id, data: { attivo: !user.attivo } })}
+                  disabled={isSelf}
+                  className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+                  title={user.attivo ? 'Disattiva' : 'Attiva'}
+                >
+                  {user.attivo
+                    ? <ToggleRight size={24} className="text-green-600" />
+                    : <ToggleLeft size={24} className="text-gray-400" />}
+                </button>
+
+                <button
+                  onClick={() => {
+                    if (confirm(`Eliminare l'utente ${user.username}?`)) {
+                      deleteMutation.mutate(user.id);
+                    }
+                  }}
+                  disabled={isSelf}
+                  className="p-2 text-red-500 rounded-lg hover:bg-red-50 disabled:opacity-40"
+                  title="Elimina"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <VehicleGroups users={users} />
+    </div>
+  );
+}
+
+/**
+ * Gruppi di veicoli (per flotta, per tag o targhe scelte) assegnati agli utenti.
+ * Un utente senza gruppi vede tutti i veicoli; gli amministratori vedono sempre tutto.
+ */
+function VehicleGroups({ users }) {
+  const [editing, setEditing] = useState(null); // null | 'new' | id gruppo
+  const [form, setForm] = useState(EMPTY_GROUP);
+
+  const queryClient = useQueryClient();
+
+  const { data: groups = [] } = useQuery({
+    queryKey: ['vehicle-groups'],
+    queryFn: vehicleGroupsApi.getAll,
+  });
+
+  const { data: fleets = [] } = useQuery({
+    queryKey: ['fleets'],
+    queryFn: positionsApi.getFleets,
+    staleTime: 10 * 60 * 1000,
+  });
+
+  const onSuccess = (message) => () => {
+    queryClient.invalidateQueries({ queryKey: ['vehicle-groups'] });
+    toast.success(message);
+    setEditing(null);
+    setForm(EMPTY_GROUP);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? vehicleGroupsApi.update(id, data) : vehicleGroupsApi.create(data)),
+    onSuccess: onSuccess('Gruppo salvato'),
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore salvataggio gruppo'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: vehicleGroupsApi.delete,
+    onSuccess: onSuccess('Gruppo eliminato'),
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore eliminazione gruppo'),
+  });
+
+  const startEdit = (group) => {
+    setEditing(group.id);
+    setForm({
+      nome: group.nome,
+      descrizione: group.descrizione || '',
+      fleet_id: group.fleet_id || '',
+      tag: group.tag || '',
+      plates: group.plates.join(', '),
+      user_ids: group.user_ids,
+    });
+  };
+
+  const handleSave = () => {
+    if (!form.nome) {
+      toast.error('Nome del gruppo obbligatorio');
+      return;
+    }
+    saveMutation.mutate({
+      id: editing === 'new' ? null : editing,
+      data: {
+        ...form,
+        fleet_id: form.fleet_id ? parseInt(form.fleet_id) : null,
+        plates: form.plates.split(/[,\s]+/).filter(Boolean),
+      },
+    });
+  };
+
+  const toggleUser = (userId) => {
+    setForm({
+      ...form,
+      user_ids: form.user_ids.includes(userId)
+        ? form.user_ids.filter(id => id !== userId)
+        : [...form.user_ids, userId],
+    });
+  };
+
+  const fleetName = (fleetId) => {
+    const fleet = fleets.find(f => f.id === fleetId);
+    return fleet?.nome || `Flotta ${fleetId}`;
+  };
+
+  const assignableUsers = users.filter(u => u.ruolo !== 'admin');
+
+  return (
+    <div className="mt-8">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800">Gruppi di veicoli</h2>
+          <p className="text-sm text-gray-500">
+            Limitano i veicoli visibili agli utenti assegnati (senza gruppi un utente vede tutta la flotta)
+          </p>
+        </div>
+        {editing === null && (
+          <button
+            onClick={() => { setForm(EMPTY_GROUP); setEditing('new'); }}
+            className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+          >
+            <Plus size={18} />
+            <span className="hidden sm:inline">Nuovo Gruppo</span>
+          </button>
+        )}
+      </div>
+
+      {editing !== null && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Nome *</label>
+              <input
+                type="text"
+                value={form.nome}
+                onChange={(e) => setForm({ ...form, nome: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Descrizione</label>
+              <input
+                type="text"
+                value={form.descrizione}
+                onChange={(e) => setForm({ ...form, descrizione: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Flotta Record Italia</label>
+              <select
+                value={form.fleet_id}
+                onChange={(e) => setForm({ ...form, fleet_id: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              >
+                <option value="">Nessuna</option>
+                {fleets.map((fleet) => (
+                  <option key={fleet.id} value={fleet.id}>{fleet.nome}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Tag veicolo</label>
+              <input
+                type="text"
+                value={form.tag}
+                onChange={(e) => setForm({ ...form, tag: e.target.value })}
+                placeholder="Es: frigo (tag impostato nella pagina Veicoli)"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="text-sm text-gray-600 block mb-1">Targhe</label>
+              <input
+                type="text"
+                value={form.plates}
+                onChange={(e) => setForm({ ...form, plates: e.target.value })}
+                placeholder="Es: GT736MS, XA330PL"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="text-sm text-gray-600 block mb-1">Utenti assegnati</label>
+              {assignableUsers.length === 0 ? (
+                <p className="text-xs text-gray-500">Nessun utente non amministratore</p>
+              ) : (
+                <div className="flex flex-wrap gap-3">
+                  {assignableUsers.map((user) => (
+                    <label key={user.id} className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.user_ids.includes(user.id)}
+                        onChange={() => toggleUser(user.id)}
+                        className="rounded text-primary-600"
+                      />
+                      {user.username}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-end gap-2 mt-4">
+            <button
+              onClick={() => setEditing(null)}
+              className="px-4 py-2 text-gray-600 rounded-lg hover:bg-gray-100"
+            >
+              Annulla
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saveMutation.isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Save size={18} />
+              Salva
+            </button>
+          </div>
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="text-center py-8 text-gray-500 bg-white rounded-lg border border-gray-200">
+          <Truck size={36} className="mx-auto mb-2 text-gray-300" />
+          <p className="text-sm">Nessun gruppo: tutti gli utenti vedono tutti i veicoli</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {groups.map((group) => (
+            <div key={group.id} className="p-4 flex items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-900 truncate">{group.nome}</p>
+                <p className="text-xs text-gray-500">
+                  {[
+                    group.fleet_id && fleetName(group.fleet_id),
+                    group.tag && `Tag "${group.tag}"`,
+                    group.plates.length > 0 && `${group.plates.length} targhe`,
+                  ].filter(Boolean).join(' · ')}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Utenti: {group.user_ids.length > 0
+                    ? group.user_ids.map(id => users.find(u => u.id === id)?.username || `#${id}`).join(', ')
+                    : 'nessuno'}
+                </p>
+              </div>
+
+              <button
+                onClick={() => startEdit(group)}
+                className="p-2 text-gray-500 rounded-lg hover:bg-gray-100"
+                title="Modifica"
+              >
+                <Edit2 size={18} />
+              </button>
+
+              <button
+                onClick={() => {
+                  if (confirm(`Eliminare il gruppo ${group.nome}?`)) {
+                    deleteMutation.mutate(group.id);
+                  }
+                }}
+                className="p-2 text-red-500 rounded-lg hover:bg-red-50"
+                title="Elimina"
+              >
+                <Trash2 size={18} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
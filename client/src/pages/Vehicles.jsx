@@ -45,7 +45,7 @@ export default function Vehicles() {
       toast.success('Veicolo aggiornato');
       setEditingId(null);
     },
-    onError: () => toast.error('Errore aggiornamento'),
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore aggiornamento'),
   });
 
   const startEditing = (vehicle) => {
@@ -62,6 +62,8 @@ export default function Vehicles() {
       tipo_veicolo: vehicle.tipo_veicolo || 'trattore_semirimorchio',
       is_compatto: vehicle.is_compatto || 0,
       note_dimensioni: vehicle.note_dimensioni || '',
+      tags: vehicle.tags || '',
+      imei: vehicle.imei || '',
     });
   };
 
@@ -320,6 +322,30 @@ export default function Vehicles() {
                             placeholder="Es: sponda idraulica, frigo, ADR..."
                           />
                         </div>
+
+                        <div className="mt-2">
+                          <label className="text-[10px] text-gray-400">Tag (gruppi di veicoli)</label>
+                          <input
+                            type="text"
+                            value={editForm.tags}
+                            onChange={(e) => setEditForm({ ...editForm, tags: e.target.value })}
+                            className="w-full mt-1 px-2 py-1.5 border border-gray-300 rounded text-sm"
+                            placeholder="Es: frigo, nord, cliente-x (separati da virgola)"
+                          />
+                        </div>
+
+                        <div className="mt-2">
+                          <label className="text-[10px] text-gray-400">IMEI dispositivo Teltonika</label>
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={editForm.imei}
+                            onChange={(e) => setEditForm({ ...editForm, imei: e.target.value.replace(/\D/g, '') })}
+                            className="w-full mt-1 px-2 py-1.5 border border-gray-300 rounded text-sm"
+                            placeholder="Solo se il dispositivo trasmette direttamente al server"
+                            maxLength={15}
+                          />
+                        </div>
                       </div>
                     </>
                   ) : (
@@ -334,6 +360,30 @@ export default function Vehicles() {
                         {vehicle.targa_rimorchio && (
                           <p className="text-sm text-gray-500">Rimorchio: {vehicle.targa_rimorchio}</p>
                         )}
+                        {vehicle.in_manutenzione ? (
+                          <div className="flex items-center gap-2 mt-1">
+                            <span
+                              className="px-1.5 py-0.5 bg-violet-100 text-violet-700 rounded text-xs"
+                              title={vehicle.manutenzione_dal ? `Dal ${new Date(vehicle.manutenzione_dal.replace(' ', 'T') + 'Z').toLocaleString('it-IT')}` : undefined}
+                            >
+                              🔧 In manutenzione
+                            </span>
+                            <button
+                              onClick={() => updateMutation.mutate({ id: vehicle.id, data: { in_manutenzione: 0 } })}
+                              className="text-xs text-gray-400 hover:text-gray-600"
+                              title="Togli lo stato di manutenzione"
+                            >
+                              <X size={12} />
+                            </button>
+                          </div>
+                        ) : null}
+                        {vehicle.tags && (
+                          <div className="flex flex-wrap gap-1 mt-1">
+                            {vehicle.tags.split(',').map(t => t.trim()).filter(Boolean).map(tag => (
+                              <span key={tag} className="px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded text-[10px]">{tag}</span>
+                            ))}
+                          </div>
+                        )}
                       </div>
 
                       {/* Dimensioni collapsed */}
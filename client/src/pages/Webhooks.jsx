@@ -0,0 +1,400 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { webhooksApi } from '../api';
+import { Webhook, Plus, Trash2, Save, X, Send, RotateCcw, ChevronDown, ChevronRight, ToggleLeft, ToggleRight, Edit2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { format } from 'date-fns';
+import { it } from 'date-fns/locale';
+
+const EMPTY_WEBHOOK = {
+  nome: '',
+  url: '',
+  secret: '',
+  event_types: ['*'],
+};
+
+const DELIVERY_STATES = {
+  pending: { label: 'In coda', className: 'bg-yellow-100 text-yellow-700' },
+  delivered: { label: 'Consegnato', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Fallito', className: 'bg-red-100 text-red-700' },
+};
+
+const formatDate = (dateStr) => {
+  try {
+    return format(new Date(dateStr + 'Z'), 'dd MMM yyyy, HH:mm:ss', { locale: it });
+  } catch {
+    return dateStr;
+  }
+};
+
+export default function Webhooks() {
+  const [editing, setEditing] = useState(null); // null | 'new' | id sottoscrizione
+  const [form, setForm] = useState(EMPTY_WEBHOOK);
+  const [expanded, setExpanded] = useState(null);
+
+  const queryClient = useQueryClient();
+
+  const { data: eventTypes = {} } = useQuery({
+    queryKey: ['webhook-event-types'],
+    queryFn: webhooksApi.getEventTypes,
+    staleTime: Infinity,
+  });
+
+  const { data: webhooks = [], isLoading } = useQuery({
+    queryKey: ['webhooks'],
+    queryFn: webhooksApi.getAll,
+    refetchInterval: 30000,
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: ({ id, data }) => (id ? webhooksApi.update(id, data) : webhooksApi.create(data)),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+      toast.success('Webhook salvato');
+      setEditing(null);
+      setForm(EMPTY_WEBHOOK);
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore salvataggio'),
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => webhooksApi.update(id, data),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['webhooks'] }),
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore aggiornamento'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: webhooksApi.delete,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+      toast.success('Webhook eliminato');
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore eliminazione'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: webhooksApi.sendTest,
+    onSuccess: (_, id) => {
+      toast.success('Evento di prova in coda');
+      setExpanded(id);
+      setTimeout(() => queryClient.invalidateQueries({ queryKey: ['webhook-deliveries', id] }), 2000);
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore invio prova'),
+  });
+
+  const startEdit = (webhook) => {
+    setEditing(webhook.id);
+    setForm({
+      nome: webhook.nome,
+      url: webhook.url,
+      secret: '',
+      event_types: webhook.event_types.split(','),
+    });
+  };
+
+  const toggleEventType = (type) => {
+    if (type === '*') {
+      setForm({ ...form, event_types: ['*'] });
+      return;
+    }
+    const current = form.event_types.filter(t => t !== '*');
+    const next = current.includes(type) ? current.filter(t => t !== type) : [...current, type];
+    setForm({ ...form, event_types: next.length > 0 ? next : ['*'] });
+  };
+
+  const handleSave = () => {
+    if (!form.nome || !form.url) {
+      toast.error('Nome e URL obbligatori');
+      return;
+    }
+    const data = { ...form };
+    if (!data.secret) delete data.secret; // Generato dal server (o invariato in modifica)
+    saveMutation.mutate({ id: editing === 'new' ? null : editing, data });
+  };
+
+  return (
+    <div className="p-4 lg:p-6 pb-20 lg:pb-6">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">Webhook</h1>
+          <p className="text-gray-500">Eventi, allarmi e stato dei viaggi inviati a TMS e sistemi dei clienti</p>
+        </div>
+        <button
+          onClick={() => {
+            if (editing !== null) {
+              setEditing(null);
+            } else {
+              setForm(EMPTY_WEBHOOK);
+              setEditing('new');
+            }
+          }}
+          className={clsx(
+            "flex items-center gap-2 px-4 py-2 rounded-lg transition-colors",
+            editing !== null
+              ? "bg-red-100 text-red-600"
+              : "bg-primary-600 text-white hover:bg-primary-700"
+          )}
+        >
+          {editing !== null ? <X size={18} /> : <Plus size={18} />}
+          <span className="hidden sm:inline">{editing !== null ? 'Annulla' : 'Nuovo Webhook'}</span>
+        </button>
+      </div>
+
+      {/* Form */}
+      {editing !== null && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+          <h3 className="font-semibold mb-4">{editing === 'new' ? 'Nuovo Webhook' : 'Modifica Webhook'}</h3>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">Nome *</label>
+              <input
+                type="text"
+                value={form.nome}
+                onChange={(e) => setForm({ ...form, nome: e.target.value })}
+                placeholder="Es: TMS aziendale"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div>
+              <label className="text-sm text-gray-600 block mb-1">URL *</label>
+              <input
+                type="url"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="https://tms.example.com/hooks/gps"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="text-sm text-gray-600 block mb-1">Secret</label>
+              <input
+                type="text"
+                value={form.secret}
+                onChange={(e) => setForm({ ...form, secret: e.target.value })}
+                placeholder={editing === 'new' ? 'Lascia vuoto per generarlo automaticamente' : 'Lascia vuoto per mantenere quello attuale'}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 font-mono text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Firma: header <code>X-Webhook-Signature: sha256=HMAC(secret, "&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;")</code>
+              </p>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="text-sm text-gray-600 block mb-2">Eventi</label>
+              <div className="flex flex-wrap gap-2">
+                {[['*', 'Tutti'], ...Object.entries(eventTypes)].map(([type, label]) => (
+                  <button
+                    key={type}
+                    type="button"
+                    onClick={() => toggleEventType(type)}
+                    className={clsx(
+                      "px-3 py-1 rounded-full text-xs border transition-colors",
+                      form.event_types.includes(type)
+                        ? "bg-primary-600 text-white border-primary-600"
+                        : "bg-white text-gray-600 border-gray-300 hover:bg-gray-50"
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end mt-4">
+            <button
+              onClick={handleSave}
+              disabled={saveMutation.isPending}
+              className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Save size={18} />
+              Salva
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* List */}
+      {isLoading ? (
+        <div className="text-center py-12 text-gray-500">Caricamento...</div>
+      ) : webhooks.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <Webhook size={48} className="mx-auto mb-3 text-gray-300" />
+          <p>Nessun webhook configurato</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {webhooks.map((webhook) => {
+            const isOpen = expanded === webhook.id;
+            const types = webhook.event_types.split(',');
+            return (
+              <div key={webhook.id} className={clsx(!webhook.attivo && "opacity-60")}>
+                <div className="p-4 flex items-center gap-4">
+                  <button onClick={() => setExpanded(isOpen ? null : webhook.id)} className="text-gray-400">
+                    {isOpen ? <ChevronDown size={18} /> : <ChevronRight size={18} />}
+                  </button>
+
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{webhook.nome}</p>
+                    <p className="text-xs text-gray-500 truncate">{webhook.url}</p>
+                    <p className="text-xs text-gray-500">
+                      {types.includes('*') ? 'Tutti gli eventi' : types.map(t => eventTypes[t] || t).join(', ')}
+                      {' · '}
+                      <span className="text-green-600">{webhook.delivered_count} consegnati</span>
+                      {webhook.pending_count > 0 && <span className="text-yellow-600"> · {webhook.pending_count} in coda</span>}
+                      {webhook.failed_count > 0 && <span className="text-red-600"> · {webhook.failed_count} falliti</span>}
+                    </p>
+                  </div>
+
+                  <button
+                    onClick={() => testMutation.mutate(webhook.id)}
+                    className="p-2 text-gray-500 rounded-lg hover:bg-gray-100"
+                    title="Invia evento di prova"
+                  >
+                    <Send size={18} />
+                  </button>
+
+                  <button
+                    onClick={() => updateMutation.mutate({ id: webhook.id, data: { attivo: !webhook.attivo } })}
+                    className="p-2 rounded-lg hover:bg-gray-100"
+                    title={webhook.attivo ? 'Disattiva' : 'Attiva'}
+                  >
+                    {webhook.attivo
+                      ? <ToggleRight size={24} className="text-green-600" />
+                      : <ToggleLeft size={24} className="text-gray-400" />}
+                  </button>
+
+                  <button
+                    onClick={() => startEdit(webhook)}
+                    className="p-2 text-gray-500 rounded-lg hover:bg-gray-100"
+                    title="Modifica"
+                  >
+                    <Edit2 size={18} />
+                  </button>
+
+                  <button
+                    onClick={() => {
+                      if (confirm(`Eliminare il webhook ${webhook.nome} e il suo registro consegne?`)) {
+                        deleteMutation.mutate(webhook.id);
+                      }
+                    }}
+                    className="p-2 text-red-500 rounded-lg hover:bg-red-50"
+                    title="Elimina"
+                  >
+                    <Trash2 size={18} />
+                  </button>
+                </div>
+
+                {isOpen && <DeliveryLog webhook={webhook} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Registro consegne di una sottoscrizione, con secret e possibilità di ritentare
+ */
+function DeliveryLog({ webhook }) {
+  const [stato, setStato] = useState('');
+  const queryClient = useQueryClient();
+
+  const { data: deliveries = [], isLoading } = useQuery({
+    queryKey: ['webhook-deliveries', webhook.id, stato],
+    queryFn: () => webhooksApi.getDeliveries(webhook.id, { stato, limit: 100 }),
+    refetchInterval: 15000,
+  });
+
+  const retryMutation = useMutation({
+    mutationFn: webhooksApi.retryDelivery,
+    onSuccess: () => {
+      toast.success('Consegna rimessa in coda');
+      queryClient.invalidateQueries({ queryKey: ['webhook-deliveries', webhook.id] });
+      queryClient.invalidateQueries({ queryKey: ['webhooks'] });
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Errore'),
+  });
+
+  return (
+    <div className="px-4 pb-4 bg-gray-50 border-t border-gray-100">
+      <div className="flex items-center justify-between py-3 gap-4">
+        <p className="text-xs text-gray-500 truncate">
+          Secret: <code className="font-mono text-gray-700">{webhook.secret}</code>
+        </p>
+        <select
+          value={stato}
+          onChange={(e) => setStato(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-lg text-xs"
+        >
+          <option value="">Tutte le consegne</option>
+          {Object.entries(DELIVERY_STATES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Caricamento...</p>
+      ) : deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500">Nessuna consegna</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-3 font-medium">#</th>
+                <th className="py-1 pr-3 font-medium">Evento</th>
+                <th className="py-1 pr-3 font-medium">Creato</th>
+                <th className="py-1 pr-3 font-medium">Stato</th>
+                <th className="py-1 pr-3 font-medium">Tentativi</th>
+                <th className="py-1 pr-3 font-medium">Ultimo esito</th>
+                <th className="py-1 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {deliveries.map((delivery) => {
+                const state = DELIVERY_STATES[delivery.stato] || DELIVERY_STATES.pending;
+                return (
+                  <tr key={delivery.id} className="align-top">
+                    <td className="py-1.5 pr-3 text-gray-500">{delivery.id}</td>
+                    <td className="py-1.5 pr-3 font-mono">{delivery.event_type}</td>
+                    <td className="py-1.5 pr-3 whitespace-nowrap">{formatDate(delivery.created_at)}</td>
+                    <td className="py-1.5 pr-3">
+                      <span className={clsx("px-2 py-0.5 rounded-full", state.className)}>{state.label}</span>
+                    </td>
+                    <td className="py-1.5 pr-3">{delivery.tentativi}</td>
+                    <td className="py-1.5 pr-3 text-gray-600">
+                      {delivery.stato === 'delivered'
+                        ? `HTTP ${delivery.last_status_code} · ${formatDate(delivery.delivered_at)}`
+                        : delivery.last_error
+                          ? `${delivery.last_error}${delivery.stato === 'pending' ? ` · prossimo ${formatDate(delivery.next_attempt_at)}` : ''}`
+                          : '—'}
+                    </td>
+                    <td className="py-1.5 text-right">
+                      {delivery.stato !== 'pending' && (
+                        <button
+                          onClick={() => retryMutation.mutate(delivery.id)}
+                          className="p-1 text-gray-500 rounded hover:bg-gray-200"
+                          title="Invia di nuovo"
+                        >
+                          <RotateCcw size={14} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
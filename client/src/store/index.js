@@ -1,6 +1,16 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 
+// Ruoli in ordine crescente di permessi (come server/routes/auth.js)
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Verifica se l'utente ha almeno il ruolo indicato
+ * @param {Object} user - Utente loggato ({ ruolo })
+ * @param {string} role - viewer | operator | admin
+ */
+export const hasRole = (user, role) => ROLES.indexOf(user?.ruolo) >= ROLES.indexOf(role);
+
 export const useAuthStore = create(
   persist(
     (set, get) => ({
@@ -16,6 +26,12 @@ export const useAuthStore = create(
         set({ token: null, user: null, isAuthenticated: false });
       },
 
+      setUser: (user) => {
+        set({ user: { ...get().user, ...user } });
+      },
+
+      hasRole: (role) => hasRole(get().user, role),
+
       getAuthHeaders: () => {
         const { token } = get();
         return token ? { Authorization: `Bearer ${token}` } : {};
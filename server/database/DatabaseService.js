@@ -8,6 +8,7 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { getPositionHistory } from './positionsDb.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -204,6 +205,17 @@ class DatabaseService {
     `, normalizedPlates);
   }
 
+  /**
+   * Get position history for a plate in a time range, oldest first
+   * @param {string} plate - Vehicle plate
+   * @param {string} from - Range start (date/time string)
+   * @param {string} to - Range end (date/time string)
+   * @returns {Array} Track points (see positionsDb.getPositionHistory)
+   */
+  getPositionHistory(plate, from, to) {
+    return getPositionHistory(plate, from, to);
+  }
+
   /**
    * Save or update a vehicle position
    * @param {object} positionData - Position data
@@ -355,12 +367,12 @@ class DatabaseService {
    * @returns {object}
    */
   createGeofence(data) {
-    const { nome, descrizione, tipo, colore, coordinate, raggio_metri } = data;
+    const { nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico } = data;
     const result = this.execute(`
-      INSERT INTO geofences (nome, descrizione, tipo, colore, coordinate, raggio_metri)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO geofences (nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `, [nome, descrizione, tipo || 'polygon', colore || '#FF0000', 
-        JSON.stringify(coordinate), raggio_metri || 0]);
+        JSON.stringify(coordinate), raggio_metri || 0, zona_carico ? 1 : 0]);
     
     return { id: result.lastInsertRowid, ...data };
   }
@@ -372,7 +384,7 @@ class DatabaseService {
    * @returns {object}
    */
   updateGeofence(id, data) {
-    const { nome, descrizione, tipo, colore, coordinate, raggio_metri, attivo } = data;
+    const { nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico, attivo } = data;
     this.execute(`
       UPDATE geofences SET
         nome = COALESCE(?, nome),
@@ -381,11 +393,12 @@ class DatabaseService {
         colore = COALESCE(?, colore),
         coordinate = COALESCE(?, coordinate),
         raggio_metri = COALESCE(?, raggio_metri),
+        zona_carico = COALESCE(?, zona_carico),
         attivo = COALESCE(?, attivo)
       WHERE id = ?
     `, [nome, descrizione, tipo, colore, 
         coordinate ? JSON.stringify(coordinate) : null, 
-        raggio_metri, attivo, id]);
+        raggio_metri, zona_carico === undefined ? null : (zona_carico ? 1 : 0), attivo, id]);
     
     return this.getGeofenceById(id);
   }
@@ -536,58 +549,184 @@ class DatabaseService {
   // ==================== HIDDEN VEHICLES ====================
 
   /**
-   * Get hidden vehicle plates
+   * Get hidden vehicle plates of a user
+   * @param {number} userId
    * @returns {Array<string>}
    */
-  getHiddenVehicles() {
-    // Create table if not exists
-    this.execute(`
-      CREATE TABLE IF NOT EXISTS hidden_vehicles (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        plate TEXT UNIQUE NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    return this.query('SELECT plate FROM hidden_vehicles').map(r => r.plate);
+  getHiddenVehicles(userId) {
+    return this.query('SELECT plate FROM user_hidden_vehicles WHERE user_id = ?', [userId]).map(r => r.plate);
   }
 
   /**
-   * Toggle vehicle visibility
+   * Toggle vehicle visibility for a user
+   * @param {number} userId
    * @param {string} plate
    * @returns {object} { hidden: boolean }
    */
-  toggleVehicleVisibility(plate) {
+  toggleVehicleVisibility(userId, plate) {
     const normalizedPlate = (plate || '').toUpperCase().replace(/\*+$/, '');
     
-    const existing = this.queryOne('SELECT id FROM hidden_vehicles WHERE plate = ?', [normalizedPlate]);
+    const existing = this.queryOne('SELECT id FROM user_hidden_vehicles WHERE user_id = ? AND plate = ?', [userId, normalizedPlate]);
     
     if (existing) {
-      this.execute('DELETE FROM hidden_vehicles WHERE plate = ?', [normalizedPlate]);
+      this.execute('DELETE FROM user_hidden_vehicles WHERE id = ?', [existing.id]);
       return { hidden: false, plate: normalizedPlate };
     } else {
-      this.execute('INSERT INTO hidden_vehicles (plate) VALUES (?)', [normalizedPlate]);
+      this.execute('INSERT INTO user_hidden_vehicles (user_id, plate) VALUES (?, ?)', [userId, normalizedPlate]);
       return { hidden: true, plate: normalizedPlate };
     }
   }
 
   /**
-   * Set hidden vehicles (replaces all)
+   * Set hidden vehicles of a user (replaces all)
+   * @param {number} userId
    * @param {Array<string>} plates
    * @returns {object}
    */
-  setHiddenVehicles(plates) {
+  setHiddenVehicles(userId, plates) {
     this.transaction(() => {
-      this.execute('DELETE FROM hidden_vehicles');
+      this.execute('DELETE FROM user_hidden_vehicles WHERE user_id = ?', [userId]);
       for (const plate of plates) {
         const normalized = (plate || '').toUpperCase().replace(/\*+$/, '');
-        this.execute('INSERT OR IGNORE INTO hidden_vehicles (plate) VALUES (?)', [normalized]);
+        this.execute('INSERT OR IGNORE INTO user_hidden_vehicles (user_id, plate) VALUES (?, ?)', [userId, normalized]);
       }
     });
     
     return { success: true, count: plates.length };
   }
 
+  // ==================== VEHICLE GROUPS ====================
+
+  /**
+   * Get all vehicle groups with their plates and assigned users
+   * @returns {Array}
+   */
+  getVehicleGroups() {
+    return this.query('SELECT * FROM vehicle_groups ORDER BY nome').map(g => this._withGroupMembers(g));
+  }
+
+  /**
+   * Get a vehicle group by ID
+   * @param {number} id
+   * @returns {object|null}
+   */
+  getVehicleGroupById(id) {
+    const group = this.queryOne('SELECT * FROM vehicle_groups WHERE id = ?', [id]);
+    return group ? this._withGroupMembers(group) : null;
+  }
+
+  /**
+   * Get the groups assigned to a user
+   * @param {number} userId
+   * @returns {Array}
+   */
+  getUserVehicleGroups(userId) {
+    return this.query(`
+      SELECT g.* FROM vehicle_groups g
+      JOIN user_vehicle_groups ug ON ug.group_id = g.id
+      WHERE ug.user_id = ?
+    `, [userId]).map(g => this._withGroupMembers(g));
+  }
+
+  /**
+   * Create a vehicle group
+   * @param {object} data - { nome, descrizione, fleet_id, tag, plates, user_ids }
+   * @returns {object}
+   */
+  createVehicleGroup(data) {
+    const id = this.transaction(() => {
+      const result = this.execute(`
+        INSERT INTO vehicle_groups (nome, descrizione, fleet_id, tag)
+        VALUES (?, ?, ?, ?)
+      `, [data.nome, data.descrizione || null, data.fleet_id || null, this._normalizeTag(data.tag)]);
+
+      this._setGroupMembers(result.lastInsertRowid, data);
+      return result.lastInsertRowid;
+    });
+
+    return this.getVehicleGroupById(id);
+  }
+
+  /**
+   * Update a vehicle group (plates and user_ids replace the existing ones when provided)
+   * @param {number} id
+   * @param {object} data
+   * @returns {object}
+   */
+  updateVehicleGroup(id, data) {
+    this.transaction(() => {
+      this.execute(`
+        UPDATE vehicle_groups SET
+          nome = COALESCE(?, nome),
+          descrizione = ?,
+          fleet_id = ?,
+          tag = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [data.nome || null, data.descrizione || null, data.fleet_id || null, this._normalizeTag(data.tag), id]);
+
+      this._setGroupMembers(id, data);
+    });
+
+    return this.getVehicleGroupById(id);
+  }
+
+  /**
+   * Delete a vehicle group and its assignments
+   * @param {number} id
+   * @returns {boolean}
+   */
+  deleteVehicleGroup(id) {
+    return this.transaction(() => {
+      this.execute('DELETE FROM vehicle_group_plates WHERE group_id = ?', [id]);
+      this.execute('DELETE FROM user_vehicle_groups WHERE group_id = ?', [id]);
+      return this.execute('DELETE FROM vehicle_groups WHERE id = ?', [id]).changes > 0;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _withGroupMembers(group) {
+    return {
+      ...group,
+      plates: this.query('SELECT plate FROM vehicle_group_plates WHERE group_id = ? ORDER BY plate', [group.id])
+        .map(r => r.plate),
+      user_ids: this.query('SELECT user_id FROM user_vehicle_groups WHERE group_id = ?', [group.id])
+        .map(r => r.user_id)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _setGroupMembers(groupId, data) {
+    if (Array.isArray(data.plates)) {
+      this.execute('DELETE FROM vehicle_group_plates WHERE group_id = ?', [groupId]);
+      for (const plate of data.plates) {
+        const normalized = (plate || '').toUpperCase().replace(/\*+$/, '').trim();
+        if (normalized) {
+          this.execute('INSERT OR IGNORE INTO vehicle_group_plates (group_id, plate) VALUES (?, ?)', [groupId, normalized]);
+        }
+      }
+    }
+
+    if (Array.isArray(data.user_ids)) {
+      this.execute('DELETE FROM user_vehicle_groups WHERE group_id = ?', [groupId]);
+      for (const userId of data.user_ids) {
+        this.execute('INSERT OR IGNORE INTO user_vehicle_groups (user_id, group_id) VALUES (?, ?)', [userId, groupId]);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _normalizeTag(tag) {
+    const normalized = (tag || '').trim().toLowerCase();
+    return normalized || null;
+  }
+
   // ==================== DRIVERS ====================
 
   /**
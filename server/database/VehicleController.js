@@ -20,6 +20,7 @@ class VehicleController {
       hiddenVehicles: [],
       lastUpdate: null
     };
+    this._scopeCache = new Map(); // userId -> { scope, expires }
     
     VehicleController.instance = this;
   }
@@ -63,10 +64,12 @@ class VehicleController {
       showWithTemperature = false,
       excludeHidden = true,
       applyCoupling = true,
-      searchTerm = ''
+      searchTerm = '',
+      userId = 0,
+      scope = null
     } = options;
 
-    let positions = this.getAllPositions(true);
+    let positions = this.filterPositionsByScope(scope, this.getAllPositions(true));
 
     // Apply filters
     if (showMovingOnly) {
@@ -91,7 +94,7 @@ class VehicleController {
 
     // Apply hidden vehicles filter
     if (excludeHidden) {
-      const hiddenSet = new Set(this.getHiddenVehicles());
+      const hiddenSet = new Set(this.getHiddenVehicles(userId));
       positions = positions.filter(p => !hiddenSet.has(this._normalizePlate(p.targa)));
     }
 
@@ -123,10 +126,11 @@ class VehicleController {
 
   /**
    * Get list of all plate numbers
+   * @param {object|null} scope - Vehicle scope of the caller (see getVehicleScope)
    * @returns {Array<string>}
    */
-  getAllPlates() {
-    const positions = this.getAllPositions();
+  getAllPlates(scope = null) {
+    const positions = this.filterPositionsByScope(scope, this.getAllPositions());
     return positions.map(p => p.targa).filter(Boolean).sort();
   }
 
@@ -140,12 +144,26 @@ class VehicleController {
     return pos ? this.db.constructor.formatPositionForFrontend(pos) : null;
   }
 
+  /**
+   * Get the recorded track of a vehicle, ordered by fix time
+   * @param {string} plate
+   * @param {object} range - { from, to } date/time strings (default: last 24 hours)
+   * @returns {Array} Track points
+   */
+  getTrack(plate, range = {}) {
+    const to = range.to || new Date().toISOString();
+    const from = range.from || new Date(new Date(to).getTime() - 24 * 60 * 60 * 1000).toISOString();
+
+    return this.db.getPositionHistory(this._normalizePlate(plate), from, to);
+  }
+
   /**
    * Get statistics about vehicles
+   * @param {object|null} scope - Vehicle scope of the caller (see getVehicleScope)
    * @returns {object}
    */
-  getStatistics() {
-    const positions = this.getAllPositions(true);
+  getStatistics(scope = null) {
+    const positions = this.filterPositionsByScope(scope, this.getAllPositions(true));
     
     const movingCount = positions.filter(p => (p.posizione?.speed || 0) > 3).length;
     const stoppedCount = positions.filter(p => (p.posizione?.speed || 0) <= 3).length;
@@ -264,49 +282,222 @@ class VehicleController {
   // ==================== VISIBILITY MANAGEMENT ====================
 
   /**
-   * Get list of hidden vehicle plates
+   * Get list of hidden vehicle plates of a user
+   * @param {number} userId
    * @returns {Array<string>}
    */
-  getHiddenVehicles() {
-    return this.db.getHiddenVehicles();
+  getHiddenVehicles(userId) {
+    return this.db.getHiddenVehicles(userId);
   }
 
   /**
-   * Toggle vehicle visibility
+   * Toggle vehicle visibility for a user
+   * @param {number} userId
    * @param {string} plate
    * @returns {object}
    */
-  toggleVehicleVisibility(plate) {
-    return this.db.toggleVehicleVisibility(plate);
+  toggleVehicleVisibility(userId, plate) {
+    return this.db.toggleVehicleVisibility(userId, plate);
   }
 
   /**
-   * Set all hidden vehicles
+   * Set all hidden vehicles of a user
+   * @param {number} userId
    * @param {Array<string>} plates
    * @returns {object}
    */
-  setHiddenVehicles(plates) {
-    return this.db.setHiddenVehicles(plates);
+  setHiddenVehicles(userId, plates) {
+    return this.db.setHiddenVehicles(userId, plates);
   }
 
   /**
-   * Show all vehicles (clear hidden list)
+   * Show all vehicles for a user (clear hidden list)
+   * @param {number} userId
    * @returns {object}
    */
-  showAllVehicles() {
-    return this.db.setHiddenVehicles([]);
+  showAllVehicles(userId) {
+    return this.db.setHiddenVehicles(userId, []);
   }
 
   /**
-   * Check if a vehicle is hidden
+   * Check if a vehicle is hidden for a user
+   * @param {number} userId
    * @param {string} plate
    * @returns {boolean}
    */
-  isVehicleHidden(plate) {
-    const hidden = this.getHiddenVehicles();
+  isVehicleHidden(userId, plate) {
+    const hidden = this.getHiddenVehicles(userId);
     return hidden.includes(this._normalizePlate(plate));
   }
 
+  // ==================== VEHICLE GROUPS / ACCESS SCOPE ====================
+
+  /**
+   * Get the vehicles a user is allowed to see, resolved from the user's vehicle groups.
+   * Only admins see every vehicle; users without any group see none, unless
+   * VEHICLE_SCOPE_DEFAULT=all gives them the whole fleet.
+   * @param {object} user - Authenticated user ({ id, ruolo })
+   * @returns {object|null} { plates, serviceIds, vehicleIds } (Sets) or null when unrestricted
+   */
+  getVehicleScope(user) {
+    if (user?.ruolo === 'admin') return null;
+    if (!user) return this._emptyScope();
+
+    const cached = this._scopeCache.get(user.id);
+    if (cached && cached.expires > Date.now()) {
+      return cached.scope;
+    }
+
+    const groups = this.db.getUserVehicleGroups(user.id);
+    let scope;
+    if (groups.length > 0) {
+      scope = this._resolveGroups(groups);
+    } else {
+      scope = process.env.VEHICLE_SCOPE_DEFAULT === 'all' ? null : this._emptyScope();
+    }
+
+    // Short TTL: fleet membership changes with every position sync
+    this._scopeCache.set(user.id, { scope, expires: Date.now() + 60000 });
+    return scope;
+  }
+
+  /**
+   * Filter positions (Record Italia / local cache format) by scope
+   * @param {object|null} scope
+   * @param {Array} positions
+   * @returns {Array}
+   */
+  filterPositionsByScope(scope, positions) {
+    if (!scope) return positions;
+    return positions.filter(p =>
+      scope.serviceIds.has(p.idServizio) ||
+      scope.plates.has(this._normalizePlate(p.targa || p.targa_camion))
+    );
+  }
+
+  /**
+   * Check whether a plate is within scope
+   * @param {object|null} scope
+   * @param {string} plate
+   * @returns {boolean}
+   */
+  isPlateInScope(scope, plate) {
+    return !scope || scope.plates.has(this._normalizePlate(plate));
+  }
+
+  /**
+   * Check whether a vehicle (vehicles.id) is within scope
+   * @param {object|null} scope
+   * @param {number} vehicleId
+   * @returns {boolean}
+   */
+  isVehicleInScope(scope, vehicleId) {
+    return !scope || scope.vehicleIds.has(Number(vehicleId));
+  }
+
+  /**
+   * Get all vehicle groups
+   * @returns {Array}
+   */
+  getVehicleGroups() {
+    return this.db.getVehicleGroups();
+  }
+
+  /**
+   * Create a vehicle group
+   * @param {object} data
+   * @returns {object}
+   */
+  createVehicleGroup(data) {
+    const group = this.db.createVehicleGroup(data);
+    this.clearScopeCache();
+    return group;
+  }
+
+  /**
+   * Update a vehicle group
+   * @param {number} id
+   * @param {object} data
+   * @returns {object}
+   */
+  updateVehicleGroup(id, data) {
+    const group = this.db.updateVehicleGroup(id, data);
+    this.clearScopeCache();
+    return group;
+  }
+
+  /**
+   * Delete a vehicle group
+   * @param {number} id
+   * @returns {boolean}
+   */
+  deleteVehicleGroup(id) {
+    const deleted = this.db.deleteVehicleGroup(id);
+    this.clearScopeCache();
+    return deleted;
+  }
+
+  /**
+   * Scope that matches no vehicle
+   * @private
+   * @returns {object}
+   */
+  _emptyScope() {
+    return { plates: new Set(), serviceIds: new Set(), vehicleIds: new Set() };
+  }
+
+  /**
+   * Resolve groups (fleet, tag, hand-picked plates) into plates, service IDs and vehicle IDs
+   * @private
+   * @param {Array} groups
+   * @returns {object}
+   */
+  _resolveGroups(groups) {
+    const plates = new Set();
+    const serviceIds = new Set();
+    const vehicleIds = new Set();
+
+    const positions = this.db.query('SELECT id_servizio, targa, fleet_id FROM vehicle_positions');
+    const vehicles = this.db.query('SELECT id, id_servizio, targa_camion, targa_rimorchio, tags FROM vehicles');
+
+    for (const group of groups) {
+      group.plates.forEach(plate => plates.add(plate));
+
+      if (group.fleet_id) {
+        positions
+          .filter(p => Number(p.fleet_id) === Number(group.fleet_id))
+          .forEach(p => serviceIds.add(p.id_servizio));
+      }
+
+      if (group.tag) {
+        vehicles
+          .filter(v => (v.tags || '').split(',').some(t => t.trim().toLowerCase() === group.tag))
+          .forEach(v => {
+            vehicleIds.add(v.id);
+            if (v.id_servizio) serviceIds.add(v.id_servizio);
+          });
+      }
+    }
+
+    // Complete the three views of the same vehicles
+    for (const p of positions) {
+      const plate = this._normalizePlate(p.targa);
+      if (serviceIds.has(p.id_servizio) && plate) plates.add(plate);
+      else if (plate && plates.has(plate)) serviceIds.add(p.id_servizio);
+    }
+
+    for (const v of vehicles) {
+      if (vehicleIds.has(v.id) || serviceIds.has(v.id_servizio) || plates.has(this._normalizePlate(v.targa_camion))) {
+        vehicleIds.add(v.id);
+        if (v.id_servizio) serviceIds.add(v.id_servizio);
+        if (v.targa_camion) plates.add(this._normalizePlate(v.targa_camion));
+        if (v.targa_rimorchio) plates.add(this._normalizePlate(v.targa_rimorchio));
+      }
+    }
+
+    return { plates, serviceIds, vehicleIds };
+  }
+
   // ==================== GEOFENCE MANAGEMENT ====================
 
   /**
@@ -369,13 +560,22 @@ class VehicleController {
     };
   }
 
+  /**
+   * Clear the resolved vehicle scopes (after group, tag or user changes)
+   */
+  clearScopeCache() {
+    this._scopeCache.clear();
+  }
+
   /**
    * Refresh data from database
+   * @param {object|null} scope - Vehicle scope of the caller (see getVehicleScope)
    * @returns {object} Updated statistics
    */
-  refresh() {
+  refresh(scope = null) {
     this.clearCache();
-    return this.getStatistics();
+    this.clearScopeCache();
+    return this.getStatistics(scope);
   }
 }
 
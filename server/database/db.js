@@ -37,6 +37,11 @@ export function initDatabase() {
       -- Flags speciali
       is_compatto INTEGER DEFAULT 0,
       note_dimensioni TEXT,
+      tags TEXT,
+      imei TEXT,
+      -- In manutenzione: impostato entrando in un geofence officina, tolto all'uscita
+      in_manutenzione INTEGER DEFAULT 0,
+      manutenzione_dal DATETIME,
       attivo INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -53,6 +58,16 @@ export function initDatabase() {
       colore TEXT DEFAULT '#FF0000',
       coordinate TEXT NOT NULL,
       raggio_metri INTEGER DEFAULT 0,
+      zona_carico INTEGER DEFAULT 0,
+      -- Categoria (vedi GEOFENCE_CATEGORIES in geofenceService): determina le regole predefinite
+      categoria TEXT DEFAULT 'generic',
+      -- Isteresi: un veicolo entro buffer_ingresso_metri dal bordo conta come dentro,
+      -- per uscire deve allontanarsi oltre buffer_uscita_metri
+      buffer_ingresso_metri INTEGER DEFAULT 0,
+      buffer_uscita_metri INTEGER DEFAULT 0,
+      -- Debounce: transizione confermata dopo N posizioni consecutive e almeno N secondi
+      conferma_campioni INTEGER DEFAULT 1,
+      conferma_secondi INTEGER DEFAULT 0,
       attivo INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
@@ -154,6 +169,13 @@ export function initDatabase() {
       notifica_chiamata INTEGER DEFAULT 0,
       attivo INTEGER DEFAULT 1,
       priorita INTEGER DEFAULT 1,
+      -- Allarmi velocità (tipo 'speed')
+      soglia_velocita REAL,
+      durata_minima_secondi INTEGER DEFAULT 60,
+      -- Allarmi sosta prolungata in geofence (tipo 'dwell')
+      soglia_minuti INTEGER,
+      -- Policy di escalation (NULL = sequenza predefinita da whatsapp_config)
+      escalation_policy_id INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
       FOREIGN KEY (geofence_id) REFERENCES geofences(id),
@@ -174,6 +196,14 @@ export function initDatabase() {
       longitudine REAL,
       geofence_id INTEGER,
       notificato INTEGER DEFAULT 0,
+      -- Ciclo di vita: open -> acknowledged (preso in carico) -> resolved
+      stato TEXT DEFAULT 'open',
+      preso_in_carico_da TEXT,
+      preso_in_carico_via TEXT,
+      preso_in_carico_at DATETIME,
+      risolto_da TEXT,
+      risolto_at DATETIME,
+      commento TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
       FOREIGN KEY (alarm_id) REFERENCES alarms(id),
@@ -190,6 +220,8 @@ export function initDatabase() {
       endpoint TEXT UNIQUE NOT NULL,
       keys TEXT NOT NULL,
       user_agent TEXT,
+      -- Utente che ha attivato le notifiche (presa in carico dalla notifica)
+      username TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
@@ -207,6 +239,71 @@ export function initDatabase() {
     )
   `);
 
+  // Registro audit: chi ha creato/modificato/eliminato cosa, con il record prima e dopo
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      username TEXT,
+      action TEXT NOT NULL,
+      entity TEXT NOT NULL,
+      entity_id TEXT,
+      before_json TEXT,
+      after_json TEXT,
+      method TEXT,
+      path TEXT,
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, created_at)');
+
+  // Gruppi di veicoli: per flotta Record Italia, per tag del veicolo e/o targhe scelte a mano
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS vehicle_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nome TEXT NOT NULL,
+      descrizione TEXT,
+      fleet_id INTEGER,
+      tag TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS vehicle_group_plates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_id INTEGER NOT NULL,
+      plate TEXT NOT NULL,
+      FOREIGN KEY (group_id) REFERENCES vehicle_groups(id),
+      UNIQUE(group_id, plate)
+    )
+  `);
+
+  // Gruppi assegnati agli utenti (utente senza gruppi = vede tutti i veicoli)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_vehicle_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      group_id INTEGER NOT NULL,
+      FOREIGN KEY (group_id) REFERENCES vehicle_groups(id),
+      UNIQUE(user_id, group_id)
+    )
+  `);
+
+  // Veicoli nascosti sulla mappa, per utente
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_hidden_vehicles (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      plate TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, plate)
+    )
+  `);
+
   // Tabella stato geofence per veicoli (traccia se è dentro o fuori)
   db.exec(`
     CREATE TABLE IF NOT EXISTS vehicle_geofence_status (
@@ -215,12 +312,105 @@ export function initDatabase() {
       geofence_id INTEGER NOT NULL,
       inside INTEGER DEFAULT 0,
       last_change DATETIME DEFAULT CURRENT_TIMESTAMP,
+      -- Transizione osservata ma non ancora confermata (debounce)
+      pending_inside INTEGER,
+      pending_since DATETIME,
+      pending_count INTEGER DEFAULT 0,
       UNIQUE(vehicle_id, geofence_id),
       FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
       FOREIGN KEY (geofence_id) REFERENCES geofences(id)
     )
   `);
 
+  // Tabella stato allarmi velocità per veicolo (da quando è oltre il limite)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS vehicle_speed_status (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      vehicle_id INTEGER NOT NULL,
+      alarm_id INTEGER NOT NULL,
+      over_since DATETIME,
+      max_speed REAL DEFAULT 0,
+      notified INTEGER DEFAULT 0,
+      UNIQUE(vehicle_id, alarm_id),
+      FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
+      FOREIGN KEY (alarm_id) REFERENCES alarms(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Registro aperture vano carico (coppie apertura/chiusura con durata)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS door_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      vehicle_id INTEGER,
+      targa TEXT NOT NULL,
+      opened_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      closed_at DATETIME,
+      durata_secondi INTEGER,
+      latitudine REAL,
+      longitudine REAL,
+      indirizzo TEXT,
+      autorizzata INTEGER DEFAULT 0,
+      geofence_id INTEGER,
+      trip_stop_id INTEGER,
+      FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
+      FOREIGN KEY (geofence_id) REFERENCES geofences(id)
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_door_events_vehicle ON door_events (vehicle_id, opened_at)`);
+
+  // Permanenze dei veicoli nei geofence (ingresso/uscita confermati, durata della sosta)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS geofence_visits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      vehicle_id INTEGER NOT NULL,
+      geofence_id INTEGER NOT NULL,
+      entered_at DATETIME NOT NULL,
+      exited_at DATETIME,
+      durata_secondi INTEGER,
+      -- Id degli allarmi di sosta prolungata già scattati per questa permanenza (separati da virgola)
+      allarmi_notificati TEXT,
+      FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
+      FOREIGN KEY (geofence_id) REFERENCES geofences(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_geofence_visits_geofence ON geofence_visits (geofence_id, entered_at)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_geofence_visits_open ON geofence_visits (vehicle_id, exited_at)`);
+
+  // Range temperatura catena del freddo (per veicolo o per viaggio)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS temperature_ranges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nome TEXT NOT NULL,
+      vehicle_plate TEXT,
+      trip_id INTEGER,
+      temp_min REAL,
+      temp_max REAL,
+      sonda INTEGER,
+      minuti_tolleranza INTEGER DEFAULT 10,
+      controlla_frigo INTEGER DEFAULT 1,
+      notifica_telegram INTEGER DEFAULT 1,
+      notifica_push INTEGER DEFAULT 1,
+      attivo INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Stato violazioni temperatura in corso (per tolleranza e notifica singola)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS temperature_alarm_status (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      range_id INTEGER NOT NULL,
+      targa TEXT NOT NULL,
+      tipo TEXT NOT NULL,
+      since DATETIME,
+      valore_peggiore REAL,
+      notified INTEGER DEFAULT 0,
+      UNIQUE(range_id, targa, tipo),
+      FOREIGN KEY (range_id) REFERENCES temperature_ranges(id) ON DELETE CASCADE
+    )
+  `);
+
   // ==================== NUOVA ARCHITETTURA TRATTE/VIAGGI ====================
 
   // Template percorsi (percorsi tipo riutilizzabili)
@@ -272,6 +462,12 @@ export function initDatabase() {
       distanza_km REAL,
       durata_minuti INTEGER,
       polyline TEXT,
+      -- Corridoio attorno alla polyline per le deviazioni (NULL = default da .env, 0 = controllo disattivato)
+      corridoio_metri INTEGER,
+      deviazione_minuti INTEGER,
+      -- Ultimo calcolo ETA (monitoraggio viaggi in corso)
+      eta_aggiornata_il DATETIME,
+      eta_velocita_kmh REAL,
       note TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -302,12 +498,34 @@ export function initDatabase() {
       stato TEXT DEFAULT 'da_raggiungere',
       notifica_arrivo INTEGER DEFAULT 1,
       notifica_partenza INTEGER DEFAULT 1,
+      ritardo_notificato INTEGER DEFAULT 0,
+      -- Arrivo stimato (UTC) e pause di guida incluse nella stima
+      eta DATETIME,
+      eta_pause_minuti INTEGER DEFAULT 0,
+      ritardo_previsto_notificato INTEGER DEFAULT 0,
       note TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
     )
   `);
 
+  // Deviazioni dal percorso pianificato: tratti percorsi fuori dal corridoio del viaggio
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS trip_deviations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trip_id INTEGER NOT NULL,
+      vehicle_id INTEGER,
+      started_at DATETIME NOT NULL,
+      ended_at DATETIME,
+      max_distanza_metri INTEGER DEFAULT 0,
+      -- Posizioni fuori corridoio come JSON [[lat, lng], ...]
+      punti TEXT DEFAULT '[]',
+      notificata INTEGER DEFAULT 0,
+      FOREIGN KEY (trip_id) REFERENCES trips(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_trip_deviations_trip ON trip_deviations(trip_id, started_at)');
+
   // Tabella autisti con numeri di telefono
   db.exec(`
     CREATE TABLE IF NOT EXISTS drivers (
@@ -353,11 +571,73 @@ export function initDatabase() {
       email TEXT,
       ruolo TEXT DEFAULT 'responsabile',
       priorita INTEGER DEFAULT 1,
+      -- Reperibile: destinatario dei passi di escalation 'on_call'
+      reperibile INTEGER DEFAULT 0,
       attivo INTEGER DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `);
 
+  // Policy di escalation: sequenza ordinata di passi (canale, destinatario, attesa prima del passo successivo)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS escalation_policies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nome TEXT NOT NULL,
+      descrizione TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS escalation_policy_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      policy_id INTEGER NOT NULL,
+      ordine INTEGER NOT NULL,
+      canale TEXT NOT NULL,
+      destinatario TEXT NOT NULL,
+      responsable_id INTEGER,
+      telegram_chat_id TEXT,
+      attesa_minuti INTEGER DEFAULT 5,
+      FOREIGN KEY (policy_id) REFERENCES escalation_policies(id) ON DELETE CASCADE,
+      FOREIGN KEY (responsable_id) REFERENCES responsables(id)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_escalation_policy_steps_policy ON escalation_policy_steps(policy_id, ordine)');
+
+  // Webhook in uscita verso TMS e sistemi dei clienti
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nome TEXT NOT NULL,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      event_types TEXT NOT NULL DEFAULT '*',
+      attivo INTEGER DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Consegne webhook: persistenti, ritentate con backoff fino a consegna o esaurimento tentativi
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription_id INTEGER NOT NULL,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      stato TEXT DEFAULT 'pending',
+      tentativi INTEGER DEFAULT 0,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_status_code INTEGER,
+      last_error TEXT,
+      delivered_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions(id)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(stato, next_attempt_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, id)');
+
   // Tabella notifiche allarme (per tracciare lo stato di escalation)
   db.exec(`
     CREATE TABLE IF NOT EXISTS alarm_notifications (
@@ -379,12 +659,60 @@ export function initDatabase() {
       chiamata_at DATETIME,
       escalation_level INTEGER DEFAULT 1,
       next_escalation_at DATETIME,
+      -- Tentativi falliti del prossimo passo di escalation e ultimo errore
+      tentativi_escalation INTEGER DEFAULT 0,
+      ultimo_errore TEXT,
+      -- Policy applicata (NULL = sequenza predefinita); escalation_level = ultimo passo eseguito
+      policy_id INTEGER,
+      -- Ultima chiamata vocale: queued, ringing, in_progress, answered, confirmed, no_answer, busy, failed
+      chiamata_esito TEXT,
+      chiamata_esito_at DATETIME,
+      chiamata_durata_secondi INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (alarm_id) REFERENCES alarms(id),
       FOREIGN KEY (event_id) REFERENCES events(id),
       FOREIGN KEY (driver_id) REFERENCES drivers(id)
     )
   `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_alarm_notifications_escalation ON alarm_notifications(next_escalation_at)');
+
+  // Storico dei passi di escalation eseguiti (una riga per destinatario e tentativo)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alarm_notification_steps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      notification_id INTEGER NOT NULL,
+      livello INTEGER NOT NULL,
+      canale TEXT NOT NULL,
+      destinatario TEXT NOT NULL,
+      destinatario_nome TEXT,
+      recapito TEXT,
+      esito TEXT NOT NULL,
+      errore TEXT,
+      -- Id chiamata/SMS del provider telefonico ed esito della chiamata
+      riferimento TEXT,
+      esito_chiamata TEXT,
+      eseguito_at DATETIME,
+      FOREIGN KEY (notification_id) REFERENCES alarm_notifications(id) ON DELETE CASCADE
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_alarm_notification_steps_notification ON alarm_notification_steps(notification_id)');
+
+  // Coda persistente delle notifiche allarme (outbox): sopravvive ai riavvii, consegna almeno una volta
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      tipo TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      stato TEXT DEFAULT 'pending',
+      tentativi INTEGER DEFAULT 0,
+      canali_inviati TEXT,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_notification_outbox_pending ON notification_outbox(stato, next_attempt_at)');
 
   // Tabella configurazione WhatsApp
   db.exec(`
@@ -435,6 +763,33 @@ export function initDatabase() {
     )
   `);
 
+  // Storico posizioni (una riga per ogni fix ricevuto, indicizzata per tempo)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS vehicle_position_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      id_servizio INTEGER NOT NULL,
+      targa TEXT,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      speed REAL DEFAULT 0,
+      heading INTEGER DEFAULT 0,
+      altitude REAL,
+      fix_time DATETIME NOT NULL,
+      address TEXT,
+      km_totali REAL,
+      temperature1 REAL,
+      temperature2 REAL,
+      frigo_on INTEGER DEFAULT 0,
+      door_open INTEGER DEFAULT 0,
+      inputs_json TEXT,
+      analogs_json TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(id_servizio, fix_time)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_position_history_targa_time ON vehicle_position_history (targa, fix_time)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_position_history_time ON vehicle_position_history (fix_time)');
+
   // ==================== GESTIONALE - ANAGRAFICHE ====================
 
   // Clienti
@@ -695,6 +1050,26 @@ export function initDatabase() {
       }
     }
 
+    // Migration: tag liberi sui veicoli (gruppi di veicoli per tag)
+    if (!vehicleColNames.includes('tags')) {
+      db.exec('ALTER TABLE vehicles ADD COLUMN tags TEXT');
+      console.log('Migration: aggiunta colonna tags a vehicles');
+    }
+
+    // Migration: IMEI del dispositivo Teltonika che trasmette direttamente al server
+    if (!vehicleColNames.includes('imei')) {
+      db.exec('ALTER TABLE vehicles ADD COLUMN imei TEXT');
+      console.log('Migration: aggiunta colonna imei a vehicles');
+    }
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicles_imei ON vehicles(imei)');
+
+    // Migration: stato manutenzione (veicolo in un geofence officina)
+    if (!vehicleColNames.includes('in_manutenzione')) {
+      db.exec('ALTER TABLE vehicles ADD COLUMN in_manutenzione INTEGER DEFAULT 0');
+      db.exec('ALTER TABLE vehicles ADD COLUMN manutenzione_dal DATETIME');
+      console.log('Migration: aggiunte colonne in_manutenzione, manutenzione_dal a vehicles');
+    }
+
     // Imposta veicoli compatti (GT736ms e XA330pl)
     db.prepare(`
       UPDATE vehicles SET is_compatto = 1, lunghezza = 12.0, altezza = 3.5
@@ -709,6 +1084,163 @@ export function initDatabase() {
       console.log('Migration: aggiunta colonna codice_destinatario a gest_vettori');
     }
 
+    // Migration: corridoio per le deviazioni dal percorso dei viaggi
+    const tripColumns = db.prepare("PRAGMA table_info(trips)").all();
+    for (const col of ['corridoio_metri', 'deviazione_minuti']) {
+      if (!tripColumns.some(c => c.name === col)) {
+        db.exec(`ALTER TABLE trips ADD COLUMN ${col} INTEGER`);
+        console.log('Migration: aggiunta colonna ' + col + ' a trips');
+      }
+    }
+
+    // Migration: flag ritardo notificato sulle tappe dei viaggi (monitoraggio viaggi)
+    const tripStopColumns = db.prepare("PRAGMA table_info(trip_stops)").all();
+    if (!tripStopColumns.some(c => c.name === 'ritardo_notificato')) {
+      db.exec('ALTER TABLE trip_stops ADD COLUMN ritardo_notificato INTEGER DEFAULT 0');
+      console.log('Migration: aggiunta colonna ritardo_notificato a trip_stops');
+    }
+
+    // Migration: tentativi ed errori delle escalation (scheduler persistente)
+    const alarmNotificationColumns = db.prepare("PRAGMA table_info(alarm_notifications)").all();
+    if (!alarmNotificationColumns.some(c => c.name === 'tentativi_escalation')) {
+      db.exec('ALTER TABLE alarm_notifications ADD COLUMN tentativi_escalation INTEGER DEFAULT 0');
+      console.log('Migration: aggiunta colonna tentativi_escalation a alarm_notifications');
+    }
+    if (!alarmNotificationColumns.some(c => c.name === 'ultimo_errore')) {
+      db.exec('ALTER TABLE alarm_notifications ADD COLUMN ultimo_errore TEXT');
+      console.log('Migration: aggiunta colonna ultimo_errore a alarm_notifications');
+    }
+
+    // Migration: policy di escalation configurabili
+    if (!alarmNotificationColumns.some(c => c.name === 'policy_id')) {
+      db.exec('ALTER TABLE alarm_notifications ADD COLUMN policy_id INTEGER');
+      console.log('Migration: aggiunta colonna policy_id a alarm_notifications');
+    }
+
+    const responsableColumns = db.prepare("PRAGMA table_info(responsables)").all();
+    if (!responsableColumns.some(c => c.name === 'reperibile')) {
+      db.exec('ALTER TABLE responsables ADD COLUMN reperibile INTEGER DEFAULT 0');
+      console.log('Migration: aggiunta colonna reperibile a responsables');
+    }
+
+    // Migration: esiti delle chiamate vocali di escalation
+    const stepColumns = db.prepare("PRAGMA table_info(alarm_notification_steps)").all();
+    const telephonyCols = [
+      { table: 'alarm_notifications', name: 'chiamata_esito', sql: 'ALTER TABLE alarm_notifications ADD COLUMN chiamata_esito TEXT' },
+      { table: 'alarm_notifications', name: 'chiamata_esito_at', sql: 'ALTER TABLE alarm_notifications ADD COLUMN chiamata_esito_at DATETIME' },
+      { table: 'alarm_notifications', name: 'chiamata_durata_secondi', sql: 'ALTER TABLE alarm_notifications ADD COLUMN chiamata_durata_secondi INTEGER' },
+      { table: 'alarm_notification_steps', name: 'riferimento', sql: 'ALTER TABLE alarm_notification_steps ADD COLUMN riferimento TEXT' },
+      { table: 'alarm_notification_steps', name: 'esito_chiamata', sql: 'ALTER TABLE alarm_notification_steps ADD COLUMN esito_chiamata TEXT' },
+    ];
+    for (const col of telephonyCols) {
+      const columns = col.table === 'alarm_notifications' ? alarmNotificationColumns : stepColumns;
+      if (!columns.some(c => c.name === col.name)) {
+        db.exec(col.sql);
+        console.log('Migration: aggiunta colonna ' + col.name + ' a ' + col.table);
+      }
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_alarm_notification_steps_riferimento ON alarm_notification_steps(riferimento)');
+
+    // Migration: presa in carico e risoluzione degli eventi
+    const eventColumns = db.prepare("PRAGMA table_info(events)").all();
+    const pushColumns = db.prepare("PRAGMA table_info(push_subscriptions)").all();
+    const ackCols = [
+      { table: 'events', name: 'stato', sql: "ALTER TABLE events ADD COLUMN stato TEXT DEFAULT 'open'" },
+      { table: 'events', name: 'preso_in_carico_da', sql: 'ALTER TABLE events ADD COLUMN preso_in_carico_da TEXT' },
+      { table: 'events', name: 'preso_in_carico_via', sql: 'ALTER TABLE events ADD COLUMN preso_in_carico_via TEXT' },
+      { table: 'events', name: 'preso_in_carico_at', sql: 'ALTER TABLE events ADD COLUMN preso_in_carico_at DATETIME' },
+      { table: 'events', name: 'risolto_da', sql: 'ALTER TABLE events ADD COLUMN risolto_da TEXT' },
+      { table: 'events', name: 'risolto_at', sql: 'ALTER TABLE events ADD COLUMN risolto_at DATETIME' },
+      { table: 'events', name: 'commento', sql: 'ALTER TABLE events ADD COLUMN commento TEXT' },
+      { table: 'push_subscriptions', name: 'username', sql: 'ALTER TABLE push_subscriptions ADD COLUMN username TEXT' },
+    ];
+    for (const col of ackCols) {
+      const columns = col.table === 'events' ? eventColumns : pushColumns;
+      if (!columns.some(c => c.name === col.name)) {
+        db.exec(col.sql);
+        console.log('Migration: aggiunta colonna ' + col.name + ' a ' + col.table);
+      }
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_events_stato ON events(stato)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_alarm_notifications_event ON alarm_notifications(event_id)');
+
+    // Migration: ETA dei viaggi in corso
+    const etaCols = [
+      { table: 'trips', name: 'eta_aggiornata_il', sql: 'ALTER TABLE trips ADD COLUMN eta_aggiornata_il DATETIME' },
+      { table: 'trips', name: 'eta_velocita_kmh', sql: 'ALTER TABLE trips ADD COLUMN eta_velocita_kmh REAL' },
+      { table: 'trip_stops', name: 'eta', sql: 'ALTER TABLE trip_stops ADD COLUMN eta DATETIME' },
+      { table: 'trip_stops', name: 'eta_pause_minuti', sql: 'ALTER TABLE trip_stops ADD COLUMN eta_pause_minuti INTEGER DEFAULT 0' },
+      { table: 'trip_stops', name: 'ritardo_previsto_notificato', sql: 'ALTER TABLE trip_stops ADD COLUMN ritardo_previsto_notificato INTEGER DEFAULT 0' },
+    ];
+    for (const col of etaCols) {
+      const columns = col.table === 'trips' ? tripColumns : tripStopColumns;
+      if (!columns.some(c => c.name === col.name)) {
+        db.exec(col.sql);
+        console.log('Migration: aggiunta colonna ' + col.name + ' a ' + col.table);
+      }
+    }
+
+    // Migration: flag zona di carico/scarico sui geofence (allarmi vano carico)
+    const geofenceColumns = db.prepare("PRAGMA table_info(geofences)").all();
+    if (!geofenceColumns.some(c => c.name === 'zona_carico')) {
+      db.exec('ALTER TABLE geofences ADD COLUMN zona_carico INTEGER DEFAULT 0');
+      console.log('Migration: aggiunta colonna zona_carico a geofences');
+    }
+
+    // Migration: categoria dei geofence
+    if (!geofenceColumns.some(c => c.name === 'categoria')) {
+      db.exec("ALTER TABLE geofences ADD COLUMN categoria TEXT DEFAULT 'generic'");
+      console.log('Migration: aggiunta colonna categoria a geofences');
+    }
+
+    // Migration: isteresi e debounce delle transizioni geofence
+    const hysteresisCols = [
+      { table: 'geofences', name: 'buffer_ingresso_metri', sql: 'ALTER TABLE geofences ADD COLUMN buffer_ingresso_metri INTEGER DEFAULT 0' },
+      { table: 'geofences', name: 'buffer_uscita_metri', sql: 'ALTER TABLE geofences ADD COLUMN buffer_uscita_metri INTEGER DEFAULT 0' },
+      { table: 'geofences', name: 'conferma_campioni', sql: 'ALTER TABLE geofences ADD COLUMN conferma_campioni INTEGER DEFAULT 1' },
+      { table: 'geofences', name: 'conferma_secondi', sql: 'ALTER TABLE geofences ADD COLUMN conferma_secondi INTEGER DEFAULT 0' },
+      { table: 'vehicle_geofence_status', name: 'pending_inside', sql: 'ALTER TABLE vehicle_geofence_status ADD COLUMN pending_inside INTEGER' },
+      { table: 'vehicle_geofence_status', name: 'pending_since', sql: 'ALTER TABLE vehicle_geofence_status ADD COLUMN pending_since DATETIME' },
+      { table: 'vehicle_geofence_status', name: 'pending_count', sql: 'ALTER TABLE vehicle_geofence_status ADD COLUMN pending_count INTEGER DEFAULT 0' },
+    ];
+    const statusColumns = db.prepare("PRAGMA table_info(vehicle_geofence_status)").all();
+    for (const col of hysteresisCols) {
+      const columns = col.table === 'geofences' ? geofenceColumns : statusColumns;
+      if (!columns.some(c => c.name === col.name)) {
+        db.exec(col.sql);
+        console.log('Migration: aggiunta colonna ' + col.name + ' a ' + col.table);
+      }
+    }
+
+    // Migration: soglie allarmi velocità e sosta prolungata
+    const alarmColumns = db.prepare("PRAGMA table_info(alarms)").all();
+    const alarmColNames = alarmColumns.map(c => c.name);
+
+    const thresholdCols = [
+      { name: 'soglia_velocita', sql: 'ALTER TABLE alarms ADD COLUMN soglia_velocita REAL' },
+      { name: 'durata_minima_secondi', sql: 'ALTER TABLE alarms ADD COLUMN durata_minima_secondi INTEGER DEFAULT 60' },
+      { name: 'soglia_minuti', sql: 'ALTER TABLE alarms ADD COLUMN soglia_minuti INTEGER' },
+      { name: 'escalation_policy_id', sql: 'ALTER TABLE alarms ADD COLUMN escalation_policy_id INTEGER' },
+    ];
+
+    for (const col of thresholdCols) {
+      if (!alarmColNames.includes(col.name)) {
+        db.exec(col.sql);
+        console.log('Migration: aggiunta colonna ' + col.name + ' a alarms');
+      }
+    }
+
+    // Migration: i veicoli nascosti globali vengono copiati su ogni utente esistente (admin da .env = id 0)
+    const legacyHidden = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'hidden_vehicles'").get();
+    if (legacyHidden) {
+      const moved = db.prepare(`
+        INSERT OR IGNORE INTO user_hidden_vehicles (user_id, plate)
+        SELECT u.id, h.plate FROM hidden_vehicles h
+        CROSS JOIN (SELECT 0 AS id UNION SELECT id FROM users) u
+      `).run();
+      db.exec('DROP TABLE hidden_vehicles');
+      console.log(`Migration: ${moved.changes} veicoli nascosti spostati su user_hidden_vehicles`);
+    }
   } catch (err) {
     console.error('Migration error:', err.message);
   }
@@ -139,6 +139,92 @@ export function saveMultiplePositions(positions) {
   return results;
 }
 
+/**
+ * Append a fix to the position history table.
+ * The same fix received twice (vehicle parked, no new GPS fix) is ignored.
+ */
+export function appendPositionHistory(vehicleData) {
+  const {
+    idServizio,
+    targa,
+    latitude,
+    longitude,
+    speed = 0,
+    heading = 0,
+    altitude,
+    fixGps,
+    address,
+    kmTotali,
+    temperature1,
+    temperature2,
+    frigoOn = 0,
+    doorOpen = 0,
+    inputs = {},
+    analogs = {}
+  } = vehicleData;
+
+  if (!idServizio || !latitude || !longitude) {
+    return { inserted: false };
+  }
+
+  const normalizedTarga = (targa || '').toUpperCase().replace(/\*+$/, '');
+
+  try {
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO vehicle_position_history (
+        id_servizio, targa, latitude, longitude, speed, heading, altitude,
+        fix_time, address, km_totali, temperature1, temperature2,
+        frigo_on, door_open, inputs_json, analogs_json
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(datetime(?), CURRENT_TIMESTAMP), ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      idServizio,
+      normalizedTarga,
+      latitude,
+      longitude,
+      speed,
+      heading,
+      altitude,
+      fixGps || null,
+      address,
+      kmTotali,
+      temperature1,
+      temperature2,
+      frigoOn ? 1 : 0,
+      doorOpen ? 1 : 0,
+      JSON.stringify(inputs),
+      JSON.stringify(analogs)
+    );
+
+    return { inserted: result.changes > 0 };
+  } catch (error) {
+    logger.error('Errore salvataggio storico posizione SQL', { targa: normalizedTarga, error: error.message });
+    return { inserted: false, error: error.message };
+  }
+}
+
+/**
+ * Get the position history of a vehicle in a time range, ordered by fix time
+ * @param {string} targa - Vehicle plate
+ * @param {string} from - Start (any format understood by SQLite datetime())
+ * @param {string} to - End (any format understood by SQLite datetime())
+ */
+export function getPositionHistory(targa, from, to) {
+  const normalizedTarga = (targa || '').toUpperCase().replace(/\*+$/, '');
+
+  try {
+    return db.prepare(`
+      SELECT * FROM vehicle_position_history
+      WHERE targa = ?
+        AND fix_time >= datetime(?)
+        AND fix_time <= datetime(?)
+      ORDER BY fix_time ASC
+    `).all(normalizedTarga, from, to).map(formatHistoryPoint);
+  } catch (error) {
+    logger.error('Errore recupero storico posizioni SQL', { targa, error: error.message });
+    return [];
+  }
+}
+
 /**
  * Get all latest vehicle positions
  */
@@ -263,17 +349,53 @@ function formatPositionForFrontend(pos) {
 }
 
 /**
- * Clean old positions (keep only latest per vehicle)
+ * Format a history row as a track point
+ */
+function formatHistoryPoint(row) {
+  return {
+    latitude: row.latitude,
+    longitude: row.longitude,
+    speed: row.speed,
+    heading: row.heading,
+    altitude: row.altitude,
+    timestamp: row.fix_time,
+    address: row.address,
+    kmTotali: row.km_totali,
+    temperature1: row.temperature1,
+    temperature2: row.temperature2,
+    frigoOn: row.frigo_on === 1,
+    doorOpen: row.door_open === 1
+  };
+}
+
+/**
+ * Clean old positions from the history table
+ * vehicle_positions keeps only the latest row per vehicle (UNIQUE id_servizio),
+ * so only the history needs a retention policy.
+ * @param {number} retentionDays - Days of history to keep
  */
-export function cleanOldPositions() {
-  // This table already uses UNIQUE constraint on id_servizio, so no cleanup needed
-  // But we could add a position history table in the future if needed
-  return { cleaned: 0 };
+export function cleanOldPositions(retentionDays = parseInt(process.env.POSITION_HISTORY_DAYS) || 90) {
+  try {
+    const result = db.prepare(`
+      DELETE FROM vehicle_position_history
+      WHERE fix_time < datetime('now', ?)
+    `).run(`-${retentionDays} days`);
+
+    if (result.changes > 0) {
+      logger.info('Pulizia storico posizioni', { cleaned: result.changes, retentionDays });
+    }
+    return { cleaned: result.changes };
+  } catch (error) {
+    logger.error('Errore pulizia storico posizioni SQL', { error: error.message });
+    return { cleaned: 0, error: error.message };
+  }
 }
 
 export default {
   saveVehiclePosition,
   saveMultiplePositions,
+  appendPositionHistory,
+  getPositionHistory,
   getAllLatestPositions,
   getLatestPositionByTarga,
   getLatestPositionByIdServizio,
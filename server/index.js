@@ -15,15 +15,22 @@ initDatabase();
 
 // Import routes
 import apiRoutes from './routes/api.js';
-import authRoutes from './routes/auth.js';
+import authRoutes, { authenticateToken } from './routes/auth.js';
 import vehicleControllerApi from './routes/vehicleControllerApi.js';
 import gestionaleApi from './routes/gestionaleApi.js';
+import simulatorApi from './routes/simulatorApi.js';
+import telephonyWebhooks from './routes/telephonyWebhooks.js';
 
 // Import services
 import { monitoringService } from './services/monitoringService.js';
-import { recordItaliaClient } from './services/recordItaliaClient.js';
+import { realtimeService } from './services/realtimeService.js';
+import { gpsSourceService } from './services/gpsSourceService.js';
 import whatsappService from './services/whatsappService.js';
 import { logger } from './services/loggerService.js';
+import { auditService } from './services/auditService.js';
+import { webhookService } from './services/webhookService.js';
+import { notificationOutboxService } from './services/notificationOutboxService.js';
+import { simulatorService } from './services/simulatorService.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -55,10 +62,22 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// API Routes
+// Simulatore API Record Italia (solo per test, risponde al posto di api.recorditalia.net)
+if (simulatorService.enabled) {
+  app.use('/simulator', simulatorApi);
+}
+
+// Callback del provider telefonico (firmate dal provider, senza JWT)
+app.use('/telephony', telephonyWebhooks);
+
+// API Routes - tutte richiedono autenticazione, i permessi per ruolo sono sulle singole route
+// Ogni modifica (POST/PUT/PATCH/DELETE) riuscita viene registrata nel registro audit
+app.use('/api', authenticateToken);
+app.use('/api', auditService.middleware());
 app.use('/api', apiRoutes);
 app.use('/api/v2', vehicleControllerApi);
 app.use('/api/gestionale', gestionaleApi);
+app.use('/auth', auditService.middleware());
 app.use('/auth', authRoutes);
 
 // Health check
@@ -104,17 +123,30 @@ app.listen(PORT, async () => {
 ╚════════════════════════════════════════════════════════════╝
   `);
 
-  // Test API connection
-  console.log('🔌 Test connessione API Record Italia...');
+  // Webhook in uscita: riprende anche le consegne rimaste in coda prima del riavvio
+  webhookService.start();
+
+  // Notifiche allarme ed escalation rimaste in sospeso prima del riavvio
+  notificationOutboxService.start();
+  whatsappService.startEscalationScheduler();
+
+  if (simulatorService.enabled) {
+    console.log('🧪 Simulatore Record Italia attivo su /simulator');
+  }
+
+  // Test connessione sorgenti GPS (basta che ne risponda una)
+  console.log('🔌 Test connessione sorgenti GPS...');
   try {
-    const connected = await recordItaliaClient.testConnection();
+    // Le sorgenti in push (server TCP Teltonika) devono essere in ascolto prima del test
+    await gpsSourceService.start();
+    const connected = await gpsSourceService.testConnection();
     if (connected) {
-      console.log('✅ Connessione API Record Italia OK');
+      console.log(`✅ Sorgenti GPS OK (${gpsSourceService.adapters.map(a => a.name).join(', ')})`);
       
       // Avvia monitoraggio automatico
       monitoringService.start();
     } else {
-      console.log('❌ Connessione API Record Italia fallita');
+      console.log('❌ Nessuna sorgente GPS raggiungibile');
     }
   } catch (error) {
     console.error('❌ Errore test connessione:', error.message);
@@ -135,6 +167,11 @@ app.listen(PORT, async () => {
 process.on('SIGTERM', async () => {
   console.log('SIGTERM ricevuto, chiusura server...');
   monitoringService.stop();
+  gpsSourceService.stop();
+  webhookService.stop();
+  notificationOutboxService.stop();
+  whatsappService.stopEscalationScheduler();
+  realtimeService.closeAll();
   await whatsappService.disconnect();
   db.close();
   process.exit(0);
@@ -143,6 +180,11 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   console.log('SIGINT ricevuto, chiusura server...');
   monitoringService.stop();
+  gpsSourceService.stop();
+  webhookService.stop();
+  notificationOutboxService.stop();
+  whatsappService.stopEscalationScheduler();
+  realtimeService.closeAll();
   await whatsappService.disconnect();
   db.close();
   process.exit(0);
@@ -1,13 +1,39 @@
 import express from 'express';
+import { requireRole } from './auth.js';
+import { vehicleController } from '../database/VehicleController.js';
 import db from '../database/db.js';
 import { recordItaliaClient } from '../services/recordItaliaClient.js';
-import { geofenceService } from '../services/geofenceService.js';
+import { geofenceService, GEOFENCE_CATEGORIES } from '../services/geofenceService.js';
 import { monitoringService } from '../services/monitoringService.js';
+import { realtimeService } from '../services/realtimeService.js';
+import { auditService } from '../services/auditService.js';
+import { webhookService, WEBHOOK_EVENT_TYPES } from '../services/webhookService.js';
+import { simulatorService } from '../services/simulatorService.js';
+import { clockService } from '../services/clockService.js';
+import { temperatureMonitoringService } from '../services/temperatureMonitoringService.js';
+import { haccpReportService } from '../services/haccpReportService.js';
+import { trackExportService, TRACK_EXPORT_FORMATS } from '../services/trackExportService.js';
+import { tripMonitoringService } from '../services/tripMonitoringService.js';
+import { notificationOutboxService } from '../services/notificationOutboxService.js';
+import { telephonyService } from '../services/telephonyService.js';
+import { alarmLifecycleService } from '../services/alarmLifecycleService.js';
+import { geofenceTransferService, GEOFENCE_TRANSFER_FORMATS, GEOFENCE_CONFLICT_MODES } from '../services/geofenceTransferService.js';
 import { logger } from '../services/loggerService.js';
-import { getAllLatestPositions, getLatestPositionByTarga, getSyncStatus } from '../database/positionsDb.js';
+import { getAllLatestPositions, getLatestPositionByTarga, getPositionHistory, getSyncStatus } from '../database/positionsDb.js';
 
 const router = express.Router();
 
+// Veicoli visibili all'utente della richiesta (null = tutti, vedi VehicleController.getVehicleScope)
+const scopeOf = (req) => vehicleController.getVehicleScope(req.user);
+
+// Condizione SQL che limita una colonna vehicle_id ai veicoli visibili all'utente
+const scopeSql = (scope, column) => {
+  if (!scope) return { sql: '', params: [] };
+  const ids = [...scope.vehicleIds];
+  if (ids.length === 0) return { sql: ' AND 0', params: [] };
+  return { sql: ` AND ${column} IN (${ids.map(() => '?').join(',')})`, params: ids };
+};
+
 // ==================== FLOTTE E POSIZIONI ====================
 
 /**
@@ -30,7 +56,7 @@ router.get('/positions', async (req, res) => {
   try {
     // Get positions from SQL
     const positions = getAllLatestPositions();
-    res.json(positions || []);
+    res.json(vehicleController.filterPositionsByScope(scopeOf(req), positions || []));
   } catch (error) {
     logger.error('Errore lettura posizioni da SQL', { error: error.message });
     res.status(500).json({ error: error.message });
@@ -43,7 +69,7 @@ router.get('/positions', async (req, res) => {
 router.get('/positions/live', async (req, res) => {
   try {
     const positions = await recordItaliaClient.getAllPositions();
-    res.json(positions);
+    res.json(vehicleController.filterPositionsByScope(scopeOf(req), positions || []));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -75,7 +101,7 @@ router.get('/positions/sync-status', async (req, res) => {
 router.get('/positions/fleet/:idFlotta', async (req, res) => {
   try {
     const positions = await recordItaliaClient.getFleetPositions(req.params.idFlotta);
-    res.json(positions);
+    res.json(vehicleController.filterPositionsByScope(scopeOf(req), positions || []));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -86,6 +112,11 @@ router.get('/positions/fleet/:idFlotta', async (req, res) => {
  */
 router.get('/positions/service/:idServizio', async (req, res) => {
   try {
+    const scope = scopeOf(req);
+    if (scope && !scope.serviceIds.has(parseInt(req.params.idServizio))) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
+
     const position = await recordItaliaClient.getServicePosition(req.params.idServizio);
     res.json(position);
   } catch (error) {
@@ -98,6 +129,11 @@ router.get('/positions/service/:idServizio', async (req, res) => {
  */
 router.get('/history/:idServizio', async (req, res) => {
   try {
+    const scope = scopeOf(req);
+    if (scope && !scope.serviceIds.has(parseInt(req.params.idServizio))) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
+
     const { from, to } = req.query;
     const fromDate = from || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19);
     const toDate = to || new Date().toISOString().replace('T', ' ').slice(0, 19);
@@ -123,7 +159,9 @@ router.get('/vehicles', (req, res) => {
       WHERE v.attivo = 1
       ORDER BY v.nickname, v.targa_camion
     `).all();
-    res.json(vehicles);
+
+    const scope = scopeOf(req);
+    res.json(vehicles.filter(v => vehicleController.isVehicleInScope(scope, v.id)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -135,7 +173,7 @@ router.get('/vehicles', (req, res) => {
 router.get('/vehicles/:id', (req, res) => {
   try {
     const vehicle = db.prepare('SELECT * FROM vehicles WHERE id = ?').get(req.params.id);
-    if (!vehicle) {
+    if (!vehicle || !vehicleController.isVehicleInScope(scopeOf(req), vehicle.id)) {
       return res.status(404).json({ error: 'Veicolo non trovato' });
     }
     res.json(vehicle);
@@ -147,13 +185,26 @@ router.get('/vehicles/:id', (req, res) => {
 /**
  * PUT /api/vehicles/:id - Aggiorna veicolo (incluse dimensioni)
  */
-router.put('/vehicles/:id', (req, res) => {
+router.put('/vehicles/:id', requireRole('admin'), (req, res) => {
   try {
     const { 
       nickname, targa_camion, targa_rimorchio, attivo,
       lunghezza, larghezza, altezza, peso_totale, peso_per_asse,
-      tipo_veicolo, is_compatto, note_dimensioni
+      tipo_veicolo, is_compatto, note_dimensioni, tags, imei, in_manutenzione
     } = req.body;
+    // Manutenzione impostata a mano (di norma la gestiscono i geofence officina)
+    const maintenance = in_manutenzione === undefined || in_manutenzione === null ? null : (in_manutenzione ? 1 : 0);
+
+    // IMEI del dispositivo Teltonika: stringa vuota per dissociarlo
+    if (imei && !/^\d{15}$/.test(String(imei))) {
+      return res.status(400).json({ error: 'IMEI non valido (15 cifre)' });
+    }
+    if (imei) {
+      const owner = db.prepare('SELECT id FROM vehicles WHERE imei = ? AND id != ?').get(String(imei), req.params.id);
+      if (owner) {
+        return res.status(409).json({ error: 'IMEI già associato a un altro veicolo' });
+      }
+    }
     
     db.prepare(`
       UPDATE vehicles 
@@ -169,14 +220,25 @@ router.put('/vehicles/:id', (req, res) => {
           tipo_veicolo = COALESCE(?, tipo_veicolo),
           is_compatto = COALESCE(?, is_compatto),
           note_dimensioni = COALESCE(?, note_dimensioni),
+          tags = COALESCE(?, tags),
+          imei = CASE WHEN ? IS NULL THEN imei ELSE NULLIF(?, '') END,
+          manutenzione_dal = CASE WHEN ? = 0 THEN NULL WHEN ? = 1 AND in_manutenzione = 0 THEN CURRENT_TIMESTAMP ELSE manutenzione_dal END,
+          in_manutenzione = COALESCE(?, in_manutenzione),
           updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `).run(
       nickname, targa_camion, targa_rimorchio, attivo,
       lunghezza, larghezza, altezza, peso_totale, peso_per_asse,
-      tipo_veicolo, is_compatto, note_dimensioni,
+      tipo_veicolo, is_compatto, note_dimensioni, tags,
+      imei == null ? null : String(imei), imei == null ? null : String(imei),
+      maintenance, maintenance, maintenance,
       req.params.id
     );
+
+    // I gruppi per tag dipendono da questo campo
+    if (tags !== undefined) {
+      vehicleController.clearScopeCache();
+    }
     
     const vehicle = db.prepare('SELECT * FROM vehicles WHERE id = ?').get(req.params.id);
     res.json(vehicle);
@@ -186,33 +248,24 @@ router.put('/vehicles/:id', (req, res) => {
 });
 
 /**
- * GET /api/vehicles/:id/positions - Ultime posizioni di un veicolo
- * Note: Position history is not stored in SQL-only mode. Returns current position only.
+ * GET /api/vehicles/:id/positions - Ultime posizioni di un veicolo dallo storico
+ * Query params: limit (default 100), from, to (default ultime 24 ore)
  */
 router.get('/vehicles/:id/positions', async (req, res) => {
   try {
     // Get vehicle plate from database
     const vehicle = db.prepare('SELECT targa_camion FROM vehicles WHERE id = ?').get(req.params.id);
-    if (!vehicle || !vehicle.targa_camion) {
+    if (!vehicle || !vehicle.targa_camion || !vehicleController.isVehicleInScope(scopeOf(req), req.params.id)) {
       return res.json([]);
     }
 
-    // Get latest position from SQL (history not available in SQL-only mode)
-    const latestPos = getLatestPositionByTarga(vehicle.targa_camion);
-    
-    if (latestPos && latestPos.posizione) {
-      res.json([{
-        latitude: latestPos.posizione.latitude,
-        longitude: latestPos.posizione.longitude,
-        speed: latestPos.posizione.speed,
-        heading: latestPos.posizione.heading,
-        timestamp: latestPos.posizione.fixGps,
-        temperature1: latestPos._temperature1,
-        temperature2: latestPos._temperature2
-      }]);
-    } else {
-      res.json([]);
-    }
+    const limit = parseInt(req.query.limit) || 100;
+    const to = req.query.to || new Date().toISOString();
+    const from = req.query.from || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    // Ultimi N punti dello storico, in ordine cronologico
+    const history = getPositionHistory(vehicle.targa_camion, from, to);
+    res.json(history.slice(-limit));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -222,10 +275,13 @@ router.get('/vehicles/:id/positions', async (req, res) => {
 
 /**
  * GET /api/geofences - Lista geofence
+ * Query: categoria (una o più, separate da virgola)
  */
 router.get('/geofences', (req, res) => {
   try {
-    const geofences = db.prepare('SELECT * FROM geofences ORDER BY nome').all();
+    const categories = req.query.categoria ? String(req.query.categoria).split(',') : null;
+    const geofences = db.prepare('SELECT * FROM geofences ORDER BY nome').all()
+      .filter(g => !categories || categories.includes(g.categoria || 'generic'));
     res.json(geofences.map(g => ({
       ...g,
       coordinate: JSON.parse(g.coordinate)
@@ -235,29 +291,48 @@ router.get('/geofences', (req, res) => {
   }
 });
 
+/**
+ * GET /api/geofences/categories - Categorie di geofence con le regole predefinite
+ */
+router.get('/geofences/categories', (req, res) => {
+  res.json(Object.entries(GEOFENCE_CATEGORIES).map(([id, category]) => ({ id, ...category })));
+});
+
 /**
  * POST /api/geofences - Crea geofence
  */
-router.post('/geofences', (req, res) => {
+router.post('/geofences', requireRole('admin'), (req, res) => {
   try {
-    const { nome, descrizione, tipo, colore, coordinate, raggio_metri } = req.body;
+    const { nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico, categoria,
+            buffer_ingresso_metri, buffer_uscita_metri, conferma_campioni, conferma_secondi } = req.body;
     
     if (!nome || !coordinate) {
       return res.status(400).json({ error: 'Nome e coordinate richiesti' });
     }
+    if (categoria && !GEOFENCE_CATEGORIES[categoria]) {
+      return res.status(400).json({ error: `Categoria non valida, usa ${Object.keys(GEOFENCE_CATEGORIES).join(', ')}` });
+    }
 
     const result = db.prepare(`
-      INSERT INTO geofences (nome, descrizione, tipo, colore, coordinate, raggio_metri)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO geofences (nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico, categoria,
+                             buffer_ingresso_metri, buffer_uscita_metri, conferma_campioni, conferma_secondi)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       nome,
       descrizione || '',
       tipo || 'polygon',
       colore || '#FF0000',
       JSON.stringify(coordinate),
-      raggio_metri || 0
+      raggio_metri || 0,
+      zona_carico ? 1 : 0,
+      categoria || 'generic',
+      Math.max(0, parseFloat(buffer_ingresso_metri) || 0),
+      Math.max(0, parseFloat(buffer_uscita_metri) || 0),
+      Math.max(1, parseInt(conferma_campioni) || 1),
+      Math.max(0, parseInt(conferma_secondi) || 0)
     );
 
+    geofenceService.invalidateIndex();
     const geofence = db.prepare('SELECT * FROM geofences WHERE id = ?').get(result.lastInsertRowid);
     res.status(201).json({
       ...geofence,
@@ -268,12 +343,164 @@ router.post('/geofences', (req, res) => {
   }
 });
 
+/**
+ * GET /api/geofences/export - Esporta geofence (tutti o selezionati)
+ * Query: format (geojson|kml, default geojson), ids (id separati da virgola, opzionale)
+ */
+router.get('/geofences/export', (req, res) => {
+  try {
+    const { format = 'geojson', ids } = req.query;
+
+    if (!GEOFENCE_TRANSFER_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Formato non valido, usa ${GEOFENCE_TRANSFER_FORMATS.join(', ')}` });
+    }
+
+    const selected = ids ? String(ids).split(',').map(id => parseInt(id)).filter(Number.isInteger) : null;
+    const geofences = db.prepare('SELECT * FROM geofences ORDER BY nome').all()
+      .filter(g => !selected || selected.includes(g.id))
+      .map(g => ({ ...g, coordinate: JSON.parse(g.coordinate) }));
+
+    const body = format === 'kml'
+      ? geofenceTransferService.toKml(geofences)
+      : JSON.stringify(geofenceTransferService.toGeoJson(geofences), null, 2);
+
+    res.setHeader('Content-Type', `${geofenceTransferService.getContentType(format)}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${geofenceTransferService.getFileName(format)}"`);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/geofences/import/preview - Legge un file GeoJSON/KML senza salvare
+ * Body: { content, format? (geojson|kml, default: riconosciuto dal contenuto) }
+ * Ogni zona riporta conflictId se esiste già un geofence con lo stesso nome
+ */
+router.post('/geofences/import/preview', requireRole('admin'), (req, res) => {
+  try {
+    const { content, format } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Contenuto del file richiesto' });
+    }
+    if (format && !GEOFENCE_TRANSFER_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Formato non valido, usa ${GEOFENCE_TRANSFER_FORMATS.join(', ')}` });
+    }
+
+    let parsed;
+    try {
+      parsed = geofenceTransferService.parse(content, format);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const existing = new Map(db.prepare('SELECT id, nome FROM geofences').all().map(g => [g.nome.toLowerCase(), g.id]));
+    res.json({
+      geofences: parsed.geofences.map(g => ({ ...g, conflictId: existing.get(g.nome.toLowerCase()) ?? null })),
+      errors: parsed.errors
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/geofences/import - Importa le zone (di norma quelle restituite dall'anteprima)
+ * Body: { geofences: [{ nome, descrizione, colore, tipo, coordinate, raggio_metri, zona_carico, categoria }],
+ *         onConflict: skip|replace|rename (default skip) - cosa fare se esiste già un geofence con lo stesso nome }
+ */
+router.post('/geofences/import', requireRole('admin'), (req, res) => {
+  try {
+    const { geofences, onConflict = 'skip' } = req.body;
+
+    if (!Array.isArray(geofences) || geofences.length === 0) {
+      return res.status(400).json({ error: 'Nessun geofence da importare' });
+    }
+    if (!GEOFENCE_CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({ error: `onConflict non valido, usa ${GEOFENCE_CONFLICT_MODES.join(', ')}` });
+    }
+
+    const invalid = geofences.find(g =>
+      !g.nome || !['polygon', 'circle'].includes(g.tipo) || !Array.isArray(g.coordinate) ||
+      g.coordinate.length < (g.tipo === 'circle' ? 1 : 3) || (g.tipo === 'circle' && !(g.raggio_metri > 0))
+    );
+    if (invalid) {
+      return res.status(400).json({ error: `Geofence non valido: ${invalid.nome || 'senza nome'}` });
+    }
+
+    const existing = new Map(db.prepare('SELECT id, nome FROM geofences').all().map(g => [g.nome.toLowerCase(), g.id]));
+    const taken = new Set(existing.keys());
+    const insert = db.prepare(`
+      INSERT INTO geofences (nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico, categoria)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const update = db.prepare(`
+      UPDATE geofences
+      SET descrizione = ?, tipo = ?, colore = ?, coordinate = ?, raggio_metri = ?, zona_carico = ?, categoria = ?
+      WHERE id = ?
+    `);
+
+    const result = { created: [], updated: [], skipped: [] };
+    db.transaction(() => {
+      for (const g of geofences) {
+        let nome = String(g.nome).trim();
+        const conflictId = existing.get(nome.toLowerCase());
+        const values = [
+          g.descrizione || '',
+          g.tipo,
+          geofenceTransferService.normalizeColor(g.colore),
+          JSON.stringify(g.coordinate),
+          g.tipo === 'circle' ? Math.round(g.raggio_metri) : 0,
+          g.zona_carico ? 1 : 0,
+          GEOFENCE_CATEGORIES[g.categoria] ? g.categoria : 'generic'
+        ];
+
+        if (conflictId && onConflict === 'skip') {
+          result.skipped.push(nome);
+          continue;
+        }
+        if (conflictId && onConflict === 'replace') {
+          update.run(...values, conflictId);
+          result.updated.push(nome);
+          continue;
+        }
+        if (taken.has(nome.toLowerCase())) {
+          nome = geofenceTransferService.uniqueName(nome, taken);
+        }
+
+        const { lastInsertRowid } = insert.run(nome, ...values);
+        existing.set(nome.toLowerCase(), lastInsertRowid);
+        taken.add(nome.toLowerCase());
+        result.created.push(nome);
+      }
+    })();
+    geofenceService.invalidateIndex();
+
+    logger.info('Geofence importati', {
+      created: result.created.length,
+      updated: result.updated.length,
+      skipped: result.skipped.length
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * PUT /api/geofences/:id - Aggiorna geofence
  */
-router.put('/geofences/:id', (req, res) => {
+router.put('/geofences/:id', requireRole('admin'), (req, res) => {
   try {
-    const { nome, descrizione, tipo, colore, coordinate, raggio_metri, attivo } = req.body;
+    const { nome, descrizione, tipo, colore, coordinate, raggio_metri, zona_carico, attivo, categoria,
+            buffer_ingresso_metri, buffer_uscita_metri, conferma_campioni, conferma_secondi } = req.body;
+    if (categoria && !GEOFENCE_CATEGORIES[categoria]) {
+      return res.status(400).json({ error: `Categoria non valida, usa ${Object.keys(GEOFENCE_CATEGORIES).join(', ')}` });
+    }
+    const setting = (value, parse, min) => value === undefined || value === null || value === ''
+      ? null
+      : Math.max(min, parse(value) || 0);
     
     db.prepare(`
       UPDATE geofences 
@@ -283,7 +510,13 @@ router.put('/geofences/:id', (req, res) => {
           colore = COALESCE(?, colore),
           coordinate = COALESCE(?, coordinate),
           raggio_metri = COALESCE(?, raggio_metri),
-          attivo = COALESCE(?, attivo)
+          zona_carico = COALESCE(?, zona_carico),
+          attivo = COALESCE(?, attivo),
+          categoria = COALESCE(?, categoria),
+          buffer_ingresso_metri = COALESCE(?, buffer_ingresso_metri),
+          buffer_uscita_metri = COALESCE(?, buffer_uscita_metri),
+          conferma_campioni = COALESCE(?, conferma_campioni),
+          conferma_secondi = COALESCE(?, conferma_secondi)
       WHERE id = ?
     `).run(
       nome,
@@ -292,9 +525,16 @@ router.put('/geofences/:id', (req, res) => {
       colore,
       coordinate ? JSON.stringify(coordinate) : null,
       raggio_metri,
+      zona_carico === undefined ? null : (zona_carico ? 1 : 0),
       attivo,
+      categoria || null,
+      setting(buffer_ingresso_metri, parseFloat, 0),
+      setting(buffer_uscita_metri, parseFloat, 0),
+      setting(conferma_campioni, parseInt, 1),
+      setting(conferma_secondi, parseInt, 0),
       req.params.id
     );
+    geofenceService.invalidateIndex();
 
     const geofence = db.prepare('SELECT * FROM geofences WHERE id = ?').get(req.params.id);
     res.json({
@@ -309,9 +549,10 @@ router.put('/geofences/:id', (req, res) => {
 /**
  * DELETE /api/geofences/:id - Elimina geofence
  */
-router.delete('/geofences/:id', (req, res) => {
+router.delete('/geofences/:id', requireRole('admin'), (req, res) => {
   try {
     db.prepare('DELETE FROM geofences WHERE id = ?').run(req.params.id);
+    geofenceService.invalidateIndex();
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -320,6 +561,27 @@ router.delete('/geofences/:id', (req, res) => {
 
 // ==================== TRATTE E CHECKPOINT ====================
 
+// Tratta dei veicoli visibili all'utente (come i viaggi, quelle senza targa solo per chi vede tutta la flotta)
+const requireRouteInScope = (req, res, next) => {
+  const route = db.prepare('SELECT vehicle_plate FROM routes WHERE id = ?').get(req.params.id ?? req.params.routeId);
+  if (!route || !vehicleController.isPlateInScope(scopeOf(req), route.vehicle_plate)) {
+    return res.status(404).json({ error: 'Tratta non trovata' });
+  }
+  next();
+};
+
+const requireCheckpointInScope = (req, res, next) => {
+  const route = db.prepare(`
+    SELECT r.vehicle_plate FROM route_checkpoints rc
+    JOIN routes r ON rc.route_id = r.id
+    WHERE rc.id = ?
+  `).get(req.params.id);
+  if (!route || !vehicleController.isPlateInScope(scopeOf(req), route.vehicle_plate)) {
+    return res.status(404).json({ error: 'Checkpoint non trovato' });
+  }
+  next();
+};
+
 /**
  * GET /api/routes - Lista tratte
  */
@@ -332,7 +594,9 @@ router.get('/routes', (req, res) => {
       LEFT JOIN vehicles v ON r.vehicle_plate = v.targa_camion
       ORDER BY r.nome
     `).all();
-    res.json(routes);
+
+    const scope = scopeOf(req);
+    res.json(routes.filter(route => vehicleController.isPlateInScope(scope, route.vehicle_plate)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -341,13 +605,16 @@ router.get('/routes', (req, res) => {
 /**
  * POST /api/routes - Crea tratta
  */
-router.post('/routes', (req, res) => {
+router.post('/routes', requireRole('operator'), (req, res) => {
   try {
     const { nome, descrizione, vehicle_id } = req.body;
     
     if (!nome) {
       return res.status(400).json({ error: 'Nome richiesto' });
     }
+    if (vehicle_id && !vehicleController.isVehicleInScope(scopeOf(req), vehicle_id)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
 
     const result = db.prepare(`
       INSERT INTO routes (nome, descrizione, vehicle_id)
@@ -364,7 +631,7 @@ router.post('/routes', (req, res) => {
 /**
  * GET /api/routes/:id - Dettaglio tratta con checkpoint
  */
-router.get('/routes/:id', (req, res) => {
+router.get('/routes/:id', requireRouteInScope, (req, res) => {
   try {
     const route = db.prepare(`
       SELECT r.*, v.nickname as vehicle_name, v.targa_camion
@@ -400,9 +667,12 @@ router.get('/routes/:id', (req, res) => {
 /**
  * PUT /api/routes/:id - Aggiorna tratta
  */
-router.put('/routes/:id', (req, res) => {
+router.put('/routes/:id', requireRole('operator'), requireRouteInScope, (req, res) => {
   try {
     const { nome, descrizione, vehicle_id, attivo } = req.body;
+    if (vehicle_id && !vehicleController.isVehicleInScope(scopeOf(req), vehicle_id)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
     db.prepare(`
       UPDATE routes 
@@ -423,7 +693,7 @@ router.put('/routes/:id', (req, res) => {
 /**
  * DELETE /api/routes/:id - Elimina tratta
  */
-router.delete('/routes/:id', (req, res) => {
+router.delete('/routes/:id', requireRole('operator'), requireRouteInScope, (req, res) => {
   try {
     db.prepare('DELETE FROM routes WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -435,7 +705,7 @@ router.delete('/routes/:id', (req, res) => {
 /**
  * POST /api/routes/:id/checkpoints - Aggiungi checkpoint
  */
-router.post('/routes/:routeId/checkpoints', (req, res) => {
+router.post('/routes/:routeId/checkpoints', requireRole('operator'), requireRouteInScope, (req, res) => {
   try {
     const { nome, geofence_id, ordine, ora_prevista_arrivo, ora_prevista_partenza, 
             tolleranza_minuti, notifica_ingresso, notifica_uscita, notifica_ritardo } = req.body;
@@ -480,7 +750,7 @@ router.post('/routes/:routeId/checkpoints', (req, res) => {
 /**
  * PUT /api/checkpoints/:id - Aggiorna checkpoint
  */
-router.put('/checkpoints/:id', (req, res) => {
+router.put('/checkpoints/:id', requireRole('operator'), requireCheckpointInScope, (req, res) => {
   try {
     const { nome, geofence_id, ordine, ora_prevista_arrivo, ora_prevista_partenza,
             tolleranza_minuti, notifica_ingresso, notifica_uscita, notifica_ritardo } = req.body;
@@ -520,7 +790,7 @@ router.put('/checkpoints/:id', (req, res) => {
 /**
  * DELETE /api/checkpoints/:id - Elimina checkpoint
  */
-router.delete('/checkpoints/:id', (req, res) => {
+router.delete('/checkpoints/:id', requireRole('operator'), requireCheckpointInScope, (req, res) => {
   try {
     db.prepare('DELETE FROM route_checkpoints WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -531,6 +801,55 @@ router.delete('/checkpoints/:id', (req, res) => {
 
 // ==================== ALLARMI ====================
 
+// Gli allarmi senza veicolo valgono per tutta la flotta: tutti li vedono, li modifica solo chi vede tutti i veicoli
+const checkAlarmVehicle = (req, res, vehicleId) => {
+  const scope = scopeOf(req);
+  if (vehicleId && !vehicleController.isVehicleInScope(scope, vehicleId)) {
+    res.status(404).json({ error: 'Veicolo non trovato' });
+    return false;
+  }
+  if (!vehicleId && scope) {
+    res.status(403).json({ error: 'Solo chi vede tutta la flotta gestisce gli allarmi senza veicolo' });
+    return false;
+  }
+  return true;
+};
+
+// Campi modificabili con PUT /alarms/:id e conversione del valore
+// (undefined = campo obbligatorio lasciato com'è, null = campo facoltativo svuotato)
+const toOptional = (value) => value || null;
+const toRequired = (value) => (value === null || value === '' ? undefined : value);
+const toFlag = (value) => (value === null ? undefined : (value ? 1 : 0));
+const ALARM_UPDATE_FIELDS = {
+  nome: toRequired,
+  tipo: toRequired,
+  vehicle_id: toOptional,
+  geofence_id: toOptional,
+  route_id: toOptional,
+  checkpoint_id: toOptional,
+  ora_inizio: toOptional,
+  ora_fine: toOptional,
+  giorni_settimana: toRequired,
+  notifica_telegram: toFlag,
+  notifica_push: toFlag,
+  notifica_chiamata: toFlag,
+  attivo: toFlag,
+  priorita: toRequired,
+  soglia_velocita: (value) => (value ? parseFloat(value) : null),
+  durata_minima_secondi: (value) => (value === null || value === '' ? undefined : parseInt(value)),
+  soglia_minuti: (value) => (value ? parseInt(value) : null),
+  escalation_policy_id: toOptional
+};
+
+const requireAlarmInScope = (req, res, next) => {
+  const alarm = db.prepare('SELECT vehicle_id FROM alarms WHERE id = ?').get(req.params.id);
+  if (!alarm || (alarm.vehicle_id && !vehicleController.isVehicleInScope(scopeOf(req), alarm.vehicle_id))) {
+    return res.status(404).json({ error: 'Allarme non trovato' });
+  }
+  if (!checkAlarmVehicle(req, res, alarm.vehicle_id)) return;
+  next();
+};
+
 /**
  * GET /api/alarms - Lista allarmi
  */
@@ -540,14 +859,19 @@ router.get('/alarms', (req, res) => {
       SELECT a.*, 
         v.nickname as vehicle_name, v.targa_camion,
         g.nome as geofence_nome,
-        r.nome as route_nome
+        r.nome as route_nome,
+        ep.nome as escalation_policy_nome
       FROM alarms a
       LEFT JOIN vehicles v ON a.vehicle_id = v.id
       LEFT JOIN geofences g ON a.geofence_id = g.id
       LEFT JOIN routes r ON a.route_id = r.id
+      LEFT JOIN escalation_policies ep ON a.escalation_policy_id = ep.id
       ORDER BY a.priorita DESC, a.nome
     `).all();
-    res.json(alarms);
+
+    // Gli allarmi senza veicolo valgono per tutta la flotta
+    const scope = scopeOf(req);
+    res.json(alarms.filter(a => !a.vehicle_id || vehicleController.isVehicleInScope(scope, a.vehicle_id)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -556,22 +880,34 @@ router.get('/alarms', (req, res) => {
 /**
  * POST /api/alarms - Crea allarme
  */
-router.post('/alarms', (req, res) => {
+router.post('/alarms', requireRole('operator'), (req, res) => {
   try {
     const { nome, tipo, vehicle_id, geofence_id, route_id, checkpoint_id,
             ora_inizio, ora_fine, giorni_settimana, notifica_telegram, 
-            notifica_push, notifica_chiamata, priorita } = req.body;
+            notifica_push, notifica_chiamata, priorita,
+            soglia_velocita, durata_minima_secondi, soglia_minuti, escalation_policy_id } = req.body;
     
     if (!nome || !tipo) {
       return res.status(400).json({ error: 'Nome e tipo richiesti' });
     }
 
+    if (tipo === 'speed' && !(parseFloat(soglia_velocita) > 0)) {
+      return res.status(400).json({ error: 'Soglia velocità richiesta per allarmi di tipo speed' });
+    }
+
+    if (tipo === 'dwell' && !(parseInt(soglia_minuti) > 0)) {
+      return res.status(400).json({ error: 'Soglia in minuti richiesta per allarmi di tipo dwell' });
+    }
+
+    if (!checkAlarmVehicle(req, res, vehicle_id)) return;
+
     const result = db.prepare(`
       INSERT INTO alarms 
       (nome, tipo, vehicle_id, geofence_id, route_id, checkpoint_id,
        ora_inizio, ora_fine, giorni_settimana, notifica_telegram, 
-       notifica_push, notifica_chiamata, priorita)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       notifica_push, notifica_chiamata, priorita,
+       soglia_velocita, durata_minima_secondi, soglia_minuti, escalation_policy_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       nome,
       tipo,
@@ -585,7 +921,11 @@ router.post('/alarms', (req, res) => {
       notifica_telegram !== false ? 1 : 0,
       notifica_push !== false ? 1 : 0,
       notifica_chiamata || 0,
-      priorita || 1
+      priorita || 1,
+      soglia_velocita ? parseFloat(soglia_velocita) : null,
+      durata_minima_secondi != null && durata_minima_secondi !== '' ? parseInt(durata_minima_secondi) : 60,
+      soglia_minuti ? parseInt(soglia_minuti) : null,
+      escalation_policy_id || null
     );
 
     const alarm = db.prepare('SELECT * FROM alarms WHERE id = ?').get(result.lastInsertRowid);
@@ -598,34 +938,31 @@ router.post('/alarms', (req, res) => {
 /**
  * PUT /api/alarms/:id - Aggiorna allarme
  */
-router.put('/alarms/:id', (req, res) => {
+router.put('/alarms/:id', requireRole('operator'), requireAlarmInScope, (req, res) => {
   try {
-    const { nome, tipo, vehicle_id, geofence_id, route_id, checkpoint_id,
-            ora_inizio, ora_fine, giorni_settimana, notifica_telegram, 
-            notifica_push, notifica_chiamata, attivo, priorita } = req.body;
-    
-    db.prepare(`
-      UPDATE alarms 
-      SET nome = COALESCE(?, nome),
-          tipo = COALESCE(?, tipo),
-          vehicle_id = ?,
-          geofence_id = ?,
-          route_id = ?,
-          checkpoint_id = ?,
-          ora_inizio = ?,
-          ora_fine = ?,
-          giorni_settimana = COALESCE(?, giorni_settimana),
-          notifica_telegram = COALESCE(?, notifica_telegram),
-          notifica_push = COALESCE(?, notifica_push),
-          notifica_chiamata = COALESCE(?, notifica_chiamata),
-          attivo = COALESCE(?, attivo),
-          priorita = COALESCE(?, priorita)
-      WHERE id = ?
-    `).run(
-      nome, tipo, vehicle_id, geofence_id, route_id, checkpoint_id,
-      ora_inizio, ora_fine, giorni_settimana, notifica_telegram,
-      notifica_push, notifica_chiamata, attivo, priorita, req.params.id
-    );
+    const { soglia_velocita, durata_minima_secondi } = req.body;
+
+    if (req.body.vehicle_id !== undefined && !checkAlarmVehicle(req, res, req.body.vehicle_id)) return;
+
+    // Aggiornamento parziale: cambiano solo i campi presenti nel body (es. solo attivo o la policy)
+    const fields = [];
+    const values = [];
+    for (const [key, value] of Object.entries(req.body)) {
+      if (!Object.hasOwn(ALARM_UPDATE_FIELDS, key) || value === undefined) continue;
+      const column = ALARM_UPDATE_FIELDS[key](value);
+      if (column === undefined) continue;
+      fields.push(`${key} = ?`);
+      values.push(column);
+    }
+
+    if (fields.length > 0) {
+      db.prepare(`UPDATE alarms SET ${fields.join(', ')} WHERE id = ?`).run(...values, req.params.id);
+    }
+
+    // Soglie cambiate: riparte il conteggio dei superamenti
+    if (soglia_velocita !== undefined || durata_minima_secondi !== undefined) {
+      db.prepare('DELETE FROM vehicle_speed_status WHERE alarm_id = ?').run(req.params.id);
+    }
 
     const alarm = db.prepare('SELECT * FROM alarms WHERE id = ?').get(req.params.id);
     res.json(alarm);
@@ -637,8 +974,9 @@ router.put('/alarms/:id', (req, res) => {
 /**
  * DELETE /api/alarms/:id - Elimina allarme
  */
-router.delete('/alarms/:id', (req, res) => {
+router.delete('/alarms/:id', requireRole('operator'), requireAlarmInScope, (req, res) => {
   try {
+    db.prepare('DELETE FROM vehicle_speed_status WHERE alarm_id = ?').run(req.params.id);
     db.prepare('DELETE FROM alarms WHERE id = ?').run(req.params.id);
     res.json({ success: true });
   } catch (error) {
@@ -650,12 +988,14 @@ router.delete('/alarms/:id', (req, res) => {
 
 /**
  * GET /api/events - Lista eventi
+ * Query: limit, vehicle_id, tipo | types, stato (open, acknowledged, resolved)
  */
 router.get('/events', (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const vehicleId = req.query.vehicle_id;
     const tipo = req.query.tipo;
+    const stato = req.query.stato;
     const types = req.query.types ? (typeof req.query.types === 'string' ? [req.query.types] : req.query.types) : null;
 
     let query = `
@@ -681,6 +1021,15 @@ router.get('/events', (req, res) => {
       params.push(tipo);
     }
 
+    if (stato) {
+      query += ' AND e.stato = ?';
+      params.push(stato);
+    }
+
+    const scoped = scopeSql(scopeOf(req), 'e.vehicle_id');
+    query += scoped.sql;
+    params.push(...scoped.params);
+
     query += ' ORDER BY e.created_at DESC LIMIT ?';
     params.push(limit);
 
@@ -691,6 +1040,183 @@ router.get('/events', (req, res) => {
   }
 });
 
+// Presa in carico, risoluzione e riapertura di un evento visibile all'utente
+const eventLifecycleAction = (action) => (req, res) => {
+  try {
+    const event = db.prepare('SELECT id, vehicle_id FROM events WHERE id = ?').get(req.params.id);
+    if (!event || !vehicleController.isVehicleInScope(scopeOf(req), event.vehicle_id)) {
+      return res.status(404).json({ error: 'Evento non trovato' });
+    }
+
+    const options = { by: req.user.username, via: 'web', commento: req.body?.commento?.trim() || null };
+    const result = action === 'reopen'
+      ? alarmLifecycleService.reopen(event.id)
+      : alarmLifecycleService[action](event.id, options);
+
+    if (!result.success) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(result.event);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * POST /api/events/:id/acknowledge - Prende in carico l'evento e chiude le escalation in corso
+ * Body: { commento }
+ */
+router.post('/events/:id/acknowledge', requireRole('operator'), eventLifecycleAction('acknowledge'));
+
+/**
+ * POST /api/events/:id/resolve - Risolve l'evento (se aperto vale anche come presa in carico)
+ * Body: { commento }
+ */
+router.post('/events/:id/resolve', requireRole('operator'), eventLifecycleAction('resolve'));
+
+/**
+ * POST /api/events/:id/reopen - Riapre un evento preso in carico o risolto
+ */
+router.post('/events/:id/reopen', requireRole('operator'), eventLifecycleAction('reopen'));
+
+/**
+ * GET /api/door-events - Registro aperture/chiusure vano carico
+ * Query: vehicle_id, from, to, unauthorized (true = solo aperture non autorizzate), limit
+ */
+router.get('/door-events', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const { vehicle_id, from, to, unauthorized } = req.query;
+
+    let query = `
+      SELECT d.*, v.nickname as vehicle_name, g.nome as geofence_nome, ts.nome as tappa_nome
+      FROM door_events d
+      LEFT JOIN vehicles v ON d.vehicle_id = v.id
+      LEFT JOIN geofences g ON d.geofence_id = g.id
+      LEFT JOIN trip_stops ts ON d.trip_stop_id = ts.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (vehicle_id) {
+      query += ' AND d.vehicle_id = ?';
+      params.push(vehicle_id);
+    }
+    if (from) {
+      query += ' AND d.opened_at >= datetime(?)';
+      params.push(from);
+    }
+    if (to) {
+      query += ' AND d.opened_at <= datetime(?)';
+      params.push(to);
+    }
+    if (unauthorized === 'true') {
+      query += ' AND d.autorizzata = 0';
+    }
+
+    const scoped = scopeSql(scopeOf(req), 'd.vehicle_id');
+    query += scoped.sql;
+    params.push(...scoped.params);
+
+    query += ' ORDER BY d.opened_at DESC LIMIT ?';
+    params.push(limit);
+
+    res.json(db.prepare(query).all(...params));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/geofence-visits - Permanenze dei veicoli nei geofence (ingresso, uscita, durata)
+ * Query: geofence_id, vehicle_id, from, to, open (true = solo veicoli ancora dentro), limit
+ */
+router.get('/geofence-visits', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 200;
+    const { geofence_id, vehicle_id, from, to, open } = req.query;
+
+    let query = `
+      SELECT gv.id, gv.vehicle_id, gv.geofence_id, gv.entered_at, gv.exited_at,
+             COALESCE(gv.durata_secondi, CAST((julianday('now') - julianday(gv.entered_at)) * 86400 AS INTEGER)) as durata_secondi,
+             gv.exited_at IS NULL as in_corso,
+             v.nickname as vehicle_name, v.targa_camion, g.nome as geofence_nome
+      FROM geofence_visits gv
+      LEFT JOIN vehicles v ON gv.vehicle_id = v.id
+      LEFT JOIN geofences g ON gv.geofence_id = g.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (geofence_id) {
+      query += ' AND gv.geofence_id = ?';
+      params.push(geofence_id);
+    }
+    if (vehicle_id) {
+      query += ' AND gv.vehicle_id = ?';
+      params.push(vehicle_id);
+    }
+    if (from) {
+      query += ' AND gv.entered_at >= datetime(?)';
+      params.push(from);
+    }
+    if (to) {
+      query += ' AND gv.entered_at <= datetime(?)';
+      params.push(to);
+    }
+    if (open === 'true') {
+      query += ' AND gv.exited_at IS NULL';
+    }
+
+    const scoped = scopeSql(scopeOf(req), 'gv.vehicle_id');
+    query += scoped.sql;
+    params.push(...scoped.params);
+
+    query += ' ORDER BY gv.entered_at DESC LIMIT ?';
+    params.push(limit);
+
+    res.json(db.prepare(query).all(...params));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/geofence-visits/stats - Tempi di attesa per geofence (solo permanenze concluse)
+ * Query: from, to (default ultimi 30 giorni)
+ */
+router.get('/geofence-visits/stats', (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    let query = `
+      SELECT gv.geofence_id, g.nome as geofence_nome,
+             COUNT(*) as visite,
+             CAST(ROUND(AVG(gv.durata_secondi)) AS INTEGER) as durata_media_secondi,
+             MAX(gv.durata_secondi) as durata_massima_secondi
+      FROM geofence_visits gv
+      JOIN geofences g ON gv.geofence_id = g.id
+      WHERE gv.exited_at IS NOT NULL AND gv.entered_at >= datetime(?)
+    `;
+    const params = [from || new Date(Date.now() - 30 * 24 * 3600 * 1000).toISOString()];
+
+    if (to) {
+      query += ' AND gv.entered_at <= datetime(?)';
+      params.push(to);
+    }
+
+    const scoped = scopeSql(scopeOf(req), 'gv.vehicle_id');
+    query += scoped.sql;
+    params.push(...scoped.params);
+
+    query += ' GROUP BY gv.geofence_id ORDER BY durata_media_secondi DESC';
+
+    res.json(db.prepare(query).all(...params));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== MONITORAGGIO ====================
 
 /**
@@ -703,7 +1229,7 @@ router.get('/monitoring/status', (req, res) => {
 /**
  * POST /api/monitoring/check - Forza controllo immediato
  */
-router.post('/monitoring/check', async (req, res) => {
+router.post('/monitoring/check', requireRole('operator'), async (req, res) => {
   try {
     await monitoringService.forceCheck();
     res.json({ success: true, message: 'Controllo completato' });
@@ -715,7 +1241,7 @@ router.post('/monitoring/check', async (req, res) => {
 /**
  * POST /api/monitoring/start - Avvia monitoraggio
  */
-router.post('/monitoring/start', (req, res) => {
+router.post('/monitoring/start', requireRole('admin'), (req, res) => {
   monitoringService.start();
   res.json({ success: true, status: monitoringService.getStatus() });
 });
@@ -723,11 +1249,343 @@ router.post('/monitoring/start', (req, res) => {
 /**
  * POST /api/monitoring/stop - Ferma monitoraggio
  */
-router.post('/monitoring/stop', (req, res) => {
+router.post('/monitoring/stop', requireRole('admin'), (req, res) => {
   monitoringService.stop();
   res.json({ success: true, status: monitoringService.getStatus() });
 });
 
+/**
+ * GET /api/stream - Stream real-time (Server-Sent Events) di posizioni, eventi, notifiche e stato monitoraggio
+ */
+router.get('/stream', (req, res) => {
+  realtimeService.handleConnection(req, res, { user: req.user });
+});
+
+// ==================== SIMULATORE ====================
+
+/**
+ * GET /api/simulator/status - Scenario e orologio del simulatore Record Italia
+ */
+router.get('/simulator/status', requireRole('admin'), (req, res) => {
+  try {
+    res.json(simulatorService.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulator/clock - Accelera o manda avanti l'orologio simulato
+ * Body: { speed?, advanceMinutes? }
+ */
+router.post('/simulator/clock', requireRole('admin'), (req, res) => {
+  try {
+    if (!clockService.simulated) {
+      return res.status(400).json({ error: 'Orologio simulato disponibile solo con il simulatore Record Italia attivo' });
+    }
+
+    const { speed, advanceMinutes } = req.body;
+    if (speed !== undefined) {
+      const value = parseFloat(speed);
+      if (!(value > 0) || value > 3600) {
+        return res.status(400).json({ error: 'Velocità non valida (maggiore di 0, massimo 3600)' });
+      }
+      clockService.setSpeed(value);
+    }
+    if (advanceMinutes !== undefined) {
+      const minutes = parseFloat(advanceMinutes);
+      if (!(minutes > 0)) {
+        return res.status(400).json({ error: 'advanceMinutes deve essere positivo' });
+      }
+      clockService.advance(minutes * 60 * 1000);
+    }
+
+    res.json(simulatorService.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/simulator/reset - Ricarica lo scenario e lo fa ripartire dall'ora corrente
+ */
+router.post('/simulator/reset', requireRole('admin'), (req, res) => {
+  try {
+    if (!simulatorService.enabled) {
+      return res.status(400).json({ error: 'Simulatore non attivo' });
+    }
+    simulatorService.reset();
+    res.json(simulatorService.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== WEBHOOK ====================
+
+/**
+ * GET /api/webhooks/event-types - Tipi di evento sottoscrivibili
+ */
+router.get('/webhooks/event-types', requireRole('admin'), (req, res) => {
+  res.json(WEBHOOK_EVENT_TYPES);
+});
+
+/**
+ * GET /api/webhooks - Lista sottoscrizioni con riepilogo consegne
+ */
+router.get('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const subscriptions = db.prepare(`
+      SELECT s.*,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = s.id AND stato = 'delivered') as delivered_count,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = s.id AND stato = 'pending') as pending_count,
+        (SELECT COUNT(*) FROM webhook_deliveries WHERE subscription_id = s.id AND stato = 'failed') as failed_count
+      FROM webhook_subscriptions s
+      ORDER BY s.nome
+    `).all();
+    res.json(subscriptions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Valida URL e tipi evento di una sottoscrizione
+ * @returns {string|null} Messaggio di errore
+ */
+function validateWebhook({ url, event_types }) {
+  if (url !== undefined) {
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return 'URL deve essere http o https';
+    } catch {
+      return 'URL non valido';
+    }
+  }
+  if (event_types !== undefined) {
+    if (!Array.isArray(event_types) || event_types.length === 0) return 'Selezionare almeno un tipo di evento';
+    const unknown = event_types.filter(t => t !== '*' && !WEBHOOK_EVENT_TYPES[t]);
+    if (unknown.length > 0) return `Tipi evento non validi: ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * POST /api/webhooks - Crea sottoscrizione
+ * Body: { nome, url, secret (opzionale, generato se assente), event_types: ['enter', ...] | ['*'], attivo }
+ */
+router.post('/webhooks', requireRole('admin'), (req, res) => {
+  try {
+    const { nome, url, secret, event_types = ['*'], attivo = true } = req.body;
+
+    if (!nome || !url) {
+      return res.status(400).json({ error: 'Nome e URL obbligatori' });
+    }
+    const validationError = validateWebhook({ url, event_types });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO webhook_subscriptions (nome, url, secret, event_types, attivo)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(nome, url, secret || webhookService.generateSecret(), event_types.join(','), attivo ? 1 : 0);
+
+    res.status(201).json(db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(result.lastInsertRowid));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id - Aggiorna sottoscrizione
+ */
+router.put('/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { nome, url, secret, event_types, attivo } = req.body;
+
+    const validationError = validateWebhook({ url, event_types });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = db.prepare(`
+      UPDATE webhook_subscriptions SET
+        nome = COALESCE(?, nome),
+        url = COALESCE(?, url),
+        secret = COALESCE(?, secret),
+        event_types = COALESCE(?, event_types),
+        attivo = COALESCE(?, attivo),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      nome || null,
+      url || null,
+      secret || null,
+      event_types ? event_types.join(',') : null,
+      attivo === undefined ? null : (attivo ? 1 : 0),
+      req.params.id
+    );
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Webhook non trovato' });
+    }
+    res.json(db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id - Elimina sottoscrizione e registro consegne
+ */
+router.delete('/webhooks/:id', requireRole('admin'), (req, res) => {
+  try {
+    db.transaction(() => {
+      db.prepare('DELETE FROM webhook_deliveries WHERE subscription_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM webhook_subscriptions WHERE id = ?').run(req.params.id);
+    })();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries - Registro consegne di una sottoscrizione
+ * Query: stato (pending|delivered|failed), limit
+ */
+router.get('/webhooks/:id/deliveries', requireRole('admin'), (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    let query = 'SELECT * FROM webhook_deliveries WHERE subscription_id = ?';
+    const params = [req.params.id];
+
+    if (req.query.stato) {
+      query += ' AND stato = ?';
+      params.push(req.query.stato);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    res.json(db.prepare(query).all(...params));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test - Invia un evento di prova
+ */
+router.post('/webhooks/:id/test', requireRole('admin'), (req, res) => {
+  try {
+    const subscription = db.prepare('SELECT * FROM webhook_subscriptions WHERE id = ?').get(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook non trovato' });
+    }
+    const deliveryId = webhookService.sendTest(subscription);
+    res.json({ success: true, deliveryId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/retry - Rimette in coda una consegna
+ */
+router.post('/webhooks/deliveries/:id/retry', requireRole('admin'), (req, res) => {
+  try {
+    if (!webhookService.retryDelivery(req.params.id)) {
+      return res.status(404).json({ error: 'Consegna non trovata' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== CODA NOTIFICHE ====================
+
+/**
+ * GET /api/notification-queue/stats - Notifiche allarme in coda, in dead-letter e inviate nelle ultime 24 ore
+ */
+router.get('/notification-queue/stats', requireRole('admin'), (req, res) => {
+  try {
+    const escalations = db.prepare(`
+      SELECT
+        COALESCE(SUM(next_escalation_at IS NOT NULL AND risposta_ricevuta = 0), 0) as pending,
+        COALESCE(SUM(stato = 'escalation_failed'), 0) as failed
+      FROM alarm_notifications
+    `).get();
+    res.json({ ...notificationOutboxService.getStats(), escalations });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/notification-queue - Notifiche allarme della coda persistente
+ * Query: stato (pending|sent|failed|discarded), limit
+ */
+router.get('/notification-queue', requireRole('admin'), (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    let query = 'SELECT * FROM notification_outbox';
+    const params = [];
+
+    if (req.query.stato) {
+      query += ' WHERE stato = ?';
+      params.push(req.query.stato);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const entries = db.prepare(query).all(...params).map(({ payload, ...entry }) => {
+      const task = JSON.parse(payload);
+      return {
+        ...entry,
+        vehicle: task.vehicle?.nickname || task.vehicle?.targa_camion || task.trip?.targa_motrice || null,
+        geofence: task.geofence?.nome || task.stop?.nome || null,
+        alarm: task.alarm?.nome || (task.trip ? `Viaggio: ${task.trip.nome}` : null),
+        queuedAt: task.queuedAt || null
+      };
+    });
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/notification-queue/:id/retry - Rimette in coda una notifica non consegnata
+ */
+router.post('/notification-queue/:id/retry', requireRole('admin'), (req, res) => {
+  try {
+    if (!notificationOutboxService.retry(req.params.id)) {
+      return res.status(404).json({ error: 'Notifica non trovata' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/notification-queue/:id/discard - Scarta una notifica in dead-letter
+ */
+router.post('/notification-queue/:id/discard', requireRole('admin'), (req, res) => {
+  try {
+    if (!notificationOutboxService.discard(req.params.id)) {
+      return res.status(404).json({ error: 'Notifica non trovata' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== UTILITY ====================
 
 /**
@@ -760,8 +1618,9 @@ router.get('/routes', (req, res) => {
       ORDER BY r.created_at DESC
     `).all();
     
-    // Aggiungi destinazioni a ogni tratta per la preview
-    const routesWithDests = routes.map(route => {
+    // Aggiungi destinazioni a ogni tratta per la preview (solo tratte dei veicoli visibili)
+    const scope = scopeOf(req);
+    const routesWithDests = routes.filter(route => vehicleController.isPlateInScope(scope, route.vehicle_plate)).map(route => {
       const destinations = db.prepare(`
         SELECT * FROM route_destinations 
         WHERE route_id = ? 
@@ -779,7 +1638,7 @@ router.get('/routes', (req, res) => {
 /**
  * GET /api/routes/:id - Dettaglio tratta con destinazioni
  */
-router.get('/routes/:id', (req, res) => {
+router.get('/routes/:id', requireRouteInScope, (req, res) => {
   try {
     const route = db.prepare('SELECT * FROM routes WHERE id = ?').get(req.params.id);
     if (!route) {
@@ -801,13 +1660,16 @@ router.get('/routes/:id', (req, res) => {
 /**
  * POST /api/routes - Crea nuova tratta
  */
-router.post('/routes', (req, res) => {
+router.post('/routes', requireRole('operator'), (req, res) => {
   try {
     const { nome, descrizione, vehicle_id, tipo, data_viaggio, giorni_settimana, attivo, destinations } = req.body;
     
     if (!nome) {
       return res.status(400).json({ error: 'Nome richiesto' });
     }
+    if (vehicle_id && !vehicleController.isVehicleInScope(scopeOf(req), vehicle_id)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
     // Crea tratta
     const result = db.prepare(`
@@ -863,9 +1725,12 @@ router.post('/routes', (req, res) => {
 /**
  * PUT /api/routes/:id - Aggiorna tratta
  */
-router.put('/routes/:id', (req, res) => {
+router.put('/routes/:id', requireRole('operator'), requireRouteInScope, (req, res) => {
   try {
     const { nome, descrizione, vehicle_id, tipo, data_viaggio, giorni_settimana, attivo, destinations } = req.body;
+    if (vehicle_id && !vehicleController.isVehicleInScope(scopeOf(req), vehicle_id)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
     db.prepare(`
       UPDATE routes 
@@ -921,7 +1786,7 @@ router.put('/routes/:id', (req, res) => {
 /**
  * DELETE /api/routes/:id - Elimina tratta
  */
-router.delete('/routes/:id', (req, res) => {
+router.delete('/routes/:id', requireRole('operator'), requireRouteInScope, (req, res) => {
   try {
     db.prepare('DELETE FROM routes WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -933,7 +1798,7 @@ router.delete('/routes/:id', (req, res) => {
 /**
  * POST /api/routes/:id/check-arrival - Verifica arrivo a destinazione
  */
-router.post('/routes/:id/check-arrival', async (req, res) => {
+router.post('/routes/:id/check-arrival', requireRole('operator'), requireRouteInScope, async (req, res) => {
   try {
     const { latitude, longitude } = req.body;
     const route = db.prepare('SELECT * FROM routes WHERE id = ?').get(req.params.id);
@@ -978,7 +1843,7 @@ router.post('/routes/:id/check-arrival', async (req, res) => {
 /**
  * POST /api/routes/:id/reset - Reset arrivi tratta
  */
-router.post('/routes/:id/reset', (req, res) => {
+router.post('/routes/:id/reset', requireRole('operator'), requireRouteInScope, (req, res) => {
   try {
     db.prepare(`
       UPDATE route_destinations 
@@ -1049,7 +1914,7 @@ router.get('/templates/:id', (req, res) => {
 /**
  * POST /api/templates - Crea template percorso
  */
-router.post('/templates', (req, res) => {
+router.post('/templates', requireRole('operator'), (req, res) => {
   try {
     const { nome, descrizione, distanza_km, durata_minuti, polyline, stops, colore, giorni_settimana } = req.body;
     
@@ -1098,7 +1963,7 @@ router.post('/templates', (req, res) => {
 /**
  * PUT /api/templates/:id - Aggiorna template
  */
-router.put('/templates/:id', (req, res) => {
+router.put('/templates/:id', requireRole('operator'), (req, res) => {
   try {
     const { nome, descrizione, distanza_km, durata_minuti, polyline, stops, colore, giorni_settimana } = req.body;
     
@@ -1151,7 +2016,7 @@ router.put('/templates/:id', (req, res) => {
 /**
  * DELETE /api/templates/:id - Elimina template
  */
-router.delete('/templates/:id', (req, res) => {
+router.delete('/templates/:id', requireRole('operator'), (req, res) => {
   try {
     db.prepare('UPDATE route_templates SET attivo = 0 WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -1163,7 +2028,7 @@ router.delete('/templates/:id', (req, res) => {
 /**
  * POST /api/templates/:id/stops - Aggiungi tappa al template
  */
-router.post('/templates/:id/stops', (req, res) => {
+router.post('/templates/:id/stops', requireRole('operator'), (req, res) => {
   try {
     const templateId = req.params.id;
     const { nome, indirizzo, lat, lng, place_id, raggio_arrivo_metri, tempo_sosta, ordine } = req.body;
@@ -1200,7 +2065,7 @@ router.post('/templates/:id/stops', (req, res) => {
 /**
  * PUT /api/templates/:id/stops/:stopId - Aggiorna tappa del template
  */
-router.put('/templates/:id/stops/:stopId', (req, res) => {
+router.put('/templates/:id/stops/:stopId', requireRole('operator'), (req, res) => {
   try {
     const { nome, indirizzo, lat, lng, place_id, raggio_arrivo_metri, tempo_sosta, ordine } = req.body;
     
@@ -1227,7 +2092,7 @@ router.put('/templates/:id/stops/:stopId', (req, res) => {
 /**
  * DELETE /api/templates/:id/stops/:stopId - Elimina tappa dal template
  */
-router.delete('/templates/:id/stops/:stopId', (req, res) => {
+router.delete('/templates/:id/stops/:stopId', requireRole('operator'), (req, res) => {
   try {
     db.prepare('DELETE FROM template_stops WHERE id = ? AND template_id = ?').run(req.params.stopId, req.params.id);
     
@@ -1245,6 +2110,15 @@ router.delete('/templates/:id/stops/:stopId', (req, res) => {
 
 // ==================== VIAGGI (ISTANZE CALENDARIO) ====================
 
+// Viaggio su una motrice visibile all'utente (quelli senza motrice solo per chi vede tutta la flotta)
+const requireTripInScope = (req, res, next) => {
+  const trip = db.prepare('SELECT targa_motrice FROM trips WHERE id = ?').get(req.params.id ?? req.params.tripId);
+  if (!trip || !vehicleController.isPlateInScope(scopeOf(req), trip.targa_motrice)) {
+    return res.status(404).json({ error: 'Viaggio non trovato' });
+  }
+  next();
+};
+
 /**
  * GET /api/trips - Lista viaggi (filtro per data/range)
  */
@@ -1253,11 +2127,11 @@ router.get('/trips', (req, res) => {
     const { data, from, to, stato } = req.query;
     
     let query = `
-      SELECT t.id, t.template_id, t.data_viaggio as data, t.ora_partenza, t.ora_arrivo_prevista,
-        t.vehicle_plate, t.stato, t.note, t.created_at, t.updated_at,
+      SELECT t.id, t.template_id, t.nome, t.data_viaggio as data, t.ora_partenza,
+        t.targa_motrice as vehicle_plate, t.stato, t.note, t.created_at, t.updated_at,
         rt.nome as template_nome, rt.colore as template_colore,
         (SELECT COUNT(*) FROM trip_stops WHERE trip_id = t.id) as stops_count,
-        (SELECT COUNT(*) FROM trip_stops WHERE trip_id = t.id AND stato = 'raggiunta') as completed_count
+        (SELECT COUNT(*) FROM trip_stops WHERE trip_id = t.id AND stato IN ('raggiunta', 'completata')) as completed_count
       FROM trips t
       LEFT JOIN route_templates rt ON t.template_id = rt.id
       WHERE 1=1
@@ -1279,17 +2153,24 @@ router.get('/trips', (req, res) => {
     
     query += ' ORDER BY t.data_viaggio, t.ora_partenza';
     
-    const trips = db.prepare(query).all(...params);
+    const scope = scopeOf(req);
+    const trips = db.prepare(query).all(...params)
+      .filter(trip => vehicleController.isPlateInScope(scope, trip.vehicle_plate));
     
     // Carica le tappe per ogni viaggio
     const tripsWithStops = trips.map(trip => {
       const stops = db.prepare(`
         SELECT id, ordine, nome, indirizzo, stato, ora_arrivo_effettiva as ora_arrivo, ora_partenza_effettiva as ora_partenza,
+        ora_arrivo_prevista, eta, eta_pause_minuti,
         CASE WHEN stato = 'raggiunta' OR stato = 'completata' THEN 1 ELSE 0 END as completato
         FROM trip_stops 
         WHERE trip_id = ? 
         ORDER BY ordine
-      `).all(trip.id);
+      `).all(trip.id)
+        .map(stop => ({
+          ...stop,
+          eta_scarto_minuti: tripMonitoringService.getEtaDelay({ data_viaggio: trip.data, ora_partenza: trip.ora_partenza }, stop)
+        }));
       return { ...trip, stops };
     });
     
@@ -1324,9 +2205,10 @@ router.get('/trips/calendar', (req, res) => {
       ORDER BY t.data_viaggio, t.ora_partenza
     `).all(startDate, endDate);
     
-    // Raggruppa per data
+    // Raggruppa per data (solo viaggi dei veicoli visibili all'utente)
+    const scope = scopeOf(req);
     const calendar = {};
-    trips.forEach(trip => {
+    trips.filter(trip => vehicleController.isPlateInScope(scope, trip.targa_motrice)).forEach(trip => {
       if (!calendar[trip.data_viaggio]) {
         calendar[trip.data_viaggio] = [];
       }
@@ -1340,28 +2222,187 @@ router.get('/trips/calendar', (req, res) => {
 });
 
 /**
- * GET /api/trips/:id - Dettaglio viaggio con tappe
+ * GET /api/trips/:id - Dettaglio viaggio con tappe
+ */
+router.get('/trips/:id', (req, res) => {
+  try {
+    const trip = db.prepare(`
+      SELECT t.*, rt.nome as template_nome
+      FROM trips t
+      LEFT JOIN route_templates rt ON t.template_id = rt.id
+      WHERE t.id = ?
+    `).get(req.params.id);
+    
+    if (!trip || !vehicleController.isPlateInScope(scopeOf(req), trip.targa_motrice)) {
+      return res.status(404).json({ error: 'Viaggio non trovato' });
+    }
+    
+    const stops = db.prepare(`
+      SELECT * FROM trip_stops 
+      WHERE trip_id = ? 
+      ORDER BY ordine
+    `).all(req.params.id)
+      .map(stop => ({ ...stop, eta_scarto_minuti: tripMonitoringService.getEtaDelay(trip, stop) }));
+    
+    res.json({ ...trip, stops });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trips/active/:targa - Viaggio in corso della motrice (o del rimorchio) con ETA delle tappe
+ * Risponde null se il veicolo non ha viaggi in corso
+ */
+router.get('/trips/active/:targa', (req, res) => {
+  try {
+    const plate = req.params.targa.toUpperCase().replace(/\*+$/, '');
+    if (!vehicleController.isPlateInScope(scopeOf(req), plate)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
+
+    const trip = db.prepare(`
+      SELECT t.*, rt.nome as template_nome
+      FROM trips t
+      LEFT JOIN route_templates rt ON t.template_id = rt.id
+      WHERE t.stato = 'in_corso' AND (UPPER(t.targa_motrice) = ? OR UPPER(t.targa_rimorchio) = ?)
+      ORDER BY t.data_viaggio DESC, t.ora_partenza DESC
+      LIMIT 1
+    `).get(plate, plate);
+    if (!trip) return res.json(null);
+
+    const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(trip.id)
+      .map(stop => ({ ...stop, eta_scarto_minuti: tripMonitoringService.getEtaDelay(trip, stop) }));
+
+    res.json({ ...trip, stops });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trips/:id/temperature-log - Registro temperature HACCP del viaggio
+ * Query: format (json|csv|pdf, default json), from, to (default: durata del viaggio)
+ */
+router.get('/trips/:id/temperature-log', (req, res) => {
+  try {
+    const { format = 'json', from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Parametri from/to non validi' });
+    }
+
+    const trip = db.prepare('SELECT targa_motrice FROM trips WHERE id = ?').get(req.params.id);
+    const log = trip && vehicleController.isPlateInScope(scopeOf(req), trip.targa_motrice)
+      ? temperatureMonitoringService.getTripTemperatureLog(req.params.id, { from, to })
+      : null;
+    if (!log) {
+      return res.status(404).json({ error: 'Viaggio non trovato' });
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${haccpReportService.getFileName(log, 'csv')}"`);
+      return res.send(haccpReportService.toCsv(log));
+    }
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${haccpReportService.getFileName(log, 'pdf')}"`);
+      return haccpReportService.writePdf(log, res);
+    }
+
+    res.json(log);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trips/:id/track - Traccia del viaggio (percorso registrato, soste, tappe e percorso pianificati)
+ * Query: format (gpx|kml|geojson, default geojson), from, to (default: durata del viaggio)
+ */
+router.get('/trips/:id/track', (req, res) => {
+  try {
+    const { format = 'geojson', from, to } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Parametri from/to non validi' });
+    }
+
+    if (!TRACK_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Formato non valido, usa ${TRACK_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const trip = db.prepare('SELECT * FROM trips WHERE id = ?').get(req.params.id);
+    if (!trip || !vehicleController.isPlateInScope(scopeOf(req), trip.targa_motrice)) {
+      return res.status(404).json({ error: 'Viaggio non trovato' });
+    }
+
+    const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(trip.id);
+    const track = trackExportService.buildTripTrack(trip, stops, { from, to });
+
+    res.setHeader('Content-Type', `${trackExportService.getContentType(format)}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${trackExportService.getFileName(track, format)}"`);
+    res.send(trackExportService.render(track, format));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/trips/:id/deviations - Deviazioni dal percorso pianificato (tratti fuori corridoio) e percorso
  */
-router.get('/trips/:id', (req, res) => {
+router.get('/trips/:id/deviations', (req, res) => {
   try {
     const trip = db.prepare(`
-      SELECT t.*, rt.nome as template_nome
-      FROM trips t
+      SELECT t.*, rt.polyline as template_polyline FROM trips t
       LEFT JOIN route_templates rt ON t.template_id = rt.id
       WHERE t.id = ?
     `).get(req.params.id);
-    
-    if (!trip) {
+    if (!trip || !vehicleController.isPlateInScope(scopeOf(req), trip.targa_motrice)) {
       return res.status(404).json({ error: 'Viaggio non trovato' });
     }
-    
-    const stops = db.prepare(`
-      SELECT * FROM trip_stops 
-      WHERE trip_id = ? 
-      ORDER BY ordine
-    `).all(req.params.id);
-    
-    res.json({ ...trip, stops });
+
+    const deviations = db.prepare('SELECT * FROM trip_deviations WHERE trip_id = ? AND notificata = 1 ORDER BY started_at')
+      .all(trip.id)
+      .map(({ punti, ...d }) => ({ ...d, punti: JSON.parse(punti || '[]') }));
+
+    res.json({
+      corridoio_metri: trip.corridoio_metri ?? tripMonitoringService.corridorMeters,
+      deviazione_minuti: trip.deviazione_minuti ?? tripMonitoringService.deviationMinutes,
+      personalizzato: trip.corridoio_metri != null || trip.deviazione_minuti != null,
+      percorso: tripMonitoringService.getPlannedPath(trip),
+      deviations
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/trips/:id/corridor - Larghezza del corridoio e minuti fuori percorso prima della notifica
+ * Body: { corridoio_metri (0 = controllo disattivato), deviazione_minuti } - null torna ai valori di default
+ */
+router.put('/trips/:id/corridor', requireRole('operator'), requireTripInScope, (req, res) => {
+  try {
+    const { corridoio_metri, deviazione_minuti } = req.body;
+    const parse = (value) => (value === null || value === undefined || value === '' ? null : parseInt(value));
+    const width = parse(corridoio_metri);
+    const minutes = parse(deviazione_minuti);
+
+    if ((width !== null && !(width >= 0)) || (minutes !== null && !(minutes >= 0))) {
+      return res.status(400).json({ error: 'Corridoio e minuti devono essere numeri positivi' });
+    }
+
+    const result = db.prepare(`
+      UPDATE trips SET corridoio_metri = ?, deviazione_minuti = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(width, minutes, req.params.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Viaggio non trovato' });
+    }
+
+    res.json(db.prepare('SELECT * FROM trips WHERE id = ?').get(req.params.id));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1370,12 +2411,12 @@ router.get('/trips/:id', (req, res) => {
 /**
  * POST /api/trips - Crea nuovo viaggio
  */
-router.post('/trips', (req, res) => {
+router.post('/trips', requireRole('operator'), (req, res) => {
   try {
     const { 
       template_id, nome, descrizione, data_viaggio, data, ora_partenza,
       targa_motrice, targa_rimorchio, vehicle_plate, autista, note,
-      distanza_km, durata_minuti, polyline, stops
+      distanza_km, durata_minuti, polyline, stops, corridoio_metri, deviazione_minuti
     } = req.body;
     
     // Accetta sia data che data_viaggio
@@ -1403,13 +2444,17 @@ router.post('/trips', (req, res) => {
     
     // vehicle_plate può essere passato direttamente
     const motrice = targa_motrice || vehicle_plate || null;
+    if (motrice && !vehicleController.isPlateInScope(scopeOf(req), motrice)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
     const result = db.prepare(`
-      INSERT INTO trips (template_id, nome, descrizione, data_viaggio, ora_partenza, targa_motrice, targa_rimorchio, autista, note, distanza_km, durata_minuti, polyline)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO trips (template_id, nome, descrizione, data_viaggio, ora_partenza, targa_motrice, targa_rimorchio, autista, note, distanza_km, durata_minuti, polyline, corridoio_metri, deviazione_minuti)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       template_id || null, tripName, descrizione || '', dataViaggio, ora_partenza || null,
-      motrice, targa_rimorchio || null, autista || null, note || '', distanza_km || null, durata_minuti || null, polyline || null
+      motrice, targa_rimorchio || null, autista || null, note || '', distanza_km || null, durata_minuti || null, polyline || null,
+      corridoio_metri ?? null, deviazione_minuti ?? null
     );
     
     const tripId = result.lastInsertRowid;
@@ -1491,14 +2536,19 @@ function formatTime(minutes) {
 /**
  * PUT /api/trips/:id - Aggiorna viaggio
  */
-router.put('/trips/:id', (req, res) => {
+router.put('/trips/:id', requireRole('operator'), requireTripInScope, (req, res) => {
   try {
     const { 
       nome, descrizione, data_viaggio, ora_partenza,
       targa_motrice, targa_rimorchio, autista, stato, note,
       distanza_km, durata_minuti, polyline, stops
     } = req.body;
+    if (targa_motrice && !vehicleController.isPlateInScope(scopeOf(req), targa_motrice)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
+    const previousTrip = db.prepare('SELECT * FROM trips WHERE id = ?').get(req.params.id);
+
     db.prepare(`
       UPDATE trips 
       SET nome = COALESCE(?, nome),
@@ -1552,6 +2602,9 @@ router.put('/trips/:id', (req, res) => {
     
     const trip = db.prepare('SELECT * FROM trips WHERE id = ?').get(req.params.id);
     const savedStops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(req.params.id);
+    if (previousTrip && trip) {
+      webhookService.dispatchTripStatus(trip, previousTrip.stato, trip.stato);
+    }
     
     res.json({ ...trip, stops: savedStops });
   } catch (error) {
@@ -1562,7 +2615,7 @@ router.put('/trips/:id', (req, res) => {
 /**
  * PUT /api/trips/:tripId/stops/:stopId - Aggiorna singola tappa (per monitoraggio)
  */
-router.put('/trips/:tripId/stops/:stopId', (req, res) => {
+router.put('/trips/:tripId/stops/:stopId', requireRole('operator'), requireTripInScope, (req, res) => {
   try {
     const { stato, ora_arrivo_effettiva, ora_partenza_effettiva, note } = req.body;
     
@@ -1577,7 +2630,7 @@ router.put('/trips/:tripId/stops/:stopId', (req, res) => {
     
     // Aggiorna stato viaggio se necessario
     const allStops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ?').all(req.params.tripId);
-    const completedStops = allStops.filter(s => s.stato === 'raggiunta').length;
+    const completedStops = allStops.filter(s => s.stato === 'raggiunta' || s.stato === 'completata').length;
     
     let tripStato = 'pianificato';
     if (completedStops > 0 && completedStops < allStops.length) {
@@ -1586,7 +2639,11 @@ router.put('/trips/:tripId/stops/:stopId', (req, res) => {
       tripStato = 'completato';
     }
     
+    const previousTrip = db.prepare('SELECT * FROM trips WHERE id = ?').get(req.params.tripId);
     db.prepare('UPDATE trips SET stato = ? WHERE id = ?').run(tripStato, req.params.tripId);
+    if (previousTrip) {
+      webhookService.dispatchTripStatus(previousTrip, previousTrip.stato, tripStato);
+    }
     
     const stop = db.prepare('SELECT * FROM trip_stops WHERE id = ?').get(req.params.stopId);
     res.json(stop);
@@ -1598,7 +2655,7 @@ router.put('/trips/:tripId/stops/:stopId', (req, res) => {
 /**
  * DELETE /api/trips/:id - Elimina viaggio
  */
-router.delete('/trips/:id', (req, res) => {
+router.delete('/trips/:id', requireRole('operator'), requireTripInScope, (req, res) => {
   try {
     db.prepare('DELETE FROM trips WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -1610,13 +2667,16 @@ router.delete('/trips/:id', (req, res) => {
 /**
  * POST /api/trips/from-template - Crea viaggio da template per date specifiche
  */
-router.post('/trips/from-template', (req, res) => {
+router.post('/trips/from-template', requireRole('operator'), (req, res) => {
   try {
     const { template_id, dates, targa_motrice, targa_rimorchio, ora_partenza } = req.body;
     
     if (!template_id || !dates || !Array.isArray(dates) || dates.length === 0) {
       return res.status(400).json({ error: 'template_id e dates[] richiesti' });
     }
+    if (targa_motrice && !vehicleController.isPlateInScope(scopeOf(req), targa_motrice)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
     const template = db.prepare('SELECT * FROM route_templates WHERE id = ?').get(template_id);
     if (!template) {
@@ -1663,6 +2723,119 @@ router.post('/trips/from-template', (req, res) => {
   }
 });
 
+// ==================== CATENA DEL FREDDO ====================
+
+/**
+ * GET /api/temperature-ranges - Lista range temperatura
+ */
+router.get('/temperature-ranges', (req, res) => {
+  try {
+    const ranges = db.prepare(`
+      SELECT tr.*, t.nome as trip_nome, t.data_viaggio as trip_data
+      FROM temperature_ranges tr
+      LEFT JOIN trips t ON tr.trip_id = t.id
+      ORDER BY tr.nome
+    `).all();
+    res.json(ranges);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/temperature-ranges - Crea range temperatura (per veicolo o per viaggio)
+ */
+router.post('/temperature-ranges', requireRole('operator'), (req, res) => {
+  try {
+    const { nome, vehicle_plate, trip_id, temp_min, temp_max, sonda,
+            minuti_tolleranza, controlla_frigo, notifica_telegram, notifica_push } = req.body;
+
+    if (!nome) {
+      return res.status(400).json({ error: 'Nome richiesto' });
+    }
+    if (!vehicle_plate && !trip_id) {
+      return res.status(400).json({ error: 'Specificare un veicolo o un viaggio' });
+    }
+    if (temp_min == null && temp_max == null && !controlla_frigo) {
+      return res.status(400).json({ error: 'Specificare almeno una soglia o il controllo frigo' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO temperature_ranges
+      (nome, vehicle_plate, trip_id, temp_min, temp_max, sonda,
+       minuti_tolleranza, controlla_frigo, notifica_telegram, notifica_push)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      nome,
+      trip_id ? null : vehicle_plate.toUpperCase(),
+      trip_id || null,
+      temp_min ?? null,
+      temp_max ?? null,
+      sonda || null,
+      minuti_tolleranza ?? 10,
+      controlla_frigo === false ? 0 : 1,
+      notifica_telegram !== false ? 1 : 0,
+      notifica_push !== false ? 1 : 0
+    );
+
+    const range = db.prepare('SELECT * FROM temperature_ranges WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json(range);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/temperature-ranges/:id - Aggiorna range temperatura
+ */
+router.put('/temperature-ranges/:id', requireRole('operator'), (req, res) => {
+  try {
+    const { nome, temp_min, temp_max, sonda, minuti_tolleranza,
+            controlla_frigo, notifica_telegram, notifica_push, attivo } = req.body;
+
+    const toFlag = (v) => (v === undefined || v === null ? null : (v ? 1 : 0));
+
+    db.prepare(`
+      UPDATE temperature_ranges
+      SET nome = COALESCE(?, nome),
+          temp_min = COALESCE(?, temp_min),
+          temp_max = COALESCE(?, temp_max),
+          sonda = COALESCE(?, sonda),
+          minuti_tolleranza = COALESCE(?, minuti_tolleranza),
+          controlla_frigo = COALESCE(?, controlla_frigo),
+          notifica_telegram = COALESCE(?, notifica_telegram),
+          notifica_push = COALESCE(?, notifica_push),
+          attivo = COALESCE(?, attivo)
+      WHERE id = ?
+    `).run(
+      nome ?? null, temp_min ?? null, temp_max ?? null, sonda ?? null, minuti_tolleranza ?? null,
+      toFlag(controlla_frigo), toFlag(notifica_telegram), toFlag(notifica_push), toFlag(attivo),
+      req.params.id
+    );
+
+    // Soglie cambiate: riparte il conteggio delle violazioni
+    db.prepare('DELETE FROM temperature_alarm_status WHERE range_id = ?').run(req.params.id);
+
+    const range = db.prepare('SELECT * FROM temperature_ranges WHERE id = ?').get(req.params.id);
+    res.json(range);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/temperature-ranges/:id - Elimina range temperatura
+ */
+router.delete('/temperature-ranges/:id', requireRole('operator'), (req, res) => {
+  try {
+    db.prepare('DELETE FROM temperature_alarm_status WHERE range_id = ?').run(req.params.id);
+    db.prepare('DELETE FROM temperature_ranges WHERE id = ?').run(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== GEOCODE ====================
 
 /**
@@ -2045,7 +3218,7 @@ router.get('/custom-stops', (req, res) => {
 /**
  * POST /api/custom-stops - Crea tappa predefinita
  */
-router.post('/custom-stops', (req, res) => {
+router.post('/custom-stops', requireRole('operator'), (req, res) => {
   try {
     const { nome, indirizzo, latitudine, longitudine, raggio_metri, categoria, note } = req.body;
     
@@ -2068,7 +3241,7 @@ router.post('/custom-stops', (req, res) => {
 /**
  * PUT /api/custom-stops/:id - Aggiorna tappa predefinita
  */
-router.put('/custom-stops/:id', (req, res) => {
+router.put('/custom-stops/:id', requireRole('operator'), (req, res) => {
   try {
     const { nome, indirizzo, latitudine, longitudine, raggio_metri, categoria, note, attivo } = req.body;
     
@@ -2095,7 +3268,7 @@ router.put('/custom-stops/:id', (req, res) => {
 /**
  * DELETE /api/custom-stops/:id - Elimina tappa predefinita
  */
-router.delete('/custom-stops/:id', (req, res) => {
+router.delete('/custom-stops/:id', requireRole('operator'), (req, res) => {
   try {
     db.prepare('DELETE FROM custom_stops WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -2164,7 +3337,15 @@ router.get('/drivers', (req, res) => {
       WHERE d.attivo = 1
       ORDER BY d.cognome, d.nome
     `).all();
-    res.json(drivers);
+
+    // Solo i veicoli visibili all'utente; gli autisti assegnati solo a veicoli nascosti non compaiono
+    const scope = scopeOf(req);
+    if (!scope) return res.json(drivers);
+    res.json(drivers.flatMap(driver => {
+      if (!driver.veicoli_assegnati) return [driver];
+      const plates = driver.veicoli_assegnati.split(',').filter(plate => vehicleController.isPlateInScope(scope, plate));
+      return plates.length ? [{ ...driver, veicoli_assegnati: plates.join(',') }] : [];
+    }));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2186,8 +3367,14 @@ router.get('/drivers/:id', (req, res) => {
       WHERE driver_id = ? AND attivo = 1
       ORDER BY data_inizio DESC
     `).all(req.params.id);
+
+    const scope = scopeOf(req);
+    const visible = assignments.filter(a => vehicleController.isPlateInScope(scope, a.vehicle_plate));
+    if (assignments.length > 0 && visible.length === 0) {
+      return res.status(404).json({ error: 'Autista non trovato' });
+    }
     
-    res.json({ ...driver, assignments });
+    res.json({ ...driver, assignments: visible });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2196,7 +3383,7 @@ router.get('/drivers/:id', (req, res) => {
 /**
  * POST /api/drivers - Crea autista
  */
-router.post('/drivers', (req, res) => {
+router.post('/drivers', requireRole('operator'), (req, res) => {
   try {
     const { 
       nome, cognome, telefono, telefono_whatsapp, email,
@@ -2222,7 +3409,7 @@ router.post('/drivers', (req, res) => {
 /**
  * PUT /api/drivers/:id - Aggiorna autista
  */
-router.put('/drivers/:id', (req, res) => {
+router.put('/drivers/:id', requireRole('operator'), (req, res) => {
   try {
     const { 
       nome, cognome, telefono, telefono_whatsapp, email,
@@ -2256,7 +3443,7 @@ router.put('/drivers/:id', (req, res) => {
 /**
  * DELETE /api/drivers/:id - Disattiva autista
  */
-router.delete('/drivers/:id', (req, res) => {
+router.delete('/drivers/:id', requireRole('operator'), (req, res) => {
   try {
     db.prepare('UPDATE drivers SET attivo = 0 WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -2268,13 +3455,16 @@ router.delete('/drivers/:id', (req, res) => {
 /**
  * POST /api/drivers/:id/assign-vehicle - Assegna veicolo ad autista
  */
-router.post('/drivers/:id/assign-vehicle', (req, res) => {
+router.post('/drivers/:id/assign-vehicle', requireRole('operator'), (req, res) => {
   try {
     const { vehicle_plate, data_inizio } = req.body;
     
     if (!vehicle_plate) {
       return res.status(400).json({ error: 'Targa veicolo richiesta' });
     }
+    if (!vehicleController.isPlateInScope(scopeOf(req), vehicle_plate)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
     
     // Disattiva assegnazioni precedenti per questo veicolo
     db.prepare(`
@@ -2297,8 +3487,12 @@ router.post('/drivers/:id/assign-vehicle', (req, res) => {
 /**
  * DELETE /api/drivers/:id/unassign-vehicle/:plate - Rimuovi assegnazione veicolo
  */
-router.delete('/drivers/:id/unassign-vehicle/:plate', (req, res) => {
+router.delete('/drivers/:id/unassign-vehicle/:plate', requireRole('operator'), (req, res) => {
   try {
+    if (!vehicleController.isPlateInScope(scopeOf(req), req.params.plate)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
+
     db.prepare(`
       UPDATE driver_vehicle_assignments 
       SET attivo = 0, data_fine = DATE('now')
@@ -2316,6 +3510,10 @@ router.delete('/drivers/:id/unassign-vehicle/:plate', (req, res) => {
  */
 router.get('/drivers/by-vehicle/:plate', (req, res) => {
   try {
+    if (!vehicleController.isPlateInScope(scopeOf(req), req.params.plate)) {
+      return res.status(404).json({ error: 'Veicolo non trovato' });
+    }
+
     const driver = db.prepare(`
       SELECT d.* FROM drivers d
       JOIN driver_vehicle_assignments dva ON d.id = dva.driver_id
@@ -2356,18 +3554,18 @@ router.get('/responsables', (req, res) => {
 /**
  * POST /api/responsables - Crea responsabile
  */
-router.post('/responsables', (req, res) => {
+router.post('/responsables', requireRole('admin'), (req, res) => {
   try {
-    const { nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita } = req.body;
+    const { nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita, reperibile } = req.body;
     
     if (!nome || !cognome || !telefono) {
       return res.status(400).json({ error: 'Nome, cognome e telefono sono obbligatori' });
     }
     
     const result = db.prepare(`
-      INSERT INTO responsables (nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(nome, cognome, telefono, telefono_whatsapp || telefono, email, ruolo || 'responsabile', priorita || 1);
+      INSERT INTO responsables (nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita, reperibile)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(nome, cognome, telefono, telefono_whatsapp || telefono, email, ruolo || 'responsabile', priorita || 1, reperibile ? 1 : 0);
     
     const responsable = db.prepare('SELECT * FROM responsables WHERE id = ?').get(result.lastInsertRowid);
     res.status(201).json(responsable);
@@ -2379,9 +3577,9 @@ router.post('/responsables', (req, res) => {
 /**
  * PUT /api/responsables/:id - Aggiorna responsabile
  */
-router.put('/responsables/:id', (req, res) => {
+router.put('/responsables/:id', requireRole('admin'), (req, res) => {
   try {
-    const { nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita, attivo } = req.body;
+    const { nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita, attivo, reperibile } = req.body;
     
     db.prepare(`
       UPDATE responsables SET
@@ -2392,9 +3590,11 @@ router.put('/responsables/:id', (req, res) => {
         email = COALESCE(?, email),
         ruolo = COALESCE(?, ruolo),
         priorita = COALESCE(?, priorita),
-        attivo = COALESCE(?, attivo)
+        attivo = COALESCE(?, attivo),
+        reperibile = COALESCE(?, reperibile)
       WHERE id = ?
-    `).run(nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita, attivo, req.params.id);
+    `).run(nome, cognome, telefono, telefono_whatsapp, email, ruolo, priorita, attivo,
+      reperibile === undefined ? null : (reperibile ? 1 : 0), req.params.id);
     
     const responsable = db.prepare('SELECT * FROM responsables WHERE id = ?').get(req.params.id);
     res.json(responsable);
@@ -2406,7 +3606,7 @@ router.put('/responsables/:id', (req, res) => {
 /**
  * DELETE /api/responsables/:id - Disattiva responsabile
  */
-router.delete('/responsables/:id', (req, res) => {
+router.delete('/responsables/:id', requireRole('admin'), (req, res) => {
   try {
     db.prepare('UPDATE responsables SET attivo = 0 WHERE id = ?').run(req.params.id);
     res.json({ success: true });
@@ -2415,12 +3615,159 @@ router.delete('/responsables/:id', (req, res) => {
   }
 });
 
+// ==================== POLICY DI ESCALATION ====================
+
+const ESCALATION_CHANNELS = ['whatsapp', 'call', 'sms', 'telegram'];
+const ESCALATION_RECIPIENTS = ['driver', 'responsabile', 'responsabili', 'on_call', 'telegram_group'];
+
+/**
+ * Valida i passi di una policy: il gruppo Telegram si raggiunge solo via Telegram
+ * e gli altri destinatari solo via WhatsApp, chiamata o SMS
+ * @returns {string|null} Messaggio di errore
+ */
+function validateEscalationSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) return 'Inserire almeno un passo';
+  for (const [index, step] of steps.entries()) {
+    const label = `Passo ${index + 1}`;
+    if (!ESCALATION_CHANNELS.includes(step.canale)) return `${label}: canale non valido`;
+    if (!ESCALATION_RECIPIENTS.includes(step.destinatario)) return `${label}: destinatario non valido`;
+    if ((step.canale === 'telegram') !== (step.destinatario === 'telegram_group')) {
+      return `${label}: il canale Telegram è disponibile solo per il gruppo Telegram`;
+    }
+    if (step.destinatario === 'responsabile' && !step.responsable_id) return `${label}: selezionare il responsabile`;
+    if (step.attesa_minuti != null && !(parseInt(step.attesa_minuti) >= 0)) return `${label}: attesa non valida`;
+  }
+  return null;
+}
+
+const saveEscalationSteps = (policyId, steps) => {
+  db.prepare('DELETE FROM escalation_policy_steps WHERE policy_id = ?').run(policyId);
+  const insert = db.prepare(`
+    INSERT INTO escalation_policy_steps (policy_id, ordine, canale, destinatario, responsable_id, telegram_chat_id, attesa_minuti)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  steps.forEach((step, index) => insert.run(
+    policyId,
+    index + 1,
+    step.canale,
+    step.destinatario,
+    step.destinatario === 'responsabile' ? step.responsable_id : null,
+    step.destinatario === 'telegram_group' ? (step.telegram_chat_id || null) : null,
+    step.attesa_minuti != null && step.attesa_minuti !== '' ? parseInt(step.attesa_minuti) : 5
+  ));
+};
+
+const getEscalationPolicy = (id) => {
+  const policy = db.prepare(`
+    SELECT p.*, (SELECT COUNT(*) FROM alarms a WHERE a.escalation_policy_id = p.id) as allarmi
+    FROM escalation_policies p WHERE p.id = ?
+  `).get(id);
+  if (!policy) return null;
+  policy.steps = db.prepare(`
+    SELECT s.*, r.nome as responsabile_nome, r.cognome as responsabile_cognome
+    FROM escalation_policy_steps s
+    LEFT JOIN responsables r ON s.responsable_id = r.id
+    WHERE s.policy_id = ?
+    ORDER BY s.ordine
+  `).all(id);
+  return policy;
+};
+
+/**
+ * GET /api/escalation-policies - Lista policy di escalation con i passi
+ */
+router.get('/escalation-policies', (req, res) => {
+  try {
+    const ids = db.prepare('SELECT id FROM escalation_policies ORDER BY nome').all();
+    res.json(ids.map(({ id }) => getEscalationPolicy(id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/escalation-policies - Crea policy
+ * Body: { nome, descrizione, steps: [{ canale, destinatario, responsable_id, telegram_chat_id, attesa_minuti }] }
+ */
+router.post('/escalation-policies', requireRole('admin'), (req, res) => {
+  try {
+    const { nome, descrizione, steps } = req.body;
+
+    if (!nome) {
+      return res.status(400).json({ error: 'Nome obbligatorio' });
+    }
+    const validationError = validateEscalationSteps(steps);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const id = db.transaction(() => {
+      const result = db.prepare('INSERT INTO escalation_policies (nome, descrizione) VALUES (?, ?)')
+        .run(nome, descrizione || null);
+      saveEscalationSteps(result.lastInsertRowid, steps);
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json(getEscalationPolicy(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/escalation-policies/:id - Aggiorna policy (steps, se presenti, sostituiscono quelli esistenti)
+ */
+router.put('/escalation-policies/:id', requireRole('admin'), (req, res) => {
+  try {
+    const { nome, descrizione, steps } = req.body;
+
+    if (steps !== undefined) {
+      const validationError = validateEscalationSteps(steps);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const changes = db.transaction(() => {
+      const result = db.prepare(`
+        UPDATE escalation_policies SET nome = COALESCE(?, nome), descrizione = COALESCE(?, descrizione) WHERE id = ?
+      `).run(nome || null, descrizione ?? null, req.params.id);
+      if (result.changes > 0 && steps !== undefined) saveEscalationSteps(req.params.id, steps);
+      return result.changes;
+    })();
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Policy non trovata' });
+    }
+    // Le escalation in corso leggono i passi aggiornati dal livello in cui si trovano
+    res.json(getEscalationPolicy(req.params.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/escalation-policies/:id - Elimina policy (gli allarmi tornano alla sequenza predefinita)
+ */
+router.delete('/escalation-policies/:id', requireRole('admin'), (req, res) => {
+  try {
+    db.transaction(() => {
+      db.prepare('UPDATE alarms SET escalation_policy_id = NULL WHERE escalation_policy_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM escalation_policy_steps WHERE policy_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM escalation_policies WHERE id = ?').run(req.params.id);
+    })();
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== WHATSAPP ====================
 
 /**
  * GET /api/whatsapp/status - Stato connessione WhatsApp
  */
-router.get('/whatsapp/status', async (req, res) => {
+router.get('/whatsapp/status', requireRole('admin'), async (req, res) => {
   try {
     // Import dinamico per evitare problemi di caricamento
     const { default: whatsappService } = await import('../services/whatsappService.js');
@@ -2435,7 +3782,7 @@ router.get('/whatsapp/status', async (req, res) => {
 /**
  * POST /api/whatsapp/initialize - Inizializza WhatsApp Bot
  */
-router.post('/whatsapp/initialize', async (req, res) => {
+router.post('/whatsapp/initialize', requireRole('admin'), async (req, res) => {
   try {
     const { default: whatsappService } = await import('../services/whatsappService.js');
     await whatsappService.initialize();
@@ -2448,7 +3795,7 @@ router.post('/whatsapp/initialize', async (req, res) => {
 /**
  * POST /api/whatsapp/disconnect - Disconnetti WhatsApp Bot
  */
-router.post('/whatsapp/disconnect', async (req, res) => {
+router.post('/whatsapp/disconnect', requireRole('admin'), async (req, res) => {
   try {
     const { default: whatsappService } = await import('../services/whatsappService.js');
     await whatsappService.disconnect();
@@ -2461,7 +3808,7 @@ router.post('/whatsapp/disconnect', async (req, res) => {
 /**
  * PUT /api/whatsapp/config - Aggiorna configurazione WhatsApp
  */
-router.put('/whatsapp/config', (req, res) => {
+router.put('/whatsapp/config', requireRole('admin'), (req, res) => {
   try {
     const { 
       timeout_risposta_minuti, 
@@ -2504,7 +3851,7 @@ router.put('/whatsapp/config', (req, res) => {
 /**
  * POST /api/whatsapp/send-test - Invia messaggio di test
  */
-router.post('/whatsapp/send-test', async (req, res) => {
+router.post('/whatsapp/send-test', requireRole('admin'), async (req, res) => {
   try {
     const { telefono, messaggio } = req.body;
     
@@ -2523,7 +3870,7 @@ router.post('/whatsapp/send-test', async (req, res) => {
 /**
  * POST /api/whatsapp/send-alarm - Invia notifica allarme via WhatsApp
  */
-router.post('/whatsapp/send-alarm', async (req, res) => {
+router.post('/whatsapp/send-alarm', requireRole('admin'), async (req, res) => {
   try {
     const { 
       alarm_id, event_id, vehicle_plate, tipo_allarme, messaggio,
@@ -2570,17 +3917,19 @@ router.post('/whatsapp/send-alarm', async (req, res) => {
 /**
  * GET /api/whatsapp/notifications - Lista notifiche allarme
  */
-router.get('/whatsapp/notifications', (req, res) => {
+router.get('/whatsapp/notifications', requireRole('admin'), (req, res) => {
   try {
     const { status, limit } = req.query;
     
     let query = `
       SELECT an.*, 
         d.nome as driver_nome, d.cognome as driver_cognome,
-        a.nome as alarm_nome, a.tipo as alarm_tipo
+        a.nome as alarm_nome, a.tipo as alarm_tipo,
+        p.nome as policy_nome
       FROM alarm_notifications an
       LEFT JOIN drivers d ON an.driver_id = d.id
       LEFT JOIN alarms a ON an.alarm_id = a.id
+      LEFT JOIN escalation_policies p ON an.policy_id = p.id
       WHERE 1=1
     `;
     const params = [];
@@ -2604,12 +3953,106 @@ router.get('/whatsapp/notifications', (req, res) => {
   }
 });
 
+/**
+ * GET /api/whatsapp/notifications/:id - Dettaglio notifica allarme con passi previsti e storico dei passi eseguiti
+ */
+router.get('/whatsapp/notifications/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const notification = db.prepare(`
+      SELECT an.*, 
+        d.nome as driver_nome, d.cognome as driver_cognome,
+        a.nome as alarm_nome, a.tipo as alarm_tipo,
+        p.nome as policy_nome
+      FROM alarm_notifications an
+      LEFT JOIN drivers d ON an.driver_id = d.id
+      LEFT JOIN alarms a ON an.alarm_id = a.id
+      LEFT JOIN escalation_policies p ON an.policy_id = p.id
+      WHERE an.id = ?
+    `).get(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notifica non trovata' });
+    }
+
+    const { default: whatsappService } = await import('../services/whatsappService.js');
+    res.json({
+      ...notification,
+      policy_steps: whatsappService.getPolicySteps(notification),
+      steps: db.prepare('SELECT * FROM alarm_notification_steps WHERE notification_id = ? ORDER BY id').all(req.params.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/whatsapp/notifications/:id/retry-escalation - Riprende un'escalation fallita dopo tutti i tentativi
+ */
+router.post('/whatsapp/notifications/:id/retry-escalation', requireRole('admin'), async (req, res) => {
+  try {
+    const { default: whatsappService } = await import('../services/whatsappService.js');
+    if (!whatsappService.retryEscalation(req.params.id)) {
+      return res.status(404).json({ error: 'Escalation non trovata' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== TELEFONIA ====================
+
+/**
+ * GET /api/telephony/status - Provider telefonico configurato (con il registro del provider fake)
+ */
+router.get('/telephony/status', requireRole('admin'), (req, res) => {
+  try {
+    res.json(telephonyService.getStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/telephony/test-call - Chiamata vocale di prova
+ * Body: { telefono, messaggio }
+ */
+router.post('/telephony/test-call', requireRole('admin'), async (req, res) => {
+  try {
+    const { telefono, messaggio } = req.body;
+    if (!telefono) {
+      return res.status(400).json({ error: 'Telefono obbligatorio' });
+    }
+    const result = await telephonyService.call(null, telefono, messaggio || 'Chiamata di prova dal sistema GPS.');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/telephony/test-sms - SMS di prova
+ * Body: { telefono, messaggio }
+ */
+router.post('/telephony/test-sms', requireRole('admin'), async (req, res) => {
+  try {
+    const { telefono, messaggio } = req.body;
+    if (!telefono) {
+      return res.status(400).json({ error: 'Telefono obbligatorio' });
+    }
+    const result = await telephonyService.sendSms(telefono, messaggio || 'SMS di prova dal sistema GPS');
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== LOGS E MONITORING ====================
 
 /**
  * GET /api/logs - Ottiene i log recenti
  */
-router.get('/logs', async (req, res) => {
+router.get('/logs', requireRole('admin'), async (req, res) => {
   try {
     const { lines = 100, level } = req.query;
     const logs = await logger.getRecentLogs(parseInt(lines), level);
@@ -2619,10 +4062,44 @@ router.get('/logs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/audit-log - Registro audit delle modifiche (solo admin)
+ * Query: entity, entity_id, user_id, action, from, to, limit, offset
+ */
+router.get('/audit-log', requireRole('admin'), (req, res) => {
+  try {
+    const { entity, entity_id, user_id, action, from, to } = req.query;
+    const result = auditService.query({
+      entity,
+      entityId: entity_id,
+      userId: user_id,
+      action,
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/audit-log/filters - Entità, utenti e azioni presenti nel registro audit (solo admin)
+ */
+router.get('/audit-log/filters', requireRole('admin'), (req, res) => {
+  try {
+    res.json(auditService.getFilterOptions());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/logs/stats - Ottiene le statistiche dei log
  */
-router.get('/logs/stats', async (req, res) => {
+router.get('/logs/stats', requireRole('admin'), async (req, res) => {
   try {
     const stats = await logger.getStats();
     res.json(stats);
@@ -3,6 +3,7 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import db from '../database/db.js';
 import { notificationService } from '../services/notificationService.js';
+import { alarmLifecycleService } from '../services/alarmLifecycleService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -10,6 +11,19 @@ dotenv.config();
 const router = express.Router();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-in-production';
+// Audience dei token di sessione: gli altri token firmati con lo stesso secret (es. presa in carico
+// dalle notifiche push, audience 'event_ack') non valgono come login
+const SESSION_AUDIENCE = 'session';
+
+const signSessionToken = (user) => jwt.sign(
+  { id: user.id, username: user.username, ruolo: user.ruolo },
+  JWT_SECRET,
+  { expiresIn: '7d', audience: SESSION_AUDIENCE }
+);
+
+// Ruoli in ordine crescente di permessi:
+// viewer = sola lettura, operator = gestione viaggi e allarmi, admin = configurazione e utenti
+export const ROLES = ['viewer', 'operator', 'admin'];
 
 /**
  * POST /auth/login - Login utente
@@ -24,11 +38,7 @@ router.post('/login', async (req, res) => {
 
     // Check admin credentials from env
     if (username === process.env.ADMIN_USERNAME && password === process.env.ADMIN_PASSWORD) {
-      const token = jwt.sign(
-        { id: 0, username: 'admin', ruolo: 'admin' },
-        JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      const token = signSessionToken({ id: 0, username: 'admin', ruolo: 'admin' });
       return res.json({ token, user: { id: 0, username: 'admin', ruolo: 'admin' } });
     }
 
@@ -44,11 +54,7 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Credenziali non valide' });
     }
 
-    const token = jwt.sign(
-      { id: user.id, username: user.username, ruolo: user.ruolo },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = signSessionToken(user);
 
     res.json({ 
       token, 
@@ -67,18 +73,18 @@ router.post('/login', async (req, res) => {
 /**
  * POST /auth/register - Registra nuovo utente (solo admin)
  */
-router.post('/register', authenticateToken, async (req, res) => {
+router.post('/register', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    if (req.user.ruolo !== 'admin') {
-      return res.status(403).json({ error: 'Solo gli admin possono registrare utenti' });
-    }
-
     const { username, password, ruolo, telegram_chat_id } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: 'Username e password richiesti' });
     }
 
+    if (ruolo && !ROLES.includes(ruolo)) {
+      return res.status(400).json({ error: `Ruolo non valido (${ROLES.join(', ')})` });
+    }
+
     const existing = db.prepare('SELECT id FROM users WHERE username = ?').get(username);
     if (existing) {
       return res.status(400).json({ error: 'Username già esistente' });
@@ -153,12 +159,8 @@ router.put('/me', authenticateToken, async (req, res) => {
 /**
  * GET /auth/users - Lista utenti (solo admin)
  */
-router.get('/users', authenticateToken, (req, res) => {
+router.get('/users', authenticateToken, requireRole('admin'), (req, res) => {
   try {
-    if (req.user.ruolo !== 'admin') {
-      return res.status(403).json({ error: 'Accesso negato' });
-    }
-
     const users = db.prepare('SELECT id, username, ruolo, telegram_chat_id, attivo, created_at FROM users').all();
     res.json(users);
   } catch (error) {
@@ -166,16 +168,65 @@ router.get('/users', authenticateToken, (req, res) => {
   }
 });
 
+/**
+ * PUT /auth/users/:id - Aggiorna ruolo, stato o password di un utente (solo admin)
+ */
+router.put('/users/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { ruolo, attivo, password, telegram_chat_id } = req.body;
+
+    if (ruolo && !ROLES.includes(ruolo)) {
+      return res.status(400).json({ error: `Ruolo non valido (${ROLES.join(', ')})` });
+    }
+
+    if (parseInt(req.params.id) === req.user.id && ((ruolo && ruolo !== 'admin') || attivo === false)) {
+      return res.status(400).json({ error: 'Non puoi declassare o disattivare il tuo utente' });
+    }
+
+    const existing = db.prepare('SELECT id FROM users WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Utente non trovato' });
+    }
+
+    const password_hash = password ? await bcrypt.hash(password, 10) : null;
+
+    db.prepare(`
+      UPDATE users SET
+        ruolo = COALESCE(?, ruolo),
+        attivo = COALESCE(?, attivo),
+        password_hash = COALESCE(?, password_hash),
+        telegram_chat_id = COALESCE(?, telegram_chat_id)
+      WHERE id = ?
+    `).run(
+      ruolo || null,
+      attivo === undefined ? null : (attivo ? 1 : 0),
+      password_hash,
+      telegram_chat_id === undefined ? null : telegram_chat_id,
+      req.params.id
+    );
+
+    const user = db.prepare('SELECT id, username, ruolo, telegram_chat_id, attivo, created_at FROM users WHERE id = ?')
+      .get(req.params.id);
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /auth/users/:id - Elimina utente (solo admin)
  */
-router.delete('/users/:id', authenticateToken, (req, res) => {
+router.delete('/users/:id', authenticateToken, requireRole('admin'), (req, res) => {
   try {
-    if (req.user.ruolo !== 'admin') {
-      return res.status(403).json({ error: 'Accesso negato' });
+    if (parseInt(req.params.id) === req.user.id) {
+      return res.status(400).json({ error: 'Non puoi eliminare il tuo utente' });
     }
 
-    db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id);
+    db.transaction(() => {
+      db.prepare('DELETE FROM user_vehicle_groups WHERE user_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM user_hidden_vehicles WHERE user_id = ?').run(req.params.id);
+      db.prepare('DELETE FROM users WHERE id = ?').run(req.params.id);
+    })();
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -185,9 +236,9 @@ router.delete('/users/:id', authenticateToken, (req, res) => {
 // ==================== PUSH NOTIFICATIONS ====================
 
 /**
- * POST /auth/push/subscribe - Registra subscription push
+ * POST /auth/push/subscribe - Registra subscription push dell'utente
  */
-router.post('/push/subscribe', (req, res) => {
+router.post('/push/subscribe', authenticateToken, (req, res) => {
   try {
     const { subscription } = req.body;
     const userAgent = req.get('User-Agent') || '';
@@ -196,7 +247,7 @@ router.post('/push/subscribe', (req, res) => {
       return res.status(400).json({ error: 'Subscription non valida' });
     }
 
-    notificationService.saveSubscription(subscription, userAgent);
+    notificationService.saveSubscription(subscription, userAgent, req.user.username);
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -221,6 +272,24 @@ router.post('/push/unsubscribe', (req, res) => {
   }
 });
 
+/**
+ * POST /auth/push/acknowledge - Presa in carico dall'azione della notifica push (service worker, senza sessione)
+ * Body: { token } - token firmato allegato alla notifica
+ */
+router.post('/push/acknowledge', (req, res) => {
+  try {
+    const payload = alarmLifecycleService.verifyAckToken(req.body?.token);
+    if (!payload) {
+      return res.status(401).json({ success: false, error: 'Token non valido o scaduto' });
+    }
+
+    const result = alarmLifecycleService.acknowledge(payload.eventId, { by: payload.username || 'Notifica push', via: 'push' });
+    res.status(result.success ? 200 : 409).json({ success: result.success, error: result.error });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /auth/push/vapid-public-key - Ottieni chiave pubblica VAPID
  */
@@ -229,9 +298,9 @@ router.get('/push/vapid-public-key', (req, res) => {
 });
 
 /**
- * POST /auth/push/test - Invia notifica push di test
+ * POST /auth/push/test - Invia notifica push di test a tutte le subscription (admin)
  */
-router.post('/push/test', authenticateToken, async (req, res) => {
+router.post('/push/test', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     await notificationService.sendPushToAll({
       title: '🔔 Test Notifica',
@@ -245,9 +314,10 @@ router.post('/push/test', authenticateToken, async (req, res) => {
 });
 
 /**
- * POST /auth/telegram/test - Invia messaggio Telegram di test
+ * POST /auth/telegram/test - Invia messaggio Telegram di test (admin)
+ * Body: { chat_id }
  */
-router.post('/telegram/test', authenticateToken, async (req, res) => {
+router.post('/telegram/test', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
     const { chat_id } = req.body;
     const result = await notificationService.sendTelegram(
@@ -260,24 +330,54 @@ router.post('/telegram/test', authenticateToken, async (req, res) => {
   }
 });
 
+// Unico endpoint che accetta il token come ?token=: EventSource non permette header custom
+const QUERY_TOKEN_PATH = '/api/stream';
+
 /**
- * Middleware per autenticazione JWT
+ * Middleware per autenticazione JWT (header Authorization: Bearer <token>)
+ * Solo lo stream SSE accetta il token in query string, altrove finirebbe in log, proxy e Referer
  */
 export function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const queryToken = req.method === 'GET' && req.baseUrl + req.path === QUERY_TOKEN_PATH ? req.query.token : null;
+  const token = (authHeader && authHeader.split(' ')[1]) || queryToken;
 
   if (!token) {
     return res.status(401).json({ error: 'Token mancante' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, { audience: SESSION_AUDIENCE }, (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Token non valido' });
+      return res.status(401).json({ error: 'Token non valido' });
     }
+
+    // Utenti da database: ruolo e stato sempre aggiornati (disattivazioni e cambi ruolo immediati)
+    if (user.id !== 0) {
+      const current = db.prepare('SELECT username, ruolo, attivo FROM users WHERE id = ?').get(user.id);
+      if (!current || !current.attivo) {
+        return res.status(401).json({ error: 'Utente non attivo' });
+      }
+      user = { ...user, username: current.username, ruolo: current.ruolo };
+    }
+
     req.user = user;
     next();
   });
 }
 
+/**
+ * Middleware per controllo ruolo (da usare dopo authenticateToken)
+ * @param {string} role - Ruolo minimo richiesto (viewer | operator | admin)
+ */
+export function requireRole(role) {
+  const required = ROLES.indexOf(role);
+
+  return (req, res, next) => {
+    if (ROLES.indexOf(req.user?.ruolo) < required) {
+      return res.status(403).json({ error: 'Permessi insufficienti' });
+    }
+    next();
+  };
+}
+
 export default router;
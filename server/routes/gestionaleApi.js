@@ -2,6 +2,7 @@
 // API ROUTES - GESTIONALE
 // ============================================================================
 import express from 'express';
+import { requireRole } from './auth.js';
 import {
   clientiRepo,
   vettoriRepo,
@@ -20,6 +21,7 @@ const router = express.Router();
 // ============================================================================
 // HELPER: Crea routes CRUD per una risorsa
 // ============================================================================
+// Lettura per tutti gli utenti autenticati, modifiche da operator in su
 function createCrudRoutes(router, path, repository) {
   // GET - Lista con paginazione
   router.get(path, (req, res) => {
@@ -50,7 +52,7 @@ function createCrudRoutes(router, path, repository) {
   });
 
   // POST - Crea nuovo
-  router.post(path, (req, res) => {
+  router.post(path, requireRole('operator'), (req, res) => {
     try {
       const item = repository.create(req.body);
       res.status(201).json(item);
@@ -61,7 +63,7 @@ function createCrudRoutes(router, path, repository) {
   });
 
   // PUT - Aggiorna
-  router.put(`${path}/:id`, (req, res) => {
+  router.put(`${path}/:id`, requireRole('operator'), (req, res) => {
     try {
       const item = repository.update(req.params.id, req.body);
       res.json(item);
@@ -72,7 +74,7 @@ function createCrudRoutes(router, path, repository) {
   });
 
   // DELETE - Elimina
-  router.delete(`${path}/:id`, (req, res) => {
+  router.delete(`${path}/:id`, requireRole('operator'), (req, res) => {
     try {
       repository.delete(req.params.id);
       res.json({ success: true });
@@ -0,0 +1,62 @@
+/**
+ * Simulatore API Record Italia
+ *
+ * Replica gli endpoint usati da recordItaliaClient con i veicoli dello scenario simulato.
+ * Montato su /simulator solo con RECORD_ITALIA_SIMULATOR=true (o RECORD_ITALIA_API_URL che punta qui).
+ */
+import express from 'express';
+import { simulatorService } from '../services/simulatorService.js';
+
+const router = express.Router();
+
+/**
+ * GET /simulator/owner/flotta - Flotte dello scenario
+ */
+router.get('/owner/flotta', (req, res) => {
+  try {
+    res.json([{ flotta: simulatorService.getFleets() }]);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /simulator/owner/posizione/flotta/:idFlotta - Posizione corrente dei veicoli di una flotta
+ */
+router.post('/owner/posizione/flotta/:idFlotta', (req, res) => {
+  try {
+    res.json(simulatorService.getFleetPositions(req.params.idFlotta));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /simulator/owner/posizione/servizio/:idServizio - Posizione di un veicolo
+ */
+router.post('/owner/posizione/servizio/:idServizio', (req, res) => {
+  try {
+    const position = simulatorService.getServicePosition(req.params.idServizio);
+    if (!position) {
+      return res.status(404).json({ message: 'Servizio non trovato' });
+    }
+    res.json(position);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * POST /simulator/owner/storico/:idServizio - Storico posizioni
+ * Body: { FromDate, ToDate }
+ */
+router.post('/owner/storico/:idServizio', (req, res) => {
+  try {
+    const { FromDate, ToDate } = req.body || {};
+    res.json(simulatorService.getHistory(req.params.idServizio, FromDate, ToDate));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+export default router;
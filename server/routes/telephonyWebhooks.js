@@ -0,0 +1,59 @@
+/**
+ * Callback del provider telefonico (Twilio o compatibili)
+ *
+ * Montato su /telephony senza autenticazione JWT: le richieste sono verificate con la firma
+ * X-Twilio-Signature calcolata sull'URL pubblico TELEPHONY_CALLBACK_URL.
+ */
+import express from 'express';
+import { telephonyService } from '../services/telephonyService.js';
+import { logger } from '../services/loggerService.js';
+
+const router = express.Router();
+
+// Solo richieste firmate dal provider Twilio configurato
+const verifyTwilio = (req, res, next) => {
+  const provider = telephonyService.provider;
+  if (provider?.name !== 'twilio' || !provider.callbackUrl) {
+    return res.status(404).end();
+  }
+  const url = provider.callbackUrl + req.originalUrl;
+  if (!provider.validateSignature(url, req.body || {}, req.get('X-Twilio-Signature'))) {
+    logger.warn('Callback telefonia con firma non valida', { url });
+    return res.status(403).end();
+  }
+  next();
+};
+
+/**
+ * POST /telephony/twilio/status - Stato chiamata (ringing, in-progress, completed, busy, no-answer, failed)
+ */
+router.post('/twilio/status', verifyTwilio, (req, res) => {
+  try {
+    const { CallSid, CallStatus, CallDuration } = req.body;
+    telephonyService.recordCallOutcome(CallSid, telephonyService.provider.mapCallStatus(CallStatus), { duration: CallDuration });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Errore callback stato chiamata', { error: error.message });
+    res.status(500).end();
+  }
+});
+
+/**
+ * POST /telephony/twilio/gather - Tasto premuto durante la chiamata
+ * Query: confirm (tasto di conferma)
+ */
+router.post('/twilio/gather', verifyTwilio, (req, res) => {
+  try {
+    const { CallSid, Digits } = req.body;
+    const confirmed = !!Digits && Digits === req.query.confirm;
+    if (confirmed) {
+      telephonyService.recordCallOutcome(CallSid, 'confirmed');
+    }
+    res.type('text/xml').send(telephonyService.provider.buildGatherTwiml(confirmed));
+  } catch (error) {
+    logger.error('Errore callback conferma chiamata', { error: error.message });
+    res.status(500).end();
+  }
+});
+
+export default router;
@@ -5,8 +5,11 @@
  * including coupled pairs, hidden vehicles, and filtered positions.
  */
 import express from 'express';
+import { requireRole } from './auth.js';
 import { vehicleController } from '../database/VehicleController.js';
 import databaseService from '../database/DatabaseService.js';
+import { trackExportService, TRACK_EXPORT_FORMATS } from '../services/trackExportService.js';
+import { geofenceService } from '../services/geofenceService.js';
 
 const router = express.Router();
 
@@ -24,7 +27,9 @@ router.get('/positions', (req, res) => {
       showWithTemperature: req.query.showWithTemperature === 'true',
       excludeHidden: req.query.excludeHidden !== 'false', // default true
       applyCoupling: req.query.applyCoupling !== 'false', // default true
-      searchTerm: req.query.searchTerm || ''
+      searchTerm: req.query.searchTerm || '',
+      userId: req.user.id,
+      scope: vehicleController.getVehicleScope(req.user)
     };
     
     const positions = vehicleController.getFilteredPositions(options);
@@ -44,7 +49,9 @@ router.get('/positions/map', (req, res) => {
       showMovingOnly: req.query.showMovingOnly === 'true',
       showStoppedOnly: req.query.showStoppedOnly === 'true',
       showWithTemperature: req.query.showWithTemperature === 'true',
-      searchTerm: req.query.searchTerm || ''
+      searchTerm: req.query.searchTerm || '',
+      userId: req.user.id,
+      scope: vehicleController.getVehicleScope(req.user)
     };
     
     const positions = vehicleController.getPositionsForMap(options);
@@ -59,7 +66,7 @@ router.get('/positions/map', (req, res) => {
  */
 router.get('/positions/statistics', (req, res) => {
   try {
-    const stats = vehicleController.getStatistics();
+    const stats = vehicleController.getStatistics(vehicleController.getVehicleScope(req.user));
     res.json(stats);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -71,20 +78,60 @@ router.get('/positions/statistics', (req, res) => {
  */
 router.get('/positions/plates', (req, res) => {
   try {
-    const plates = vehicleController.getAllPlates();
+    const plates = vehicleController.getAllPlates(vehicleController.getVehicleScope(req.user));
     res.json(plates);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * GET /api/v2/positions/:plate/track - Get recorded track of a vehicle
+ * Query params: from, to (date/time, default last 24 hours), format (json|gpx|kml|geojson, default json)
+ */
+router.get('/positions/:plate/track', (req, res) => {
+  try {
+    const { from, to, format = 'json' } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Invalid from/to date' });
+    }
+
+    if (format !== 'json' && !TRACK_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format, use json, ${TRACK_EXPORT_FORMATS.join(', ')}` });
+    }
+
+    if (!vehicleController.isPlateInScope(vehicleController.getVehicleScope(req.user), req.params.plate)) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    if (format !== 'json') {
+      const track = trackExportService.buildVehicleTrack(req.params.plate, { from, to });
+      res.setHeader('Content-Type', `${trackExportService.getContentType(format)}; charset=utf-8`);
+      res.setHeader('Content-Disposition', `attachment; filename="${trackExportService.getFileName(track, format)}"`);
+      return res.send(trackExportService.render(track, format));
+    }
+
+    const points = vehicleController.getTrack(req.params.plate, { from, to });
+    res.json({
+      plate: req.params.plate.toUpperCase(),
+      from: from || null,
+      to: to || null,
+      count: points.length,
+      points
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/v2/positions/:plate - Get position by plate
  */
 router.get('/positions/:plate', (req, res) => {
   try {
     const position = vehicleController.getVehicleByPlate(req.params.plate);
-    if (!position) {
+    if (!position || !vehicleController.isPlateInScope(vehicleController.getVehicleScope(req.user), req.params.plate)) {
       return res.status(404).json({ error: 'Vehicle not found' });
     }
     res.json(position);
@@ -111,7 +158,7 @@ router.get('/coupled-pairs', (req, res) => {
  * POST /api/v2/coupled-pairs - Add a coupled pair
  * Body: { truckPlate, trailerPlate }
  */
-router.post('/coupled-pairs', (req, res) => {
+router.post('/coupled-pairs', requireRole('operator'), (req, res) => {
   try {
     const { truckPlate, trailerPlate } = req.body;
     
@@ -135,7 +182,7 @@ router.post('/coupled-pairs', (req, res) => {
  * PUT /api/v2/coupled-pairs - Replace all coupled pairs
  * Body: [{ truckPlate, trailerPlate }, ...]
  */
-router.put('/coupled-pairs', (req, res) => {
+router.put('/coupled-pairs', requireRole('operator'), (req, res) => {
   try {
     const pairs = req.body;
     
@@ -154,7 +201,7 @@ router.put('/coupled-pairs', (req, res) => {
  * DELETE /api/v2/coupled-pairs - Remove a coupled pair
  * Body: { truckPlate, trailerPlate }
  */
-router.delete('/coupled-pairs', (req, res) => {
+router.delete('/coupled-pairs', requireRole('operator'), (req, res) => {
   try {
     const { truckPlate, trailerPlate } = req.body;
     
@@ -172,11 +219,11 @@ router.delete('/coupled-pairs', (req, res) => {
 // ==================== HIDDEN VEHICLES ====================
 
 /**
- * GET /api/v2/hidden-vehicles - Get list of hidden vehicle plates
+ * GET /api/v2/hidden-vehicles - Get list of hidden vehicle plates of the current user
  */
 router.get('/hidden-vehicles', (req, res) => {
   try {
-    const hidden = vehicleController.getHiddenVehicles();
+    const hidden = vehicleController.getHiddenVehicles(req.user.id);
     res.json(hidden);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -195,7 +242,7 @@ router.post('/hidden-vehicles/toggle', (req, res) => {
       return res.status(400).json({ error: 'Plate is required' });
     }
     
-    const result = vehicleController.toggleVehicleVisibility(plate);
+    const result = vehicleController.toggleVehicleVisibility(req.user.id, plate);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -214,7 +261,7 @@ router.put('/hidden-vehicles', (req, res) => {
       return res.status(400).json({ error: 'Body must be an array of plates' });
     }
     
-    const result = vehicleController.setHiddenVehicles(plates);
+    const result = vehicleController.setHiddenVehicles(req.user.id, plates);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -226,13 +273,114 @@ router.put('/hidden-vehicles', (req, res) => {
  */
 router.delete('/hidden-vehicles', (req, res) => {
   try {
-    const result = vehicleController.showAllVehicles();
+    const result = vehicleController.showAllVehicles(req.user.id);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// ==================== VEHICLE GROUPS ====================
+
+/**
+ * GET /api/v2/vehicle-groups - Get all vehicle groups (admin)
+ */
+router.get('/vehicle-groups', requireRole('admin'), (req, res) => {
+  try {
+    res.json(vehicleController.getVehicleGroups());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/v2/vehicle-groups/mine - Get the vehicle groups assigned to the current user
+ */
+router.get('/vehicle-groups/mine', (req, res) => {
+  try {
+    res.json(databaseService.getUserVehicleGroups(req.user.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/v2/vehicle-groups - Create a vehicle group (admin)
+ * Body: { nome, descrizione, fleet_id, tag, plates: [], user_ids: [] }
+ */
+router.post('/vehicle-groups', requireRole('admin'), (req, res) => {
+  try {
+    const error = validateVehicleGroup(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const group = vehicleController.createVehicleGroup(req.body);
+    res.status(201).json(group);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/v2/vehicle-groups/:id - Update a vehicle group (admin)
+ * Body: same as POST; plates and user_ids replace the existing ones when provided
+ */
+router.put('/vehicle-groups/:id', requireRole('admin'), (req, res) => {
+  try {
+    if (!databaseService.getVehicleGroupById(req.params.id)) {
+      return res.status(404).json({ error: 'Vehicle group not found' });
+    }
+
+    const error = validateVehicleGroup(req.body, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const group = vehicleController.updateVehicleGroup(req.params.id, req.body);
+    res.json(group);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/v2/vehicle-groups/:id - Delete a vehicle group (admin)
+ */
+router.delete('/vehicle-groups/:id', requireRole('admin'), (req, res) => {
+  try {
+    const success = vehicleController.deleteVehicleGroup(req.params.id);
+    if (!success) {
+      return res.status(404).json({ error: 'Vehicle group not found' });
+    }
+    res.json({ success });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Validate a vehicle group body
+ * @param {object} body
+ * @param {boolean} requireName - nome is mandatory on create
+ * @returns {string|null} Error message
+ */
+function validateVehicleGroup(body, requireName = true) {
+  if (requireName && !body.nome) {
+    return 'nome is required';
+  }
+  if (body.plates !== undefined && !Array.isArray(body.plates)) {
+    return 'plates must be an array';
+  }
+  if (body.user_ids !== undefined && !Array.isArray(body.user_ids)) {
+    return 'user_ids must be an array';
+  }
+  if (requireName && !body.fleet_id && !body.tag && !(body.plates || []).length) {
+    return 'A group needs a fleet_id, a tag or at least one plate';
+  }
+  return null;
+}
+
 // ==================== GEOFENCES ====================
 
 /**
@@ -258,9 +406,10 @@ router.get('/geofences', (req, res) => {
 /**
  * POST /api/v2/geofences - Create geofence
  */
-router.post('/geofences', (req, res) => {
+router.post('/geofences', requireRole('admin'), (req, res) => {
   try {
     const geofence = vehicleController.createGeofence(req.body);
+    geofenceService.invalidateIndex();
     res.status(201).json(geofence);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -270,9 +419,10 @@ router.post('/geofences', (req, res) => {
 /**
  * PUT /api/v2/geofences/:id - Update geofence
  */
-router.put('/geofences/:id', (req, res) => {
+router.put('/geofences/:id', requireRole('admin'), (req, res) => {
   try {
     const geofence = vehicleController.updateGeofence(parseInt(req.params.id), req.body);
+    geofenceService.invalidateIndex();
     res.json(geofence);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -282,9 +432,10 @@ router.put('/geofences/:id', (req, res) => {
 /**
  * DELETE /api/v2/geofences/:id - Delete geofence
  */
-router.delete('/geofences/:id', (req, res) => {
+router.delete('/geofences/:id', requireRole('admin'), (req, res) => {
   try {
     const success = vehicleController.deleteGeofence(parseInt(req.params.id));
+    geofenceService.invalidateIndex();
     res.json({ success });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -296,9 +447,9 @@ router.delete('/geofences/:id', (req, res) => {
 /**
  * POST /api/v2/refresh - Refresh all data from database
  */
-router.post('/refresh', (req, res) => {
+router.post('/refresh', requireRole('operator'), (req, res) => {
   try {
-    const stats = vehicleController.refresh();
+    const stats = vehicleController.refresh(vehicleController.getVehicleScope(req.user));
     res.json({ success: true, stats });
   } catch (error) {
     res.status(500).json({ error: error.message });
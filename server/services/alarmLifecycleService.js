@@ -0,0 +1,158 @@
+import jwt from 'jsonwebtoken';
+import db from '../database/db.js';
+import { logger } from './loggerService.js';
+import { realtimeService } from './realtimeService.js';
+import { vehicleController } from '../database/VehicleController.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-change-in-production';
+// Validità del token di presa in carico allegato alle notifiche push
+const ACK_TOKEN_TTL = '2d';
+// Audience del token di presa in carico: vale solo per /auth/push/acknowledge, mai come sessione
+const ACK_TOKEN_AUDIENCE = 'event_ack';
+
+// Canali da cui si può prendere in carico un evento
+export const ACK_CHANNELS = {
+  web: 'Web',
+  telegram: 'Telegram',
+  push: 'Notifica push',
+  whatsapp: 'WhatsApp',
+  call: 'Chiamata'
+};
+
+/**
+ * Ciclo di vita degli eventi allarme: open -> acknowledged (preso in carico) -> resolved.
+ * Prendere in carico o risolvere un evento chiude le escalation ancora in corso
+ * delle notifiche collegate (alarm_notifications.event_id).
+ */
+class AlarmLifecycleService {
+  /**
+   * Prende in carico un evento aperto
+   * @param {number} eventId
+   * @param {Object} options - { by (chi), via (ACK_CHANNELS), commento }
+   * @returns {Object} { success, event?, error? }
+   */
+  acknowledge(eventId, { by, via = 'web', commento = null } = {}) {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+    if (!event) return { success: false, error: 'Evento non trovato' };
+    if (event.stato && event.stato !== 'open') {
+      return { success: false, error: event.stato === 'resolved' ? 'Evento già risolto' : `Evento già preso in carico da ${event.preso_in_carico_da}`, event };
+    }
+
+    db.prepare(`
+      UPDATE events
+      SET stato = 'acknowledged', preso_in_carico_da = ?, preso_in_carico_via = ?, preso_in_carico_at = CURRENT_TIMESTAMP,
+          commento = COALESCE(?, commento)
+      WHERE id = ?
+    `).run(by, via, commento || null, eventId);
+
+    logger.alarm(`Evento ${eventId} preso in carico da ${by} (${ACK_CHANNELS[via] || via})`);
+    this.cancelEscalations(eventId, `Preso in carico da ${by} (${ACK_CHANNELS[via] || via})`);
+    return { success: true, event: this.publish(eventId) };
+  }
+
+  /**
+   * Risolve un evento (aperto o preso in carico); da aperto vale anche come presa in carico
+   * @param {number} eventId
+   * @param {Object} options - { by, via, commento }
+   * @returns {Object} { success, event?, error? }
+   */
+  resolve(eventId, { by, via = 'web', commento = null } = {}) {
+    const event = db.prepare('SELECT * FROM events WHERE id = ?').get(eventId);
+    if (!event) return { success: false, error: 'Evento non trovato' };
+    if (event.stato === 'resolved') return { success: false, error: 'Evento già risolto', event };
+
+    db.prepare(`
+      UPDATE events
+      SET stato = 'resolved', risolto_da = ?, risolto_at = CURRENT_TIMESTAMP,
+          preso_in_carico_da = COALESCE(preso_in_carico_da, ?),
+          preso_in_carico_via = COALESCE(preso_in_carico_via, ?),
+          preso_in_carico_at = COALESCE(preso_in_carico_at, CURRENT_TIMESTAMP),
+          commento = COALESCE(?, commento)
+      WHERE id = ?
+    `).run(by, by, via, commento || null, eventId);
+
+    logger.alarm(`Evento ${eventId} risolto da ${by}`);
+    this.cancelEscalations(eventId, `Risolto da ${by}`);
+    return { success: true, event: this.publish(eventId) };
+  }
+
+  /**
+   * Riapre un evento preso in carico o risolto (le escalation chiuse non ripartono)
+   * @param {number} eventId
+   * @returns {Object} { success, event?, error? }
+   */
+  reopen(eventId) {
+    const result = db.prepare(`
+      UPDATE events
+      SET stato = 'open', preso_in_carico_da = NULL, preso_in_carico_via = NULL, preso_in_carico_at = NULL,
+          risolto_da = NULL, risolto_at = NULL
+      WHERE id = ? AND stato != 'open'
+    `).run(eventId);
+    if (result.changes === 0) return { success: false, error: 'Evento non trovato o già aperto' };
+    return { success: true, event: this.publish(eventId) };
+  }
+
+  /**
+   * Chiude le escalation in corso delle notifiche dell'evento
+   * @returns {number} Notifiche chiuse
+   */
+  cancelEscalations(eventId, reason) {
+    const result = db.prepare(`
+      UPDATE alarm_notifications
+      SET risposta_ricevuta = 1, risposta_at = CURRENT_TIMESTAMP, risposta_testo = ?,
+          stato = 'acknowledged', next_escalation_at = NULL
+      WHERE event_id = ? AND risposta_ricevuta = 0
+    `).run(reason, eventId);
+    if (result.changes > 0) {
+      logger.alarm(`Escalation chiusa per ${result.changes} notifiche dell'evento ${eventId}`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * Token firmato per prendere in carico un evento dall'azione di una notifica push
+   * (il service worker non ha la sessione dell'utente)
+   * @param {number} eventId
+   * @param {string|null} username - Utente della subscription push
+   */
+  createAckToken(eventId, username = null) {
+    return jwt.sign({ eventId, username }, JWT_SECRET, { expiresIn: ACK_TOKEN_TTL, audience: ACK_TOKEN_AUDIENCE });
+  }
+
+  /**
+   * @returns {Object|null} { eventId, username } se il token è valido
+   */
+  verifyAckToken(token) {
+    try {
+      return jwt.verify(token, JWT_SECRET, { audience: ACK_TOKEN_AUDIENCE });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Invia l'evento aggiornato ai client real-time che vedono il veicolo
+   * @returns {Object} Evento aggiornato
+   */
+  publish(eventId) {
+    const event = db.prepare(`
+      SELECT e.*, v.nickname as vehicle_name, v.targa_camion, g.nome as geofence_nome
+      FROM events e
+      LEFT JOIN vehicles v ON e.vehicle_id = v.id
+      LEFT JOIN geofences g ON e.geofence_id = g.id
+      WHERE e.id = ?
+    `).get(eventId);
+
+    realtimeService.broadcastEach('events', (client) => {
+      const scope = vehicleController.getVehicleScope(client.user);
+      return !scope || vehicleController.isVehicleInScope(scope, event.vehicle_id) ? { events: [event] } : null;
+    });
+    return event;
+  }
+}
+
+export const alarmLifecycleService = new AlarmLifecycleService();
+export default AlarmLifecycleService;
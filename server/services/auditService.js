@@ -0,0 +1,246 @@
+import db from '../database/db.js';
+import { logger } from './loggerService.js';
+
+// Risorsa dell'URL -> tabella del record modificato (per le fotografie prima/dopo)
+const ENTITY_TABLES = {
+  geofences: 'geofences',
+  routes: 'routes',
+  checkpoints: 'route_checkpoints',
+  alarms: 'alarms',
+  events: 'events',
+  trips: 'trips',
+  templates: 'route_templates',
+  'temperature-ranges': 'temperature_ranges',
+  'custom-stops': 'custom_stops',
+  drivers: 'drivers',
+  responsables: 'responsables',
+  vehicles: 'vehicles',
+  'vehicle-groups': 'vehicle_groups',
+  webhooks: 'webhook_subscriptions',
+  users: 'users',
+  register: 'users',
+  me: 'users'
+};
+
+// Sotto-risorse annidate (es. /trips/:id/stops/:stopId)
+const SUB_ENTITY_TABLES = {
+  'trips/stops': 'trip_stops',
+  'templates/stops': 'template_stops',
+  'routes/checkpoints': 'route_checkpoints'
+};
+
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// POST di sola lettura, login e preferenze personali: non sono modifiche da tracciare
+const SKIPPED_PATHS = [
+  /^\/auth\/(login|push|telegram)/,
+  /^\/api\/check-geofence/,
+  /^\/api\/geofences\/import\/preview/,
+  /^\/api\/google\//,
+  /^\/api\/monitoring\/check/,
+  /^\/api\/simulator\//,
+  /^\/api\/v2\/refresh/,
+  /^\/api\/v2\/hidden-vehicles/,
+  /^\/api\/gestionale\/user-settings/
+];
+
+const SENSITIVE_KEYS = /password|token|secret/i;
+
+/**
+ * Servizio audit - registra chi ha creato, modificato o eliminato cosa,
+ * con la fotografia JSON del record prima e dopo la modifica
+ */
+class AuditService {
+  /**
+   * Middleware Express: traccia ogni richiesta POST/PUT/PATCH/DELETE andata a buon fine.
+   * Va montato dopo l'autenticazione (req.user viene letto a risposta inviata).
+   */
+  middleware() {
+    return (req, res, next) => {
+      const action = METHOD_ACTIONS[req.method];
+      const path = req.originalUrl.split('?')[0];
+      if (!action || SKIPPED_PATHS.some(p => p.test(path))) {
+        return next();
+      }
+
+      const target = this.resolveTarget(path);
+      const before = target.table && target.id ? this.snapshot(target.table, target.id) : null;
+
+      // Cattura la risposta per ricavare l'id dei record appena creati
+      let responseBody = null;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        try {
+          // /auth/me: il record è l'utente stesso
+          const selfId = target.entity === 'users' && path === '/auth/me' ? req.user?.id : null;
+          const entityId = target.id ?? selfId ?? responseBody?.id ?? responseBody?.data?.id ?? null;
+          const recordAction = target.verb || action;
+          let after = null;
+          if (recordAction !== 'delete') {
+            after = target.table && entityId && !target.verb
+              ? this.snapshot(target.table, entityId)
+              : this.redact(req.body);
+          }
+
+          this.log({
+            user: req.user,
+            action: recordAction,
+            entity: target.entity,
+            entityId,
+            // Eliminazioni senza record (es. coppie trattore-rimorchio): quello che è stato rimosso è nel body
+            before: before ?? (recordAction === 'delete' ? this.redact(req.body) : null),
+            after,
+            method: req.method,
+            path,
+            ip: req.ip
+          });
+        } catch (error) {
+          logger.warn('Errore registrazione audit', { path, error: error.message });
+        }
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Ricava entità, tabella, id e azione specifica (es. /routes/5/reset) dall'URL
+   * @param {string} path - URL completo senza query string
+   * @returns {Object} { entity, table, id, verb }
+   */
+  resolveTarget(path) {
+    const gestionale = path.match(/^\/api\/gestionale\/([\w-]+)(?:\/(\d+))?/);
+    if (gestionale) {
+      const table = 'gest_' + gestionale[1].replace(/-/g, '_');
+      return { entity: table, table, id: gestionale[2] ? parseInt(gestionale[2]) : null, verb: null };
+    }
+
+    const segments = path.replace(/^\/(api\/v2|api|auth)\//, '').split('/').filter(Boolean);
+    const [resource, second, third, fourth] = segments;
+    const isId = (s) => /^\d+$/.test(s || '');
+
+    const subTable = isId(second) && SUB_ENTITY_TABLES[`${resource}/${third}`];
+    if (subTable) {
+      return { entity: subTable, table: subTable, id: isId(fourth) ? parseInt(fourth) : null, verb: null };
+    }
+
+    const table = ENTITY_TABLES[resource] || null;
+    const entity = table || (resource || 'unknown').replace(/-/g, '_');
+
+    if (isId(second)) {
+      return { entity, table, id: parseInt(second), verb: third || null };
+    }
+    return { entity, table, id: null, verb: second || null };
+  }
+
+  /**
+   * Fotografia di un record (campi sensibili esclusi)
+   * @param {string} table - Tabella (solo da ENTITY_TABLES / SUB_ENTITY_TABLES / gest_*)
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  snapshot(table, id) {
+    try {
+      return this.redact(db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id) || null);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Rimuove password, token e segreti da un oggetto prima di salvarlo
+   */
+  redact(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data ?? null;
+    return Object.fromEntries(Object.entries(data).filter(([key]) => !SENSITIVE_KEYS.test(key)));
+  }
+
+  /**
+   * Registra una voce di audit
+   * @param {Object} entry - { user, action, entity, entityId, before, after, method, path, ip }
+   */
+  log({ user, action, entity, entityId = null, before = null, after = null, method = null, path = null, ip = null }) {
+    db.prepare(`
+      INSERT INTO audit_log (user_id, username, action, entity, entity_id, before_json, after_json, method, path, ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      user?.id ?? null,
+      user?.username || null,
+      action,
+      entity,
+      entityId != null ? String(entityId) : null,
+      before != null ? JSON.stringify(before) : null,
+      after != null ? JSON.stringify(after) : null,
+      method,
+      path,
+      ip
+    );
+  }
+
+  /**
+   * Cerca nel registro audit
+   * @param {Object} filters - { entity, entityId, userId, action, from, to, limit, offset }
+   * @returns {Object} { data, total, limit, offset }
+   */
+  query({ entity, entityId, userId, action, from, to, limit = 100, offset = 0 } = {}) {
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (entity) {
+      where += ' AND entity = ?';
+      params.push(entity);
+    }
+    if (entityId) {
+      where += ' AND entity_id = ?';
+      params.push(String(entityId));
+    }
+    if (userId !== undefined && userId !== null && userId !== '') {
+      where += ' AND user_id = ?';
+      params.push(userId);
+    }
+    if (action) {
+      where += ' AND action = ?';
+      params.push(action);
+    }
+    if (from) {
+      where += ' AND created_at >= datetime(?)';
+      params.push(from);
+    }
+    if (to) {
+      where += ' AND created_at <= datetime(?)';
+      params.push(to);
+    }
+
+    const total = db.prepare(`SELECT COUNT(*) as total FROM audit_log${where}`).get(...params).total;
+    const data = db.prepare(`SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(({ before_json, after_json, ...row }) => ({
+        ...row,
+        before: before_json ? JSON.parse(before_json) : null,
+        after: after_json ? JSON.parse(after_json) : null
+      }));
+
+    return { data, total, limit, offset };
+  }
+
+  /**
+   * Valori disponibili per i filtri della pagina audit
+   * @returns {Object} { entities, users, actions }
+   */
+  getFilterOptions() {
+    return {
+      entities: db.prepare('SELECT DISTINCT entity FROM audit_log ORDER BY entity').all().map(r => r.entity),
+      users: db.prepare('SELECT DISTINCT user_id, username FROM audit_log WHERE user_id IS NOT NULL ORDER BY username').all(),
+      actions: db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').all().map(r => r.action)
+    };
+  }
+}
+
+export const auditService = new AuditService();
+export default AuditService;
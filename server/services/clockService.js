@@ -0,0 +1,91 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Simulatore Record Italia attivo: RECORD_ITALIA_SIMULATOR=true o RECORD_ITALIA_API_URL che punta a /simulator
+ * @returns {boolean}
+ */
+export function isSimulatorEnabled() {
+  const apiUrl = process.env.RECORD_ITALIA_API_URL || '';
+  return process.env.RECORD_ITALIA_SIMULATOR === 'true' || /\/simulator\/?$/.test(apiUrl);
+}
+
+/**
+ * Orologio applicativo per allarmi temporali, ritardi e timer di escalation.
+ * In produzione coincide con l'ora di sistema; con il simulatore Record Italia può scorrere
+ * più veloce (SIMULATOR_TIME_SPEED), partire da un'ora diversa (SIMULATOR_START) ed essere
+ * mandato avanti a mano. Emette 'change' quando velocità o ora vengono modificate.
+ */
+class ClockService extends EventEmitter {
+  constructor() {
+    super();
+    this.simulated = isSimulatorEnabled();
+    this.speed = 1;
+    this.anchorReal = Date.now();
+    this.anchorTime = this.anchorReal;
+
+    if (this.simulated) {
+      this.speed = parseFloat(process.env.SIMULATOR_TIME_SPEED) || 1;
+      const start = process.env.SIMULATOR_START ? Date.parse(process.env.SIMULATOR_START) : NaN;
+      if (!Number.isNaN(start)) this.anchorTime = start;
+    }
+  }
+
+  /**
+   * @returns {Date} Ora corrente (simulata se attivo il simulatore)
+   */
+  now() {
+    return new Date(this.anchorTime + (Date.now() - this.anchorReal) * this.speed);
+  }
+
+  /**
+   * @returns {string} Data locale corrente (YYYY-MM-DD), come date('now', 'localtime') di SQLite
+   */
+  today() {
+    const now = this.now();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  /**
+   * Converte una durata dell'orologio in millisecondi reali (per setTimeout)
+   * @param {number} ms
+   * @returns {number}
+   */
+  realDelay(ms) {
+    return Math.max(0, ms / this.speed);
+  }
+
+  /**
+   * Manda avanti l'orologio
+   * @param {number} ms
+   */
+  advance(ms) {
+    this.anchorTime += ms;
+    this.emit('change', this.getStatus());
+  }
+
+  /**
+   * Cambia la velocità mantenendo l'ora corrente
+   * @param {number} speed - Fattore rispetto al tempo reale (es. 60 = un'ora al minuto)
+   */
+  setSpeed(speed) {
+    this.anchorTime = this.now().getTime();
+    this.anchorReal = Date.now();
+    this.speed = speed;
+    this.emit('change', this.getStatus());
+  }
+
+  getStatus() {
+    return {
+      simulated: this.simulated,
+      now: this.now().toISOString(),
+      speed: this.speed
+    };
+  }
+}
+
+export const clockService = new ClockService();
+export default ClockService;
@@ -0,0 +1,252 @@
+import { getPositionHistory } from '../database/positionsDb.js';
+import { geofenceService } from './geofenceService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Reg. (CE) 561/2006: pausa di 45 minuti dopo 4h30 di guida continuativa,
+// riposo giornaliero di 11 ore dopo 9 ore di guida
+const MAX_CONTINUOUS_DRIVING_MINUTES = 270;
+const BREAK_MINUTES = 45;
+const MAX_DAILY_DRIVING_MINUTES = 540;
+const DAILY_REST_MINUTES = 660;
+
+// Sopra questa velocità (km/h) il veicolo è considerato in guida
+const MOVING_SPEED = 3;
+// Finestra e campioni minimi per la velocità media recente
+const SPEED_WINDOW_MINUTES = 60;
+const MIN_SPEED_SAMPLES = 3;
+// Buchi nello storico più lunghi di così contano come sosta (dispositivo spento)
+const MAX_SAMPLE_GAP_MINUTES = 30;
+// Rapporto strada/linea d'aria quando il viaggio non ha un percorso pianificato
+const ROAD_FACTOR = 1.3;
+// Tratti del percorso vicini quanto il più vicino entro questa tolleranza (metri): vale il primo
+const SNAP_TOLERANCE_METERS = 200;
+
+/**
+ * Stima degli orari di arrivo (ETA) alle tappe ancora da raggiungere di un viaggio:
+ * distanza residua lungo il percorso pianificato, velocità media recente dallo storico
+ * posizioni, soste previste alle tappe e pause obbligatorie di guida.
+ */
+class EtaService {
+  constructor() {
+    this.defaultSpeedKmh = parseInt(process.env.TRIP_ETA_DEFAULT_SPEED_KMH) || 60;
+    // Distanze progressive per percorso (chiave: array del percorso di getPlannedPath)
+    this.cumulativeLengths = new WeakMap();
+  }
+
+  /**
+   * @param {Object} trip - Riga trips
+   * @param {Array} stops - Righe trip_stops ordinate per ordine
+   * @param {Object} position - Posizione attuale della motrice {latitude, longitude}
+   * @param {Array} path - Percorso pianificato [{lat, lng}] (vuoto = linea d'aria tra le tappe)
+   * @param {Date} now - Ora corrente (clockService)
+   * @returns {Object} { speedKmh, etas: [{ stop, eta (Date), breakMinutes }] }
+   */
+  estimate(trip, stops, position, path, now) {
+    const history = trip.targa_motrice
+      ? getPositionHistory(trip.targa_motrice, new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString(), now.toISOString())
+      : [];
+    const speedKmh = this.getAverageSpeed(history, trip, now);
+    const driving = this.getDrivingTime(history, now);
+    const usePath = path.length >= 2;
+
+    let clock = now.getTime();
+    let previous = position;
+    let along = 0;
+    if (usePath) {
+      // Il veicolo è oltre le tappe già lasciate: la sua posizione si cerca da lì in avanti
+      for (const stop of stops) {
+        if (stop.stato !== 'completata' && stop.stato !== 'saltata') break;
+        along = this.locate({ latitude: stop.latitudine, longitude: stop.longitudine }, path, along).along;
+      }
+      along = this.locate(position, path, along).along;
+    }
+    const etas = [];
+
+    for (const stop of stops) {
+      if (stop.stato === 'completata' || stop.stato === 'saltata') continue;
+      const target = { latitude: stop.latitudine, longitude: stop.longitudine };
+      const located = usePath ? this.locate(target, path, along) : null;
+
+      if (stop.stato === 'raggiunta') {
+        // Veicolo fermo alla tappa: resta da fare la sosta prevista
+        const arrived = stop.ora_arrivo_effettiva ? this.parseTime(stop.ora_arrivo_effettiva) : clock;
+        const dwell = stop.tempo_sosta_minuti || 0;
+        clock += Math.max(0, dwell * 60000 - (clock - arrived));
+        this.applyRest(driving, dwell);
+      } else {
+        const meters = usePath
+          ? Math.max(0, located.along - along) + located.offset
+          : geofenceService.getDistance(previous, target) * ROAD_FACTOR;
+        const driveMinutes = (meters / 1000) / speedKmh * 60;
+        const breakMinutes = this.planBreaks(driving, driveMinutes);
+
+        clock += (driveMinutes + breakMinutes) * 60000;
+        etas.push({ stop, eta: new Date(clock), breakMinutes: Math.round(breakMinutes) });
+
+        const dwell = stop.tempo_sosta_minuti || 0;
+        clock += dwell * 60000;
+        this.applyRest(driving, dwell);
+      }
+
+      previous = target;
+      if (located) along = located.along;
+    }
+
+    return { speedKmh: Math.round(speedKmh * 10) / 10, etas };
+  }
+
+  /**
+   * Velocità media di marcia nell'ultima ora; con pochi campioni usa la media pianificata
+   * del viaggio (distanza_km / durata_minuti) o TRIP_ETA_DEFAULT_SPEED_KMH
+   */
+  getAverageSpeed(history, trip, now) {
+    const since = now.getTime() - SPEED_WINDOW_MINUTES * 60000;
+    const samples = history
+      .filter(p => (p.speed || 0) > MOVING_SPEED && this.parseTime(p.timestamp) >= since)
+      .map(p => p.speed);
+
+    if (samples.length >= MIN_SPEED_SAMPLES) {
+      return samples.reduce((sum, speed) => sum + speed, 0) / samples.length;
+    }
+    if (trip.distanza_km > 0 && trip.durata_minuti > 0) {
+      return trip.distanza_km / (trip.durata_minuti / 60);
+    }
+    return this.defaultSpeedKmh;
+  }
+
+  /**
+   * Minuti di guida dall'ultima pausa (>= 45 min) e dall'ultimo riposo giornaliero (>= 11 ore)
+   * ricostruiti dallo storico posizioni delle ultime 24 ore
+   * @returns {Object} { continuous, daily }
+   */
+  getDrivingTime(history, now) {
+    const driving = { continuous: 0, daily: 0 };
+    let rest = 0;
+
+    for (let i = 0; i < history.length; i++) {
+      const start = this.parseTime(history[i].timestamp);
+      const end = i + 1 < history.length ? this.parseTime(history[i + 1].timestamp) : now.getTime();
+      const minutes = Math.max(0, (end - start) / 60000);
+
+      if ((history[i].speed || 0) > MOVING_SPEED && minutes <= MAX_SAMPLE_GAP_MINUTES) {
+        driving.continuous += minutes;
+        driving.daily += minutes;
+        rest = 0;
+      } else {
+        rest += minutes;
+        this.applyRest(driving, rest);
+      }
+    }
+
+    return driving;
+  }
+
+  /**
+   * Aggiunge una tratta di guida e restituisce i minuti di pausa/riposo obbligatori da inserire
+   * @param {Object} driving - { continuous, daily }, aggiornato sul posto
+   * @param {number} minutes - Minuti di guida della tratta
+   * @returns {number}
+   */
+  planBreaks(driving, minutes) {
+    let remaining = minutes;
+    let pause = 0;
+
+    while (remaining > 0) {
+      const slot = Math.max(0, Math.min(
+        MAX_CONTINUOUS_DRIVING_MINUTES - driving.continuous,
+        MAX_DAILY_DRIVING_MINUTES - driving.daily
+      ));
+      if (remaining <= slot) {
+        driving.continuous += remaining;
+        driving.daily += remaining;
+        break;
+      }
+
+      remaining -= slot;
+      driving.daily += slot;
+      if (driving.daily >= MAX_DAILY_DRIVING_MINUTES) {
+        pause += DAILY_REST_MINUTES;
+        driving.daily = 0;
+      } else {
+        pause += BREAK_MINUTES;
+      }
+      driving.continuous = 0;
+    }
+
+    return pause;
+  }
+
+  /**
+   * Una sosta abbastanza lunga vale come pausa o riposo giornaliero
+   */
+  applyRest(driving, minutes) {
+    if (minutes >= DAILY_REST_MINUTES) {
+      driving.continuous = 0;
+      driving.daily = 0;
+    } else if (minutes >= BREAK_MINUTES) {
+      driving.continuous = 0;
+    }
+  }
+
+  /**
+   * Posizione di un punto lungo il percorso, cercata in avanti da fromAlong. Tra i tratti vicini
+   * quanto il più vicino (entro SNAP_TOLERANCE_METERS) vale il primo, così un percorso che ripassa
+   * dallo stesso punto (ritorno al deposito) non aggancia il passaggio sbagliato
+   * @param {Object} point - {latitude, longitude}
+   * @param {Array} path - [{lat, lng}, ...] con almeno due punti
+   * @param {number} fromAlong - Metri dall'inizio del percorso da cui cercare
+   * @returns {Object} { along (metri dall'inizio del percorso), offset (metri dal percorso) }
+   */
+  locate(point, path, fromAlong = 0) {
+    const cumulative = this.getCumulativeLengths(path);
+    const candidates = [];
+
+    for (let i = 0; i < path.length - 1; i++) {
+      // L'ultimo tratto resta sempre candidato
+      if (cumulative[i + 1] <= fromAlong && i < path.length - 2) continue;
+
+      // Del tratto che contiene fromAlong conta solo la parte successiva
+      let start = path[i];
+      let startAlong = cumulative[i];
+      if (startAlong < fromAlong) {
+        const length = cumulative[i + 1] - cumulative[i];
+        const f = length > 0 ? Math.min(1, (fromAlong - startAlong) / length) : 1;
+        start = {
+          lat: path[i].lat + f * (path[i + 1].lat - path[i].lat),
+          lng: path[i].lng + f * (path[i + 1].lng - path[i].lng)
+        };
+        startAlong = cumulative[i] + f * length;
+      }
+
+      const { distance, t } = geofenceService.projectOnSegment(point, start, path[i + 1]);
+      candidates.push({ along: startAlong + t * (cumulative[i + 1] - startAlong), offset: distance });
+    }
+
+    const nearest = Math.min(...candidates.map(c => c.offset));
+    return candidates.find(c => c.offset <= nearest + SNAP_TOLERANCE_METERS);
+  }
+
+  getCumulativeLengths(path) {
+    let cumulative = this.cumulativeLengths.get(path);
+    if (!cumulative) {
+      cumulative = [0];
+      for (let i = 1; i < path.length; i++) {
+        cumulative.push(cumulative[i - 1] + geofenceService.getDistance(
+          { latitude: path[i - 1].lat, longitude: path[i - 1].lng },
+          { latitude: path[i].lat, longitude: path[i].lng }
+        ));
+      }
+      this.cumulativeLengths.set(path, cumulative);
+    }
+    return cumulative;
+  }
+
+  parseTime(value) {
+    return Date.parse(value.includes('T') ? value : value.replace(' ', 'T') + 'Z');
+  }
+}
+
+export const etaService = new EtaService();
+export default EtaService;
@@ -0,0 +1,108 @@
+// Lato della cella della griglia in gradi (~5 km di latitudine)
+const CELL_SIZE = 0.05;
+// Geofence più estesi di così (in celle) non vengono indicizzati e si controllano sempre col solo bounding box
+const MAX_CELLS_PER_GEOFENCE = 400;
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Indice spaziale a griglia dei geofence: coordinate già decodificate e bounding box calcolato
+ * una volta sola, così per ogni posizione si testano solo i geofence delle celle vicine.
+ * Ogni geofence indicizzato ha in più _coordinates ([{lat, lng}]) e _bbox ({minLat, maxLat, minLng, maxLng}).
+ */
+export default class GeofenceIndex {
+  /**
+   * @param {Array} geofences - Righe della tabella geofences (coordinate come JSON)
+   */
+  constructor(geofences) {
+    this.cells = new Map();
+    this.large = [];
+    this.geofences = [];
+    this.byId = new Map();
+
+    for (const row of geofences) {
+      let coordinates;
+      try {
+        coordinates = typeof row.coordinate === 'string' ? JSON.parse(row.coordinate) : row.coordinate;
+      } catch {
+        continue;
+      }
+      if (!Array.isArray(coordinates) || coordinates.length === 0) continue;
+
+      const geofence = { ...row, _coordinates: coordinates, _bbox: GeofenceIndex.boundingBox(row, coordinates) };
+      this.geofences.push(geofence);
+      this.byId.set(geofence.id, geofence);
+      this.insert(geofence);
+    }
+  }
+
+  /**
+   * Bounding box di un poligono o di un cerchio (centro ± raggio), allargato del buffer di ingresso
+   */
+  static boundingBox(geofence, coordinates) {
+    let margin = geofence.buffer_ingresso_metri || 0;
+    let lats = coordinates.map(c => c.lat);
+    let lngs = coordinates.map(c => c.lng);
+    if (geofence.tipo === 'circle') {
+      margin += geofence.raggio_metri || 0;
+      lats = [coordinates[0].lat];
+      lngs = [coordinates[0].lng];
+    }
+
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    const dLat = margin / METERS_PER_DEGREE;
+    const dLng = margin / (METERS_PER_DEGREE * Math.max(Math.cos(Math.max(Math.abs(minLat), Math.abs(maxLat)) * Math.PI / 180), 0.01));
+    return {
+      minLat: minLat - dLat,
+      maxLat: maxLat + dLat,
+      minLng: Math.min(...lngs) - dLng,
+      maxLng: Math.max(...lngs) + dLng
+    };
+  }
+
+  insert(geofence) {
+    const { minLat, maxLat, minLng, maxLng } = geofence._bbox;
+    const [minRow, minCol] = this.cellOf(minLat, minLng);
+    const [maxRow, maxCol] = this.cellOf(maxLat, maxLng);
+
+    if ((maxRow - minRow + 1) * (maxCol - minCol + 1) > MAX_CELLS_PER_GEOFENCE) {
+      this.large.push(geofence);
+      return;
+    }
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const key = `${row}:${col}`;
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(geofence);
+      }
+    }
+  }
+
+  cellOf(lat, lng) {
+    return [Math.floor(lat / CELL_SIZE), Math.floor(lng / CELL_SIZE)];
+  }
+
+  /**
+   * Geofence il cui bounding box contiene il punto (da verificare poi con isPointInGeofence)
+   * @param {Object} point - {latitude, longitude}
+   * @returns {Array}
+   */
+  candidates(point) {
+    const [row, col] = this.cellOf(point.latitude, point.longitude);
+    const inCell = this.cells.get(`${row}:${col}`) || [];
+    return [...inCell, ...this.large].filter(g =>
+      point.latitude >= g._bbox.minLat && point.latitude <= g._bbox.maxLat &&
+      point.longitude >= g._bbox.minLng && point.longitude <= g._bbox.maxLng
+    );
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  get size() {
+    return this.geofences.length;
+  }
+}
@@ -1,10 +1,56 @@
 import * as geolib from 'geolib';
+import db from '../database/db.js';
+import GeofenceIndex from './geofenceIndex.js';
+
+// Categorie di geofence e regole predefinite applicate dal monitoraggio:
+// allarmeIngresso = notifica a ogni ingresso anche senza allarmi configurati per la zona,
+// sospendiSoste = nessun allarme di sosta prolungata generico (senza zona) all'interno,
+// manutenzione = il veicolo risulta in manutenzione finché resta dentro
+export const GEOFENCE_CATEGORIES = {
+  generic: { label: 'Generica', regole: {} },
+  depot: { label: 'Deposito', regole: {} },
+  customer: { label: 'Sede cliente', regole: {} },
+  workshop: { label: 'Officina', regole: { manutenzione: true } },
+  no_go: { label: 'Area vietata', regole: { allarmeIngresso: true } },
+  parking: { label: 'Parcheggio', regole: { sospendiSoste: true } },
+  border: { label: 'Confine di stato', regole: {} }
+};
 
 /**
  * Servizio per il geofencing - verifica se un punto è dentro una zona
  */
 class GeofenceService {
+  constructor() {
+    this.activeIndex = null;
+  }
+
+  /**
+   * Indice spaziale dei geofence attivi, ricostruito solo dopo una modifica (vedi invalidateIndex)
+   * @returns {GeofenceIndex}
+   */
+  getActiveIndex() {
+    if (!this.activeIndex) {
+      this.activeIndex = new GeofenceIndex(db.prepare('SELECT * FROM geofences WHERE attivo = 1').all());
+    }
+    return this.activeIndex;
+  }
+
+  /**
+   * Da chiamare dopo ogni creazione, modifica o eliminazione di geofence
+   */
+  invalidateIndex() {
+    this.activeIndex = null;
+  }
   
+  /**
+   * Regole predefinite della categoria del geofence (categoria sconosciuta = generica)
+   * @param {Object} geofence - Oggetto geofence dal database
+   * @returns {Object} { allarmeIngresso, sospendiSoste, manutenzione }
+   */
+  getCategoryRules(geofence) {
+    return (GEOFENCE_CATEGORIES[geofence?.categoria] || GEOFENCE_CATEGORIES.generic).regole;
+  }
+
   /**
    * Verifica se un punto è dentro un geofence (poligono o cerchio)
    * @param {Object} point - {latitude, longitude}
@@ -12,7 +58,7 @@ class GeofenceService {
    * @returns {boolean}
    */
   isPointInGeofence(point, geofence) {
-    const coordinates = JSON.parse(geofence.coordinate);
+    const coordinates = geofence._coordinates || JSON.parse(geofence.coordinate);
     
     if (geofence.tipo === 'circle') {
       // Geofence circolare
@@ -35,6 +81,85 @@ class GeofenceService {
     }
   }
 
+  /**
+   * Distanza in metri di un punto dal bordo del geofence (0 se è dentro)
+   * @param {Object} point - {latitude, longitude}
+   * @param {Object} geofence - Oggetto geofence dal database
+   * @returns {number}
+   */
+  distanceOutside(point, geofence) {
+    if (this.isPointInGeofence(point, geofence)) return 0;
+
+    const coordinates = geofence._coordinates || JSON.parse(geofence.coordinate);
+    if (geofence.tipo === 'circle') {
+      const center = coordinates[0];
+      return Math.max(0, geolib.getDistance(point, { latitude: center.lat, longitude: center.lng }) - geofence.raggio_metri);
+    }
+
+    let min = Infinity;
+    for (let i = 0; i < coordinates.length; i++) {
+      const a = coordinates[i];
+      const b = coordinates[(i + 1) % coordinates.length];
+      min = Math.min(min, this.distanceToSegment(point, a, b));
+    }
+    return min;
+  }
+
+  /**
+   * Distanza in metri da un punto a un segmento (proiezione piana locale, adatta a distanze brevi)
+   */
+  distanceToSegment(point, a, b) {
+    return this.projectOnSegment(point, a, b).distance;
+  }
+
+  /**
+   * Proiezione di un punto su un segmento
+   * @returns {Object} { distance (metri), t (0..1, posizione della proiezione lungo il segmento) }
+   */
+  projectOnSegment(point, a, b) {
+    const metersPerDegLat = 111320;
+    const metersPerDegLng = 111320 * Math.cos(point.latitude * Math.PI / 180);
+    const ax = (a.lng - point.longitude) * metersPerDegLng;
+    const ay = (a.lat - point.latitude) * metersPerDegLat;
+    const bx = (b.lng - point.longitude) * metersPerDegLng;
+    const by = (b.lat - point.latitude) * metersPerDegLat;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+    return { distance: Math.hypot(ax + t * dx, ay + t * dy), t };
+  }
+
+  /**
+   * Distanza minima in metri da un punto a una linea spezzata (es. percorso pianificato)
+   * @param {Object} point - {latitude, longitude}
+   * @param {Array} path - [{lat, lng}, ...]
+   * @returns {number}
+   */
+  distanceToPolyline(point, path) {
+    if (path.length === 1) return this.distanceToSegment(point, path[0], path[0]);
+
+    let min = Infinity;
+    for (let i = 0; i < path.length - 1; i++) {
+      min = Math.min(min, this.distanceToSegment(point, path[i], path[i + 1]));
+    }
+    return min;
+  }
+
+  /**
+   * Dentro/fuori con isteresi: chi è fuori entra a buffer_ingresso_metri dal bordo,
+   * chi è dentro esce solo oltre buffer_uscita_metri
+   * @param {Object} point - {latitude, longitude}
+   * @param {Object} geofence - Oggetto geofence dal database
+   * @param {boolean} wasInside - Stato confermato attuale
+   * @returns {boolean}
+   */
+  isWithinGeofence(point, geofence, wasInside) {
+    const buffer = (wasInside ? geofence.buffer_uscita_metri : geofence.buffer_ingresso_metri) || 0;
+    if (buffer <= 0) return this.isPointInGeofence(point, geofence);
+    return this.distanceOutside(point, geofence) <= buffer;
+  }
+
   /**
    * Verifica tutti i geofence per un punto
    * @param {Object} point - {latitude, longitude}
@@ -114,6 +239,40 @@ class GeofenceService {
     return null;
   }
 
+  /**
+   * Transizione con debounce: il nuovo stato deve essere osservato in conferma_campioni posizioni
+   * consecutive e per almeno conferma_secondi prima di essere confermato
+   * @param {Object} status - { inside, pendingInside, pendingSince (ms), pendingCount }
+   * @param {boolean} observedInside - Dentro/fuori secondo l'ultima posizione (isWithinGeofence)
+   * @param {Object} geofence - Oggetto geofence dal database
+   * @param {number} now - Istante della posizione (ms)
+   * @returns {Object} { transition: 'enter'|'exit'|null, at (ms, inizio della transizione), status, changed }
+   */
+  confirmTransition(status, observedInside, geofence, now) {
+    const idle = { inside: status.inside, pendingInside: null, pendingSince: null, pendingCount: 0 };
+
+    if (observedInside === status.inside) {
+      return { transition: null, at: null, status: idle, changed: status.pendingInside !== null };
+    }
+
+    const pending = status.pendingInside === observedInside
+      ? { ...status, pendingCount: status.pendingCount + 1 }
+      : { inside: status.inside, pendingInside: observedInside, pendingSince: now, pendingCount: 1 };
+
+    const samplesOk = pending.pendingCount >= Math.max(geofence.conferma_campioni || 1, 1);
+    const secondsOk = (now - pending.pendingSince) / 1000 >= (geofence.conferma_secondi || 0);
+    if (!samplesOk || !secondsOk) {
+      return { transition: null, at: null, status: pending, changed: true };
+    }
+
+    return {
+      transition: this.detectTransition({ inside: status.inside }, observedInside),
+      at: pending.pendingSince,
+      status: { inside: observedInside, pendingInside: null, pendingSince: null, pendingCount: 0 },
+      changed: true
+    };
+  }
+
   /**
    * Crea un geofence circolare da un punto centrale
    * @param {number} lat - Latitudine centro
@@ -0,0 +1,368 @@
+import { geofenceService, GEOFENCE_CATEGORIES } from './geofenceService.js';
+
+export const GEOFENCE_TRANSFER_FORMATS = ['geojson', 'kml'];
+export const GEOFENCE_CONFLICT_MODES = ['skip', 'replace', 'rename'];
+
+const DEFAULT_COLOR = '#3b82f6';
+
+// Proprietà riconosciute in import (GeoJSON properties / KML ExtendedData), in ordine di priorità
+const NAME_KEYS = ['nome', 'name', 'Name', 'title', 'NAME'];
+const DESCRIPTION_KEYS = ['descrizione', 'description', 'Description', 'desc'];
+const COLOR_KEYS = ['colore', 'color', 'fill', 'stroke', 'marker-color'];
+const RADIUS_KEYS = ['raggio_metri', 'radius', 'raggio'];
+
+/**
+ * Import/export massivo dei geofence in GeoJSON e KML (es. perimetri dei siti disegnati in Google Earth).
+ * I cerchi vengono esportati come poligoni approssimati (leggibili da qualsiasi strumento) con tipo,
+ * centro e raggio nelle proprietà, così un re-import li ricrea come cerchi.
+ */
+class GeofenceTransferService {
+  /**
+   * Legge un file GeoJSON o KML
+   * @param {string} content - Contenuto del file
+   * @param {string} format - geojson | kml (default: riconosciuto dal contenuto)
+   * @returns {Object} { geofences: [{ nome, descrizione, colore, tipo, coordinate, raggio_metri, zona_carico, categoria }], errors: [string] }
+   */
+  parse(content, format = null) {
+    const text = String(content || '').replace(/^\uFEFF/, '').trim();
+    const detected = format || (text.startsWith('<') ? 'kml' : 'geojson');
+
+    if (detected === 'kml') return this.parseKml(text);
+
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new Error('File GeoJSON non valido');
+    }
+    return this.parseGeoJson(json);
+  }
+
+  parseGeoJson(json) {
+    const features = json.type === 'FeatureCollection'
+      ? json.features || []
+      : json.type === 'Feature'
+        ? [json]
+        : [{ type: 'Feature', geometry: json, properties: {} }];
+
+    const geofences = [];
+    const errors = [];
+
+    features.forEach((feature, index) => {
+      const properties = feature.properties || {};
+      const label = this.pick(properties, NAME_KEYS) || `Zona ${index + 1}`;
+      try {
+        geofences.push(...this.fromGeometry(feature.geometry, properties, label));
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    });
+
+    return { geofences, errors };
+  }
+
+  /**
+   * GeoJSON geometry -> geofence (un MultiPolygon diventa un geofence per poligono)
+   */
+  fromGeometry(geometry, properties, label) {
+    if (!geometry) throw new Error('geometria mancante');
+
+    const base = {
+      nome: String(label).trim(),
+      descrizione: String(this.pick(properties, DESCRIPTION_KEYS) || '').trim(),
+      colore: this.normalizeColor(this.pick(properties, COLOR_KEYS)),
+      zona_carico: ['1', 'true', 'si', 'sì'].includes(String(properties.zona_carico ?? '').toLowerCase()),
+      categoria: GEOFENCE_CATEGORIES[properties.categoria] ? properties.categoria : 'generic'
+    };
+    const radius = parseFloat(this.pick(properties, RADIUS_KEYS));
+    const center = this.parseCenter(properties.centro);
+
+    // Cerchio esportato da noi: poligono approssimato + centro e raggio
+    if (properties.tipo === 'circle' && center && radius > 0) {
+      return [{ ...base, tipo: 'circle', coordinate: [center], raggio_metri: Math.round(radius) }];
+    }
+
+    switch (geometry.type) {
+      case 'Point': {
+        if (!(radius > 0)) throw new Error('punto senza raggio (proprietà raggio_metri o radius)');
+        const [lng, lat] = geometry.coordinates;
+        return [{ ...base, tipo: 'circle', coordinate: [this.toLatLng(lat, lng)], raggio_metri: Math.round(radius) }];
+      }
+      case 'Polygon':
+        return [{ ...base, tipo: 'polygon', coordinate: this.ringToCoordinates(geometry.coordinates[0]), raggio_metri: 0 }];
+      case 'MultiPolygon':
+        return geometry.coordinates.map((polygon, i) => ({
+          ...base,
+          nome: geometry.coordinates.length > 1 ? `${base.nome} (${i + 1})` : base.nome,
+          tipo: 'polygon',
+          coordinate: this.ringToCoordinates(polygon[0]),
+          raggio_metri: 0
+        }));
+      default:
+        throw new Error(`geometria ${geometry.type} non supportata (solo Polygon, MultiPolygon o Point con raggio)`);
+    }
+  }
+
+  /**
+   * KML (Google Earth): Placemark con Polygon o Point; colore da PolyStyle/LineStyle inline o da styleUrl
+   */
+  parseKml(text) {
+    const styles = this.parseKmlStyles(text);
+    const geofences = [];
+    const errors = [];
+    const placemarks = text.match(/<Placemark\b[\s\S]*?<\/Placemark>/g) || [];
+
+    placemarks.forEach((placemark, index) => {
+      const properties = this.parseKmlExtendedData(placemark);
+      const name = this.kmlText(placemark, 'name') || this.pick(properties, NAME_KEYS) || `Zona ${index + 1}`;
+      try {
+        const styleUrl = this.kmlText(placemark, 'styleUrl');
+        const color = this.kmlStyleColor(placemark) || (styleUrl ? styles.get(styleUrl.replace(/^.*#/, '')) : null);
+        const props = {
+          ...properties,
+          nome: name,
+          descrizione: this.kmlText(placemark, 'description') || properties.descrizione || '',
+          colore: properties.colore || color
+        };
+
+        const polygons = placemark.match(/<Polygon\b[\s\S]*?<\/Polygon>/g) || [];
+        const point = placemark.match(/<Point\b[\s\S]*?<\/Point>/);
+
+        let geometry;
+        if (polygons.length > 0) {
+          const rings = polygons.map(polygon => {
+            const outer = polygon.match(/<outerBoundaryIs>[\s\S]*?<coordinates>([\s\S]*?)<\/coordinates>/);
+            if (!outer) throw new Error('poligono senza outerBoundaryIs');
+            return [this.parseKmlCoordinates(outer[1])];
+          });
+          geometry = rings.length === 1 ? { type: 'Polygon', coordinates: rings[0] } : { type: 'MultiPolygon', coordinates: rings };
+        } else if (point) {
+          geometry = { type: 'Point', coordinates: this.parseKmlCoordinates(this.kmlText(point[0], 'coordinates'))[0] };
+        } else {
+          throw new Error('nessun Polygon o Point');
+        }
+
+        geofences.push(...this.fromGeometry(geometry, props, name));
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    });
+
+    if (placemarks.length === 0) {
+      errors.push('Nessun Placemark trovato nel KML');
+    }
+
+    return { geofences, errors };
+  }
+
+  /**
+   * Stili del documento (Style e StyleMap "normal") -> colore #rrggbb
+   */
+  parseKmlStyles(text) {
+    const styles = new Map();
+    for (const [, id, body] of text.matchAll(/<Style\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/Style>/g)) {
+      const color = this.kmlStyleColor(body);
+      if (color) styles.set(id, color);
+    }
+    for (const [, id, body] of text.matchAll(/<StyleMap\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/StyleMap>/g)) {
+      const normal = body.match(/<key>\s*normal\s*<\/key>\s*<styleUrl>\s*#?([^<\s]+)\s*<\/styleUrl>/);
+      if (normal && styles.has(normal[1])) styles.set(id, styles.get(normal[1]));
+    }
+    return styles;
+  }
+
+  kmlStyleColor(fragment) {
+    const style = fragment.match(/<PolyStyle\b[^>]*>[\s\S]*?<color>\s*([0-9a-fA-F]{8})\s*<\/color>/) ||
+      fragment.match(/<LineStyle\b[^>]*>[\s\S]*?<color>\s*([0-9a-fA-F]{8})\s*<\/color>/);
+    if (!style) return null;
+    // KML usa aabbggrr
+    const [, , bb, gg, rr] = style[1].match(/(..)(..)(..)(..)/);
+    return `#${rr}${gg}${bb}`.toLowerCase();
+  }
+
+  parseKmlExtendedData(placemark) {
+    const properties = {};
+    for (const [, name, body] of placemark.matchAll(/<Data\b[^>]*\bname="([^"]+)"[^>]*>([\s\S]*?)<\/Data>/g)) {
+      properties[name] = this.kmlText(body, 'value');
+    }
+    for (const [, name, value] of placemark.matchAll(/<SimpleData\b[^>]*\bname="([^"]+)"[^>]*>([\s\S]*?)<\/SimpleData>/g)) {
+      properties[name] = this.unescapeXml(value.trim());
+    }
+    return properties;
+  }
+
+  parseKmlCoordinates(text) {
+    return String(text || '').trim().split(/\s+/).filter(Boolean).map(tuple => {
+      const [lng, lat] = tuple.split(',').map(Number);
+      return [lng, lat];
+    });
+  }
+
+  kmlText(fragment, tag) {
+    const match = fragment.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`));
+    if (!match) return null;
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1].trim() : this.unescapeXml(match[1].trim());
+  }
+
+  /**
+   * Anello GeoJSON [[lng, lat], ...] -> [{lat, lng}] senza il punto di chiusura ripetuto
+   */
+  ringToCoordinates(ring) {
+    const coordinates = (ring || []).map(([lng, lat]) => this.toLatLng(lat, lng));
+    const first = coordinates[0];
+    const last = coordinates[coordinates.length - 1];
+    if (coordinates.length > 1 && first.lat === last.lat && first.lng === last.lng) {
+      coordinates.pop();
+    }
+    if (coordinates.length < 3) throw new Error('poligono con meno di 3 vertici');
+    return coordinates;
+  }
+
+  toLatLng(lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('coordinate non valide');
+    }
+    return { lat, lng };
+  }
+
+  parseCenter(value) {
+    if (!value) return null;
+    try {
+      const center = typeof value === 'string' ? JSON.parse(value) : value;
+      return Number.isFinite(center.lat) && Number.isFinite(center.lng) ? { lat: center.lat, lng: center.lng } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Anello chiuso [[lng, lat], ...] di un geofence (cerchi approssimati)
+   */
+  toRing(geofence) {
+    const coordinates = geofence.tipo === 'circle'
+      ? geofenceService.createCircleGeofence(geofence.coordinate[0].lat, geofence.coordinate[0].lng, geofence.raggio_metri)
+      : geofence.coordinate;
+    const ring = coordinates.map(c => [c.lng, c.lat]);
+    return [...ring, ring[0]];
+  }
+
+  /**
+   * @param {Array} geofences - Geofence con coordinate già decodificate
+   * @returns {Object} FeatureCollection
+   */
+  toGeoJson(geofences) {
+    return {
+      type: 'FeatureCollection',
+      features: geofences.map(g => ({
+        type: 'Feature',
+        geometry: { type: 'Polygon', coordinates: [this.toRing(g)] },
+        properties: {
+          nome: g.nome,
+          descrizione: g.descrizione || '',
+          colore: g.colore,
+          tipo: g.tipo,
+          ...(g.tipo === 'circle' ? { centro: g.coordinate[0], raggio_metri: g.raggio_metri } : {}),
+          zona_carico: !!g.zona_carico,
+          categoria: g.categoria || 'generic',
+          attivo: !!g.attivo
+        }
+      }))
+    };
+  }
+
+  /**
+   * @param {Array} geofences - Geofence con coordinate già decodificate
+   * @returns {string} Documento KML 2.2
+   */
+  toKml(geofences) {
+    const data = (name, value) => `        <Data name="${name}"><value>${this.escapeXml(value)}</value></Data>`;
+
+    const placemarks = geofences.map(g => {
+      const rgb = this.normalizeColor(g.colore).slice(1);
+      const bgr = rgb.slice(4, 6) + rgb.slice(2, 4) + rgb.slice(0, 2);
+      return [
+        '    <Placemark>',
+        `      <name>${this.escapeXml(g.nome)}</name>`,
+        g.descrizione ? `      <description>${this.escapeXml(g.descrizione)}</description>` : null,
+        `      <Style><LineStyle><color>ff${bgr}</color><width>2</width></LineStyle><PolyStyle><color>55${bgr}</color></PolyStyle></Style>`,
+        '      <ExtendedData>',
+        data('colore', g.colore),
+        data('tipo', g.tipo),
+        g.tipo === 'circle' ? data('centro', JSON.stringify(g.coordinate[0])) : null,
+        g.tipo === 'circle' ? data('raggio_metri', g.raggio_metri) : null,
+        data('zona_carico', g.zona_carico ? 1 : 0),
+        data('categoria', g.categoria || 'generic'),
+        '      </ExtendedData>',
+        '      <Polygon><outerBoundaryIs><LinearRing><coordinates>',
+        `        ${this.toRing(g).map(([lng, lat]) => `${lng},${lat}`).join(' ')}`,
+        '      </coordinates></LinearRing></outerBoundaryIs></Polygon>',
+        '    </Placemark>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      '    <name>Geofence</name>',
+      ...placemarks,
+      '  </Document>',
+      '</kml>'
+    ].join('\n');
+  }
+
+  getContentType(format) {
+    return format === 'kml' ? 'application/vnd.google-earth.kml+xml' : 'application/geo+json';
+  }
+
+  getFileName(format, date = new Date()) {
+    return `geofence_${date.toISOString().slice(0, 10)}.${format}`;
+  }
+
+  /**
+   * Nome libero per la modalità "rename": "Nome (2)", "Nome (3)", ...
+   * @param {string} name
+   * @param {Set<string>} taken - Nomi già usati (minuscoli)
+   */
+  uniqueName(name, taken) {
+    let candidate = name;
+    for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+      candidate = `${name} (${i})`;
+    }
+    return candidate;
+  }
+
+  pick(properties, keys) {
+    const key = keys.find(k => properties[k] !== undefined && properties[k] !== null && properties[k] !== '');
+    return key ? properties[key] : null;
+  }
+
+  normalizeColor(value) {
+    const color = String(value || '').trim();
+    if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+    if (/^#[0-9a-f]{3}$/i.test(color)) return ('#' + color.slice(1).split('').map(c => c + c).join('')).toLowerCase();
+    return DEFAULT_COLOR;
+  }
+
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  unescapeXml(value) {
+    return String(value ?? '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+export const geofenceTransferService = new GeofenceTransferService();
+export default GeofenceTransferService;
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import db from '../database/db.js';
+import { logger } from './loggerService.js';
+import RecordItaliaAdapter from './gpsSources/recordItaliaAdapter.js';
+import FileReplayAdapter from './gpsSources/fileReplayAdapter.js';
+import TeltonikaAdapter from './gpsSources/teltonikaAdapter.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Sorgenti disponibili per GPS_SOURCES
+const ADAPTER_FACTORIES = {
+  recorditalia: () => new RecordItaliaAdapter(),
+  file: () => new FileReplayAdapter({
+    file: process.env.GPS_REPLAY_FILE,
+    speed: parseFloat(process.env.GPS_REPLAY_SPEED) || 1,
+    loop: process.env.GPS_REPLAY_LOOP !== 'false'
+  }),
+  teltonika: () => new TeltonikaAdapter({
+    port: parseInt(process.env.TELTONIKA_PORT) || 5027,
+    acceptUnknown: process.env.TELTONIKA_ACCEPT_UNKNOWN === 'true',
+    io: {
+      frigo: parseInt(process.env.TELTONIKA_IO_FRIGO) || 1,
+      door: parseInt(process.env.TELTONIKA_IO_DOOR) || 2,
+      temperature1: parseInt(process.env.TELTONIKA_IO_TEMP1) || 72,
+      temperature2: parseInt(process.env.TELTONIKA_IO_TEMP2) || 73
+    }
+  })
+};
+
+/**
+ * Servizio sorgenti GPS - interroga tutti gli adapter configurati (GPS_SOURCES, in ordine di priorità)
+ * e unisce le posizioni normalizzate, una per targa.
+ * Le sorgenti in push (es. dispositivi Teltonika) emettono 'positions' appena ricevono dati
+ */
+class GpsSourceService extends EventEmitter {
+  constructor() {
+    super();
+    const names = (process.env.GPS_SOURCES || 'recorditalia')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.adapters = [];
+    for (const name of names) {
+      if (ADAPTER_FACTORIES[name]) {
+        this.adapters.push(ADAPTER_FACTORIES[name]());
+      } else {
+        logger.warn(`Sorgente GPS sconosciuta ignorata: ${name}`);
+      }
+    }
+
+    // Stato dell'ultima lettura per sorgente
+    this.sourceStatus = new Map();
+  }
+
+  /**
+   * Aggiunge una sorgente (es. provider dei rimorchi a noleggio)
+   * @param {GpsAdapter} adapter
+   */
+  register(adapter) {
+    this.adapters.push(adapter);
+  }
+
+  /**
+   * Avvia le sorgenti che ricevono dati in push (server TCP)
+   */
+  async start() {
+    const pushAdapters = this.adapters.filter(adapter => typeof adapter.start === 'function');
+    for (const adapter of pushAdapters) {
+      adapter.onPositions = (positions) => {
+        this.emit('positions', positions.map(position => ({
+          ...position,
+          idServizio: position.idServizio ?? this.resolveServiceId(position)
+        })));
+      };
+    }
+    await Promise.all(pushAdapters.map(adapter => adapter.start()));
+  }
+
+  stop() {
+    for (const adapter of this.adapters) {
+      if (typeof adapter.stop === 'function') adapter.stop();
+    }
+  }
+
+  /**
+   * Ultima posizione di ogni veicolo da tutte le sorgenti.
+   * Se più sorgenti riportano la stessa targa vince il fix più recente (a parità, la sorgente
+   * elencata prima). Fallisce solo se falliscono tutte le sorgenti.
+   * @returns {Promise<Array>} Posizioni normalizzate
+   */
+  async getAllPositions() {
+    const results = await Promise.allSettled(this.adapters.map(adapter => adapter.getPositions()));
+
+    const merged = new Map();
+    const errors = [];
+
+    results.forEach((result, index) => {
+      const adapter = this.adapters[index];
+      if (result.status === 'rejected') {
+        errors.push(`${adapter.name}: ${result.reason?.message}`);
+        this.sourceStatus.set(adapter.name, { ok: false, error: result.reason?.message, at: new Date().toISOString() });
+        logger.warn(`Errore sorgente GPS ${adapter.name}`, { error: result.reason?.message });
+        return;
+      }
+
+      this.sourceStatus.set(adapter.name, { ok: true, positions: result.value.length, at: new Date().toISOString() });
+
+      for (const position of result.value) {
+        const plate = this.normalizePlate(position.targa);
+        const key = plate || `${adapter.name}:${position.idServizio}`;
+        const current = merged.get(key);
+        if (!current || this.fixTime(position) > this.fixTime(current)) {
+          merged.set(key, { ...position, source: position.source || adapter.name });
+        }
+      }
+    });
+
+    if (errors.length > 0 && errors.length === this.adapters.length) {
+      throw new Error(errors.join('; '));
+    }
+
+    return [...merged.values()].map(position => ({
+      ...position,
+      idServizio: position.idServizio ?? this.resolveServiceId(position)
+    }));
+  }
+
+  /**
+   * @returns {Promise<boolean>} true se almeno una sorgente risponde
+   */
+  async testConnection() {
+    const results = await Promise.all(this.adapters.map(adapter => adapter.testConnection().catch(() => false)));
+    return results.some(Boolean);
+  }
+
+  /**
+   * Id servizio per le posizioni di sorgenti che non ne hanno uno (vehicles e vehicle_positions
+   * sono indicizzati per id_servizio): quello del veicolo con la stessa targa se esiste,
+   * altrimenti un id negativo stabile che non si sovrappone agli id Record Italia
+   * @param {Object} position - Posizione normalizzata
+   * @returns {number}
+   */
+  resolveServiceId(position) {
+    const plate = this.normalizePlate(position.targa);
+    const vehicle = db.prepare(`
+      SELECT id_servizio FROM vehicles WHERE UPPER(targa_camion) = ? ORDER BY id_servizio DESC LIMIT 1
+    `).get(plate);
+    if (vehicle) return vehicle.id_servizio;
+
+    const hash = crypto.createHash('sha1').update(`${position.source}:${plate}`).digest();
+    return -hash.readUIntBE(0, 6);
+  }
+
+  fixTime(position) {
+    const time = position.fixGps ? Date.parse(position.fixGps) : NaN;
+    return Number.isNaN(time) ? 0 : time;
+  }
+
+  normalizePlate(plate) {
+    return (plate || '').toUpperCase().replace(/\*+$/, '');
+  }
+
+  getStatus() {
+    return this.adapters.map(adapter => ({ name: adapter.name, ...this.sourceStatus.get(adapter.name) }));
+  }
+}
+
+export const gpsSourceService = new GpsSourceService();
+export default GpsSourceService;
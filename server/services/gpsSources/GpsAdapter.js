@@ -0,0 +1,39 @@
+/**
+ * Adapter base per una sorgente di posizioni GPS (Record Italia, file di replay, altri provider).
+ *
+ * Ogni adapter restituisce posizioni normalizzate, le stesse salvate da positionsDb:
+ * {
+ *   source, idServizio, targa, nickname, fleetId, fleetName, brand, modello, tipologia,
+ *   latitude, longitude, speed, heading, altitude,
+ *   fixGps,                       // data/ora del fix (formato leggibile da SQLite datetime())
+ *   address, kmTotali, sondeCount,
+ *   temperature1, temperature2,   // sonde temperatura
+ *   frigoOn, doorOpen,            // ingressi digitali già interpretati (boolean)
+ *   inputs, analogs,              // IO grezzi del provider
+ *   rawData                       // payload originale
+ * }
+ * idServizio può mancare: lo assegna gpsSourceService in base alla targa.
+ */
+export default class GpsAdapter {
+  /**
+   * @param {string} name - Nome della sorgente (come in GPS_SOURCES)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Ultima posizione nota di ogni veicolo della sorgente
+   * @returns {Promise<Array>} Posizioni normalizzate
+   */
+  async getPositions() {
+    throw new Error(`getPositions non implementato per la sorgente ${this.name}`);
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    return true;
+  }
+}
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import GpsAdapter from './GpsAdapter.js';
+import RecordItaliaAdapter from './recordItaliaAdapter.js';
+import { logger } from '../loggerService.js';
+
+/**
+ * Sorgente da file: rilegge una traccia registrata per far girare monitoraggio, geofence
+ * e allarmi senza rete.
+ *
+ * Il file è un array JSON (o un JSON per riga) di posizioni normalizzate o di posizioni
+ * Record Italia grezze. I fix vengono riprodotti in ordine di fixGps, alla velocità indicata:
+ * a ogni lettura il veicolo si trova all'ultimo fix raggiunto dall'orologio del replay.
+ * I fix senza data sono statici e sempre visibili. La data dei fix restituiti è spostata
+ * all'ora attuale, così storico e allarmi si comportano come con dati live.
+ */
+export default class FileReplayAdapter extends GpsAdapter {
+  /**
+   * @param {Object} options - { file, speed, loop }
+   */
+  constructor({ file, speed = 1, loop = true } = {}) {
+    super('file');
+    this.file = file ? path.resolve(file) : null;
+    this.speed = speed > 0 ? speed : 1;
+    this.loop = loop;
+    this.fixes = null;
+    this.startedAt = null;
+  }
+
+  async getPositions() {
+    const fixes = this.load();
+    if (fixes.length === 0) return [];
+
+    const timed = fixes.filter(f => f.time !== null);
+    const firstTime = timed.length > 0 ? timed[0].time : 0;
+    const lastTime = timed.length > 0 ? timed[timed.length - 1].time : 0;
+
+    if (this.startedAt === null) {
+      this.startedAt = Date.now();
+    }
+
+    let clock = firstTime + (Date.now() - this.startedAt) * this.speed;
+    if (clock > lastTime && this.loop && lastTime > firstTime) {
+      // Fine traccia: ricomincia dal primo fix
+      this.startedAt = Date.now();
+      clock = firstTime;
+    }
+
+    const latest = new Map();
+    for (const fix of fixes) {
+      if (fix.time !== null && fix.time > clock) break;
+      latest.set(fix.key, fix);
+    }
+
+    return [...latest.values()].map(fix => ({
+      ...fix.position,
+      source: this.name,
+      fixGps: fix.time !== null
+        ? new Date(this.startedAt + (fix.time - firstTime) / this.speed).toISOString()
+        : fix.position.fixGps
+    }));
+  }
+
+  async testConnection() {
+    return this.load().length > 0;
+  }
+
+  /**
+   * Legge e ordina i fix del file (una sola volta)
+   * @returns {Array} [{ key, time, position }] ordinati per data, i fix senza data in testa
+   */
+  load() {
+    if (this.fixes) return this.fixes;
+
+    if (!this.file) {
+      logger.warn('Sorgente GPS file: GPS_REPLAY_FILE non impostato');
+      this.fixes = [];
+      return this.fixes;
+    }
+
+    try {
+      const content = fs.readFileSync(this.file, 'utf8').trim();
+      const entries = content.startsWith('[')
+        ? JSON.parse(content)
+        : content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+      this.fixes = entries
+        .map(entry => (entry.posizione ? RecordItaliaAdapter.normalize(entry) : entry))
+        .filter(position => position.latitude && position.longitude && (position.targa || position.idServizio))
+        .map(position => {
+          const time = position.fixGps ? Date.parse(position.fixGps) : NaN;
+          return {
+            key: String(position.targa || position.idServizio).toUpperCase(),
+            time: Number.isNaN(time) ? null : time,
+            position
+          };
+        })
+        .sort((a, b) => (a.time ?? -Infinity) - (b.time ?? -Infinity));
+
+      logger.info(`Sorgente GPS file: ${this.fixes.length} fix caricati`, { file: this.file });
+    } catch (error) {
+      logger.error('Errore lettura file replay GPS', { file: this.file, error: error.message });
+      this.fixes = [];
+    }
+
+    return this.fixes;
+  }
+}
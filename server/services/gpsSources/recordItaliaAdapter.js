@@ -0,0 +1,60 @@
+import GpsAdapter from './GpsAdapter.js';
+import { recordItaliaClient } from '../recordItaliaClient.js';
+
+/**
+ * Sorgente Record Italia: tutte le flotte dell'account, posizioni convertite nel formato normalizzato
+ */
+export default class RecordItaliaAdapter extends GpsAdapter {
+  constructor() {
+    super('recorditalia');
+  }
+
+  async getPositions() {
+    const positions = await recordItaliaClient.getAllPositions();
+    return positions.map(position => RecordItaliaAdapter.normalize(position));
+  }
+
+  async testConnection() {
+    return recordItaliaClient.testConnection();
+  }
+
+  /**
+   * Converte una posizione Record Italia (servizio + posizione annidata) nel formato normalizzato.
+   * Usato anche dal replay per i file registrati dall'API
+   * @param {Object} position - Posizione dall'API (con fleetId/fleetName)
+   * @returns {Object}
+   */
+  static normalize(position) {
+    const posizione = position.posizione || {};
+    const inputs = posizione.inputs || {};
+    const analogs = posizione.analogs || {};
+
+    return {
+      source: 'recorditalia',
+      idServizio: position.idServizio,
+      targa: position.targa,
+      nickname: position.nickname,
+      fleetId: position.fleetId,
+      fleetName: position.fleetName,
+      brand: position.brand,
+      modello: position.modello,
+      tipologia: position.tipologia?.tipologia || '',
+      latitude: posizione.latitude || position.latitude,
+      longitude: posizione.longitude || position.longitude,
+      speed: posizione.speed || position.speed || 0,
+      heading: posizione.heading || position.heading || 0,
+      altitude: posizione.altitude || position.altitude || 0,
+      fixGps: posizione.fixGps || position.fixGps,
+      address: posizione.address?.F || '',
+      kmTotali: position.km_totali || 0,
+      sondeCount: position.sonde_count || 0,
+      temperature1: analogs.analog1,
+      temperature2: analogs.analog2,
+      frigoOn: inputs['CHIAVE FRIGO'] === '1',
+      doorOpen: inputs['VANO CARICO'] === '1',
+      inputs,
+      analogs,
+      rawData: position
+    };
+  }
+}
@@ -0,0 +1,212 @@
+import net from 'net';
+import db from '../../database/db.js';
+import GpsAdapter from './GpsAdapter.js';
+import { readImei, packetLength, parseAvlPacket, buildAck, TeltonikaParseError } from './teltonikaCodec.js';
+import { logger } from '../loggerService.js';
+
+const SOCKET_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_BUFFER_BYTES = 64 * 1024;
+
+// Contachilometri totale in metri (IO Teltonika standard)
+const IO_TOTAL_ODOMETER = 16;
+
+// Letture sonde Dallas non valide (sensore non pronto, non collegato, errore)
+const DALLAS_ERROR_VALUES = new Set([850, 2000, 3000, 4000, 5000]);
+
+/**
+ * Sorgente Teltonika: server TCP a cui i dispositivi FMB inviano direttamente i dati (Codec 8 / 8E).
+ *
+ * Il dispositivo si identifica con l'IMEI, associato al veicolo tramite vehicles.imei.
+ * Ogni pacchetto viene confermato e i record passano subito al monitoraggio (onPositions);
+ * l'ultima posizione per IMEI resta disponibile per il ciclo periodico.
+ */
+export default class TeltonikaAdapter extends GpsAdapter {
+  /**
+   * @param {Object} options - { port, acceptUnknown, io: { frigo, door, temperature1, temperature2 } }
+   */
+  constructor({ port = 5027, acceptUnknown = false, io = {} } = {}) {
+    super('teltonika');
+    this.port = port;
+    this.acceptUnknown = acceptUnknown;
+    this.io = { frigo: 1, door: 2, temperature1: 72, temperature2: 73, ...io };
+    this.server = null;
+    this.latest = new Map(); // IMEI -> ultima posizione normalizzata
+    this.onPositions = null; // Impostato da gpsSourceService
+  }
+
+  /**
+   * Apre il server TCP
+   * @returns {Promise<void>} Risolta quando il server è in ascolto (o non è riuscito ad aprire la porta)
+   */
+  start() {
+    if (this.server) return Promise.resolve();
+
+    this.server = net.createServer(socket => this.handleConnection(socket));
+    return new Promise((resolve) => {
+      this.server.on('error', (error) => {
+        logger.error('Errore server Teltonika', { port: this.port, error: error.message });
+        resolve();
+      });
+      this.server.listen(this.port, () => {
+        logger.info(`Server Teltonika in ascolto sulla porta ${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  async getPositions() {
+    return [...this.latest.values()];
+  }
+
+  async testConnection() {
+    return !!this.server?.listening;
+  }
+
+  /**
+   * Gestisce una connessione: prima l'IMEI (risposta 0x01 accettato / 0x00 rifiutato), poi i pacchetti AVL
+   * @param {net.Socket} socket
+   */
+  handleConnection(socket) {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = Buffer.alloc(0);
+    let device = null;
+
+    socket.setTimeout(SOCKET_IDLE_TIMEOUT_MS);
+    socket.on('timeout', () => socket.destroy());
+    socket.on('error', (error) => logger.debug('Errore connessione Teltonika', { remote, error: error.message }));
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (buffer.length > MAX_BUFFER_BYTES) {
+        logger.warn('Connessione Teltonika chiusa: buffer troppo grande', { remote, imei: device?.imei });
+        socket.destroy();
+        return;
+      }
+
+      try {
+        if (!device) {
+          const handshake = readImei(buffer);
+          if (!handshake) return;
+          buffer = buffer.subarray(handshake.length);
+
+          device = this.resolveDevice(handshake.imei);
+          if (!device) {
+            logger.warn(`Dispositivo Teltonika sconosciuto rifiutato: ${handshake.imei}`, { remote });
+            socket.end(Buffer.from([0x00]));
+            return;
+          }
+          socket.write(Buffer.from([0x01]));
+          logger.info(`Dispositivo Teltonika connesso: ${handshake.imei}`, { remote, targa: device.targa });
+        }
+
+        let length;
+        while ((length = packetLength(buffer)) !== null && buffer.length >= length) {
+          const packet = buffer.subarray(0, length);
+          buffer = buffer.subarray(length);
+          this.handlePacket(socket, device, packet);
+        }
+      } catch (error) {
+        // Formato non riconosciuto: senza ACK il dispositivo ritrasmette su una nuova connessione
+        logger.warn('Dati Teltonika non validi, connessione chiusa', { remote, imei: device?.imei, error: error.message });
+        socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Decodifica un pacchetto, lo conferma e inoltra i record al monitoraggio
+   */
+  handlePacket(socket, device, packet) {
+    let records;
+    try {
+      ({ records } = parseAvlPacket(packet));
+    } catch (error) {
+      if (!(error instanceof TeltonikaParseError)) throw error;
+      // ACK 0: il dispositivo rimanda lo stesso pacchetto
+      logger.warn('Pacchetto Teltonika scartato', { imei: device.imei, error: error.message });
+      socket.write(buildAck(0));
+      return;
+    }
+
+    socket.write(buildAck(records.length));
+
+    const positions = records
+      .filter(record => record.gps.satellites > 0 && (record.gps.latitude || record.gps.longitude))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(record => this.normalize(device, record));
+    if (positions.length === 0) return;
+
+    const last = positions[positions.length - 1];
+    const previous = this.latest.get(device.imei);
+    if (!previous || Date.parse(last.fixGps) >= Date.parse(previous.fixGps)) {
+      this.latest.set(device.imei, last);
+    }
+
+    if (this.onPositions) {
+      this.onPositions(positions);
+    }
+  }
+
+  /**
+   * Veicolo associato all'IMEI (vehicles.imei). I dispositivi non associati sono accettati solo con
+   * TELTONIKA_ACCEPT_UNKNOWN, usando l'IMEI come targa finché non vengono associati
+   * @param {string} imei
+   * @returns {Object|null} { imei, idServizio, targa, nickname }
+   */
+  resolveDevice(imei) {
+    const vehicle = db.prepare('SELECT * FROM vehicles WHERE imei = ?').get(imei);
+    if (vehicle) {
+      return { imei, idServizio: vehicle.id_servizio, targa: vehicle.targa_camion, nickname: vehicle.nickname };
+    }
+    if (!this.acceptUnknown) return null;
+    return { imei, idServizio: undefined, targa: imei, nickname: `FMB ${imei}` };
+  }
+
+  /**
+   * Record AVL -> posizione normalizzata
+   */
+  normalize(device, record) {
+    const { gps, io } = record;
+
+    return {
+      source: this.name,
+      idServizio: device.idServizio,
+      targa: device.targa,
+      nickname: device.nickname,
+      brand: 'Teltonika',
+      latitude: gps.latitude,
+      longitude: gps.longitude,
+      speed: gps.speed,
+      heading: gps.heading,
+      altitude: gps.altitude,
+      fixGps: record.timestamp.toISOString(),
+      address: '',
+      kmTotali: io[IO_TOTAL_ODOMETER] !== undefined ? Math.round(io[IO_TOTAL_ODOMETER] / 1000) : 0,
+      sondeCount: [this.io.temperature1, this.io.temperature2].filter(id => io[id] !== undefined).length,
+      temperature1: this.readTemperature(io[this.io.temperature1]),
+      temperature2: this.readTemperature(io[this.io.temperature2]),
+      frigoOn: io[this.io.frigo] === 1,
+      doorOpen: io[this.io.door] === 1,
+      inputs: io,
+      analogs: {},
+      rawData: { imei: device.imei, priority: record.priority, satellites: gps.satellites, eventIoId: record.eventIoId, io }
+    };
+  }
+
+  /**
+   * Sonda Dallas: intero con segno in decimi di grado
+   * @returns {number|null}
+   */
+  readTemperature(value) {
+    if (value === undefined || DALLAS_ERROR_VALUES.has(value)) return null;
+    const signed = value > 0x7fffffff ? value - 0x100000000 : value;
+    return signed / 10;
+  }
+}
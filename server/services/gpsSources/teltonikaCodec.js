@@ -0,0 +1,177 @@
+/**
+ * Parser del protocollo TCP Teltonika (FMB e simili): handshake IMEI e pacchetti AVL Codec 8 / 8 Extended.
+ *
+ * Pacchetto AVL: 4 byte a zero, 4 byte lunghezza dati, codec id, numero record, record AVL,
+ * numero record (ripetuto), CRC-16/IBM dei dati (4 byte). Il server risponde con il numero
+ * di record accettati (4 byte big endian); se non risponde il dispositivo rimanda il pacchetto.
+ */
+
+export const CODEC_8 = 0x08;
+export const CODEC_8E = 0x8e;
+
+/**
+ * Errore di formato: il pacchetto va scartato (il dispositivo lo rimanderà)
+ */
+export class TeltonikaParseError extends Error {}
+
+/**
+ * Legge l'IMEI dal primo messaggio della connessione (2 byte lunghezza + IMEI in ASCII)
+ * @param {Buffer} buffer
+ * @returns {Object|null} { imei, length } o null se il messaggio non è ancora completo
+ */
+export function readImei(buffer) {
+  if (buffer.length < 2) return null;
+  const size = buffer.readUInt16BE(0);
+  if (size === 0 || size > 32) {
+    throw new TeltonikaParseError(`Lunghezza IMEI non valida: ${size}`);
+  }
+  if (buffer.length < 2 + size) return null;
+
+  const imei = buffer.toString('ascii', 2, 2 + size);
+  if (!/^\d+$/.test(imei)) {
+    throw new TeltonikaParseError('IMEI non numerico');
+  }
+  return { imei, length: 2 + size };
+}
+
+/**
+ * Lunghezza totale del prossimo pacchetto AVL nel buffer
+ * @param {Buffer} buffer
+ * @returns {number|null} null se l'intestazione non è ancora arrivata
+ */
+export function packetLength(buffer) {
+  if (buffer.length < 8) return null;
+  if (buffer.readUInt32BE(0) !== 0) {
+    throw new TeltonikaParseError('Preambolo pacchetto AVL non valido');
+  }
+  return 8 + buffer.readUInt32BE(4) + 4;
+}
+
+/**
+ * CRC-16/IBM (polinomio 0xA001, valore iniziale 0) usato da Teltonika
+ * @param {Buffer} data
+ * @returns {number}
+ */
+export function crc16(data) {
+  let crc = 0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Decodifica un pacchetto AVL completo
+ * @param {Buffer} packet - Pacchetto intero (preambolo e CRC inclusi)
+ * @returns {Object} { codec, records: [{ timestamp, priority, gps, eventIoId, io }] }
+ */
+export function parseAvlPacket(packet) {
+  const dataLength = packet.readUInt32BE(4);
+  const data = packet.subarray(8, 8 + dataLength);
+  const expectedCrc = packet.readUInt32BE(8 + dataLength);
+  if (crc16(data) !== expectedCrc) {
+    throw new TeltonikaParseError('CRC pacchetto AVL non valido');
+  }
+
+  const codec = data.readUInt8(0);
+  if (codec !== CODEC_8 && codec !== CODEC_8E) {
+    throw new TeltonikaParseError(`Codec non supportato: 0x${codec.toString(16)}`);
+  }
+  const extended = codec === CODEC_8E;
+
+  const count = data.readUInt8(1);
+  let offset = 2;
+  const records = [];
+
+  for (let i = 0; i < count; i++) {
+    const timestamp = new Date(Number(data.readBigUInt64BE(offset)));
+    const priority = data.readUInt8(offset + 8);
+    offset += 9;
+
+    const gps = {
+      longitude: data.readInt32BE(offset) / 1e7,
+      latitude: data.readInt32BE(offset + 4) / 1e7,
+      altitude: data.readInt16BE(offset + 8),
+      heading: data.readUInt16BE(offset + 10),
+      satellites: data.readUInt8(offset + 12),
+      speed: data.readUInt16BE(offset + 13)
+    };
+    offset += 15;
+
+    const { eventIoId, io, offset: next } = readIoElement(data, offset, extended);
+    offset = next;
+
+    records.push({ timestamp, priority, gps, eventIoId, io });
+  }
+
+  if (data.readUInt8(offset) !== count) {
+    throw new TeltonikaParseError('Numero record AVL non coerente');
+  }
+
+  return { codec, records };
+}
+
+/**
+ * Legge gli IO di un record: gruppi da 1, 2, 4 e 8 byte (più quelli a lunghezza variabile in Codec 8E).
+ * Gli id e i contatori sono da 1 byte in Codec 8 e da 2 byte in Codec 8E
+ * @returns {Object} { eventIoId, io: { [id]: number|string }, offset }
+ */
+function readIoElement(data, start, extended) {
+  let offset = start;
+  const readCount = () => {
+    const value = extended ? data.readUInt16BE(offset) : data.readUInt8(offset);
+    offset += extended ? 2 : 1;
+    return value;
+  };
+
+  const io = {};
+  const eventIoId = readCount();
+  readCount(); // totale IO, ridondante rispetto ai gruppi
+
+  for (const size of [1, 2, 4, 8]) {
+    const n = readCount();
+    for (let i = 0; i < n; i++) {
+      const id = readCount();
+      io[id] = readUnsigned(data, offset, size);
+      offset += size;
+    }
+  }
+
+  if (extended) {
+    const n = readCount();
+    for (let i = 0; i < n; i++) {
+      const id = readCount();
+      const length = data.readUInt16BE(offset);
+      io[id] = data.toString('hex', offset + 2, offset + 2 + length);
+      offset += 2 + length;
+    }
+  }
+
+  return { eventIoId, io, offset };
+}
+
+function readUnsigned(data, offset, size) {
+  switch (size) {
+    case 1: return data.readUInt8(offset);
+    case 2: return data.readUInt16BE(offset);
+    case 4: return data.readUInt32BE(offset);
+    default: {
+      const value = data.readBigUInt64BE(offset);
+      return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+    }
+  }
+}
+
+/**
+ * Risposta al pacchetto: numero di record accettati
+ * @param {number} count
+ * @returns {Buffer}
+ */
+export function buildAck(count) {
+  const ack = Buffer.alloc(4);
+  ack.writeUInt32BE(count);
+  return ack;
+}
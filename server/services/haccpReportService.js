@@ -0,0 +1,153 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Generazione registro temperature HACCP (CSV/PDF) da consegnare ai clienti
+ * a partire dal log prodotto da temperatureMonitoringService.getTripTemperatureLog
+ */
+class HaccpReportService {
+  /**
+   * Nome file del registro
+   * @param {Object} log - Registro temperature del viaggio
+   * @param {string} extension - csv | pdf
+   */
+  getFileName(log, extension) {
+    const plate = log.plate || log.trip.targa_motrice || 'viaggio';
+    return `haccp_${log.trip.data_viaggio}_${plate}_${log.trip.id}.${extension}`;
+  }
+
+  /**
+   * Registro in formato CSV (separatore ; per Excel italiano)
+   * @param {Object} log - Registro temperature del viaggio
+   * @returns {string}
+   */
+  toCsv(log) {
+    const headers = ['Data/Ora', 'Sonda 1 (°C)', 'Sonda 2 (°C)', 'Frigo', 'Fuori range', 'Latitudine', 'Longitudine', 'Indirizzo'];
+
+    const rows = log.rows.map(r => [
+      r.timestamp,
+      this.formatTemperature(r.temperature1),
+      this.formatTemperature(r.temperature2),
+      r.frigoOn ? 'ON' : 'OFF',
+      r.outOfRange ? 'SI' : '',
+      r.latitude,
+      r.longitude,
+      r.address || ''
+    ].map(v => this.escapeCsv(v)).join(';'));
+
+    const header = [
+      `# Registro temperature HACCP - ${log.trip.nome}`,
+      `# Data viaggio: ${log.trip.data_viaggio}`,
+      `# Motrice: ${log.trip.targa_motrice || '-'}; Rimorchio: ${log.trip.targa_rimorchio || '-'}; Sonde: ${log.plate || '-'}`,
+      `# Periodo: ${log.from} - ${log.to}`,
+      `# Range: ${this.describeRange(log.range)}`
+    ];
+
+    // BOM per far riconoscere UTF-8 (°C) a Excel
+    return '\uFEFF' + [...header, headers.join(';'), ...rows].join('\n');
+  }
+
+  /**
+   * Scrive il registro in PDF sullo stream indicato (es. response Express)
+   * @param {Object} log - Registro temperature del viaggio
+   * @param {import('stream').Writable} stream
+   */
+  writePdf(log, stream) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(stream);
+
+    doc.fontSize(16).text('Registro temperature HACCP', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Viaggio: ${log.trip.nome} (#${log.trip.id})`);
+    doc.text(`Data viaggio: ${log.trip.data_viaggio}`);
+    doc.text(`Motrice: ${log.trip.targa_motrice || '-'}    Rimorchio: ${log.trip.targa_rimorchio || '-'}`);
+    doc.text(`Autista: ${log.trip.autista || '-'}`);
+    doc.text(`Sonde lette da: ${log.plate || 'nessun dato'}`);
+    doc.text(`Periodo: ${log.from} - ${log.to}`);
+    doc.text(`Range: ${this.describeRange(log.range)}`);
+    doc.text(`Rilevazioni: ${log.summary.count}    Min: ${this.formatTemperature(log.summary.min)}°C    ` +
+      `Max: ${this.formatTemperature(log.summary.max)}°C    Fuori range: ${log.summary.outOfRange}`);
+
+    if (log.stops.length > 0) {
+      doc.moveDown();
+      doc.fontSize(11).text('Tappe');
+      doc.fontSize(9);
+      log.stops.forEach((s, i) => {
+        doc.text(`${i + 1}. ${s.nome}${s.indirizzo ? ` - ${s.indirizzo}` : ''}  ` +
+          `arrivo: ${s.ora_arrivo_effettiva || '-'}  partenza: ${s.ora_partenza_effettiva || '-'}`);
+      });
+    }
+
+    doc.moveDown();
+    doc.fontSize(11).text('Rilevazioni');
+    doc.moveDown(0.5);
+
+    const columns = [
+      { label: 'Data/Ora', width: 140 },
+      { label: 'Sonda 1', width: 70 },
+      { label: 'Sonda 2', width: 70 },
+      { label: 'Frigo', width: 50 },
+      { label: 'Esito', width: 80 }
+    ];
+
+    const drawRow = (values, options = {}) => {
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.fillColor(options.color || 'black');
+      values.forEach((value, i) => {
+        doc.text(String(value), x, y, { width: columns[i].width, lineBreak: false });
+        x += columns[i].width;
+      });
+      doc.fillColor('black');
+      doc.x = doc.page.margins.left;
+      doc.y = y + 14;
+    };
+
+    doc.fontSize(9);
+    drawRow(columns.map(c => c.label));
+
+    for (const r of log.rows) {
+      drawRow([
+        r.timestamp,
+        `${this.formatTemperature(r.temperature1)}°C`,
+        `${this.formatTemperature(r.temperature2)}°C`,
+        r.frigoOn ? 'ON' : 'OFF',
+        r.outOfRange ? 'FUORI RANGE' : 'OK'
+      ], { color: r.outOfRange ? 'red' : 'black' });
+    }
+
+    if (log.rows.length === 0) {
+      doc.text('Nessuna rilevazione di temperatura nel periodo');
+    }
+
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor('gray')
+      .text(`Generato il ${new Date().toLocaleString('it-IT')}`, doc.page.margins.left);
+
+    doc.end();
+  }
+
+  describeRange(range) {
+    if (!range) return 'non configurato';
+    const min = range.temp_min !== null ? `${range.temp_min}°C` : '-';
+    const max = range.temp_max !== null ? `${range.temp_max}°C` : '-';
+    return `${range.nome} (min ${min}, max ${max})`;
+  }
+
+  formatTemperature(value) {
+    return value === null || value === undefined ? '' : Number(value).toFixed(1);
+  }
+
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[;"\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+}
+
+export const haccpReportService = new HaccpReportService();
+export default HaccpReportService;
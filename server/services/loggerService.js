@@ -68,7 +68,7 @@ class LoggerService {
         this.currentLogFile = newLogFile;
         this.cleanOldLogs();
       }
-    }, 3600000); // 1 hour
+    }, 3600000).unref(); // 1 hour, does not keep the process alive on its own
   }
 
   cleanOldLogs() {
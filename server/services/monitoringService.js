@@ -1,28 +1,39 @@
 import cron from 'node-cron';
 import db from '../database/db.js';
-import { recordItaliaClient } from './recordItaliaClient.js';
+import { gpsSourceService } from './gpsSourceService.js';
 import { geofenceService } from './geofenceService.js';
 import { notificationService } from './notificationService.js';
+import { tripMonitoringService } from './tripMonitoringService.js';
+import { temperatureMonitoringService } from './temperatureMonitoringService.js';
+import { realtimeService } from './realtimeService.js';
+import { webhookService } from './webhookService.js';
+import { notificationOutboxService } from './notificationOutboxService.js';
+import { clockService } from './clockService.js';
+import { vehicleController } from '../database/VehicleController.js';
 import { logger } from './loggerService.js';
-import { saveVehiclePosition, saveMultiplePositions, getAllLatestPositions, getLatestPositionByTarga } from '../database/positionsDb.js';
+import { saveVehiclePosition, saveMultiplePositions, appendPositionHistory, cleanOldPositions, getAllLatestPositions, getLatestPositionByTarga } from '../database/positionsDb.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 /**
  * Servizio di monitoraggio - controlla periodicamente le posizioni e genera allarmi
- * Gli allarmi vengono processati in modo asincrono per non bloccare il ciclo principale
+ * Gli allarmi passano dalla coda persistente delle notifiche per non bloccare il ciclo principale
  */
 class MonitoringService {
   constructor() {
     this.isRunning = false;
     this.checkInterval = parseInt(process.env.CHECK_INTERVAL_MINUTES) || 1; // Check every 1 minute (60 seconds)
     this.cronJob = null;
-    this.alarmQueue = []; // Queue for background alarm processing
-    this.processingAlarms = false;
+    this.cleanupJob = null;
     this.lastApiError = null;
     this.consecutiveErrors = 0;
     this.maxConsecutiveErrors = 5;
+    // Ultima firma posizione inviata per veicolo (delta real-time)
+    this.lastPositionSignatures = new Map();
+
+    // Sorgenti in push (dispositivi Teltonika): i record vengono valutati appena arrivano
+    gpsSourceService.on('positions', (positions) => this.processPushedPositions(positions));
   }
 
   /**
@@ -36,8 +47,8 @@ class MonitoringService {
 
     logger.info(`Avvio monitoraggio ogni 60 secondi (salvataggio SQL)`);
 
-    // Avvia il processore di allarmi in background
-    this.startAlarmProcessor();
+    // Avvia il processore della coda notifiche (se non già avviato all'avvio del server)
+    notificationOutboxService.start();
 
     // Esegui subito al primo avvio
     this.checkAllVehicles();
@@ -47,6 +58,11 @@ class MonitoringService {
       this.checkAllVehicles();
     });
 
+    // Pulizia notturna dello storico posizioni (retention POSITION_HISTORY_DAYS)
+    this.cleanupJob = cron.schedule('30 3 * * *', () => {
+      cleanOldPositions();
+    });
+
     this.isRunning = true;
   }
 
@@ -58,69 +74,38 @@ class MonitoringService {
       this.cronJob.stop();
       this.cronJob = null;
     }
+    if (this.cleanupJob) {
+      this.cleanupJob.stop();
+      this.cleanupJob = null;
+    }
     this.isRunning = false;
     logger.info('Monitoraggio fermato');
   }
 
   /**
-   * Avvia il processore di allarmi in background
-   */
-  startAlarmProcessor() {
-    setInterval(async () => {
-      if (this.processingAlarms || this.alarmQueue.length === 0) return;
-      
-      this.processingAlarms = true;
-      
-      while (this.alarmQueue.length > 0) {
-        const alarmTask = this.alarmQueue.shift();
-        try {
-          await this.processAlarmTask(alarmTask);
-        } catch (error) {
-          logger.error('Errore processamento allarme in background', { 
-            error: error.message,
-            task: alarmTask.type 
-          });
-        }
-      }
-      
-      this.processingAlarms = false;
-    }, 1000); // Check queue every second
-  }
-
-  /**
-   * Processa un task di allarme dalla coda
-   */
-  async processAlarmTask(task) {
-    const { type, vehicle, geofence, alarm, transition, lat, lng } = task;
-    
-    logger.alarm(`Processamento allarme: ${type}`, {
-      vehicle: vehicle?.nickname || vehicle?.targa_camion,
-      geofence: geofence?.nome,
-      alarm: alarm?.nome
-    });
-    
-    try {
-      await notificationService.sendVehicleNotification(
-        transition || type,
-        { ...vehicle, latitudine: lat, longitudine: lng },
-        geofence,
-        alarm
-      );
-      logger.info('Notifica allarme inviata con successo', { type });
-    } catch (error) {
-      logger.error('Errore invio notifica allarme', { error: error.message, type });
-    }
-  }
-
-  /**
-   * Aggiunge un allarme alla coda di processamento
+   * Aggiunge un allarme alla coda persistente delle notifiche (notification_outbox)
+   * e accoda subito il webhook 'alarm'
    */
   queueAlarm(alarmData) {
-    this.alarmQueue.push({
-      ...alarmData,
-      queuedAt: new Date().toISOString()
+    const { type, vehicle, geofence, alarm, transition, lat, lng } = alarmData;
+    const task = { ...alarmData, queuedAt: new Date().toISOString() };
+
+    webhookService.dispatch('alarm', {
+      type: transition || type,
+      alarmId: alarm?.id || null,
+      alarmName: alarm?.nome || null,
+      vehicleId: vehicle?.id || null,
+      vehicleName: vehicle?.nickname || null,
+      plate: vehicle?.targa_camion || null,
+      geofenceId: geofence?.id || null,
+      geofenceName: geofence?.nome || null,
+      latitude: lat,
+      longitude: lng,
+      queuedAt: task.queuedAt
     });
-    logger.debug('Allarme aggiunto alla coda', { queueLength: this.alarmQueue.length });
+
+    const id = notificationOutboxService.enqueue(task);
+    logger.debug('Allarme aggiunto alla coda', { id, type: transition || type });
   }
 
   /**
@@ -129,10 +114,13 @@ class MonitoringService {
   async checkAllVehicles() {
     logger.info('Inizio controllo posizioni...');
 
+    // Gli eventi con id successivo vengono inviati ai client real-time a fine ciclo
+    const lastEventId = db.prepare('SELECT COALESCE(MAX(id), 0) as id FROM events').get().id;
+
     try {
-      // Ottieni tutte le posizioni dall'API
-      logger.api('Richiesta posizioni a RecordItalia API');
-      const positions = await recordItaliaClient.getAllPositions();
+      // Ottieni le posizioni normalizzate da tutte le sorgenti GPS configurate
+      logger.api('Richiesta posizioni alle sorgenti GPS');
+      const positions = await gpsSourceService.getAllPositions();
       
       // Reset error counter on success
       this.consecutiveErrors = 0;
@@ -140,33 +128,44 @@ class MonitoringService {
       
       logger.api(`Ricevute ${positions.length} posizioni`);
 
-      // Ottieni tutti i geofence attivi
-      const geofences = db.prepare('SELECT * FROM geofences WHERE attivo = 1').all();
+      // Geofence attivi (indice spaziale) e stato dentro/fuori di tutti i veicoli, letto una volta per ciclo
+      const geofenceIndex = geofenceService.getActiveIndex();
+      const geofenceStatus = this.loadGeofenceStatus();
 
       // Processa ogni posizione
       for (const pos of positions) {
-        await this.processVehiclePosition(pos, geofences);
+        await this.processVehiclePosition(pos, geofenceIndex, geofenceStatus);
       }
+      this.saveGeofenceStatus(geofenceStatus);
 
       // Controlla allarmi temporali (partenze/arrivi mancati)
       await this.checkTimeBasedAlarms();
 
       // Controlla arrivi alle destinazioni delle tratte
       await this.checkRouteDestinations(positions);
+
+      // Controlla tappe e stato dei viaggi pianificati (trips/trip_stops)
+      await tripMonitoringService.checkTrips(positions);
+
+      // Controlla temperature e frigo (catena del freddo)
+      await temperatureMonitoringService.checkTemperatures(positions);
       
       logger.info('Controllo posizioni completato', { 
         vehicles: positions.length, 
-        geofences: geofences.length,
-        alarmsInQueue: this.alarmQueue.length
+        geofences: geofenceIndex.size,
+        alarmsInQueue: notificationOutboxService.getStats().pending
       });
 
+      // Invia ai browser connessi posizioni cambiate e nuovi eventi
+      this.broadcastCycleUpdates(lastEventId);
+
     } catch (error) {
       this.consecutiveErrors++;
       this.lastApiError = error.message;
       
       // Log appropriato in base al numero di errori consecutivi
       if (this.consecutiveErrors >= this.maxConsecutiveErrors) {
-        logger.error('API RecordItalia non raggiungibile - troppi errori consecutivi', { 
+        logger.error('Sorgenti GPS non raggiungibili - troppi errori consecutivi', { 
           error: error.message,
           consecutiveErrors: this.consecutiveErrors
         });
@@ -177,29 +176,171 @@ class MonitoringService {
         });
       }
     }
+
+    realtimeService.broadcast('status', this.getStatus());
+  }
+
+  /**
+   * Valuta subito le posizioni ricevute in push (geofence, velocità, vano carico), in ordine di fix.
+   * Viaggi, tratte e temperature vengono controllati dal ciclo periodico
+   * @param {Array} positions - Posizioni normalizzate dello stesso veicolo
+   */
+  async processPushedPositions(positions) {
+    if (!this.isRunning) return;
+
+    try {
+      const lastEventId = db.prepare('SELECT COALESCE(MAX(id), 0) as id FROM events').get().id;
+      const geofenceIndex = geofenceService.getActiveIndex();
+      const geofenceStatus = this.loadGeofenceStatus();
+
+      for (const pos of positions) {
+        await this.processVehiclePosition(pos, geofenceIndex, geofenceStatus);
+      }
+      this.saveGeofenceStatus(geofenceStatus);
+
+      this.broadcastCycleUpdates(lastEventId);
+    } catch (error) {
+      logger.error('Errore processamento posizioni in push', { error: error.message });
+    }
+  }
+
+  /**
+   * Invia via real-time le posizioni cambiate dall'ultimo ciclo e gli eventi nuovi (questi anche ai webhook)
+   * @param {number} lastEventId - Ultimo id evento presente a inizio ciclo
+   */
+  broadcastCycleUpdates(lastEventId) {
+    try {
+      const changed = [];
+      for (const pos of getAllLatestPositions()) {
+        const p = pos.posizione || {};
+        const signature = [p.latitude, p.longitude, p.speed, p.heading, p.fixGps,
+          pos._temperature1, pos._temperature2, pos._frigoOn, pos._doorOpen].join('|');
+        if (this.lastPositionSignatures.get(pos.idServizio) !== signature) {
+          this.lastPositionSignatures.set(pos.idServizio, signature);
+          changed.push(pos);
+        }
+      }
+
+      // Ogni client riceve solo i veicoli dei propri gruppi
+      if (changed.length > 0) {
+        const timestamp = new Date().toISOString();
+        realtimeService.broadcastEach('positions', (client) => {
+          const positions = vehicleController.filterPositionsByScope(vehicleController.getVehicleScope(client.user), changed);
+          return positions.length > 0 ? { positions, timestamp } : null;
+        });
+      }
+
+      const events = db.prepare(`
+        SELECT e.*, v.nickname as vehicle_name, v.targa_camion, g.nome as geofence_nome
+        FROM events e
+        LEFT JOIN vehicles v ON e.vehicle_id = v.id
+        LEFT JOIN geofences g ON e.geofence_id = g.id
+        WHERE e.id > ?
+        ORDER BY e.id
+      `).all(lastEventId);
+
+      if (events.length > 0) {
+        webhookService.dispatchEvents(events);
+        realtimeService.broadcastEach('events', (client) => {
+          const scope = vehicleController.getVehicleScope(client.user);
+          const visible = scope ? events.filter(e => vehicleController.isVehicleInScope(scope, e.vehicle_id)) : events;
+          return visible.length > 0 ? { events: visible } : null;
+        });
+      }
+    } catch (error) {
+      logger.warn('Errore broadcast real-time', { error: error.message });
+    }
   }
 
   /**
-   * Restituisce lo stato del servizio
+   * Restituisce lo stato del servizio (API /monitoring/status e broadcast real-time 'status')
    */
   getStatus() {
     return {
-      isRunning: this.isRunning,
-      checkInterval: this.checkInterval,
-      alarmQueueLength: this.alarmQueue.length,
-      processingAlarms: this.processingAlarms,
+      running: this.isRunning,
+      interval: this.checkInterval,
+      nextRun: this.cronJob ? 'In attesa...' : 'Non pianificato',
+      alarmQueue: notificationOutboxService.getStats(),
       lastApiError: this.lastApiError,
       consecutiveErrors: this.consecutiveErrors,
-      healthy: this.consecutiveErrors < this.maxConsecutiveErrors
+      healthy: this.consecutiveErrors < this.maxConsecutiveErrors,
+      sources: gpsSourceService.getStatus()
     };
   }
 
+  /**
+   * Stato dentro/fuori dei veicoli secondo vehicle_geofence_status: solo le righe "dentro" o con una
+   * transizione in attesa di conferma (nessuna riga = fuori)
+   * @returns {Object} { byVehicle: Map<vehicleId, Map<geofenceId, status>>, changes: [] }
+   */
+  loadGeofenceStatus() {
+    const byVehicle = new Map();
+    const rows = db.prepare(`
+      SELECT vehicle_id, geofence_id, inside, pending_inside, pending_since, pending_count
+      FROM vehicle_geofence_status
+      WHERE inside = 1 OR pending_inside IS NOT NULL
+    `).all();
+    for (const row of rows) {
+      if (!byVehicle.has(row.vehicle_id)) byVehicle.set(row.vehicle_id, new Map());
+      byVehicle.get(row.vehicle_id).set(row.geofence_id, {
+        inside: row.inside === 1,
+        pendingInside: row.pending_inside === null ? null : row.pending_inside === 1,
+        pendingSince: row.pending_since ? Date.parse(row.pending_since.replace(' ', 'T') + 'Z') : null,
+        pendingCount: row.pending_count || 0
+      });
+    }
+    return { byVehicle, changes: [] };
+  }
+
+  /**
+   * Salva in un'unica transazione gli stati cambiati durante il ciclo
+   * @param {Object} geofenceStatus - Stato restituito da loadGeofenceStatus
+   */
+  saveGeofenceStatus(geofenceStatus) {
+    if (geofenceStatus.changes.length === 0) return;
+
+    const upsert = db.prepare(`
+      INSERT INTO vehicle_geofence_status (vehicle_id, geofence_id, inside, pending_inside, pending_since, pending_count, last_change)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+      ON CONFLICT(vehicle_id, geofence_id) DO UPDATE SET
+        inside = excluded.inside,
+        pending_inside = excluded.pending_inside,
+        pending_since = excluded.pending_since,
+        pending_count = excluded.pending_count,
+        last_change = COALESCE(?, last_change)
+    `);
+    db.transaction((changes) => {
+      for (const { vehicleId, geofenceId, status, changedAt } of changes) {
+        upsert.run(
+          vehicleId,
+          geofenceId,
+          status.inside ? 1 : 0,
+          status.pendingInside === null ? null : (status.pendingInside ? 1 : 0),
+          status.pendingSince ? this.toSqlTime(status.pendingSince) : null,
+          status.pendingCount,
+          changedAt,
+          changedAt
+        );
+      }
+    })(geofenceStatus.changes);
+    geofenceStatus.changes = [];
+  }
+
+  /**
+   * @param {number} time - Timestamp (ms)
+   * @returns {string} Data/ora UTC nel formato di SQLite (YYYY-MM-DD HH:MM:SS)
+   */
+  toSqlTime(time) {
+    return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+  }
+
   /**
    * Processa la posizione di un singolo veicolo
-   * @param {Object} position - Dati posizione dall'API
-   * @param {Array} geofences - Lista geofence attivi
+   * @param {Object} position - Posizione normalizzata (vedi gpsSources/GpsAdapter.js)
+   * @param {GeofenceIndex} geofenceIndex - Indice dei geofence attivi
+   * @param {Object} geofenceStatus - Stato dentro/fuori del ciclo (loadGeofenceStatus), aggiornato in memoria
    */
-  async processVehiclePosition(position, geofences) {
+  async processVehiclePosition(position, geofenceIndex, geofenceStatus) {
     try {
       // Trova o crea il veicolo nel database
       let vehicle = db.prepare('SELECT * FROM vehicles WHERE id_servizio = ?')
@@ -221,26 +362,7 @@ class MonitoringService {
         logger.info('Nuovo veicolo registrato', { nickname: position.nickname, targa: position.targa });
       }
 
-      // Estrai coordinate dalla posizione
-      const lat = position.posizione?.latitude || position.latitude;
-      const lng = position.posizione?.longitude || position.longitude;
-      const speed = position.posizione?.speed || position.speed || 0;
-      const heading = position.posizione?.heading || position.heading || 0;
-      const altitude = position.posizione?.altitude || position.altitude || 0;
-      const kmTotali = position.km_totali || 0;
-      const stato = position.posizione?.stato || position.stato;
-      const messaggio = position.posizione?.message || position.message;
-      const fixGps = position.posizione?.fixGps || position.fixGps;
-      
-      // Estrai dati aggiuntivi
-      const inputs = position.posizione?.inputs || {};
-      const analogs = position.posizione?.analogs || {};
-      const frigoOn = inputs['CHIAVE FRIGO'] === '1' ? 1 : 0;
-      const doorOpen = inputs['VANO CARICO'] === '1' ? 1 : 0;
-      const temp1 = analogs.analog1;
-      const temp2 = analogs.analog2;
-      const address = position.posizione?.address?.F || '';
-      const tipologia = position.tipologia?.tipologia || '';
+      const { latitude: lat, longitude: lng, speed = 0, address = '' } = position;
 
       if (!lat || !lng) {
         logger.debug('Coordinate mancanti', { vehicle: vehicle.nickname || vehicle.targa_camion });
@@ -248,60 +370,45 @@ class MonitoringService {
       }
 
       // Salva in SQL (source of truth per le posizioni - NO MongoDB)
-      saveVehiclePosition({
-        idServizio: position.idServizio,
-        targa: position.targa,
-        nickname: position.nickname,
-        fleetId: position.fleetId,
-        fleetName: position.fleetName,
-        latitude: lat,
-        longitude: lng,
-        speed,
-        heading,
-        altitude,
-        fixGps,
-        address,
-        kmTotali,
-        brand: position.brand,
-        modello: position.modello,
-        tipologia,
-        sondeCount: position.sonde_count || 0,
-        temperature1: temp1,
-        temperature2: temp2,
-        frigoOn,
-        doorOpen,
-        inputs,
-        analogs,
-        rawData: position
-      });
-
-      // Controlla geofence
-      const point = { latitude: lat, longitude: lng };
-      
-      for (const geofence of geofences) {
-        const isInside = geofenceService.isPointInGeofence(point, geofence);
-        
-        // Ottieni stato precedente
-        const prevStatus = db.prepare(`
-          SELECT * FROM vehicle_geofence_status 
-          WHERE vehicle_id = ? AND geofence_id = ?
-        `).get(vehicle.id, geofence.id);
+      saveVehiclePosition(position);
 
-        // Rileva transizione
-        const transition = geofenceService.detectTransition(prevStatus, isInside);
+      // Accoda il fix allo storico (la posizione corrente viene sovrascritta)
+      appendPositionHistory(position);
 
-        // Aggiorna stato
-        db.prepare(`
-          INSERT OR REPLACE INTO vehicle_geofence_status (vehicle_id, geofence_id, inside, last_change)
-          VALUES (?, ?, ?, CURRENT_TIMESTAMP)
-        `).run(vehicle.id, geofence.id, isInside ? 1 : 0);
+      // Controlla geofence: solo i candidati dell'indice e quelli in cui il veicolo è dentro
+      // o ha una transizione in attesa (per uscite e conferme)
+      const point = { latitude: lat, longitude: lng };
+      const now = clockService.now().getTime();
+      if (!geofenceStatus.byVehicle.has(vehicle.id)) geofenceStatus.byVehicle.set(vehicle.id, new Map());
+      const statuses = geofenceStatus.byVehicle.get(vehicle.id);
+      const candidates = geofenceIndex.candidates(point).map(g => g.id);
+
+      for (const geofenceId of new Set([...candidates, ...statuses.keys()])) {
+        // Geofence disattivato o eliminato: lo stato resta com'era
+        const geofence = geofenceIndex.get(geofenceId);
+        if (!geofence) continue;
+
+        const status = statuses.get(geofenceId) || { inside: false, pendingInside: null, pendingSince: null, pendingCount: 0 };
+        const observed = geofenceService.isWithinGeofence(point, geofence, status.inside);
+        const { transition, at, status: nextStatus, changed } = geofenceService.confirmTransition(status, observed, geofence, now);
+        if (!changed) continue;
+
+        if (nextStatus.inside || nextStatus.pendingInside !== null) {
+          statuses.set(geofenceId, nextStatus);
+        } else {
+          statuses.delete(geofenceId);
+        }
+        const changedAt = transition ? this.toSqlTime(at) : null;
+        geofenceStatus.changes.push({ vehicleId: vehicle.id, geofenceId, status: nextStatus, changedAt });
 
-        // Se c'è una transizione, genera evento
+        // Transizione confermata: evento, permanenza e allarmi
         if (transition) {
+          this.recordGeofenceVisit(vehicle.id, geofenceId, transition, changedAt);
+
           logger.info(`Transizione geofence: ${vehicle.nickname || vehicle.targa_camion} - ${transition} - ${geofence.nome}`);
           
           // Registra evento
-          db.prepare(`
+          const eventId = db.prepare(`
             INSERT INTO events (vehicle_id, tipo, messaggio, latitudine, longitudine, geofence_id)
             VALUES (?, ?, ?, ?, ?, ?)
           `).run(
@@ -311,33 +418,51 @@ class MonitoringService {
             lat,
             lng,
             geofence.id
-          );
+          ).lastInsertRowid;
 
           // Cerca allarmi attivi per questa combinazione
           const alarms = db.prepare(`
             SELECT * FROM alarms 
-            WHERE attivo = 1 
+            WHERE attivo = 1 AND tipo NOT IN ('speed', 'door_open', 'dwell')
             AND (vehicle_id IS NULL OR vehicle_id = ?)
             AND (geofence_id IS NULL OR geofence_id = ?)
           `).all(vehicle.id, geofence.id);
 
-          for (const alarm of alarms) {
-            // Verifica orario e giorno - accoda l'allarme per processamento in background
-            if (this.isAlarmActiveNow(alarm)) {
-              this.queueAlarm({
-                type: 'geofence_transition',
-                transition,
-                vehicle,
-                geofence,
-                alarm,
-                lat,
-                lng
-              });
-            }
+          const activeAlarms = alarms.filter(alarm => this.isAlarmActiveNow(alarm));
+          for (const alarm of activeAlarms) {
+            // Accoda l'allarme per processamento in background
+            this.queueAlarm({
+              type: 'geofence_transition',
+              transition,
+              vehicle,
+              geofence,
+              alarm,
+              lat,
+              lng,
+              eventId
+            });
+          }
+
+          // Regole della categoria: area vietata notifica comunque l'ingresso, officina = manutenzione
+          const rules = geofenceService.getCategoryRules(geofence);
+          if (rules.allarmeIngresso && transition === 'enter' && activeAlarms.length === 0) {
+            this.queueAlarm({ type: 'no_go', vehicle, geofence, alarm: null, lat, lng, eventId });
+          }
+          if (rules.manutenzione) {
+            this.updateMaintenance(vehicle, transition, changedAt, statuses, geofenceIndex);
           }
         }
       }
 
+      // Controlla allarmi velocità (limite globale o per geofence)
+      this.checkSpeedAlarms(vehicle, point, speed, geofenceIndex);
+
+      // Controlla aperture vano carico fuori dalle zone autorizzate
+      this.checkCargoDoor(vehicle, position.targa, point, !!position.doorOpen, geofenceIndex, address);
+
+      // Controlla soste prolungate nei geofence
+      this.checkDwellAlarms(vehicle, point, geofenceIndex, now);
+
       // SQL gestisce automaticamente lo storage senza retention policy
 
     } catch (error) {
@@ -348,11 +473,290 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Apre la permanenza all'ingresso e la chiude all'uscita con la durata
+   * @param {number} vehicleId
+   * @param {number} geofenceId
+   * @param {string} transition - enter | exit
+   * @param {string} at - Istante della transizione (formato SQLite)
+   */
+  recordGeofenceVisit(vehicleId, geofenceId, transition, at) {
+    if (transition === 'enter') {
+      db.prepare(`
+        INSERT INTO geofence_visits (vehicle_id, geofence_id, entered_at) VALUES (?, ?, ?)
+      `).run(vehicleId, geofenceId, at);
+      return;
+    }
+
+    db.prepare(`
+      UPDATE geofence_visits
+      SET exited_at = ?,
+          durata_secondi = MAX(0, CAST(ROUND((julianday(?) - julianday(entered_at)) * 86400) AS INTEGER))
+      WHERE vehicle_id = ? AND geofence_id = ? AND exited_at IS NULL
+    `).run(at, at, vehicleId, geofenceId);
+  }
+
+  /**
+   * Stato manutenzione: il veicolo entra in manutenzione col primo ingresso in un'officina
+   * e ne esce quando non è più dentro nessuna officina
+   * @param {Object} vehicle - Veicolo dal database
+   * @param {string} transition - enter | exit
+   * @param {string} at - Istante della transizione (formato SQLite)
+   * @param {Map} statuses - Stato dei geofence del veicolo (già aggiornato)
+   * @param {GeofenceIndex} geofenceIndex - Indice dei geofence attivi
+   */
+  updateMaintenance(vehicle, transition, at, statuses, geofenceIndex) {
+    if (transition === 'enter') {
+      if (vehicle.in_manutenzione) return;
+      db.prepare('UPDATE vehicles SET in_manutenzione = 1, manutenzione_dal = ? WHERE id = ?').run(at, vehicle.id);
+      vehicle.in_manutenzione = 1;
+      logger.info(`Veicolo in manutenzione: ${vehicle.nickname || vehicle.targa_camion}`);
+      return;
+    }
+
+    const stillInWorkshop = [...statuses].some(([geofenceId, status]) =>
+      status.inside && geofenceService.getCategoryRules(geofenceIndex.get(geofenceId)).manutenzione
+    );
+    if (stillInWorkshop || !vehicle.in_manutenzione) return;
+    db.prepare('UPDATE vehicles SET in_manutenzione = 0, manutenzione_dal = NULL WHERE id = ?').run(vehicle.id);
+    vehicle.in_manutenzione = 0;
+    logger.info(`Veicolo fuori manutenzione: ${vehicle.nickname || vehicle.targa_camion}`);
+  }
+
+  /**
+   * Allarmi di sosta prolungata: scattano una volta per permanenza quando il veicolo
+   * resta in un geofence (o nel geofence dell'allarme) oltre soglia_minuti
+   * @param {Object} vehicle - Veicolo dal database
+   * @param {Object} point - {latitude, longitude}
+   * @param {GeofenceIndex} geofenceIndex - Indice dei geofence attivi
+   * @param {number} now - Istante corrente (ms)
+   */
+  checkDwellAlarms(vehicle, point, geofenceIndex, now) {
+    const alarms = db.prepare(`
+      SELECT * FROM alarms
+      WHERE attivo = 1 AND tipo = 'dwell' AND soglia_minuti > 0
+      AND (vehicle_id IS NULL OR vehicle_id = ?)
+    `).all(vehicle.id);
+    if (alarms.length === 0) return;
+
+    const visits = db.prepare(`
+      SELECT * FROM geofence_visits WHERE vehicle_id = ? AND exited_at IS NULL
+    `).all(vehicle.id);
+
+    for (const visit of visits) {
+      const geofence = geofenceIndex.get(visit.geofence_id);
+      if (!geofence) continue;
+
+      const minutes = (now - Date.parse(visit.entered_at.replace(' ', 'T') + 'Z')) / 60000;
+      const notified = (visit.allarmi_notificati || '').split(',').filter(Boolean).map(Number);
+
+      for (const alarm of alarms) {
+        if (alarm.geofence_id && alarm.geofence_id !== geofence.id) continue;
+        // Nei parcheggi la sosta è normale: valgono solo gli allarmi impostati proprio su quella zona
+        if (!alarm.geofence_id && geofenceService.getCategoryRules(geofence).sospendiSoste) continue;
+        if (notified.includes(alarm.id) || minutes < alarm.soglia_minuti) continue;
+        if (!this.isAlarmActiveNow(alarm)) continue;
+
+        notified.push(alarm.id);
+        db.prepare('UPDATE geofence_visits SET allarmi_notificati = ? WHERE id = ?').run(notified.join(','), visit.id);
+
+        const messaggio = `In ${geofence.nome} da ${Math.round(minutes)} minuti (soglia ${alarm.soglia_minuti} min)`;
+        logger.alarm(`Sosta prolungata: ${vehicle.nickname || vehicle.targa_camion} - ${messaggio}`);
+
+        const eventId = db.prepare(`
+          INSERT INTO events (vehicle_id, alarm_id, tipo, messaggio, latitudine, longitudine, geofence_id)
+          VALUES (?, ?, 'dwell', ?, ?, ?, ?)
+        `).run(vehicle.id, alarm.id, messaggio, point.latitude, point.longitude, geofence.id).lastInsertRowid;
+
+        this.queueAlarm({
+          type: 'dwell',
+          vehicle,
+          geofence,
+          alarm: { ...alarm, messaggio },
+          lat: point.latitude,
+          lng: point.longitude,
+          eventId
+        });
+      }
+    }
+  }
+
+  /**
+   * Valuta gli allarmi di velocità per un veicolo.
+   * L'allarme scatta una sola volta per superamento, dopo che il veicolo è rimasto
+   * oltre la soglia per almeno durata_minima_secondi (filtra i picchi GPS)
+   * @param {Object} vehicle - Veicolo dal database
+   * @param {Object} point - {latitude, longitude}
+   * @param {number} speed - Velocità attuale in km/h
+   * @param {GeofenceIndex} geofenceIndex - Indice dei geofence attivi
+   */
+  checkSpeedAlarms(vehicle, point, speed, geofenceIndex) {
+    const alarms = db.prepare(`
+      SELECT * FROM alarms
+      WHERE attivo = 1 AND tipo = 'speed' AND soglia_velocita > 0
+      AND (vehicle_id IS NULL OR vehicle_id = ?)
+    `).all(vehicle.id);
+
+    for (const alarm of alarms) {
+      let geofence = null;
+      let inScope = true;
+
+      // Limite valido solo dentro la zona (es. 30 km/h in deposito)
+      if (alarm.geofence_id) {
+        geofence = geofenceIndex.get(alarm.geofence_id);
+        inScope = !!geofence && geofenceService.isPointInGeofence(point, geofence);
+      }
+
+      const now = clockService.now();
+      const status = db.prepare(`
+        SELECT * FROM vehicle_speed_status WHERE vehicle_id = ? AND alarm_id = ?
+      `).get(vehicle.id, alarm.id);
+
+      if (!inScope || speed <= alarm.soglia_velocita) {
+        if (status) {
+          db.prepare('DELETE FROM vehicle_speed_status WHERE id = ?').run(status.id);
+        }
+        continue;
+      }
+
+      if (!status) {
+        db.prepare(`
+          INSERT INTO vehicle_speed_status (vehicle_id, alarm_id, over_since, max_speed)
+          VALUES (?, ?, ?, ?)
+        `).run(vehicle.id, alarm.id, this.toSqlTime(now), speed);
+      } else if (speed > status.max_speed) {
+        db.prepare('UPDATE vehicle_speed_status SET max_speed = ? WHERE id = ?').run(speed, status.id);
+      }
+
+      if (status?.notified) continue;
+
+      const overSince = status ? new Date(status.over_since.replace(' ', 'T') + 'Z') : now;
+      const secondsOver = (now.getTime() - overSince.getTime()) / 1000;
+      if (secondsOver < (alarm.durata_minima_secondi ?? 60)) continue;
+
+      if (!this.isAlarmActiveNow(alarm)) continue;
+
+      const maxSpeed = Math.max(speed, status?.max_speed || 0);
+      const messaggio = `Velocità ${Math.round(speed)} km/h oltre il limite di ${alarm.soglia_velocita} km/h` +
+        `${geofence ? ` in ${geofence.nome}` : ''} (max ${Math.round(maxSpeed)} km/h)`;
+
+      logger.alarm(`Eccesso di velocità: ${vehicle.nickname || vehicle.targa_camion} - ${messaggio}`);
+
+      const eventId = db.prepare(`
+        INSERT INTO events (vehicle_id, alarm_id, tipo, messaggio, latitudine, longitudine, geofence_id)
+        VALUES (?, ?, 'speed', ?, ?, ?, ?)
+      `).run(vehicle.id, alarm.id, messaggio, point.latitude, point.longitude, geofence?.id || null).lastInsertRowid;
+
+      db.prepare(`
+        UPDATE vehicle_speed_status SET notified = 1
+        WHERE vehicle_id = ? AND alarm_id = ?
+      `).run(vehicle.id, alarm.id);
+
+      this.queueAlarm({
+        type: 'speed',
+        vehicle,
+        geofence,
+        alarm: { ...alarm, messaggio },
+        lat: point.latitude,
+        lng: point.longitude,
+        eventId
+      });
+    }
+  }
+
+  /**
+   * Registra aperture/chiusure del vano carico e segnala le aperture non autorizzate.
+   * Un'apertura è autorizzata dentro un geofence di carico/scarico o entro il raggio
+   * di una tappa del viaggio in corso del veicolo
+   * @param {Object} vehicle - Veicolo dal database
+   * @param {string} plate - Targa dalla posizione API
+   * @param {Object} point - {latitude, longitude}
+   * @param {boolean} doorOpen - Ingresso VANO CARICO attivo
+   * @param {GeofenceIndex} geofenceIndex - Indice dei geofence attivi
+   * @param {string} address - Indirizzo della posizione
+   */
+  checkCargoDoor(vehicle, plate, point, doorOpen, geofenceIndex, address) {
+    const openEvent = db.prepare(`
+      SELECT * FROM door_events WHERE vehicle_id = ? AND closed_at IS NULL
+      ORDER BY opened_at DESC LIMIT 1
+    `).get(vehicle.id);
+
+    const vehicleName = vehicle.nickname || vehicle.targa_camion;
+    const now = this.toSqlTime(clockService.now());
+
+    if (!doorOpen) {
+      if (openEvent) {
+        db.prepare(`
+          UPDATE door_events
+          SET closed_at = ?,
+              durata_secondi = MAX(0, CAST(ROUND((julianday(?) - julianday(opened_at)) * 86400) AS INTEGER))
+          WHERE id = ?
+        `).run(now, now, openEvent.id);
+        logger.info(`Vano carico chiuso: ${vehicleName}`);
+      }
+      return;
+    }
+
+    if (openEvent) return;
+
+    const loadingZone = geofenceIndex.candidates(point).find(g => g.zona_carico && geofenceService.isPointInGeofence(point, g));
+    const tripStop = loadingZone ? null : tripMonitoringService.findStopAt(plate, point);
+    const authorized = !!(loadingZone || tripStop);
+
+    db.prepare(`
+      INSERT INTO door_events (vehicle_id, targa, opened_at, latitudine, longitudine, indirizzo, autorizzata, geofence_id, trip_stop_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      vehicle.id,
+      tripMonitoringService.normalizePlate(plate || vehicle.targa_camion),
+      now,
+      point.latitude,
+      point.longitude,
+      address || null,
+      authorized ? 1 : 0,
+      loadingZone?.id || null,
+      tripStop?.id || null
+    );
+
+    if (authorized) {
+      logger.info(`Vano carico aperto: ${vehicleName} - ${loadingZone ? loadingZone.nome : `tappa ${tripStop.nome}`}`);
+      return;
+    }
+
+    const messaggio = `Vano carico aperto fuori dalle zone autorizzate${address ? ` - ${address}` : ''}`;
+    logger.alarm(`${messaggio}: ${vehicleName}`);
+
+    const eventId = db.prepare(`
+      INSERT INTO events (vehicle_id, tipo, messaggio, latitudine, longitudine)
+      VALUES (?, 'door_open', ?, ?, ?)
+    `).run(vehicle.id, messaggio, point.latitude, point.longitude).lastInsertRowid;
+
+    const alarms = db.prepare(`
+      SELECT * FROM alarms
+      WHERE attivo = 1 AND tipo = 'door_open'
+      AND (vehicle_id IS NULL OR vehicle_id = ?)
+    `).all(vehicle.id);
+
+    for (const alarm of alarms) {
+      if (this.isAlarmActiveNow(alarm)) {
+        this.queueAlarm({
+          type: 'door_open',
+          vehicle,
+          geofence: null,
+          alarm: { ...alarm, messaggio },
+          lat: point.latitude,
+          lng: point.longitude,
+          eventId
+        });
+      }
+    }
+  }
+
   /**
    * Controlla allarmi basati sul tempo (partenze/arrivi)
    */
   async checkTimeBasedAlarms() {
-    const now = new Date();
+    const now = clockService.now();
     const currentTime = now.toTimeString().slice(0, 5); // HH:MM
     const currentDay = now.getDay() || 7; // 1-7 (Lun-Dom)
 
@@ -399,7 +803,7 @@ class MonitoringService {
               if (!existingEvent) {
                 const vehicle = db.prepare('SELECT * FROM vehicles WHERE id = ?').get(checkpoint.vehicle_id);
                 
-                db.prepare(`
+                const eventId = db.prepare(`
                   INSERT INTO events (vehicle_id, tipo, messaggio, latitudine, longitudine)
                   VALUES (?, ?, ?, ?, ?)
                 `).run(
@@ -408,12 +812,14 @@ class MonitoringService {
                   `Mancato arrivo a ${checkpoint.nome} (previsto ${checkpoint.ora_prevista_arrivo})`,
                   lastPos.posizione.latitude,
                   lastPos.posizione.longitude
-                );
+                ).lastInsertRowid;
 
                 await notificationService.sendVehicleNotification(
                   'not_arrived',
                   { ...vehicle, latitudine: lastPos.latitudine, longitudine: lastPos.longitudine },
-                  { nome: checkpoint.geofence_nome || checkpoint.nome }
+                  { nome: checkpoint.geofence_nome || checkpoint.nome },
+                  null,
+                  { eventId }
                 );
               }
             }
@@ -446,7 +852,7 @@ class MonitoringService {
               if (!existingEvent) {
                 const vehicle = db.prepare('SELECT * FROM vehicles WHERE id = ?').get(checkpoint.vehicle_id);
                 
-                db.prepare(`
+                const eventId = db.prepare(`
                   INSERT INTO events (vehicle_id, tipo, messaggio, latitudine, longitudine)
                   VALUES (?, ?, ?, ?, ?)
                 `).run(
@@ -455,12 +861,14 @@ class MonitoringService {
                   `Mancata partenza da ${checkpoint.nome} (prevista ${checkpoint.ora_prevista_partenza})`,
                   lastPos.latitudine,
                   lastPos.longitudine
-                );
+                ).lastInsertRowid;
 
                 await notificationService.sendVehicleNotification(
                   'not_departed',
                   { ...vehicle, latitudine: lastPos.latitudine, longitudine: lastPos.longitudine },
-                  { nome: checkpoint.geofence_nome || checkpoint.nome }
+                  { nome: checkpoint.geofence_nome || checkpoint.nome },
+                  null,
+                  { eventId }
                 );
               }
             }
@@ -476,7 +884,7 @@ class MonitoringService {
    * @returns {boolean}
    */
   isAlarmActiveNow(alarm) {
-    const now = new Date();
+    const now = clockService.now();
     const currentTime = now.toTimeString().slice(0, 5);
     const currentDay = now.getDay() || 7;
 
@@ -516,7 +924,7 @@ class MonitoringService {
    */
   parseTime(timeStr) {
     const [hours, minutes] = timeStr.split(':').map(Number);
-    const date = new Date();
+    const date = clockService.now();
     date.setHours(hours, minutes, 0, 0);
     return date;
   }
@@ -528,7 +936,7 @@ class MonitoringService {
    * @returns {boolean}
    */
   isTimePassed(expectedTime, toleranceMinutes) {
-    const now = new Date();
+    const now = clockService.now();
     const deadlineTime = new Date(expectedTime.getTime() + toleranceMinutes * 60 * 1000);
     return now > deadlineTime;
   }
@@ -560,14 +968,13 @@ class MonitoringService {
 
         // Trova posizione del veicolo assegnato
         const vehiclePos = positions.find(p => {
-          const plate = (p.targa || p.targa_camion || '').toUpperCase().replace(/\*+$/, '');
+          const plate = (p.targa || '').toUpperCase().replace(/\*+$/, '');
           return plate === route.vehicle_plate.toUpperCase();
         });
 
         if (!vehiclePos) continue;
 
-        const lat = vehiclePos.posizione?.latitude || vehiclePos.latitude;
-        const lng = vehiclePos.posizione?.longitude || vehiclePos.longitude;
+        const { latitude: lat, longitude: lng } = vehiclePos;
         if (!lat || !lng) continue;
 
         // Trova destinazioni non ancora raggiunte per questa tratta
@@ -666,17 +1073,6 @@ class MonitoringService {
     const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
     return R * c;
   }
-
-  /**
-   * Stato del servizio
-   */
-  getStatus() {
-    return {
-      running: this.isRunning,
-      interval: this.checkInterval,
-      nextRun: this.cronJob ? 'In attesa...' : 'Non pianificato'
-    };
-  }
 }
 
 export const monitoringService = new MonitoringService();
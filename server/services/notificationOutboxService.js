@@ -0,0 +1,200 @@
+import db from '../database/db.js';
+import { notificationService } from './notificationService.js';
+import { logger } from './loggerService.js';
+
+const PROCESS_INTERVAL_MS = 1000;
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 1800;
+const BATCH_SIZE = 20;
+
+/**
+ * Coda persistente (outbox) delle notifiche allarme. Il monitoraggio scrive l'allarme su DB
+ * e il processore lo invia in background: le notifiche in coda sopravvivono a deploy e crash.
+ * La consegna è "almeno una volta": un canale fallito viene ritentato con backoff esponenziale
+ * (senza ripetere i canali già riusciti) e dopo MAX_ATTEMPTS la notifica resta in 'failed'
+ * (dead-letter) finché non viene rimessa in coda o scartata dall'interfaccia.
+ */
+class NotificationOutboxService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processQueue(), PROCESS_INTERVAL_MS);
+    logger.info('Coda notifiche allarme avviata', this.getStats());
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Accoda una notifica allarme
+   * @param {Object} task - { type, transition, vehicle, geofence, alarm, lat, lng, eventId, queuedAt }
+   *                        oppure, per i viaggi, { kind: 'trip', type, trip, stop, position, details, queuedAt }
+   * @returns {number} Id della riga in coda
+   */
+  enqueue(task) {
+    const result = db.prepare('INSERT INTO notification_outbox (tipo, payload) VALUES (?, ?)')
+      .run(task.transition || task.type, JSON.stringify(task));
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Invia le notifiche in coda arrivate alla scadenza del prossimo tentativo
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const entries = db.prepare(`
+        SELECT * FROM notification_outbox
+        WHERE stato = 'pending' AND next_attempt_at <= datetime('now')
+        ORDER BY id
+        LIMIT ?
+      `).all(BATCH_SIZE);
+
+      for (const entry of entries) {
+        await this.deliver(entry);
+      }
+    } catch (error) {
+      logger.error('Errore coda notifiche', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Esegue un tentativo di invio e aggiorna lo stato
+   * @param {Object} entry - Riga notification_outbox
+   */
+  async deliver(entry) {
+    const attempts = entry.tentativi + 1;
+    const delivered = entry.canali_inviati ? entry.canali_inviati.split(',') : [];
+    let failed = [];
+    let error = null;
+
+    try {
+      const task = JSON.parse(entry.payload);
+      const channels = task.kind === 'trip'
+        ? await this.sendTrip(task, delivered, attempts)
+        : await this.sendVehicle(task, delivered, attempts);
+
+      for (const [channel, sent] of Object.entries(channels)) {
+        if (sent === true) delivered.push(channel);
+        if (sent === false) failed.push(channel);
+      }
+      if (failed.length > 0) error = `Canali non consegnati: ${failed.join(', ')}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      db.prepare(`
+        UPDATE notification_outbox
+        SET stato = 'sent', tentativi = ?, canali_inviati = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(attempts, delivered.join(',') || null, entry.id);
+      logger.info('Notifica allarme inviata con successo', { type: entry.tipo });
+      return true;
+    }
+
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const delay = Math.min(BASE_BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+
+    db.prepare(`
+      UPDATE notification_outbox
+      SET stato = ?, tentativi = ?, canali_inviati = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+      WHERE id = ?
+    `).run(exhausted ? 'failed' : 'pending', attempts, delivered.join(',') || null, error, `+${delay} seconds`, entry.id);
+
+    logger.warn(`Notifica allarme ${entry.id} non consegnata (tentativo ${attempts}/${MAX_ATTEMPTS})`, { error });
+    return false;
+  }
+
+  /**
+   * Notifica allarme di un veicolo (geofence, velocità, sosta, catena del freddo...)
+   * @returns {Promise<Object>} Esito per canale
+   */
+  sendVehicle({ type, transition, vehicle, geofence, alarm, lat, lng, eventId }, delivered, attempts) {
+    logger.alarm(`Processamento allarme: ${type}`, {
+      vehicle: vehicle?.nickname || vehicle?.targa_camion,
+      geofence: geofence?.nome,
+      alarm: alarm?.nome,
+      attempt: attempts
+    });
+
+    return notificationService.sendVehicleNotification(
+      transition || type,
+      { ...vehicle, latitudine: lat, longitudine: lng },
+      geofence,
+      alarm,
+      { skipChannels: delivered, eventId }
+    );
+  }
+
+  /**
+   * Notifica di un viaggio (arrivo, partenza, ritardo, deviazione)
+   * @returns {Promise<Object>} Esito per canale
+   */
+  sendTrip({ type, trip, stop, position, details }, delivered, attempts) {
+    logger.alarm(`Processamento notifica viaggio: ${type}`, {
+      trip: trip?.nome,
+      vehicle: trip?.targa_motrice,
+      stop: stop?.nome,
+      attempt: attempts
+    });
+
+    return notificationService.sendTripNotification(type, trip, stop, position, { ...details, skipChannels: delivered });
+  }
+
+  /**
+   * Rimette in coda una notifica (es. in dead-letter dopo tutti i tentativi)
+   * @param {number} id
+   * @returns {boolean}
+   */
+  retry(id) {
+    const result = db.prepare(`
+      UPDATE notification_outbox
+      SET stato = 'pending', tentativi = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND stato != 'sent'
+    `).run(id);
+    if (result.changes > 0) {
+      setImmediate(() => this.processQueue());
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Scarta una notifica in dead-letter
+   * @param {number} id
+   * @returns {boolean}
+   */
+  discard(id) {
+    return db.prepare("UPDATE notification_outbox SET stato = 'discarded' WHERE id = ? AND stato = 'failed'")
+      .run(id).changes > 0;
+  }
+
+  /**
+   * @returns {Object} { pending, failed, sent (ultime 24 ore) }
+   */
+  getStats() {
+    return db.prepare(`
+      SELECT
+        COALESCE(SUM(stato = 'pending'), 0) as pending,
+        COALESCE(SUM(stato = 'failed'), 0) as failed,
+        COALESCE(SUM(stato = 'sent' AND sent_at >= datetime('now', '-1 day')), 0) as sent
+      FROM notification_outbox
+    `).get();
+  }
+}
+
+export const notificationOutboxService = new NotificationOutboxService();
+export default NotificationOutboxService;
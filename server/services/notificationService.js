@@ -1,6 +1,10 @@
-import { Telegraf } from 'telegraf';
+import { Telegraf, Markup } from 'telegraf';
 import webpush from 'web-push';
 import db from '../database/db.js';
+import { realtimeService } from './realtimeService.js';
+import { vehicleController } from '../database/VehicleController.js';
+import { alarmLifecycleService } from './alarmLifecycleService.js';
+import { telegramCommandService } from './telegramCommandService.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -47,7 +51,8 @@ class NotificationService {
         ctx.reply(
           `🚛 Benvenuto nel sistema GPS Tracker!\n\n` +
           `Il tuo Chat ID è: ${chatId}\n\n` +
-          `Usa questo ID nella configurazione dell'app per ricevere notifiche.\n\n` +
+          `Usa questo ID nella configurazione dell'app per ricevere notifiche. ` +
+          `I comandi rispondono solo alle chat collegate a un utente.\n\n` +
           `Comandi disponibili:\n` +
           `/status - Stato dei veicoli\n` +
           `/help - Mostra aiuto`
@@ -59,53 +64,16 @@ class NotificationService {
           `📋 Comandi disponibili:\n\n` +
           `/start - Inizia e ottieni il tuo Chat ID\n` +
           `/status - Stato attuale dei veicoli\n` +
+          `/dove <targa> - Posizione, indirizzo e velocità\n` +
+          `/viaggi [oggi|domani] - Viaggi del giorno con avanzamento tappe\n` +
+          `/eventi [targa] - Ultimi eventi del veicolo o allarmi aperti\n` +
+          `/ack <id> [commento] - Prendi in carico un evento\n` +
           `/help - Mostra questo messaggio`
         );
       });
 
-      this.telegramBot.command('status', async (ctx) => {
-        try {
-          // Get vehicles from SQLite
-          const vehicles = db.prepare(`
-            SELECT * FROM vehicles WHERE attivo = 1
-          `).all();
-
-          if (vehicles.length === 0) {
-            ctx.reply('Nessun veicolo configurato.');
-            return;
-          }
-
-          // Get positions from SQL
-          const { getAllLatestPositions } = await import('../database/positionsDb.js');
-          const positions = getAllLatestPositions();
-          const positionsByPlate = new Map();
-          positions.forEach(p => {
-            const plate = (p.targa || '').toUpperCase().replace(/\*+$/, '');
-            if (plate) positionsByPlate.set(plate, p);
-          });
-
-          let message = '🚛 *Stato Veicoli*\n\n';
-          
-          for (const v of vehicles) {
-            const plate = (v.targa_camion || '').toUpperCase().replace(/\*+$/, '');
-            const pos = positionsByPlate.get(plate);
-            
-            const speed = pos?.posizione?.speed || 0;
-            const status = speed > 0 ? '🟢 In movimento' : '🔴 Fermo';
-            message += `*${v.nickname || v.targa_camion}*\n`;
-            message += `${status} - ${speed} km/h\n`;
-            if (pos?.posizione?.fixGps) {
-              message += `📍 Ultimo aggiornamento: ${new Date(pos.posizione.fixGps).toLocaleString('it-IT')}\n`;
-            }
-            message += '\n';
-          }
-
-          ctx.replyWithMarkdown(message);
-        } catch (error) {
-          console.error('Errore comando status:', error);
-          ctx.reply('Errore nel recupero dello stato.');
-        }
-      });
+      // Comandi per i dispositori e pulsante "Prendi in carico" (solo chat collegate a un utente)
+      telegramCommandService.register(this.telegramBot);
 
       // Avvia il bot
       this.telegramBot.launch().then(() => {
@@ -183,8 +151,9 @@ class NotificationService {
    * @param {number} latitude - Latitudine
    * @param {number} longitude - Longitudine
    * @param {string} chatId - Chat ID
+   * @param {Object} options - Opzioni aggiuntive del messaggio (es. pulsanti)
    */
-  async sendTelegramWithLocation(message, latitude, longitude, chatId = null) {
+  async sendTelegramWithLocation(message, latitude, longitude, chatId = null, options = {}) {
     if (!this.telegramBot) return false;
 
     const targetChatId = chatId || process.env.TELEGRAM_CHAT_ID;
@@ -193,7 +162,8 @@ class NotificationService {
     try {
       // Invia messaggio
       await this.telegramBot.telegram.sendMessage(targetChatId, message, {
-        parse_mode: 'Markdown'
+        parse_mode: 'Markdown',
+        ...options
       });
       
       // Invia posizione
@@ -207,25 +177,73 @@ class NotificationService {
   }
 
   /**
-   * Invia notifica Push a tutti i subscriber
+   * Pulsante Telegram per prendere in carico l'evento dal messaggio di allarme
+   * @param {number|null} eventId
+   * @returns {Object} Opzioni del messaggio (vuote senza evento)
+   */
+  getAckKeyboard(eventId) {
+    if (!eventId) return {};
+    return Markup.inlineKeyboard([Markup.button.callback('✅ Prendi in carico', `ack:${eventId}`)]);
+  }
+
+  /**
+   * Verifica se una notifica riguarda un veicolo visibile all'utente (gruppi di veicoli)
+   * @param {Object} user - Utente del client real-time
+   * @param {Object} data - Dati della notifica ({ vehicleId } oppure { plate })
+   * @returns {boolean}
+   */
+  isNotificationVisible(user, data = {}) {
+    const scope = vehicleController.getVehicleScope(user);
+    if (!scope) return true;
+    if (data.vehicleId) return vehicleController.isVehicleInScope(scope, data.vehicleId);
+    if (data.plate) return vehicleController.isPlateInScope(scope, data.plate);
+    return true;
+  }
+
+  /**
+   * Utente a cui appartiene una subscription Push
+   * @param {string|null} username - Username salvato con la subscription
+   * @returns {Object|null} Utente attivo { id, username, ruolo } (l'admin da .env ha id 0)
+   */
+  getSubscriptionUser(username) {
+    if (!username) return null;
+    const user = db.prepare('SELECT id, username, ruolo FROM users WHERE username = ? AND attivo = 1').get(username);
+    if (user) return user;
+    return username === 'admin' ? { id: 0, username: 'admin', ruolo: 'admin' } : null;
+  }
+
+  /**
+   * Invia notifica Push ai subscriber che vedono il veicolo della notifica (gruppi di veicoli)
+   * Con data.eventId la notifica ha l'azione "Prendi in carico", con un token firmato per ogni subscription
    * @param {Object} payload - {title, body, icon, data}
    */
   async sendPushToAll(payload) {
+    // Le notifiche arrivano subito anche ai browser aperti (stream real-time)
+    realtimeService.broadcast('notification', {
+      title: payload.title,
+      body: payload.body,
+      data: payload.data || {},
+      timestamp: new Date().toISOString()
+    }, (client) => this.isNotificationVisible(client.user, payload.data));
+
     if (!this.webPushConfigured) {
       console.log('Web Push non configurato');
       return;
     }
 
     try {
-      const subscriptions = db.prepare('SELECT * FROM push_subscriptions').all();
+      const subscriptions = db.prepare('SELECT * FROM push_subscriptions').all()
+        .filter(sub => this.isNotificationVisible(this.getSubscriptionUser(sub.username), payload.data));
+      const eventId = payload.data?.eventId;
       
-      const notificationPayload = JSON.stringify({
+      const notification = {
         title: payload.title || 'GPS Tracker Alert',
         body: payload.body,
         icon: payload.icon || '/icon-192.png',
         badge: '/badge-72.png',
-        data: payload.data || {}
-      });
+        data: payload.data || {},
+        actions: eventId ? [{ action: 'ack', title: '✅ Prendi in carico' }] : []
+      };
 
       const results = await Promise.allSettled(
         subscriptions.map(sub => {
@@ -233,7 +251,10 @@ class NotificationService {
             endpoint: sub.endpoint,
             keys: JSON.parse(sub.keys)
           };
-          return webpush.sendNotification(subscription, notificationPayload);
+          const data = eventId
+            ? { ...notification.data, ackToken: alarmLifecycleService.createAckToken(eventId, sub.username) }
+            : notification.data;
+          return webpush.sendNotification(subscription, JSON.stringify({ ...notification, data }));
         })
       );
 
@@ -258,12 +279,15 @@ class NotificationService {
 
   /**
    * Invia notifica per evento veicolo
-   * @param {string} type - Tipo evento (enter, exit, late, early, stopped, moving)
+   * @param {string} type - Tipo evento (enter, exit, no_go, late, early, stopped, moving)
    * @param {Object} vehicle - Dati veicolo
    * @param {Object} geofence - Dati geofence (opzionale)
    * @param {Object} alarm - Dati allarme
+   * @param {Object} options - { skipChannels: canali già consegnati in un tentativo precedente (coda notifiche),
+   *                             eventId: evento da prendere in carico dai pulsanti Telegram/push }
+   * @returns {Object} Esito per canale { telegram, push, whatsapp }: true inviato, false da ritentare, null non previsto
    */
-  async sendVehicleNotification(type, vehicle, geofence = null, alarm = null) {
+  async sendVehicleNotification(type, vehicle, geofence = null, alarm = null, options = {}) {
     let message = '';
     let emoji = '';
     
@@ -287,6 +311,14 @@ class NotificationService {
           `Ora: ${time}`;
         break;
         
+      case 'no_go':
+        emoji = '⛔';
+        message = `${emoji} *INGRESSO IN AREA VIETATA*\n\n` +
+          `Veicolo: *${vehicleName}*\n` +
+          `Zona: *${geofence?.nome || 'N/A'}*\n` +
+          `Ora: ${time}`;
+        break;
+        
       case 'late':
         emoji = '⏰';
         message = `${emoji} *RITARDO*\n\n` +
@@ -326,6 +358,47 @@ class NotificationService {
           `Ora: ${time}`;
         break;
         
+      case 'speed':
+        emoji = '🏎️';
+        message = `${emoji} *ECCESSO DI VELOCITÀ*\n\n` +
+          `Veicolo: *${vehicleName}*\n` +
+          `${alarm?.messaggio || 'Il veicolo ha superato il limite di velocità'}\n` +
+          `Ora: ${time}`;
+        break;
+        
+      case 'door_open':
+        emoji = '🚨';
+        message = `${emoji} *APERTURA VANO CARICO*\n\n` +
+          `Veicolo: *${vehicleName}*\n` +
+          `${alarm?.messaggio || 'Vano carico aperto fuori dalle zone autorizzate'}\n` +
+          `Ora: ${time}`;
+        break;
+        
+      case 'dwell':
+        emoji = '⏳';
+        message = `${emoji} *SOSTA PROLUNGATA*\n\n` +
+          `Veicolo: *${vehicleName}*\n` +
+          `${alarm?.messaggio || 'Il veicolo è fermo nella zona oltre la soglia impostata'}\n` +
+          `Ora: ${time}`;
+        break;
+        
+      case 'temp_high':
+      case 'temp_low':
+        emoji = '🌡️';
+        message = `${emoji} *TEMPERATURA FUORI RANGE*\n\n` +
+          `Veicolo: *${vehicleName}*\n` +
+          `${alarm?.messaggio || 'Temperatura fuori dal range impostato'}\n` +
+          `Ora: ${time}`;
+        break;
+        
+      case 'frigo_off':
+        emoji = '❄️';
+        message = `${emoji} *FRIGO SPENTO*\n\n` +
+          `Veicolo: *${vehicleName}*\n` +
+          `${alarm?.messaggio || 'Frigo spento con merce a bordo'}\n` +
+          `Ora: ${time}`;
+        break;
+        
       case 'not_arrived':
         emoji = '🚨';
         message = `${emoji} *MANCATO ARRIVO*\n\n` +
@@ -345,29 +418,43 @@ class NotificationService {
 
     // Invia notifiche in base alla configurazione dell'allarme
     const promises = [];
-
-    if (!alarm || alarm.notifica_telegram) {
-      if (vehicle.latitudine && vehicle.longitudine) {
-        promises.push(this.sendTelegramWithLocation(message, vehicle.latitudine, vehicle.longitudine));
-      } else {
-        promises.push(this.sendTelegram(message));
-      }
+    const channels = { telegram: null, push: null, whatsapp: null };
+    const skip = new Set(options.skipChannels || []);
+
+    if ((!alarm || alarm.notifica_telegram) && this.isTelegramConfigured() && !skip.has('telegram')) {
+      const ackKeyboard = this.getAckKeyboard(options.eventId);
+      const sending = vehicle.latitudine && vehicle.longitudine
+        ? this.sendTelegramWithLocation(message, vehicle.latitudine, vehicle.longitudine, null, ackKeyboard)
+        : this.sendTelegram(message, null, ackKeyboard);
+      promises.push(sending.then(sent => { channels.telegram = sent; }));
     }
 
-    if (!alarm || alarm.notifica_push) {
+    if ((!alarm || alarm.notifica_push) && !skip.has('push')) {
       promises.push(this.sendPushToAll({
         title: `${emoji} GPS Alert`,
         body: message.replace(/\*/g, '').replace(/\n/g, ' '),
-        data: { type, vehicleId: vehicle.id, geofenceId: geofence?.id }
-      }));
+        data: { type, vehicleId: vehicle.id, geofenceId: geofence?.id, eventId: options.eventId || null }
+      }).then(() => { channels.push = true; }));
     }
 
     // Notifica WhatsApp all'autista assegnato (con sistema di escalation)
-    if (!alarm || alarm.notifica_whatsapp !== false) {
-      promises.push(this.sendWhatsAppNotification(type, vehicle, geofence, alarm, message));
+    if ((!alarm || alarm.notifica_whatsapp !== false) && !skip.has('whatsapp')) {
+      promises.push(this.sendWhatsAppNotification(type, vehicle, geofence, alarm, message, options.eventId).then(result => {
+        // Senza autista o con WhatsApp scollegato non c'è nulla da ritentare; se il messaggio
+        // non parte ma la notifica è stata registrata, prosegue l'escalation
+        channels.whatsapp = !result?.error || !!result.notificationId;
+      }));
     }
 
     await Promise.allSettled(promises);
+    return channels;
+  }
+
+  /**
+   * @returns {boolean} Bot e chat Telegram configurati
+   */
+  isTelegramConfigured() {
+    return !!this.telegramBot && !!process.env.TELEGRAM_CHAT_ID;
   }
 
   /**
@@ -377,12 +464,16 @@ class NotificationService {
    * @param {Object} geofence - Dati geofence
    * @param {Object} alarm - Dati allarme
    * @param {string} formattedMessage - Messaggio già formattato
+   * @param {number|null} eventId - Evento che ha generato l'allarme (la presa in carico chiude l'escalation)
    */
-  async sendWhatsAppNotification(type, vehicle, geofence = null, alarm = null, formattedMessage = '') {
+  async sendWhatsAppNotification(type, vehicle, geofence = null, alarm = null, formattedMessage = '', eventId = null) {
     try {
       const wsService = await getWhatsAppService();
+      // Con una policy di escalation la notifica parte comunque: i passi possono usare Telegram
+      // o responsabili, e quelli WhatsApp attendono la connessione
+      const hasPolicy = !!alarm?.escalation_policy_id;
       
-      if (!wsService || !wsService.isReady()) {
+      if (!wsService || (!wsService.isReady && !hasPolicy)) {
         console.log('📱 WhatsApp non connesso, notifica saltata');
         return { success: false, reason: 'WhatsApp non connesso' };
       }
@@ -395,7 +486,7 @@ class NotificationService {
       }
 
       const driver = wsService.getDriverForVehicle(targa);
-      if (!driver) {
+      if (!driver && !hasPolicy) {
         console.log(`📱 Nessun autista assegnato a ${targa}, notifica WhatsApp saltata`);
         return { success: false, reason: 'Nessun autista assegnato' };
       }
@@ -408,13 +499,13 @@ class NotificationService {
       // Crea evento alarm_notification per tracking e escalation
       const result = await wsService.sendAlarmNotification({
         alarmId: alarm?.id || null,
-        eventId: null, // Potrebbe essere passato come parametro
+        eventId,
         vehiclePlate: targa,
         tipoAllarme: type,
         messaggio: cleanMessage,
-        driverId: driver.id,
-        driverPhone: driver.telefono_whatsapp || driver.telefono,
-        driverName: `${driver.nome} ${driver.cognome}`
+        driverId: driver?.id || null,
+        driverPhone: driver ? driver.telefono_whatsapp || driver.telefono : null,
+        driverName: driver ? `${driver.nome} ${driver.cognome}` : null
       });
 
       return result;
@@ -428,13 +519,14 @@ class NotificationService {
    * Salva subscription Push
    * @param {Object} subscription - Subscription object dal browser
    * @param {string} userAgent - User agent del browser
+   * @param {string} username - Utente che ha attivato le notifiche
    */
-  saveSubscription(subscription, userAgent = '') {
+  saveSubscription(subscription, userAgent = '', username = null) {
     try {
       db.prepare(`
-        INSERT OR REPLACE INTO push_subscriptions (endpoint, keys, user_agent)
-        VALUES (?, ?, ?)
-      `).run(subscription.endpoint, JSON.stringify(subscription.keys), userAgent);
+        INSERT OR REPLACE INTO push_subscriptions (endpoint, keys, user_agent, username)
+        VALUES (?, ?, ?, ?)
+      `).run(subscription.endpoint, JSON.stringify(subscription.keys), userAgent, username);
       return true;
     } catch (error) {
       console.error('Errore salvataggio subscription:', error.message);
@@ -518,6 +610,7 @@ class NotificationService {
         type: 'route_' + type, 
         routeId: route.id, 
         destinationId: destination.id,
+        plate: route.vehicle_plate || null,
         latitude: position.latitude,
         longitude: position.longitude
       }
@@ -525,6 +618,117 @@ class NotificationService {
 
     await Promise.allSettled(promises);
   }
+
+  /**
+   * Invia notifica per evento viaggio (trips/trip_stops)
+   * @param {string} type - Tipo evento (arrival, departure, delay, expected_late, deviation)
+   * @param {Object} trip - Dati viaggio
+   * @param {Object|null} stop - Dati tappa (null per le deviazioni)
+   * @param {Object} position - Posizione corrente {latitude, longitude}
+   * @param {Object} details - Per deviation: { distance, minutes }; per expected_late: { eta, lateMinutes };
+   *                           eventId: evento da prendere in carico dai pulsanti Telegram/push;
+   *                           skipChannels: canali già consegnati in un tentativo precedente (coda notifiche)
+   * @returns {Object} Esito per canale { telegram, push }: true inviato, false da ritentare, null non previsto
+   */
+  async sendTripNotification(type, trip, stop, position, details = {}) {
+    let message = '';
+    let emoji = '';
+
+    const vehiclePlate = trip.targa_motrice || 'N/A';
+    const time = new Date().toLocaleString('it-IT');
+
+    switch (type) {
+      case 'arrival':
+        emoji = '🎯';
+        message = `${emoji} *ARRIVO TAPPA*\n\n` +
+          `Veicolo: *${vehiclePlate}*\n` +
+          `Viaggio: *${trip.nome}*\n` +
+          `Tappa: *${stop.nome}*\n` +
+          `📍 ${stop.indirizzo || ''}\n\n` +
+          `Ora arrivo: ${time}`;
+        break;
+
+      case 'departure':
+        emoji = '🚛';
+        message = `${emoji} *PARTENZA DA TAPPA*\n\n` +
+          `Veicolo: *${vehiclePlate}*\n` +
+          `Viaggio: *${trip.nome}*\n` +
+          `Tappa: *${stop.nome}*\n` +
+          `📍 ${stop.indirizzo || ''}\n\n` +
+          `Ora partenza: ${time}`;
+        break;
+
+      case 'delay':
+        emoji = '⚠️';
+        message = `${emoji} *RITARDO VIAGGIO*\n\n` +
+          `Veicolo: *${vehiclePlate}*\n` +
+          `Viaggio: *${trip.nome}*\n` +
+          `Tappa non raggiunta: *${stop.nome}*\n` +
+          `Arrivo previsto: ${stop.ora_arrivo_prevista}\n` +
+          `📍 ${stop.indirizzo || ''}\n\n` +
+          `Ora attuale: ${time}`;
+        break;
+
+      case 'expected_late':
+        emoji = '⏳';
+        message = `${emoji} *RITARDO PREVISTO*\n\n` +
+          `Veicolo: *${vehiclePlate}*\n` +
+          `Viaggio: *${trip.nome}*\n` +
+          `Tappa: *${stop.nome}*\n` +
+          `Arrivo previsto: ${stop.ora_arrivo_prevista} - stimato: *${details.eta}* (+${details.lateMinutes} min)\n` +
+          `📍 ${stop.indirizzo || ''}\n\n` +
+          `Ora attuale: ${time}`;
+        break;
+
+      case 'deviation':
+        emoji = '🔀';
+        message = `${emoji} *DEVIAZIONE DAL PERCORSO*\n\n` +
+          `Veicolo: *${vehiclePlate}*\n` +
+          `Viaggio: *${trip.nome}*\n` +
+          `Fuori percorso da ${details.minutes ?? '?'} minuti, a ${details.distance ?? '?'}m dal tracciato\n\n` +
+          `Ora: ${time}`;
+        break;
+
+      default:
+        emoji = '📍';
+        message = `${emoji} *NOTIFICA VIAGGIO*\n\n` +
+          `Veicolo: *${vehiclePlate}*\n` +
+          `Viaggio: *${trip.nome}*\n` +
+          `Evento: ${type}\n` +
+          `Ora: ${time}`;
+    }
+
+    const promises = [];
+    const channels = { telegram: null, push: null };
+    const skip = new Set(details.skipChannels || []);
+    const ackKeyboard = this.getAckKeyboard(details.eventId);
+
+    if (this.isTelegramConfigured() && !skip.has('telegram')) {
+      const sending = position.latitude && position.longitude
+        ? this.sendTelegramWithLocation(message, position.latitude, position.longitude, null, ackKeyboard)
+        : this.sendTelegram(message, null, ackKeyboard);
+      promises.push(sending.then(sent => { channels.telegram = sent; }));
+    }
+
+    if (!skip.has('push')) {
+      promises.push(this.sendPushToAll({
+        title: `${emoji} Viaggio: ${trip.nome}`,
+        body: message.replace(/\*/g, '').replace(/\n/g, ' '),
+        data: {
+          type: 'trip_' + type,
+          tripId: trip.id,
+          plate: trip.targa_motrice,
+          stopId: stop?.id ?? null,
+          eventId: details.eventId || null,
+          latitude: position.latitude,
+          longitude: position.longitude
+        }
+      }).then(() => { channels.push = true; }));
+    }
+
+    await Promise.allSettled(promises);
+    return channels;
+  }
 }
 
 export const notificationService = new NotificationService();
@@ -0,0 +1,128 @@
+import { logger } from './loggerService.js';
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Servizio real-time - invia ai browser connessi posizioni, eventi, allarmi
+ * e stato del monitoraggio tramite Server-Sent Events (EventSource)
+ */
+class RealtimeService {
+  constructor() {
+    this.clients = new Map(); // id -> { res, user, connectedAt }
+    this.nextClientId = 1;
+    this.heartbeat = null;
+  }
+
+  /**
+   * Apre uno stream SSE sulla response Express e lo mantiene fino alla disconnessione
+   * @param {Object} req - Request Express
+   * @param {Object} res - Response Express
+   * @param {Object} context - Dati opzionali del client (es. utente)
+   */
+  handleConnection(req, res, context = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disabilita il buffering di nginx
+    });
+    res.write('retry: 5000\n\n');
+
+    const id = this.nextClientId++;
+    this.clients.set(id, { res, ...context, connectedAt: new Date().toISOString() });
+    logger.debug('Client real-time connesso', { id, clients: this.clients.size });
+
+    this.send(res, 'hello', { clientId: id });
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(id);
+      logger.debug('Client real-time disconnesso', { id, clients: this.clients.size });
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Invia un evento a tutti i client connessi
+   * @param {string} type - Nome evento SSE (positions, events, notification, status)
+   * @param {*} data - Payload serializzabile in JSON
+   * @param {Function} filter - Filtro opzionale (client) => boolean
+   */
+  broadcast(type, data, filter = null) {
+    if (this.clients.size === 0) return;
+
+    for (const [id, client] of this.clients) {
+      if (filter && !filter(client)) continue;
+      try {
+        this.send(client.res, type, data);
+      } catch (error) {
+        logger.warn('Errore invio evento real-time', { id, error: error.message });
+        this.clients.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Invia un evento con payload calcolato per ogni client (es. filtrato sui veicoli visibili all'utente)
+   * @param {string} type - Nome evento SSE
+   * @param {Function} dataFor - (client) => payload, oppure null per non inviare nulla a quel client
+   */
+  broadcastEach(type, dataFor) {
+    if (this.clients.size === 0) return;
+
+    for (const [id, client] of this.clients) {
+      try {
+        const data = dataFor(client);
+        if (data) this.send(client.res, type, data);
+      } catch (error) {
+        logger.warn('Errore invio evento real-time', { id, error: error.message });
+        this.clients.delete(id);
+      }
+    }
+  }
+
+  send(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    // Commento SSE per tenere aperte le connessioni attraverso proxy e load balancer
+    this.heartbeat = setInterval(() => {
+      for (const [id, client] of this.clients) {
+        try {
+          client.res.write(': ping\n\n');
+        } catch {
+          this.clients.delete(id);
+        }
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Chiude tutte le connessioni (shutdown del server)
+   */
+  closeAll() {
+    this.stopHeartbeat();
+    for (const client of this.clients.values()) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  getStatus() {
+    return { clients: this.clients.size };
+  }
+}
+
+export const realtimeService = new RealtimeService();
+export default RealtimeService;
@@ -4,7 +4,10 @@ import { logger } from './loggerService.js';
 
 dotenv.config();
 
-const API_BASE_URL = process.env.RECORD_ITALIA_API_URL || 'https://api.recorditalia.net';
+// Con RECORD_ITALIA_SIMULATOR=true le chiamate vanno al simulatore locale (routes/simulatorApi.js)
+const API_BASE_URL = process.env.RECORD_ITALIA_SIMULATOR === 'true'
+  ? `http://localhost:${process.env.PORT || 3001}/simulator`
+  : process.env.RECORD_ITALIA_API_URL || 'https://api.recorditalia.net';
 const SECRET_KEY = process.env.RECORD_ITALIA_SECRET;
 
 // Headers comuni per tutte le richieste
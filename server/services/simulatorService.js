@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { clockService, isSimulatorEnabled } from './clockService.js';
+import { logger } from './loggerService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SCENARIO = path.join(__dirname, '../simulator/scenarios/demo.json');
+
+const MAX_HISTORY_POINTS = 2000;
+
+/**
+ * Simulatore Record Italia - risponde come /owner/flotta, /owner/posizione/flotta/:id e /owner/storico/:id
+ * muovendo i veicoli di uno scenario sull'orologio applicativo (clockService).
+ *
+ * Scenario (JSON): { fleets: [{id, nome}], loop, vehicles: [{ idServizio, targa, nickname, fleetId,
+ * brand, modello, tipologia, sondeCount, waypoints: [{ at, lat, lng, speed?, inputs?, analogs?, address? }] }] }
+ * dove "at" sono i minuti dall'avvio dello scenario. Al posto dei waypoints un veicolo può indicare
+ * "track": file JSON di una traccia registrata (fix con latitude, longitude e fixGps), relativo allo scenario.
+ * Tra due waypoint la posizione è interpolata; ingressi e analogici restano quelli dell'ultimo waypoint raggiunto.
+ */
+class SimulatorService {
+  constructor() {
+    this.enabled = isSimulatorEnabled();
+    this.scenarioFile = process.env.SIMULATOR_SCENARIO ? path.resolve(process.env.SIMULATOR_SCENARIO) : DEFAULT_SCENARIO;
+    this.scenario = null;
+    this.startedAt = null;
+  }
+
+  /**
+   * Carica lo scenario (alla prima richiesta o dopo un reset) e lo fa partire dall'ora corrente dell'orologio
+   */
+  load() {
+    if (this.scenario) return this.scenario;
+
+    const scenario = JSON.parse(fs.readFileSync(this.scenarioFile, 'utf8'));
+    const baseDir = path.dirname(this.scenarioFile);
+
+    scenario.fleets = scenario.fleets?.length ? scenario.fleets : [{ id: 1, nome: 'Simulatore' }];
+    scenario.vehicles = (scenario.vehicles || []).map(vehicle => ({
+      ...vehicle,
+      fleetId: vehicle.fleetId ?? scenario.fleets[0].id,
+      waypoints: this.prepareWaypoints(vehicle.track
+        ? this.readTrack(path.resolve(baseDir, vehicle.track))
+        : vehicle.waypoints || [])
+    })).filter(vehicle => vehicle.waypoints.length > 0);
+
+    this.scenario = scenario;
+    this.startedAt = clockService.now().getTime();
+    logger.info(`Simulatore Record Italia: scenario "${scenario.name || path.basename(this.scenarioFile)}"`, {
+      vehicles: scenario.vehicles.length
+    });
+    return scenario;
+  }
+
+  /**
+   * Ricarica lo scenario e lo fa ripartire da capo
+   */
+  reset() {
+    this.scenario = null;
+    return this.load();
+  }
+
+  /**
+   * Traccia registrata -> waypoints (minuti dal primo fix)
+   */
+  readTrack(file) {
+    const fixes = JSON.parse(fs.readFileSync(file, 'utf8'))
+      .map(fix => ({ ...fix, time: Date.parse(fix.fixGps || fix.timestamp || fix.fix_time) }))
+      .filter(fix => !Number.isNaN(fix.time))
+      .sort((a, b) => a.time - b.time);
+    if (fixes.length === 0) return [];
+
+    return fixes.map(fix => ({
+      at: (fix.time - fixes[0].time) / 60000,
+      lat: fix.latitude,
+      lng: fix.longitude,
+      speed: fix.speed,
+      heading: fix.heading,
+      address: typeof fix.address === 'string' ? fix.address : undefined,
+      inputs: fix.inputs,
+      analogs: fix.analogs
+    }));
+  }
+
+  /**
+   * Ordina i waypoints e propaga ingressi/analogici/indirizzo ai successivi che non li specificano
+   */
+  prepareWaypoints(waypoints) {
+    let inputs = {};
+    let analogs = {};
+    let address = '';
+    return [...waypoints]
+      .filter(wp => wp.lat !== undefined && wp.lng !== undefined)
+      .sort((a, b) => a.at - b.at)
+      .map(wp => {
+        inputs = { ...inputs, ...(wp.inputs || {}) };
+        analogs = { ...analogs, ...(wp.analogs || {}) };
+        address = wp.address ?? address;
+        return { ...wp, inputs, analogs, address };
+      });
+  }
+
+  /**
+   * Minuti di scenario trascorsi a una certa ora
+   * @param {number} time - Timestamp (ms) dell'orologio
+   */
+  minutesAt(time) {
+    const minutes = (time - this.startedAt) / 60000;
+    const last = Math.max(...this.scenario.vehicles.map(v => v.waypoints[v.waypoints.length - 1].at), 0);
+    return this.scenario.loop && last > 0 && minutes > last ? minutes % last : minutes;
+  }
+
+  /**
+   * Stato del veicolo a un certo minuto di scenario
+   * @returns {Object} { latitude, longitude, speed, heading, inputs, analogs, address, moving }
+   */
+  stateAt(vehicle, minutes) {
+    const waypoints = vehicle.waypoints;
+    const nextIndex = waypoints.findIndex(wp => wp.at > minutes);
+
+    if (nextIndex === 0 || nextIndex === -1) {
+      const wp = nextIndex === 0 ? waypoints[0] : waypoints[waypoints.length - 1];
+      return { latitude: wp.lat, longitude: wp.lng, speed: 0, heading: wp.heading || 0, inputs: wp.inputs, analogs: wp.analogs, address: wp.address, moving: false };
+    }
+
+    const from = waypoints[nextIndex - 1];
+    const to = waypoints[nextIndex];
+    const fraction = (minutes - from.at) / (to.at - from.at);
+    const distanceKm = this.distanceKm(from.lat, from.lng, to.lat, to.lng);
+    const speed = to.speed ?? (distanceKm / ((to.at - from.at) / 60));
+
+    return {
+      latitude: from.lat + (to.lat - from.lat) * fraction,
+      longitude: from.lng + (to.lng - from.lng) * fraction,
+      speed: Math.round(speed),
+      heading: to.heading ?? (distanceKm > 0 ? this.bearing(from.lat, from.lng, to.lat, to.lng) : 0),
+      inputs: from.inputs,
+      analogs: from.analogs,
+      address: from.address,
+      moving: speed > 0
+    };
+  }
+
+  /**
+   * Servizio nel formato delle API Record Italia
+   */
+  toServicePosition(vehicle, state, fixTime) {
+    return {
+      idServizio: vehicle.idServizio,
+      targa: vehicle.targa,
+      nickname: vehicle.nickname || vehicle.targa,
+      brand: vehicle.brand || 'Simulatore',
+      modello: vehicle.modello || '',
+      tipologia: { tipologia: vehicle.tipologia || 'Trattore' },
+      km_totali: vehicle.kmTotali || 0,
+      sonde_count: vehicle.sondeCount || 0,
+      posizione: {
+        latitude: Number(state.latitude.toFixed(6)),
+        longitude: Number(state.longitude.toFixed(6)),
+        speed: state.speed,
+        heading: Math.round(state.heading),
+        altitude: 0,
+        fixGps: new Date(fixTime).toISOString(),
+        address: state.address ? { F: state.address } : null,
+        inputs: state.inputs,
+        analogs: state.analogs
+      }
+    };
+  }
+
+  getFleets() {
+    return this.load().fleets;
+  }
+
+  /**
+   * Posizione corrente dei veicoli di una flotta. Il fix è aggiornato solo mentre il veicolo si muove
+   * (da fermo resta quello dell'ultimo waypoint, come un dispositivo in sosta)
+   */
+  getFleetPositions(fleetId) {
+    const scenario = this.load();
+    const now = clockService.now().getTime();
+    const minutes = this.minutesAt(now);
+
+    return scenario.vehicles
+      .filter(vehicle => String(vehicle.fleetId) === String(fleetId))
+      .map(vehicle => {
+        const state = this.stateAt(vehicle, minutes);
+        const lastAt = vehicle.waypoints[vehicle.waypoints.length - 1].at;
+        const fixTime = state.moving || minutes < lastAt
+          ? now
+          : now - (minutes - lastAt) * 60000;
+        return this.toServicePosition(vehicle, state, fixTime);
+      });
+  }
+
+  getServicePosition(idServizio) {
+    const vehicle = this.load().vehicles.find(v => String(v.idServizio) === String(idServizio));
+    if (!vehicle) return null;
+    return this.getFleetPositions(vehicle.fleetId).find(p => String(p.idServizio) === String(idServizio));
+  }
+
+  /**
+   * Storico simulato: un punto per minuto di scenario nell'intervallo richiesto, fino all'ora corrente
+   * @param {number} idServizio
+   * @param {string} fromDate
+   * @param {string} toDate
+   * @returns {Array} Posizioni nel formato di posizione Record Italia
+   */
+  getHistory(idServizio, fromDate, toDate) {
+    const vehicle = this.load().vehicles.find(v => String(v.idServizio) === String(idServizio));
+    if (!vehicle) return [];
+
+    const parse = (value) => Date.parse(String(value).includes('T') ? value : String(value).replace(' ', 'T') + 'Z');
+    const from = Math.max(parse(fromDate) || this.startedAt, this.startedAt);
+    const to = Math.min(parse(toDate) || Infinity, clockService.now().getTime());
+
+    const points = [];
+    for (let time = from; time <= to && points.length < MAX_HISTORY_POINTS; time += 60000) {
+      const state = this.stateAt(vehicle, this.minutesAt(time));
+      points.push(this.toServicePosition(vehicle, state, time).posizione);
+    }
+    return points;
+  }
+
+  getStatus() {
+    const scenario = this.enabled ? this.load() : null;
+    return {
+      enabled: this.enabled,
+      scenario: scenario ? (scenario.name || path.basename(this.scenarioFile)) : null,
+      startedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+      minutes: scenario ? Math.round(this.minutesAt(clockService.now().getTime())) : null,
+      vehicles: scenario ? scenario.vehicles.length : 0,
+      clock: clockService.getStatus()
+    };
+  }
+
+  distanceKm(lat1, lng1, lat2, lng2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLng = (lng2 - lng1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  bearing(lat1, lng1, lat2, lng2) {
+    const toRad = Math.PI / 180;
+    const y = Math.sin((lng2 - lng1) * toRad) * Math.cos(lat2 * toRad);
+    const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+      Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos((lng2 - lng1) * toRad);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+  }
+}
+
+export const simulatorService = new SimulatorService();
+export default SimulatorService;
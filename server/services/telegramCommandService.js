@@ -0,0 +1,356 @@
+import db from '../database/db.js';
+import { vehicleController } from '../database/VehicleController.js';
+import { getAllLatestPositions } from '../database/positionsDb.js';
+import { alarmLifecycleService } from './alarmLifecycleService.js';
+import { clockService } from './clockService.js';
+import { logger } from './loggerService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Stesso ordine dei ruoli di routes/auth.js
+const ROLE_ORDER = ['viewer', 'operator', 'admin'];
+const MAX_EVENTS = 10;
+// Eventi informativi: senza notifiche collegate non compaiono tra gli allarmi aperti
+const INFO_EVENT_TYPES = ['enter', 'exit', 'moving', 'stopped', 'temp_ok', 'trip_arrival', 'trip_departure'];
+
+const EVENT_STATES = {
+  open: '🔴 aperto',
+  acknowledged: '🟡 preso in carico',
+  resolved: '🟢 risolto'
+};
+
+const TRIP_STATES = {
+  pianificato: '🗓️ pianificato',
+  programmato: '🗓️ programmato',
+  in_corso: '🚛 in corso',
+  completato: '✅ completato',
+  annullato: '❌ annullato'
+};
+
+const normalizePlate = (plate) => (plate || '').toUpperCase().replace(/\*+$/, '').replace(/\s+/g, '');
+
+/**
+ * Comandi del bot Telegram per i dispositori (/status, /dove, /viaggi, /eventi, /ack) e pulsante
+ * "Prendi in carico" dei messaggi di allarme.
+ * Rispondono solo alle chat collegate a un utente attivo (users.telegram_chat_id) e mostrano
+ * solo i veicoli visibili a quell'utente (gruppi di veicoli); le azioni sono registrate a nome
+ * di chi scrive, che deve avere a sua volta l'id Telegram collegato.
+ */
+class TelegramCommandService {
+  /**
+   * Registra comandi e azioni sul bot
+   * @param {Telegraf} bot
+   */
+  register(bot) {
+    bot.command('status', this.restricted('status', (ctx, user, scope) => this.status(ctx, scope)));
+    bot.command('dove', this.restricted('dove', (ctx, user, scope, args) => this.where(ctx, scope, args)));
+    bot.command('viaggi', this.restricted('viaggi', (ctx, user, scope, args) => this.trips(ctx, scope, args)));
+    bot.command('eventi', this.restricted('eventi', (ctx, user, scope, args) => this.events(ctx, scope, args)));
+    bot.command('ack', this.restricted('ack', (ctx, user, scope, args) => this.acknowledge(ctx, user, scope, args), 'operator'));
+
+    bot.action(/^ack:(\d+)$/, (ctx) => this.acknowledgeButton(ctx));
+
+    // Menu dei comandi nel client Telegram
+    bot.telegram.setMyCommands([
+      { command: 'status', description: 'Stato dei veicoli' },
+      { command: 'dove', description: 'Posizione di un veicolo: /dove <targa>' },
+      { command: 'viaggi', description: 'Viaggi di oggi o domani con avanzamento tappe' },
+      { command: 'eventi', description: 'Ultimi eventi di un veicolo o allarmi aperti' },
+      { command: 'ack', description: 'Prendi in carico un evento: /ack <id>' },
+      { command: 'help', description: 'Aiuto' }
+    ]).catch(error => logger.warn('Menu comandi Telegram non impostato', { error: error.message }));
+  }
+
+  /**
+   * @param {number|string} telegramId - Chat ID o id utente Telegram
+   * @returns {Object|null} Utente attivo collegato { id, username, ruolo }
+   */
+  findUser(telegramId) {
+    if (telegramId === undefined || telegramId === null) return null;
+    return db.prepare('SELECT id, username, ruolo FROM users WHERE telegram_chat_id = ? AND attivo = 1 ORDER BY id')
+      .get(String(telegramId)) || null;
+  }
+
+  /**
+   * Accesso ai comandi da una chat. La chat (ctx.chat.id) deve essere collegata a un utente attivo:
+   * la risposta arriva a tutta la chat, quindi mostra solo i veicoli visibili a quell'utente.
+   * Chi scrive (ctx.from.id) viene riconosciuto solo dentro una chat collegata e serve per le azioni
+   * (/ack), registrate a suo nome.
+   * @returns {Object|null} { chatUser, member (utente di chi scrive, o null), scope }
+   */
+  getChatAccess(ctx) {
+    const chatUser = this.findUser(ctx.chat?.id);
+    if (!chatUser) return null;
+
+    const member = String(ctx.from?.id) === String(ctx.chat?.id) ? chatUser : this.findUser(ctx.from?.id);
+    return { chatUser, member, scope: vehicleController.getVehicleScope(chatUser) };
+  }
+
+  hasRole(user, role) {
+    return ROLE_ORDER.indexOf(user?.ruolo) >= ROLE_ORDER.indexOf(role);
+  }
+
+  /**
+   * Handler di un comando riservato agli utenti collegati
+   * @param {string} command - Nome del comando (per i log)
+   * @param {Function} handler - (ctx, user, scope, args) => Promise
+   * @param {string} role - Ruolo minimo
+   */
+  restricted(command, handler, role = 'viewer') {
+    return async (ctx) => {
+      const access = this.getChatAccess(ctx);
+      if (!access) {
+        logger.warn(`Comando Telegram /${command} da chat non collegata`, { chatId: ctx.chat?.id, from: ctx.from?.id });
+        return ctx.reply(
+          `⛔ Chat non autorizzata.\n\n` +
+          `Chiedi all'amministratore di collegare il Chat ID ${ctx.chat?.id} al tuo utente.`
+        );
+      }
+
+      // La consultazione è aperta alla chat; le azioni richiedono che chi scrive sia collegato
+      const user = role === 'viewer' ? (access.member || access.chatUser) : access.member;
+      if (!user) {
+        return ctx.reply(`⛔ Utente Telegram non collegato: chiedi all'amministratore di collegare l'id ${ctx.from?.id}.`);
+      }
+      if (!this.hasRole(user, role)) {
+        return ctx.reply('⛔ Permessi insufficienti per questo comando.');
+      }
+
+      const args = (ctx.message?.text || '').trim().split(/\s+/).slice(1);
+      try {
+        await handler(ctx, user, access.scope, args);
+      } catch (error) {
+        logger.error(`Errore comando Telegram /${command}`, { error: error.message });
+        await ctx.reply('Errore nell\'esecuzione del comando.');
+      }
+    };
+  }
+
+  /**
+   * /status - Stato dei veicoli attivi visibili
+   */
+  async status(ctx, scope) {
+    const vehicles = db.prepare('SELECT * FROM vehicles WHERE attivo = 1').all()
+      .filter(v => vehicleController.isVehicleInScope(scope, v.id));
+
+    if (vehicles.length === 0) {
+      return ctx.reply('Nessun veicolo configurato.');
+    }
+
+    const positionsByPlate = new Map();
+    for (const p of getAllLatestPositions()) {
+      const plate = normalizePlate(p.targa);
+      if (plate) positionsByPlate.set(plate, p);
+    }
+
+    let message = '🚛 Stato Veicoli\n\n';
+    for (const v of vehicles) {
+      const pos = positionsByPlate.get(normalizePlate(v.targa_camion));
+      const speed = pos?.posizione?.speed || 0;
+      message += `${v.nickname || v.targa_camion}\n`;
+      message += `${speed > 0 ? '🟢 In movimento' : '🔴 Fermo'} - ${speed} km/h\n`;
+      if (pos?.posizione?.fixGps) {
+        message += `📍 Ultimo aggiornamento: ${new Date(pos.posizione.fixGps).toLocaleString('it-IT')}\n`;
+      }
+      message += '\n';
+    }
+    return ctx.reply(message);
+  }
+
+  /**
+   * /dove <targa|nome> - Posizione con pin, indirizzo e velocità
+   */
+  async where(ctx, scope, args) {
+    const query = args.join(' ');
+    if (!query) {
+      return ctx.reply('Uso: /dove <targa o nome veicolo>');
+    }
+
+    const plate = normalizePlate(query);
+    const positions = getAllLatestPositions().filter(p => vehicleController.isPlateInScope(scope, p.targa));
+    const pos = positions.find(p => normalizePlate(p.targa) === plate)
+      || positions.find(p => (p.nickname || '').toLowerCase() === query.toLowerCase());
+
+    if (!pos || pos.posizione?.latitude == null) {
+      return ctx.reply(`Nessuna posizione per "${query}".`);
+    }
+
+    const { latitude, longitude, speed, fixGps, address } = pos.posizione;
+    await ctx.replyWithLocation(latitude, longitude);
+    return ctx.reply(
+      `🚛 ${pos.nickname ? `${pos.nickname} (${pos.targa})` : pos.targa}\n` +
+      `📍 ${address?.F || `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`}\n` +
+      `${(speed || 0) > 0 ? '🟢' : '🔴'} ${speed || 0} km/h\n` +
+      (fixGps ? `🕒 ${new Date(fixGps).toLocaleString('it-IT')}` : '')
+    );
+  }
+
+  /**
+   * /viaggi [oggi|domani] - Viaggi del giorno con avanzamento delle tappe
+   */
+  async trips(ctx, scope, args) {
+    const when = (args[0] || 'oggi').toLowerCase();
+    if (!['oggi', 'domani'].includes(when)) {
+      return ctx.reply('Uso: /viaggi [oggi|domani]');
+    }
+
+    const day = clockService.now();
+    if (when === 'domani') day.setDate(day.getDate() + 1);
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+
+    // Oggi comprende anche i viaggi partiti ieri e ancora in corso
+    const trips = db.prepare(`
+      SELECT t.*,
+        (SELECT COUNT(*) FROM trip_stops s WHERE s.trip_id = t.id) as tappe_totali,
+        (SELECT COUNT(*) FROM trip_stops s WHERE s.trip_id = t.id AND s.stato != 'da_raggiungere') as tappe_raggiunte
+      FROM trips t
+      WHERE t.data_viaggio = ? ${when === 'oggi' ? "OR t.stato = 'in_corso'" : ''}
+      ORDER BY t.data_viaggio, t.ora_partenza, t.id
+    `).all(date)
+      .filter(t => !t.targa_motrice || vehicleController.isPlateInScope(scope, t.targa_motrice));
+
+    if (trips.length === 0) {
+      return ctx.reply(`Nessun viaggio ${when}.`);
+    }
+
+    const nextStop = db.prepare(`
+      SELECT nome, ora_arrivo_prevista, eta FROM trip_stops
+      WHERE trip_id = ? AND stato = 'da_raggiungere'
+      ORDER BY ordine LIMIT 1
+    `);
+
+    let message = `🗺️ Viaggi ${when} (${date})\n\n`;
+    for (const trip of trips) {
+      message += `${trip.nome}${trip.ora_partenza ? ` - partenza ${trip.ora_partenza.slice(0, 5)}` : ''}\n`;
+      message += `${TRIP_STATES[trip.stato] || trip.stato} · ${trip.targa_motrice || 'senza motrice'}`;
+      message += ` · tappe ${trip.tappe_raggiunte}/${trip.tappe_totali}\n`;
+
+      const next = trip.stato === 'in_corso' ? nextStop.get(trip.id) : null;
+      if (next) {
+        const eta = next.eta
+          ? ` (ETA ${new Date(next.eta.replace(' ', 'T') + 'Z').toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' })})`
+          : '';
+        message += `➡️ ${next.nome}${next.ora_arrivo_prevista ? ` prevista ${next.ora_arrivo_prevista.slice(0, 5)}` : ''}${eta}\n`;
+      }
+      message += '\n';
+    }
+    return ctx.reply(message);
+  }
+
+  /**
+   * /eventi [targa] - Ultimi eventi del veicolo, o gli eventi aperti senza targa
+   */
+  async events(ctx, scope, args) {
+    const query = args.join(' ');
+    let events;
+
+    if (query) {
+      const plate = normalizePlate(query);
+      const vehicle = db.prepare(`
+        SELECT id FROM vehicles
+        WHERE UPPER(REPLACE(targa_camion, ' ', '')) = ? OR LOWER(nickname) = LOWER(?)
+      `).get(plate, query);
+
+      if (!vehicle || !vehicleController.isVehicleInScope(scope, vehicle.id)) {
+        return ctx.reply(`Veicolo "${query}" non trovato.`);
+      }
+      events = db.prepare(`
+        SELECT e.*, v.nickname as vehicle_name, v.targa_camion FROM events e
+        LEFT JOIN vehicles v ON e.vehicle_id = v.id
+        WHERE e.vehicle_id = ?
+        ORDER BY e.created_at DESC LIMIT ?
+      `).all(vehicle.id, MAX_EVENTS);
+    } else {
+      events = db.prepare(`
+        SELECT e.*, v.nickname as vehicle_name, v.targa_camion FROM events e
+        LEFT JOIN vehicles v ON e.vehicle_id = v.id
+        WHERE e.stato = 'open'
+          AND (e.tipo NOT IN (${INFO_EVENT_TYPES.map(() => '?').join(',')})
+            OR EXISTS (SELECT 1 FROM alarm_notifications an WHERE an.event_id = e.id))
+        ORDER BY e.created_at DESC LIMIT 200
+      `).all(...INFO_EVENT_TYPES).filter(e => vehicleController.isVehicleInScope(scope, e.vehicle_id)).slice(0, MAX_EVENTS);
+    }
+
+    if (events.length === 0) {
+      return ctx.reply(query ? `Nessun evento per "${query}".` : 'Nessun allarme aperto.');
+    }
+
+    let message = query ? `📋 Ultimi eventi ${query.toUpperCase()}\n\n` : '📋 Allarmi aperti\n\n';
+    for (const e of events) {
+      const time = new Date(e.created_at.replace(' ', 'T') + 'Z').toLocaleString('it-IT');
+      message += `#${e.id} ${EVENT_STATES[e.stato] || e.stato || ''} · ${time}\n`;
+      if (!query) message += `${e.vehicle_name || e.targa_camion || '-'} · `;
+      message += `${e.messaggio || e.tipo}\n`;
+      if (e.preso_in_carico_da) message += `👤 ${e.preso_in_carico_da}\n`;
+      message += '\n';
+    }
+    message += 'Prendi in carico con /ack <id> [commento]';
+    return ctx.reply(message);
+  }
+
+  /**
+   * /ack <id> [commento] - Prende in carico un evento
+   */
+  async acknowledge(ctx, user, scope, args) {
+    const eventId = parseInt((args[0] || '').replace('#', ''));
+    if (!eventId) {
+      return ctx.reply('Uso: /ack <id evento> [commento]');
+    }
+
+    // Visibile sia alla chat sia a chi lo prende in carico
+    const event = db.prepare('SELECT id, vehicle_id FROM events WHERE id = ?').get(eventId);
+    if (!event || !vehicleController.isVehicleInScope(scope, event.vehicle_id) ||
+        !vehicleController.isVehicleInScope(vehicleController.getVehicleScope(user), event.vehicle_id)) {
+      return ctx.reply(`Evento #${eventId} non trovato.`);
+    }
+
+    const result = alarmLifecycleService.acknowledge(eventId, {
+      by: user.username,
+      via: 'telegram',
+      commento: args.slice(1).join(' ') || null
+    });
+    return ctx.reply(result.success ? `✅ Evento #${eventId} preso in carico da ${user.username}` : `⚠️ ${result.error}`);
+  }
+
+  /**
+   * Pulsante "Prendi in carico" sotto i messaggi di allarme, nelle chat collegate e nella chat
+   * delle notifiche (TELEGRAM_CHAT_ID). Chi preme deve essere un operatore collegato (ctx.from.id).
+   */
+  async acknowledgeButton(ctx) {
+    try {
+      const notificationChat = !!process.env.TELEGRAM_CHAT_ID && String(ctx.chat?.id) === String(process.env.TELEGRAM_CHAT_ID);
+      if (!notificationChat && !this.findUser(ctx.chat?.id)) {
+        return ctx.answerCbQuery('⛔ Chat non autorizzata');
+      }
+
+      const user = this.findUser(ctx.from?.id);
+      if (!user || !this.hasRole(user, 'operator')) {
+        return ctx.answerCbQuery(user ? '⛔ Permessi insufficienti' : '⛔ Utente Telegram non collegato');
+      }
+
+      const eventId = parseInt(ctx.match[1]);
+      const event = db.prepare('SELECT id, vehicle_id FROM events WHERE id = ?').get(eventId);
+      if (!event || !vehicleController.isVehicleInScope(vehicleController.getVehicleScope(user), event.vehicle_id)) {
+        return ctx.answerCbQuery('Evento non trovato');
+      }
+
+      const result = alarmLifecycleService.acknowledge(eventId, { by: user.username, via: 'telegram' });
+      await ctx.answerCbQuery(result.success ? '✅ Allarme preso in carico' : result.error);
+      if (!result.event) return;
+
+      // Il pulsante sparisce: l'evento non è più aperto
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      if (result.success) {
+        await ctx.reply(`✅ Preso in carico da ${user.username}`, { reply_to_message_id: ctx.callbackQuery.message?.message_id });
+      }
+    } catch (error) {
+      logger.error('Errore presa in carico da Telegram', { error: error.message });
+      await ctx.answerCbQuery('Errore nella presa in carico').catch(() => {});
+    }
+  }
+}
+
+export const telegramCommandService = new TelegramCommandService();
+export default TelegramCommandService;
@@ -0,0 +1,49 @@
+/**
+ * Provider base per chiamate vocali e SMS di escalation (Twilio, fake locale, altri operatori).
+ *
+ * Le chiamate leggono il messaggio con sintesi vocale e chiedono di premere un tasto per confermare.
+ * L'esito arriva in modo asincrono: il provider lo comunica con reportOutcome(callId, outcome, details),
+ * outcome è uno tra:
+ *   'ringing', 'in_progress'                    // chiamata in corso
+ *   'answered'                                  // risposta senza conferma
+ *   'confirmed'                                 // tasto di conferma premuto
+ *   'no_answer', 'busy', 'failed'               // nessuna risposta, occupato, errore
+ */
+export default class TelephonyProvider {
+  /**
+   * @param {string} name - Nome del provider (come in TELEPHONY_PROVIDER)
+   */
+  constructor(name) {
+    this.name = name;
+    // Impostato da telephonyService
+    this.onOutcome = null;
+  }
+
+  /**
+   * @returns {boolean} Credenziali e numero mittente presenti
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Avvia una chiamata con sintesi vocale
+   * @param {Object} options - { to (E.164), message, confirmDigit }
+   * @returns {Promise<Object>} { success, callId?, error? }
+   */
+  async call(options) {
+    throw new Error(`call non implementato per il provider ${this.name}`);
+  }
+
+  /**
+   * @param {Object} options - { to (E.164), message }
+   * @returns {Promise<Object>} { success, messageId?, error? }
+   */
+  async sendSms(options) {
+    throw new Error(`sendSms non implementato per il provider ${this.name}`);
+  }
+
+  reportOutcome(callId, outcome, details = {}) {
+    if (this.onOutcome) this.onOutcome(callId, outcome, details);
+  }
+}
@@ -0,0 +1,57 @@
+import TelephonyProvider from './TelephonyProvider.js';
+import { logger } from '../loggerService.js';
+
+const OUTCOMES = ['confirmed', 'answered', 'no_answer', 'busy', 'failed'];
+const MAX_LOG = 50;
+
+/**
+ * Provider finto per sviluppo e test: non chiama nessuno, tiene in memoria chiamate e SMS
+ * e dopo delaySeconds riporta l'esito configurato (TELEPHONY_FAKE_OUTCOME)
+ */
+export default class FakeTelephonyProvider extends TelephonyProvider {
+  constructor({ outcome = 'confirmed', delaySeconds = 5 } = {}) {
+    super('fake');
+    this.outcome = OUTCOMES.includes(outcome) ? outcome : 'confirmed';
+    this.delaySeconds = delaySeconds;
+    this.counter = 0;
+    this.log = [];
+  }
+
+  async call({ to, message }) {
+    const callId = `FAKE-CALL-${++this.counter}`;
+    this.record({ id: callId, tipo: 'call', to, message, esito: this.outcome });
+    logger.info(`Chiamata simulata ${callId} a ${to}: ${message}`);
+
+    if (this.outcome === 'failed') {
+      return { success: false, error: 'Chiamata non riuscita (provider fake)' };
+    }
+
+    setTimeout(() => {
+      if (this.outcome === 'confirmed' || this.outcome === 'answered') {
+        this.reportOutcome(callId, 'in_progress');
+      }
+      this.reportOutcome(callId, this.outcome, { duration: this.outcome === 'confirmed' ? 20 : 0 });
+    }, this.delaySeconds * 1000);
+
+    return { success: true, callId };
+  }
+
+  async sendSms({ to, message }) {
+    const messageId = `FAKE-SMS-${++this.counter}`;
+    this.record({ id: messageId, tipo: 'sms', to, message });
+    logger.info(`SMS simulato ${messageId} a ${to}: ${message}`);
+    return { success: true, messageId };
+  }
+
+  record(entry) {
+    this.log.unshift({ ...entry, at: new Date().toISOString() });
+    this.log.length = Math.min(this.log.length, MAX_LOG);
+  }
+
+  /**
+   * @returns {Array} Ultime chiamate e SMS simulati (più recenti prima)
+   */
+  getLog() {
+    return this.log;
+  }
+}
@@ -0,0 +1,120 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import TelephonyProvider from './TelephonyProvider.js';
+
+// Stato chiamata Twilio -> esito normalizzato
+const CALL_STATUS = {
+  queued: null,
+  initiated: null,
+  ringing: 'ringing',
+  'in-progress': 'in_progress',
+  completed: 'answered',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+/**
+ * Provider Twilio o API compatibili (stessi endpoint REST 2010-04-01 e TwiML).
+ * Il messaggio è letto con <Say> dentro un <Gather> a una cifra: Twilio richiama
+ * /telephony/twilio/gather con il tasto premuto e /telephony/twilio/status con lo stato della chiamata.
+ * Senza callbackUrl pubblico la chiamata parte ma conferma ed esito non vengono registrati.
+ */
+export default class TwilioProvider extends TelephonyProvider {
+  constructor({ accountSid, authToken, from, apiUrl = 'https://api.twilio.com', callbackUrl, language = 'it-IT' }) {
+    super('twilio');
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.callbackUrl = callbackUrl ? callbackUrl.replace(/\/+$/, '') : null;
+    this.language = language;
+
+    this.axios = axios.create({
+      baseURL: `${apiUrl.replace(/\/+$/, '')}/2010-04-01/Accounts/${accountSid}`,
+      auth: { username: accountSid || '', password: authToken || '' },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000
+    });
+  }
+
+  isConfigured() {
+    return !!(this.accountSid && this.authToken && this.from);
+  }
+
+  async call({ to, message, confirmDigit }) {
+    const params = new URLSearchParams({ To: to, From: this.from, Twiml: this.buildCallTwiml(message, confirmDigit) });
+    if (this.callbackUrl) {
+      params.append('StatusCallback', `${this.callbackUrl}/telephony/twilio/status`);
+      for (const event of ['ringing', 'answered', 'completed']) params.append('StatusCallbackEvent', event);
+    }
+
+    try {
+      const response = await this.axios.post('/Calls.json', params.toString());
+      return { success: true, callId: response.data.sid };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || error.message };
+    }
+  }
+
+  async sendSms({ to, message }) {
+    const params = new URLSearchParams({ To: to, From: this.from, Body: message });
+    try {
+      const response = await this.axios.post('/Messages.json', params.toString());
+      return { success: true, messageId: response.data.sid };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || error.message };
+    }
+  }
+
+  buildCallTwiml(message, confirmDigit) {
+    const say = (text) => `<Say language="${this.language}">${escapeXml(text)}</Say>`;
+    const prompt = say(`Premi ${confirmDigit} per confermare la ricezione.`);
+    const gather = this.callbackUrl
+      ? `<Gather numDigits="1" timeout="10" method="POST" action="${escapeXml(`${this.callbackUrl}/telephony/twilio/gather?confirm=${confirmDigit}`)}">${say(message)}${prompt}${say(message)}${prompt}</Gather>`
+      : say(message) + say(message);
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${gather}${say('Nessuna conferma ricevuta. Arrivederci.')}</Response>`;
+  }
+
+  /**
+   * Risposta TwiML al tasto premuto
+   * @param {boolean} confirmed
+   */
+  buildGatherTwiml(confirmed) {
+    const text = confirmed ? 'Conferma registrata. Grazie.' : 'Tasto non valido. Nessuna conferma registrata.';
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Say language="${this.language}">${text}</Say></Response>`;
+  }
+
+  /**
+   * Esito normalizzato da uno stato chiamata Twilio (null = nessun cambiamento da registrare)
+   * @param {string} status - CallStatus
+   */
+  mapCallStatus(status) {
+    return CALL_STATUS[status] ?? null;
+  }
+
+  /**
+   * Verifica X-Twilio-Signature: HMAC-SHA1 con l'auth token di URL completo + parametri POST ordinati
+   * @param {string} url - URL completo della richiesta (come configurato su Twilio)
+   * @param {Object} params - Corpo form-urlencoded
+   * @param {string} signature
+   * @returns {boolean}
+   */
+  validateSignature(url, params, signature) {
+    if (!signature || !this.authToken) return false;
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+    const expected = crypto.createHmac('sha1', this.authToken).update(data).digest('base64');
+    const a = Buffer.from(expected);
+    const b = Buffer.from(signature);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,188 @@
+import db from '../database/db.js';
+import { logger } from './loggerService.js';
+import { clockService } from './clockService.js';
+import { alarmLifecycleService } from './alarmLifecycleService.js';
+import TwilioProvider from './telephony/twilioProvider.js';
+import FakeTelephonyProvider from './telephony/fakeProvider.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Provider disponibili per TELEPHONY_PROVIDER
+const PROVIDER_FACTORIES = {
+  twilio: () => new TwilioProvider({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM_NUMBER,
+    apiUrl: process.env.TWILIO_API_URL || undefined,
+    callbackUrl: process.env.TELEPHONY_CALLBACK_URL,
+    language: process.env.TELEPHONY_TTS_LANGUAGE || undefined
+  }),
+  fake: () => new FakeTelephonyProvider({
+    outcome: process.env.TELEPHONY_FAKE_OUTCOME,
+    delaySeconds: parseInt(process.env.TELEPHONY_FAKE_DELAY_SECONDS) || 5
+  })
+};
+
+// Tasto da premere durante la chiamata per confermare l'allarme
+const CONFIRM_DIGIT = '1';
+// Esiti di chiamata ancora in corso e esiti finali senza risposta
+const ACTIVE_OUTCOMES = ['queued', 'ringing', 'in_progress'];
+const UNANSWERED_OUTCOMES = ['no_answer', 'busy', 'failed'];
+
+/**
+ * Chiamate vocali e SMS per le escalation degli allarmi, tramite il provider TELEPHONY_PROVIDER.
+ * Gli esiti delle chiamate sono salvati sul passo di escalation (alarm_notification_steps) e
+ * sulla notifica (alarm_notifications.chiamata_esito); la conferma con il tasto chiude l'escalation.
+ */
+class TelephonyService {
+  constructor() {
+    const name = (process.env.TELEPHONY_PROVIDER || '').trim().toLowerCase();
+    this.provider = PROVIDER_FACTORIES[name] ? PROVIDER_FACTORIES[name]() : null;
+
+    if (name && name !== 'none' && !this.provider) {
+      logger.warn(`Provider telefonico sconosciuto ignorato: ${name}`);
+    }
+    if (this.provider) {
+      this.provider.onOutcome = (callId, outcome, details) => this.recordCallOutcome(callId, outcome, details);
+    }
+  }
+
+  isConfigured() {
+    return !!this.provider && this.provider.isConfigured();
+  }
+
+  /**
+   * Chiamata vocale di un passo di escalation
+   * @param {number|null} notificationId - Notifica allarme (null per le chiamate di prova)
+   * @param {string} phone
+   * @param {string} message - Testo letto con sintesi vocale
+   * @returns {Promise<Object>} { success, callId?, error? }
+   */
+  async call(notificationId, phone, message) {
+    if (!this.isConfigured()) return { success: false, error: 'Provider telefonico non configurato' };
+
+    const to = this.formatPhoneNumber(phone);
+    if (!to) return { success: false, error: 'Numero telefono non valido' };
+
+    const result = await this.provider.call({ to, message, confirmDigit: CONFIRM_DIGIT });
+    if (result.success && notificationId) {
+      db.prepare(`
+        UPDATE alarm_notifications
+        SET chiamata_effettuata = 1, chiamata_at = CURRENT_TIMESTAMP,
+            chiamata_esito = 'queued', chiamata_esito_at = CURRENT_TIMESTAMP, chiamata_durata_secondi = NULL
+        WHERE id = ?
+      `).run(notificationId);
+    }
+    if (result.success) {
+      logger.alarm(`Chiamata ${result.callId} avviata verso ${to}`);
+    } else {
+      logger.error(`Chiamata verso ${to} non riuscita`, { error: result.error });
+    }
+    return result;
+  }
+
+  /**
+   * @returns {Promise<Object>} { success, messageId?, error? }
+   */
+  async sendSms(phone, message) {
+    if (!this.isConfigured()) return { success: false, error: 'Provider telefonico non configurato' };
+
+    const to = this.formatPhoneNumber(phone);
+    if (!to) return { success: false, error: 'Numero telefono non valido' };
+
+    const result = await this.provider.sendSms({ to, message });
+    if (!result.success) logger.error(`SMS verso ${to} non riuscito`, { error: result.error });
+    return result;
+  }
+
+  /**
+   * Registra l'esito di una chiamata. Con la conferma l'allarme risulta preso in carico;
+   * se nessuna chiamata del passo ha avuto risposta si passa subito al passo successivo.
+   * @param {string} callId - Id chiamata del provider (alarm_notification_steps.riferimento)
+   * @param {string} outcome - Vedi TelephonyProvider
+   * @param {Object} details - { duration (secondi) }
+   */
+  recordCallOutcome(callId, outcome, { duration } = {}) {
+    if (!outcome) return;
+
+    const step = db.prepare('SELECT * FROM alarm_notification_steps WHERE riferimento = ?').get(callId);
+    if (!step) {
+      logger.debug(`Esito ${outcome} per chiamata ${callId} non collegata a un allarme`);
+      return;
+    }
+    // La conferma è definitiva; gli stati intermedi arrivano anche dopo quelli finali
+    if (step.esito_chiamata === 'confirmed') return;
+    if (ACTIVE_OUTCOMES.includes(outcome) && step.esito_chiamata && !ACTIVE_OUTCOMES.includes(step.esito_chiamata)) return;
+
+    db.prepare('UPDATE alarm_notification_steps SET esito_chiamata = ? WHERE id = ?').run(outcome, step.id);
+
+    const notification = db.prepare('SELECT * FROM alarm_notifications WHERE id = ?').get(step.notification_id);
+    if (!notification) return;
+
+    if (notification.chiamata_esito !== 'confirmed') {
+      db.prepare(`
+        UPDATE alarm_notifications
+        SET chiamata_esito = ?, chiamata_esito_at = CURRENT_TIMESTAMP,
+            chiamata_durata_secondi = COALESCE(?, chiamata_durata_secondi)
+        WHERE id = ?
+      `).run(outcome, duration != null ? parseInt(duration) : null, notification.id);
+    }
+
+    if (notification.risposta_ricevuta) return;
+
+    if (outcome === 'confirmed') {
+      db.prepare(`
+        UPDATE alarm_notifications
+        SET risposta_ricevuta = 1, risposta_at = CURRENT_TIMESTAMP, risposta_testo = ?,
+            stato = 'confirmed', next_escalation_at = NULL
+        WHERE id = ?
+      `).run(`Confermato in chiamata da ${step.destinatario_nome || step.recapito} (tasto ${CONFIRM_DIGIT})`, notification.id);
+      logger.alarm(`Allarme confermato in chiamata da ${step.destinatario_nome || step.recapito} (notifica ${notification.id})`);
+      if (notification.event_id) {
+        alarmLifecycleService.acknowledge(notification.event_id, { by: step.destinatario_nome || step.recapito, via: 'call' });
+      }
+      return;
+    }
+
+    if (UNANSWERED_OUTCOMES.includes(outcome) && notification.next_escalation_at && notification.escalation_level === step.livello) {
+      const pending = db.prepare(`
+        SELECT COUNT(*) as count FROM alarm_notification_steps
+        WHERE notification_id = ? AND livello = ? AND riferimento IS NOT NULL
+          AND (esito_chiamata IS NULL OR esito_chiamata IN ('queued', 'ringing', 'in_progress', 'answered'))
+      `).get(notification.id, step.livello).count;
+
+      if (pending === 0) {
+        db.prepare('UPDATE alarm_notifications SET next_escalation_at = ? WHERE id = ?')
+          .run(clockService.now().toISOString(), notification.id);
+        logger.alarm(`Nessuna risposta alle chiamate del passo ${step.livello}, escalation anticipata (notifica ${notification.id})`);
+      }
+    }
+  }
+
+  /**
+   * Numero in formato E.164 (prefisso italiano se manca)
+   * @param {string} phone
+   * @returns {string|null}
+   */
+  formatPhoneNumber(phone) {
+    if (!phone) return null;
+    let cleaned = phone.replace(/[\s\-\(\)\.]/g, '');
+    if (cleaned.startsWith('00')) cleaned = '+' + cleaned.substring(2);
+    // In Italia lo 0 dei numeri fissi fa parte del numero anche in formato internazionale
+    if (!cleaned.startsWith('+')) cleaned = '+39' + cleaned;
+    return /^\+\d{6,15}$/.test(cleaned) ? cleaned : null;
+  }
+
+  getStatus() {
+    return {
+      provider: this.provider?.name || null,
+      configured: this.isConfigured(),
+      callbackUrl: this.provider?.callbackUrl ?? null,
+      log: typeof this.provider?.getLog === 'function' ? this.provider.getLog() : undefined
+    };
+  }
+}
+
+export const telephonyService = new TelephonyService();
+export default TelephonyService;
@@ -0,0 +1,381 @@
+import db from '../database/db.js';
+import { vehicleController } from '../database/VehicleController.js';
+import { getPositionHistory } from '../database/positionsDb.js';
+import { notificationOutboxService } from './notificationOutboxService.js';
+import { clockService } from './clockService.js';
+import { getTripWindow } from './tripWindow.js';
+import { logger } from './loggerService.js';
+
+/**
+ * Servizio catena del freddo - controlla le temperature dei rimorchi frigo
+ * rispetto ai range configurati (per veicolo o per viaggio) e genera il
+ * registro temperature HACCP dei viaggi
+ */
+class TemperatureMonitoringService {
+  /**
+   * Controlla tutti i range temperatura attivi rispetto alle posizioni ricevute
+   * @param {Array} positions - Posizioni normalizzate dalle sorgenti GPS
+   */
+  async checkTemperatures(positions) {
+    try {
+      const ranges = db.prepare(`
+        SELECT tr.*, t.nome as trip_nome, t.stato as trip_stato,
+          t.targa_motrice, t.targa_rimorchio
+        FROM temperature_ranges tr
+        LEFT JOIN trips t ON tr.trip_id = t.id
+        WHERE tr.attivo = 1
+      `).all();
+
+      if (ranges.length === 0) return;
+
+      const positionMap = new Map();
+      for (const pos of positions) {
+        positionMap.set(this.normalizePlate(pos.targa), pos);
+      }
+
+      const trailerByTruck = new Map();
+      for (const pair of vehicleController.getCoupledPairs()) {
+        trailerByTruck.set(this.normalizePlate(pair.truckPlate), this.normalizePlate(pair.trailerPlate));
+      }
+
+      for (const range of ranges) {
+        // I range di viaggio valgono solo mentre il viaggio è in corso
+        if (range.trip_id && range.trip_stato !== 'in_corso') continue;
+
+        const plates = range.trip_id
+          ? [range.targa_rimorchio, range.targa_motrice]
+          : [range.vehicle_plate];
+
+        const reading = this.findReading(plates, positionMap, trailerByTruck);
+        if (!reading) continue;
+
+        await this.checkRange(range, reading);
+      }
+    } catch (error) {
+      logger.error('Errore controllo temperature', { error: error.message });
+    }
+  }
+
+  /**
+   * Trova la prima lettura sonde disponibile per le targhe indicate,
+   * usando il rimorchio agganciato se la motrice non ha sonde proprie
+   * @param {Array<string>} plates - Targhe in ordine di preferenza
+   * @param {Map} positionMap - Targa normalizzata -> posizione normalizzata
+   * @param {Map} trailerByTruck - Targa motrice -> targa rimorchio agganciato
+   * @returns {Object|null} Lettura {plate, sourcePlate, position, latitude, longitude, temperature1, temperature2, frigoOn}
+   */
+  findReading(plates, positionMap, trailerByTruck) {
+    for (const rawPlate of plates) {
+      const plate = this.normalizePlate(rawPlate);
+      if (!plate) continue;
+
+      const candidates = [plate, trailerByTruck.get(plate)].filter(Boolean);
+      for (const sourcePlate of candidates) {
+        const position = positionMap.get(sourcePlate);
+        const reading = position ? this.readColdChain(position) : null;
+        if (reading) {
+          const reference = positionMap.get(plate) || position;
+          return {
+            ...reading,
+            plate,
+            sourcePlate,
+            position: reference,
+            latitude: reference.latitude,
+            longitude: reference.longitude
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Estrae temperature e stato frigo da una posizione
+   * @param {Object} position - Posizione normalizzata
+   * @returns {Object|null} null se il veicolo non ha sonde
+   */
+  readColdChain(position) {
+    const temperature1 = this.parseTemperature(position.temperature1);
+    const temperature2 = this.parseTemperature(position.temperature2);
+
+    if (!position.sondeCount && temperature1 === null && temperature2 === null) {
+      return null;
+    }
+
+    return {
+      temperature1,
+      temperature2,
+      frigoOn: !!position.frigoOn
+    };
+  }
+
+  /**
+   * Valuta un range su una lettura: temperatura alta, bassa e frigo spento.
+   * Ogni violazione viene notificata una sola volta, dopo il periodo di tolleranza
+   * @param {Object} range - Riga temperature_ranges (con dati viaggio)
+   * @param {Object} reading - Lettura da findReading
+   */
+  async checkRange(range, reading) {
+    const values = this.selectProbes(range, reading);
+    const loaded = range.trip_id ? true : this.isLoaded(reading.plate);
+
+    const checks = [
+      {
+        tipo: 'temp_high',
+        value: values.length ? Math.max(...values) : null,
+        breach: range.temp_max !== null && values.some(v => v > range.temp_max)
+      },
+      {
+        tipo: 'temp_low',
+        value: values.length ? Math.min(...values) : null,
+        breach: range.temp_min !== null && values.some(v => v < range.temp_min)
+      },
+      {
+        tipo: 'frigo_off',
+        value: null,
+        breach: !!range.controlla_frigo && loaded && !reading.frigoOn
+      }
+    ];
+
+    for (const check of checks) {
+      await this.updateBreach(range, reading, check);
+    }
+  }
+
+  /**
+   * Aggiorna lo stato di una singola violazione e notifica quando supera la tolleranza
+   */
+  async updateBreach(range, reading, { tipo, value, breach }) {
+    const status = db.prepare(`
+      SELECT * FROM temperature_alarm_status WHERE range_id = ? AND targa = ? AND tipo = ?
+    `).get(range.id, reading.plate, tipo);
+
+    if (!breach) {
+      if (status) {
+        db.prepare('DELETE FROM temperature_alarm_status WHERE id = ?').run(status.id);
+        if (status.notified) {
+          this.createEvent(reading, 'temp_ok',
+            `✅ ${reading.plate}: rientro nel range "${range.nome}" (${this.describeRange(range)})`);
+        }
+      }
+      return;
+    }
+
+    const now = clockService.now();
+
+    if (!status) {
+      db.prepare(`
+        INSERT INTO temperature_alarm_status (range_id, targa, tipo, since, valore_peggiore)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(range.id, reading.plate, tipo, now.toISOString().replace('T', ' ').slice(0, 19), value);
+    } else if (value !== null && this.isWorse(tipo, value, status.valore_peggiore)) {
+      db.prepare('UPDATE temperature_alarm_status SET valore_peggiore = ? WHERE id = ?').run(value, status.id);
+    }
+
+    if (status?.notified) return;
+
+    const since = status ? new Date(status.since.replace(' ', 'T') + 'Z') : now;
+    const minutes = (now.getTime() - since.getTime()) / 60000;
+    if (minutes < (range.minuti_tolleranza ?? 10)) return;
+
+    const messaggio = this.buildMessage(range, reading, tipo, value);
+    logger.alarm(`Catena del freddo: ${messaggio}`);
+
+    db.prepare(`
+      UPDATE temperature_alarm_status SET notified = 1
+      WHERE range_id = ? AND targa = ? AND tipo = ?
+    `).run(range.id, reading.plate, tipo);
+
+    const { vehicle, eventId } = this.createEvent(reading, tipo, messaggio);
+
+    notificationOutboxService.enqueue({
+      type: tipo,
+      vehicle,
+      geofence: null,
+      alarm: {
+        notifica_telegram: range.notifica_telegram,
+        notifica_push: range.notifica_push,
+        messaggio
+      },
+      lat: reading.latitude,
+      lng: reading.longitude,
+      eventId,
+      queuedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Registra un evento catena del freddo
+   * @returns {Object} { vehicle: riga vehicles o segnaposto con la sola targa, eventId }
+   */
+  createEvent(reading, tipo, messaggio) {
+    const idServizio = reading.position?.idServizio;
+    const vehicle = (idServizio && db.prepare('SELECT * FROM vehicles WHERE id_servizio = ?').get(idServizio))
+      || { targa_camion: reading.plate };
+
+    const result = db.prepare(`
+      INSERT INTO events (vehicle_id, tipo, messaggio, latitudine, longitudine)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(vehicle.id || null, tipo, messaggio, reading.latitude || null, reading.longitude || null);
+
+    return { vehicle, eventId: result.lastInsertRowid };
+  }
+
+  buildMessage(range, reading, tipo, value) {
+    const source = reading.sourcePlate !== reading.plate ? ` (rimorchio ${reading.sourcePlate})` : '';
+    const trip = range.trip_nome ? ` - Viaggio: ${range.trip_nome}` : '';
+
+    switch (tipo) {
+      case 'temp_high':
+        return `${reading.plate}${source}: temperatura ${value.toFixed(1)}°C sopra il massimo di ${range.temp_max}°C${trip}`;
+      case 'temp_low':
+        return `${reading.plate}${source}: temperatura ${value.toFixed(1)}°C sotto il minimo di ${range.temp_min}°C${trip}`;
+      case 'frigo_off':
+        return `${reading.plate}${source}: frigo spento con merce a bordo${trip}`;
+      default:
+        return `${reading.plate}${source}: ${tipo}${trip}`;
+    }
+  }
+
+  /**
+   * Sonde da valutare secondo il range (sonda 1, 2 o tutte)
+   * @returns {Array<number>}
+   */
+  selectProbes(range, reading) {
+    const probes = range.sonda === 1 ? [reading.temperature1]
+      : range.sonda === 2 ? [reading.temperature2]
+      : [reading.temperature1, reading.temperature2];
+    return probes.filter(v => v !== null);
+  }
+
+  /**
+   * Un veicolo è considerato carico se è motrice o rimorchio di un viaggio in corso
+   */
+  isLoaded(plate) {
+    const trip = db.prepare(`
+      SELECT id FROM trips
+      WHERE stato = 'in_corso'
+        AND (UPPER(targa_motrice) = ? OR UPPER(targa_rimorchio) = ?)
+      LIMIT 1
+    `).get(plate, plate);
+    return !!trip;
+  }
+
+  isWorse(tipo, value, previous) {
+    if (previous === null || previous === undefined) return true;
+    return tipo === 'temp_low' ? value < previous : value > previous;
+  }
+
+  describeRange(range) {
+    const min = range.temp_min !== null ? `${range.temp_min}°C` : '-∞';
+    const max = range.temp_max !== null ? `${range.temp_max}°C` : '+∞';
+    return `${min} / ${max}`;
+  }
+
+  // ==================== REGISTRO HACCP ====================
+
+  /**
+   * Registro temperature di un viaggio, ricavato dallo storico posizioni
+   * @param {number} tripId - ID viaggio
+   * @param {Object} range - { from, to } opzionali (default: partenza viaggio -> fine viaggio o adesso)
+   * @returns {Object|null} null se il viaggio non esiste
+   */
+  getTripTemperatureLog(tripId, range = {}) {
+    const trip = db.prepare('SELECT * FROM trips WHERE id = ?').get(tripId);
+    if (!trip) return null;
+
+    const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(tripId);
+    const window = getTripWindow(trip, stops);
+    const from = range.from || window.from;
+    const to = range.to || window.to;
+
+    const tempRange = db.prepare(`
+      SELECT * FROM temperature_ranges WHERE trip_id = ? AND attivo = 1 ORDER BY id DESC LIMIT 1
+    `).get(tripId) || db.prepare(`
+      SELECT * FROM temperature_ranges
+      WHERE trip_id IS NULL AND attivo = 1 AND UPPER(vehicle_plate) IN (?, ?)
+      ORDER BY id DESC LIMIT 1
+    `).get(this.normalizePlate(trip.targa_rimorchio), this.normalizePlate(trip.targa_motrice));
+
+    // Le sonde sono sul rimorchio frigo, se presente
+    let plate = null;
+    let points = [];
+    for (const candidate of [trip.targa_rimorchio, trip.targa_motrice]) {
+      if (!candidate) continue;
+      const history = getPositionHistory(candidate, from, to)
+        .filter(p => p.temperature1 !== null || p.temperature2 !== null);
+      if (history.length > 0) {
+        plate = this.normalizePlate(candidate);
+        points = history;
+        break;
+      }
+    }
+
+    const rows = points.map(p => {
+      const values = tempRange ? this.selectProbes(tempRange, p) : [];
+      const outOfRange = !!tempRange && values.some(v =>
+        (tempRange.temp_min !== null && v < tempRange.temp_min) ||
+        (tempRange.temp_max !== null && v > tempRange.temp_max));
+
+      return {
+        timestamp: p.timestamp,
+        temperature1: p.temperature1,
+        temperature2: p.temperature2,
+        frigoOn: p.frigoOn,
+        latitude: p.latitude,
+        longitude: p.longitude,
+        address: p.address,
+        outOfRange
+      };
+    });
+
+    const allValues = rows.flatMap(r => [r.temperature1, r.temperature2]).filter(v => v !== null);
+
+    return {
+      trip: {
+        id: trip.id,
+        nome: trip.nome,
+        data_viaggio: trip.data_viaggio,
+        targa_motrice: trip.targa_motrice,
+        targa_rimorchio: trip.targa_rimorchio,
+        autista: trip.autista,
+        stato: trip.stato
+      },
+      stops: stops.map(s => ({
+        nome: s.nome,
+        indirizzo: s.indirizzo,
+        ora_arrivo_effettiva: s.ora_arrivo_effettiva,
+        ora_partenza_effettiva: s.ora_partenza_effettiva
+      })),
+      plate,
+      from,
+      to,
+      range: tempRange ? {
+        nome: tempRange.nome,
+        temp_min: tempRange.temp_min,
+        temp_max: tempRange.temp_max,
+        sonda: tempRange.sonda
+      } : null,
+      summary: {
+        count: rows.length,
+        min: allValues.length ? Math.min(...allValues) : null,
+        max: allValues.length ? Math.max(...allValues) : null,
+        outOfRange: rows.filter(r => r.outOfRange).length
+      },
+      rows
+    };
+  }
+
+  parseTemperature(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  normalizePlate(plate) {
+    return (plate || '').toUpperCase().replace(/\*+$/, '').trim();
+  }
+}
+
+export const temperatureMonitoringService = new TemperatureMonitoringService();
+export default TemperatureMonitoringService;
@@ -0,0 +1,405 @@
+import { getPositionHistory } from '../database/positionsDb.js';
+import { getTripWindow } from './tripWindow.js';
+
+export const TRACK_EXPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+
+// Una sosta è una sequenza di punti sotto questa velocità che dura almeno STOP_MIN_MINUTES
+const STOP_MAX_SPEED = 3;
+const STOP_MIN_MINUTES = 5;
+
+const CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  geojson: 'application/geo+json'
+};
+
+/**
+ * Esportazione tracce (veicolo o viaggio) in GPX, KML e GeoJSON da consegnare a clienti,
+ * assicurazioni e forze dell'ordine. Oltre al percorso registrato (con ora e velocità di ogni
+ * punto) contiene le soste rilevate e, per i viaggi, le tappe pianificate e il percorso previsto
+ * come livelli separati.
+ */
+class TrackExportService {
+  /**
+   * Traccia registrata di un veicolo
+   * @param {string} plate - Targa
+   * @param {Object} range - { from, to } opzionali (default: ultime 24 ore)
+   * @returns {Object} Traccia { name, description, plate, from, to, points, stops, plannedStops, plannedRoute }
+   */
+  buildVehicleTrack(plate, range = {}) {
+    const to = range.to || new Date().toISOString();
+    const from = range.from || new Date(new Date(to).getTime() - 24 * 60 * 60 * 1000).toISOString();
+    const points = getPositionHistory(plate, from, to);
+    return {
+      name: `Traccia ${plate.toUpperCase()}`,
+      description: `Percorso registrato dal ${from} al ${to}`,
+      plate: plate.toUpperCase(),
+      from,
+      to,
+      points,
+      stops: this.detectStops(points),
+      plannedStops: [],
+      plannedRoute: []
+    };
+  }
+
+  /**
+   * Traccia di un viaggio: percorso della motrice nella finestra del viaggio, tappe e percorso pianificati
+   * @param {Object} trip - Riga trips
+   * @param {Array} stops - Righe trip_stops
+   * @param {Object} range - { from, to } opzionali (default: durata del viaggio)
+   * @returns {Object} Traccia
+   */
+  buildTripTrack(trip, stops, range = {}) {
+    const window = getTripWindow(trip, stops);
+    const from = range.from || window.from;
+    const to = range.to || window.to;
+    const points = trip.targa_motrice ? getPositionHistory(trip.targa_motrice, from, to) : [];
+
+    return {
+      name: trip.nome,
+      description: `Viaggio del ${trip.data_viaggio} - ${trip.targa_motrice || ''}${trip.targa_rimorchio ? ` / ${trip.targa_rimorchio}` : ''}`,
+      plate: trip.targa_motrice,
+      tripId: trip.id,
+      from,
+      to,
+      points,
+      stops: this.detectStops(points),
+      plannedStops: stops
+        .filter(s => s.latitudine && s.longitudine)
+        .map(s => ({
+          ordine: s.ordine,
+          nome: s.nome,
+          indirizzo: s.indirizzo || null,
+          latitude: s.latitudine,
+          longitude: s.longitudine,
+          arrivoPrevisto: s.ora_arrivo_prevista || null,
+          arrivoEffettivo: s.ora_arrivo_effettiva || null,
+          partenzaEffettiva: s.ora_partenza_effettiva || null
+        })),
+      plannedRoute: this.decodePolyline(trip.polyline)
+    };
+  }
+
+  /**
+   * Soste: tratti consecutivi a velocità <= STOP_MAX_SPEED lunghi almeno STOP_MIN_MINUTES
+   * @param {Array} points - Punti dello storico (timestamp, latitude, longitude, speed, address)
+   * @returns {Array} [{ start, end, durationMinutes, latitude, longitude, address }]
+   */
+  detectStops(points) {
+    const stops = [];
+    let current = null;
+
+    const close = () => {
+      if (!current) return;
+      const minutes = (this.parseTime(current.end) - this.parseTime(current.start)) / 60000;
+      if (minutes >= STOP_MIN_MINUTES) {
+        stops.push({ ...current, durationMinutes: Math.round(minutes) });
+      }
+      current = null;
+    };
+
+    for (const point of points) {
+      if ((point.speed || 0) <= STOP_MAX_SPEED) {
+        if (!current) {
+          current = {
+            start: point.timestamp,
+            end: point.timestamp,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            address: point.address || null
+          };
+        } else {
+          current.end = point.timestamp;
+        }
+      } else {
+        close();
+      }
+    }
+    close();
+
+    return stops;
+  }
+
+  /**
+   * Percorso pianificato: polyline codificata Google o array JSON di [lat, lng] / {lat, lng}
+   * @param {string} polyline
+   * @returns {Array} [[lat, lng], ...]
+   */
+  decodePolyline(polyline) {
+    if (!polyline) return [];
+
+    if (polyline.trim().startsWith('[')) {
+      try {
+        return JSON.parse(polyline).map(p => (Array.isArray(p) ? p : [p.lat ?? p.latitude, p.lng ?? p.longitude]));
+      } catch {
+        return [];
+      }
+    }
+
+    const coords = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+
+    const next = () => {
+      let result = 0;
+      let shift = 0;
+      let b;
+      do {
+        b = polyline.charCodeAt(index++) - 63;
+        result |= (b & 0x1f) << shift;
+        shift += 5;
+      } while (b >= 0x20 && index < polyline.length);
+      return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+
+    while (index < polyline.length) {
+      lat += next();
+      lng += next();
+      coords.push([lat / 1e5, lng / 1e5]);
+    }
+    return coords;
+  }
+
+  /**
+   * @param {Object} track
+   * @param {string} format - gpx | kml | geojson
+   * @returns {string}
+   */
+  render(track, format) {
+    if (format === 'gpx') return this.toGpx(track);
+    if (format === 'kml') return this.toKml(track);
+    return JSON.stringify(this.toGeoJson(track), null, 2);
+  }
+
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  getFileName(track, format) {
+    const base = track.tripId ? `viaggio_${track.tripId}_${track.plate || ''}` : `traccia_${track.plate}`;
+    const date = (track.from || '').slice(0, 10);
+    return `${base}_${date}.${format}`.replace(/[^\w.-]+/g, '_');
+  }
+
+  /**
+   * GPX 1.1: waypoint per soste e tappe pianificate, una traccia registrata e una rotta pianificata
+   */
+  toGpx(track) {
+    const wpt = (lat, lng, name, desc, time, type) => [
+      `  <wpt lat="${lat}" lon="${lng}">`,
+      time ? `    <time>${this.isoTime(time)}</time>` : null,
+      `    <name>${this.escapeXml(name)}</name>`,
+      desc ? `    <desc>${this.escapeXml(desc)}</desc>` : null,
+      `    <type>${type}</type>`,
+      '  </wpt>'
+    ].filter(Boolean).join('\n');
+
+    const stopWaypoints = track.stops.map((s, i) =>
+      wpt(s.latitude, s.longitude, `Sosta ${i + 1}`, this.stopDescription(s), s.start, 'sosta'));
+    const plannedWaypoints = track.plannedStops.map(s =>
+      wpt(s.latitude, s.longitude, `${s.ordine}. ${s.nome}`, this.plannedStopDescription(s), null, 'tappa_pianificata'));
+
+    const trackPoints = track.points.map(p => [
+      `      <trkpt lat="${p.latitude}" lon="${p.longitude}">`,
+      p.altitude ? `        <ele>${p.altitude}</ele>` : null,
+      `        <time>${this.isoTime(p.timestamp)}</time>`,
+      '        <extensions>',
+      `          <speed>${((p.speed || 0) / 3.6).toFixed(2)}</speed>`,
+      `          <course>${p.heading || 0}</course>`,
+      '        </extensions>',
+      '      </trkpt>'
+    ].filter(Boolean).join('\n'));
+
+    const plannedRoute = track.plannedRoute.length > 0
+      ? [
+        '  <rte>',
+        '    <name>Percorso pianificato</name>',
+        ...track.plannedRoute.map(([lat, lng]) => `    <rtept lat="${lat}" lon="${lng}"/>`),
+        '  </rte>'
+      ].join('\n')
+      : null;
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="GPS Tracker System" xmlns="http://www.topografix.com/GPX/1/1">',
+      '  <metadata>',
+      `    <name>${this.escapeXml(track.name)}</name>`,
+      `    <desc>${this.escapeXml(track.description)}</desc>`,
+      '  </metadata>',
+      ...stopWaypoints,
+      ...plannedWaypoints,
+      plannedRoute,
+      '  <trk>',
+      `    <name>${this.escapeXml(track.name)}</name>`,
+      '    <type>percorso_registrato</type>',
+      '    <trkseg>',
+      ...trackPoints,
+      '    </trkseg>',
+      '  </trk>',
+      '</gpx>'
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * KML 2.2: una cartella per livello (percorso registrato con gx:Track, soste, tappe e percorso pianificati)
+   */
+  toKml(track) {
+    const placemark = (name, desc, lat, lng, style, time) => [
+      '      <Placemark>',
+      `        <name>${this.escapeXml(name)}</name>`,
+      desc ? `        <description>${this.escapeXml(desc)}</description>` : null,
+      time ? `        <TimeStamp><when>${this.isoTime(time)}</when></TimeStamp>` : null,
+      `        <styleUrl>#${style}</styleUrl>`,
+      `        <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+      '      </Placemark>'
+    ].filter(Boolean).join('\n');
+
+    const folder = (name, content) => content.length > 0
+      ? ['    <Folder>', `      <name>${name}</name>`, ...content, '    </Folder>'].join('\n')
+      : null;
+
+    const recorded = track.points.length > 0 ? [
+      '      <Placemark>',
+      '        <name>Percorso registrato</name>',
+      '        <styleUrl>#percorso</styleUrl>',
+      '        <ExtendedData>',
+      '          <SchemaData schemaUrl="#velocita">',
+      '            <gx:SimpleArrayData name="velocita_kmh">',
+      ...track.points.map(p => `              <gx:value>${Math.round(p.speed || 0)}</gx:value>`),
+      '            </gx:SimpleArrayData>',
+      '          </SchemaData>',
+      '        </ExtendedData>',
+      '        <gx:Track>',
+      ...track.points.map(p => `          <when>${this.isoTime(p.timestamp)}</when>`),
+      ...track.points.map(p => `          <gx:coord>${p.longitude} ${p.latitude} ${p.altitude || 0}</gx:coord>`),
+      '        </gx:Track>',
+      '      </Placemark>'
+    ] : [];
+
+    const planned = track.plannedRoute.length > 0 ? [
+      '      <Placemark>',
+      '        <name>Percorso pianificato</name>',
+      '        <styleUrl>#pianificato</styleUrl>',
+      `        <LineString><tessellate>1</tessellate><coordinates>${track.plannedRoute.map(([lat, lng]) => `${lng},${lat}`).join(' ')}</coordinates></LineString>`,
+      '      </Placemark>'
+    ] : [];
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+      '  <Document>',
+      `    <name>${this.escapeXml(track.name)}</name>`,
+      `    <description>${this.escapeXml(track.description)}</description>`,
+      '    <Schema id="velocita"><gx:SimpleArrayField name="velocita_kmh" type="int"><displayName>Velocità (km/h)</displayName></gx:SimpleArrayField></Schema>',
+      '    <Style id="percorso"><LineStyle><color>ffff6633</color><width>4</width></LineStyle></Style>',
+      '    <Style id="pianificato"><LineStyle><color>8000a5ff</color><width>3</width></LineStyle></Style>',
+      '    <Style id="sosta"><IconStyle><color>ff0000ff</color></IconStyle></Style>',
+      '    <Style id="tappa"><IconStyle><color>ff00ff00</color></IconStyle></Style>',
+      folder('Percorso registrato', recorded),
+      folder('Soste', track.stops.map((s, i) =>
+        placemark(`Sosta ${i + 1}`, this.stopDescription(s), s.latitude, s.longitude, 'sosta', s.start))),
+      folder('Tappe pianificate', track.plannedStops.map(s =>
+        placemark(`${s.ordine}. ${s.nome}`, this.plannedStopDescription(s), s.latitude, s.longitude, 'tappa'))),
+      folder('Percorso pianificato', planned),
+      '  </Document>',
+      '</kml>'
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * GeoJSON: FeatureCollection con proprietà "layer" (percorso_registrato, sosta, tappa_pianificata, percorso_pianificato)
+   */
+  toGeoJson(track) {
+    const features = [];
+
+    if (track.points.length > 0) {
+      features.push({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: track.points.map(p => [p.longitude, p.latitude])
+        },
+        properties: {
+          layer: 'percorso_registrato',
+          name: track.name,
+          plate: track.plate,
+          // Valori per punto, nello stesso ordine delle coordinate
+          timestamps: track.points.map(p => this.isoTime(p.timestamp)),
+          speeds: track.points.map(p => p.speed || 0),
+          headings: track.points.map(p => p.heading || 0)
+        }
+      });
+    }
+
+    track.stops.forEach((s, i) => features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [s.longitude, s.latitude] },
+      properties: {
+        layer: 'sosta',
+        name: `Sosta ${i + 1}`,
+        start: this.isoTime(s.start),
+        end: this.isoTime(s.end),
+        durationMinutes: s.durationMinutes,
+        address: s.address
+      }
+    }));
+
+    track.plannedStops.forEach(({ latitude, longitude, ...stop }) => features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [longitude, latitude] },
+      properties: { layer: 'tappa_pianificata', ...stop }
+    }));
+
+    if (track.plannedRoute.length > 0) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: track.plannedRoute.map(([lat, lng]) => [lng, lat]) },
+        properties: { layer: 'percorso_pianificato', name: 'Percorso pianificato' }
+      });
+    }
+
+    return {
+      type: 'FeatureCollection',
+      properties: { name: track.name, description: track.description, from: track.from, to: track.to },
+      features
+    };
+  }
+
+  stopDescription(stop) {
+    return `Dalle ${this.isoTime(stop.start)} alle ${this.isoTime(stop.end)} (${stop.durationMinutes} min)` +
+      (stop.address ? ` - ${stop.address}` : '');
+  }
+
+  plannedStopDescription(stop) {
+    return [
+      stop.indirizzo,
+      stop.arrivoPrevisto ? `Arrivo previsto ${stop.arrivoPrevisto}` : null,
+      stop.arrivoEffettivo ? `Arrivo effettivo ${stop.arrivoEffettivo}` : null
+    ].filter(Boolean).join(' - ');
+  }
+
+  /**
+   * Le date dello storico sono UTC nel formato SQLite (YYYY-MM-DD HH:MM:SS)
+   */
+  parseTime(value) {
+    return Date.parse(value.includes('T') ? value : value.replace(' ', 'T') + 'Z');
+  }
+
+  isoTime(value) {
+    return new Date(this.parseTime(value)).toISOString();
+  }
+
+  escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
+
+export const trackExportService = new TrackExportService();
+export default TrackExportService;
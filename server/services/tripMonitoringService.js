@@ -0,0 +1,504 @@
+import db from '../database/db.js';
+import { geofenceService } from './geofenceService.js';
+import { notificationOutboxService } from './notificationOutboxService.js';
+import { webhookService } from './webhookService.js';
+import { clockService } from './clockService.js';
+import { trackExportService } from './trackExportService.js';
+import { etaService } from './etaService.js';
+import { logger } from './loggerService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Stati del viaggio considerati "da monitorare"
+const PLANNED_STATES = ['pianificato', 'programmato'];
+const ACTIVE_STATES = [...PLANNED_STATES, 'in_corso'];
+
+/**
+ * Servizio di monitoraggio viaggi - segue i viaggi del calendario (trips/trip_stops)
+ * confrontando la posizione della motrice con le tappe pianificate
+ */
+class TripMonitoringService {
+  constructor() {
+    this.delayToleranceMinutes = parseInt(process.env.TRIP_DELAY_TOLERANCE_MINUTES) || 15;
+    // Corridoio di default attorno al percorso e minuti fuori corridoio prima della notifica
+    this.corridorMeters = parseInt(process.env.TRIP_CORRIDOR_METERS) || 500;
+    this.deviationMinutes = parseInt(process.env.TRIP_DEVIATION_MINUTES) || 5;
+    // Percorsi decodificati per viaggio: { polyline, path }
+    this.plannedPaths = new Map();
+  }
+
+  /**
+   * Controlla tutti i viaggi attivi (di oggi o iniziati ieri) rispetto alle posizioni ricevute
+   * @param {Array} positions - Posizioni normalizzate dalle sorgenti GPS
+   */
+  async checkTrips(positions) {
+    try {
+      const placeholders = ACTIVE_STATES.map(() => '?').join(',');
+      const trips = db.prepare(`
+        SELECT t.*, rt.polyline as template_polyline FROM trips t
+        LEFT JOIN route_templates rt ON t.template_id = rt.id
+        WHERE t.stato IN (${placeholders})
+          AND t.targa_motrice IS NOT NULL AND t.targa_motrice != ''
+          AND t.data_viaggio <= ?
+          AND (t.data_viaggio >= date(?, '-1 day') OR t.stato = 'in_corso')
+        ORDER BY t.data_viaggio, t.ora_partenza
+      `).all(...ACTIVE_STATES, clockService.today(), clockService.today());
+
+      for (const trip of trips) {
+        const plate = this.normalizePlate(trip.targa_motrice);
+        const vehiclePos = positions.find(p => this.normalizePlate(p.targa) === plate);
+        if (!vehiclePos) continue;
+
+        const { latitude: lat, longitude: lng } = vehiclePos;
+        if (!lat || !lng) continue;
+
+        const vehicle = db.prepare('SELECT * FROM vehicles WHERE id_servizio = ?').get(vehiclePos.idServizio);
+
+        await this.checkTrip(trip, vehicle, { latitude: lat, longitude: lng });
+      }
+    } catch (error) {
+      logger.error('Errore controllo viaggi', { error: error.message });
+    }
+  }
+
+  /**
+   * Aggiorna tappe e stato di un singolo viaggio
+   * @param {Object} trip - Riga trips
+   * @param {Object|null} vehicle - Riga vehicles della motrice
+   * @param {Object} position - {latitude, longitude}
+   */
+  async checkTrip(trip, vehicle, position) {
+    const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(trip.id);
+    if (stops.length === 0) return;
+
+    const now = clockService.now();
+
+    // Prima le partenze: l'arrivo alla tappa successiva richiede di aver lasciato la precedente
+    for (const stop of stops) {
+      if (stop.stato === 'raggiunta' && this.getStopDistance(stop, position) > (stop.raggio_arrivo_metri || 500)) {
+        await this.markDeparture(trip, stop, vehicle, position);
+        stop.stato = 'completata';
+      }
+    }
+
+    const next = this.findNextStop(trip, stops, position, now);
+    if (next) {
+      for (const skipped of next.skipped) {
+        this.markSkipped(trip, skipped);
+      }
+      await this.markArrival(trip, next.stop, vehicle, position, next.distance);
+    }
+
+    for (const stop of stops) {
+      if (stop.stato === 'da_raggiungere' && !stop.ritardo_notificato && stop !== next?.stop) {
+        await this.checkStopDelay(trip, stop, vehicle, position);
+      }
+    }
+
+    if (trip.stato === 'in_corso') {
+      await this.checkRouteDeviation(trip, vehicle, position);
+      await this.updateEtas(trip, vehicle, position);
+    }
+
+    this.updateTripState(trip);
+  }
+
+  /**
+   * Ricalcola l'ETA delle tappe ancora da raggiungere e avvisa in anticipo quando l'arrivo
+   * stimato supera l'orario previsto più la tolleranza (una sola volta per tappa)
+   * @param {Object} trip - Riga trips
+   * @param {Object|null} vehicle - Riga vehicles della motrice
+   * @param {Object} position - {latitude, longitude}
+   */
+  async updateEtas(trip, vehicle, position) {
+    const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(trip.id);
+    const now = clockService.now();
+    const { speedKmh, etas } = etaService.estimate(trip, stops, position, this.getPlannedPath(trip), now);
+
+    const updateStop = db.prepare('UPDATE trip_stops SET eta = ?, eta_pause_minuti = ? WHERE id = ?');
+    db.transaction(() => {
+      for (const { stop, eta, breakMinutes } of etas) {
+        updateStop.run(this.toSqlTime(eta), breakMinutes, stop.id);
+      }
+      db.prepare('UPDATE trips SET eta_aggiornata_il = ?, eta_velocita_kmh = ? WHERE id = ?')
+        .run(this.toSqlTime(now), speedKmh, trip.id);
+    })();
+
+    for (const { stop, eta } of etas) {
+      if (!stop.ora_arrivo_prevista || stop.ritardo_notificato || stop.ritardo_previsto_notificato) continue;
+
+      const expected = this.getStopDeadline(trip, stop.ora_arrivo_prevista);
+      const deadline = new Date(expected.getTime() + this.delayToleranceMinutes * 60 * 1000);
+      if (eta <= deadline) continue;
+
+      const lateMinutes = Math.round((eta - expected) / 60000);
+      const etaTime = eta.toLocaleTimeString('it-IT', { hour: '2-digit', minute: '2-digit' });
+      logger.alarm(`Ritardo previsto viaggio "${trip.nome}": ${trip.targa_motrice} a "${stop.nome}" alle ${etaTime} (previsto ${stop.ora_arrivo_prevista})`);
+
+      db.prepare('UPDATE trip_stops SET ritardo_previsto_notificato = 1 WHERE id = ?').run(stop.id);
+
+      const eventId = this.createTripEvent(vehicle, 'trip_expected_late',
+        `⏳ Ritardo previsto: ${trip.targa_motrice} a "${stop.nome}" alle ${etaTime}, ${lateMinutes} min dopo il previsto (${stop.ora_arrivo_prevista}) - Viaggio: ${trip.nome}`,
+        position);
+
+      this.queueTripNotification('expected_late', trip, stop, position, { eta: etaTime, lateMinutes, eventId });
+    }
+  }
+
+  /**
+   * Deviazione dal percorso: la motrice fuori dal corridoio attorno alla polyline del viaggio.
+   * Il tratto fuori corridoio viene registrato in trip_deviations; dopo deviazione_minuti
+   * scattano evento route_deviation e notifica (una volta per deviazione)
+   * @param {Object} trip - Riga trips
+   * @param {Object|null} vehicle - Riga vehicles della motrice
+   * @param {Object} position - {latitude, longitude}
+   */
+  async checkRouteDeviation(trip, vehicle, position) {
+    const width = trip.corridoio_metri ?? this.corridorMeters;
+    if (!(width > 0)) return;
+
+    const path = this.getPlannedPath(trip);
+    if (path.length < 2) return;
+
+    const distance = Math.round(geofenceService.distanceToPolyline(position, path));
+    const open = db.prepare('SELECT * FROM trip_deviations WHERE trip_id = ? AND ended_at IS NULL').get(trip.id);
+    const now = this.toSqlTime(clockService.now());
+
+    if (distance <= width) {
+      if (open) this.closeDeviation(trip, open, now);
+      return;
+    }
+
+    if (!open) {
+      db.prepare(`
+        INSERT INTO trip_deviations (trip_id, vehicle_id, started_at, max_distanza_metri, punti)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(trip.id, vehicle?.id || null, now, distance, JSON.stringify([[position.latitude, position.longitude]]));
+      return;
+    }
+
+    const points = JSON.parse(open.punti || '[]');
+    points.push([position.latitude, position.longitude]);
+    db.prepare('UPDATE trip_deviations SET punti = ?, max_distanza_metri = MAX(max_distanza_metri, ?) WHERE id = ?')
+      .run(JSON.stringify(points), distance, open.id);
+
+    const minutes = (clockService.now().getTime() - Date.parse(open.started_at.replace(' ', 'T') + 'Z')) / 60000;
+    if (open.notificata || minutes < (trip.deviazione_minuti ?? this.deviationMinutes)) return;
+
+    db.prepare('UPDATE trip_deviations SET notificata = 1 WHERE id = ?').run(open.id);
+    logger.alarm(`Deviazione viaggio "${trip.nome}": ${trip.targa_motrice} a ${distance}m dal percorso da ${Math.round(minutes)} minuti`);
+
+    const eventId = this.createTripEvent(vehicle, 'route_deviation',
+      `🔀 ${trip.targa_motrice} fuori percorso da ${Math.round(minutes)} min (${distance}m dal tracciato) - Viaggio: ${trip.nome}`,
+      position);
+
+    this.queueTripNotification('deviation', trip, null, position, {
+      distance,
+      minutes: Math.round(minutes),
+      eventId
+    });
+  }
+
+  /**
+   * Chiude la deviazione in corso; quelle più brevi della soglia (mai notificate) vengono scartate
+   */
+  closeDeviation(trip, deviation, endedAt) {
+    if (!deviation.notificata) {
+      db.prepare('DELETE FROM trip_deviations WHERE id = ?').run(deviation.id);
+      return;
+    }
+    db.prepare('UPDATE trip_deviations SET ended_at = ? WHERE id = ?').run(endedAt, deviation.id);
+    logger.info(`Viaggio "${trip.nome}": ${trip.targa_motrice} rientrato nel percorso`);
+  }
+
+  /**
+   * Percorso pianificato del viaggio come [{lat, lng}], decodificato una volta per polyline
+   * @param {Object} trip - Riga trips, con template_polyline se creato da un template senza polyline propria
+   * @returns {Array}
+   */
+  getPlannedPath(trip) {
+    const polyline = trip.polyline || trip.template_polyline || null;
+    const cached = this.plannedPaths.get(trip.id);
+    if (cached && cached.polyline === polyline) return cached.path;
+
+    const path = trackExportService.decodePolyline(polyline).map(([lat, lng]) => ({ lat, lng }));
+    this.plannedPaths.set(trip.id, { polyline, path });
+    return path;
+  }
+
+  /**
+   * Prossima tappa raggiunta dalla motrice, seguendo l'ordine del viaggio.
+   * Nessun arrivo finché la motrice non è partita dalla tappa in cui si trova; una tappa può
+   * essere scavalcata solo se è scaduto il suo orario (vedi getStopDueTime) più la tolleranza, così un
+   * viaggio di andata e ritorno non si chiude al deposito di partenza.
+   * @param {Object} trip - Riga trips
+   * @param {Array} stops - Tappe del viaggio ordinate per ordine
+   * @param {Object} position - {latitude, longitude}
+   * @param {Date} now
+   * @returns {Object|null} { stop, distance, skipped (tappe scavalcate) }
+   */
+  findNextStop(trip, stops, position, now) {
+    if (stops.some(s => s.stato === 'raggiunta')) return null;
+
+    const skipped = [];
+    for (const stop of stops) {
+      if (stop.stato !== 'da_raggiungere') continue;
+
+      const distance = this.getStopDistance(stop, position);
+      if (distance <= (stop.raggio_arrivo_metri || 500)) {
+        return { stop, distance, skipped };
+      }
+      if (!this.isStopOverdue(trip, stop, stops, now)) return null;
+      skipped.push(stop);
+    }
+    return null;
+  }
+
+  /**
+   * @param {Array} stops - Tappe del viaggio, per le tappe senza orario previsto
+   * @returns {boolean} true se l'orario entro cui raggiungere la tappa più la tolleranza è già passato
+   */
+  isStopOverdue(trip, stop, stops = [], now = clockService.now()) {
+    const due = this.getStopDueTime(trip, stop, stops);
+    return now > new Date(due.getTime() + this.delayToleranceMinutes * 60 * 1000);
+  }
+
+  /**
+   * Orario entro cui raggiungere una tappa: il suo orario previsto, altrimenti quello della prima
+   * tappa successiva che ne ha uno, altrimenti la fine del viaggio
+   * @returns {Date}
+   */
+  getStopDueTime(trip, stop, stops = []) {
+    if (stop.ora_arrivo_prevista) return this.getStopDeadline(trip, stop.ora_arrivo_prevista);
+
+    const later = stops.find(s => s.ordine > stop.ordine && s.ora_arrivo_prevista);
+    if (later) return this.getStopDeadline(trip, later.ora_arrivo_prevista);
+    return this.getTripEnd(trip);
+  }
+
+  /**
+   * Fine prevista del viaggio: partenza più durata, o in mancanza la fine del giorno del viaggio
+   * @returns {Date}
+   */
+  getTripEnd(trip) {
+    const [year, month, day] = trip.data_viaggio.split('-').map(Number);
+    if (trip.ora_partenza && trip.durata_minuti > 0) {
+      const [hours, minutes] = trip.ora_partenza.split(':').map(Number);
+      return new Date(year, month - 1, day, hours, minutes + trip.durata_minuti, 0, 0);
+    }
+    return new Date(year, month - 1, day + 1, 0, 0, 0, 0);
+  }
+
+  getStopDistance(stop, position) {
+    return geofenceService.getDistance(position, {
+      latitude: stop.latitudine,
+      longitude: stop.longitudine
+    });
+  }
+
+  /**
+   * Marca come saltata una tappa scavalcata dalla motrice
+   */
+  markSkipped(trip, stop) {
+    logger.info(`Viaggio "${trip.nome}": ${trip.targa_motrice} ha saltato "${stop.nome}"`);
+    db.prepare("UPDATE trip_stops SET stato = 'saltata' WHERE id = ? AND stato = 'da_raggiungere'").run(stop.id);
+    stop.stato = 'saltata';
+  }
+
+  /**
+   * Registra l'arrivo a una tappa
+   */
+  async markArrival(trip, stop, vehicle, position, distance) {
+    logger.info(`Viaggio "${trip.nome}": ${trip.targa_motrice} arrivato a "${stop.nome}" (${Math.round(distance)}m)`);
+
+    db.prepare(`
+      UPDATE trip_stops
+      SET stato = 'raggiunta', ora_arrivo_effettiva = ?
+      WHERE id = ?
+    `).run(this.toSqlTime(clockService.now()), stop.id);
+
+    this.createTripEvent(vehicle, 'trip_arrival',
+      `🎯 ${trip.targa_motrice} arrivato a "${stop.nome}" - Viaggio: ${trip.nome}`, position);
+
+    if (stop.notifica_arrivo) {
+      this.queueTripNotification('arrival', trip, stop, position);
+    }
+  }
+
+  /**
+   * Registra la partenza da una tappa già raggiunta
+   */
+  async markDeparture(trip, stop, vehicle, position) {
+    logger.info(`Viaggio "${trip.nome}": ${trip.targa_motrice} partito da "${stop.nome}"`);
+
+    db.prepare(`
+      UPDATE trip_stops
+      SET stato = 'completata', ora_partenza_effettiva = ?
+      WHERE id = ?
+    `).run(this.toSqlTime(clockService.now()), stop.id);
+
+    this.createTripEvent(vehicle, 'trip_departure',
+      `🚛 ${trip.targa_motrice} partito da "${stop.nome}" - Viaggio: ${trip.nome}`, position);
+
+    if (stop.notifica_partenza) {
+      this.queueTripNotification('departure', trip, stop, position);
+    }
+  }
+
+  /**
+   * Notifica il ritardo su una tappa non ancora raggiunta (una sola volta per tappa)
+   */
+  async checkStopDelay(trip, stop, vehicle, position) {
+    if (!stop.ora_arrivo_prevista || !this.isStopOverdue(trip, stop)) return;
+
+    logger.alarm(`Ritardo viaggio "${trip.nome}": ${trip.targa_motrice} non arrivato a "${stop.nome}" (previsto ${stop.ora_arrivo_prevista})`);
+
+    db.prepare('UPDATE trip_stops SET ritardo_notificato = 1 WHERE id = ?').run(stop.id);
+
+    const eventId = this.createTripEvent(vehicle, 'trip_delay',
+      `⚠️ Ritardo: ${trip.targa_motrice} non arrivato a "${stop.nome}" (previsto ${stop.ora_arrivo_prevista}) - Viaggio: ${trip.nome}`,
+      position);
+
+    this.queueTripNotification('delay', trip, stop, position, { eventId });
+  }
+
+  /**
+   * Aggiorna lo stato del viaggio: pianificato -> in_corso -> completato
+   */
+  updateTripState(trip) {
+    const stops = db.prepare('SELECT * FROM trip_stops WHERE trip_id = ? ORDER BY ordine').all(trip.id);
+    const lastStop = stops[stops.length - 1];
+
+    let nuovoStato = trip.stato;
+    // Le tappe precedenti devono essere raggiunte o scadute
+    const pendingBefore = stops.slice(0, -1)
+      .some(s => s.stato === 'da_raggiungere' && !this.isStopOverdue(trip, s, stops));
+
+    if (lastStop.ora_arrivo_effettiva && !pendingBefore) {
+      nuovoStato = 'completato';
+
+      const open = db.prepare('SELECT * FROM trip_deviations WHERE trip_id = ? AND ended_at IS NULL').get(trip.id);
+      if (open) this.closeDeviation(trip, open, this.toSqlTime(clockService.now()));
+      this.plannedPaths.delete(trip.id);
+
+      // Le tappe intermedie mai raggiunte vengono marcate come saltate
+      db.prepare(`
+        UPDATE trip_stops SET stato = 'saltata'
+        WHERE trip_id = ? AND stato = 'da_raggiungere'
+      `).run(trip.id);
+    } else if (PLANNED_STATES.includes(trip.stato)) {
+      // In corso quando la motrice lascia la prima tappa o raggiunge una tappa successiva
+      const started = stops.some(s => s.ora_partenza_effettiva) ||
+        stops.slice(1).some(s => s.ora_arrivo_effettiva);
+      if (started) {
+        nuovoStato = 'in_corso';
+      }
+    }
+
+    if (nuovoStato !== trip.stato) {
+      db.prepare('UPDATE trips SET stato = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(nuovoStato, trip.id);
+      logger.info(`Viaggio "${trip.nome}" (${trip.targa_motrice}): ${trip.stato} -> ${nuovoStato}`);
+      webhookService.dispatchTripStatus(trip, trip.stato, nuovoStato);
+    }
+  }
+
+  /**
+   * Cerca una tappa del viaggio attivo del veicolo entro il raggio di arrivo
+   * @param {string} plate - Targa motrice o rimorchio
+   * @param {Object} point - {latitude, longitude}
+   * @returns {Object|null} Tappa trovata
+   */
+  findStopAt(plate, point) {
+    const normalized = this.normalizePlate(plate);
+    if (!normalized) return null;
+
+    const placeholders = ACTIVE_STATES.map(() => '?').join(',');
+    const stops = db.prepare(`
+      SELECT ts.* FROM trip_stops ts
+      JOIN trips t ON ts.trip_id = t.id
+      WHERE t.stato IN (${placeholders})
+        AND (UPPER(t.targa_motrice) = ? OR UPPER(t.targa_rimorchio) = ?)
+        AND t.data_viaggio <= ?
+        AND (t.data_viaggio >= date(?, '-1 day') OR t.stato = 'in_corso')
+    `).all(...ACTIVE_STATES, normalized, normalized, clockService.today(), clockService.today());
+
+    return stops.find(stop => geofenceService.getDistance(point, {
+      latitude: stop.latitudine,
+      longitude: stop.longitudine
+    }) <= (stop.raggio_arrivo_metri || 500)) || null;
+  }
+
+  /**
+   * Crea un evento legato a un viaggio
+   * @returns {number} Id evento
+   */
+  createTripEvent(vehicle, tipo, messaggio, position) {
+    return db.prepare(`
+      INSERT INTO events (vehicle_id, tipo, messaggio, latitudine, longitudine)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(vehicle?.id || null, tipo, messaggio, position.latitude, position.longitude).lastInsertRowid;
+  }
+
+  /**
+   * Accoda la notifica del viaggio nella coda persistente: i canali falliti vengono ritentati
+   * @param {string} type - arrival, departure, delay, expected_late, deviation
+   * @param {Object} details - Vedi notificationService.sendTripNotification
+   */
+  queueTripNotification(type, trip, stop, position, details = {}) {
+    notificationOutboxService.enqueue({
+      kind: 'trip',
+      type,
+      trip: { id: trip.id, nome: trip.nome, targa_motrice: trip.targa_motrice },
+      stop,
+      position: { latitude: position.latitude, longitude: position.longitude },
+      details,
+      queuedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Calcola data/ora prevista di una tappa a partire da data_viaggio
+   * Se l'orario è precedente all'ora di partenza, la tappa cade il giorno dopo
+   * @param {Object} trip - Riga trips
+   * @param {string} timeStr - HH:MM o HH:MM:SS
+   * @returns {Date}
+   */
+  getStopDeadline(trip, timeStr) {
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    const [year, month, day] = trip.data_viaggio.split('-').map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, 0, 0);
+
+    if (trip.ora_partenza && timeStr.slice(0, 5) < trip.ora_partenza.slice(0, 5)) {
+      date.setDate(date.getDate() + 1);
+    }
+    return date;
+  }
+
+  /**
+   * Scarto in minuti tra ETA e orario previsto di una tappa da raggiungere (positivo = in ritardo)
+   * @param {Object} trip - Riga trips
+   * @param {Object} stop - Riga trip_stops
+   * @returns {number|null} null se manca l'ETA o l'orario previsto
+   */
+  getEtaDelay(trip, stop) {
+    if (stop.stato !== 'da_raggiungere' || !stop.eta || !stop.ora_arrivo_prevista) return null;
+    const eta = Date.parse(stop.eta.replace(' ', 'T') + 'Z');
+    return Math.round((eta - this.getStopDeadline(trip, stop.ora_arrivo_prevista).getTime()) / 60000);
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string} Data/ora UTC nel formato di SQLite (YYYY-MM-DD HH:MM:SS)
+   */
+  toSqlTime(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  normalizePlate(plate) {
+    return (plate || '').toUpperCase().replace(/\*+$/, '').trim();
+  }
+}
+
+export const tripMonitoringService = new TripMonitoringService();
+export default TripMonitoringService;
@@ -0,0 +1,30 @@
+import { clockService } from './clockService.js';
+
+/**
+ * Finestra temporale di un viaggio: dalla partenza prevista all'ultima
+ * partenza/arrivo effettivo, oppure adesso se il viaggio non è concluso
+ * @param {Object} trip - Riga trips
+ * @param {Array} stops - Righe trip_stops
+ * @returns {{from: string, to: string}}
+ */
+export function getTripWindow(trip, stops) {
+  const [year, month, day] = trip.data_viaggio.split('-').map(Number);
+  const [hours, minutes] = (trip.ora_partenza || '00:00').split(':').map(Number);
+  const start = new Date(year, month - 1, day, hours, minutes, 0, 0);
+
+  const actualTimes = stops
+    .flatMap(s => [s.ora_arrivo_effettiva, s.ora_partenza_effettiva])
+    .filter(Boolean)
+    .map(t => new Date(t.replace(' ', 'T') + 'Z'));
+
+  const earliest = actualTimes.length ? new Date(Math.min(...actualTimes)) : start;
+  const from = earliest < start ? earliest : start;
+
+  const to = trip.stato === 'completato' && actualTimes.length
+    ? new Date(Math.max(...actualTimes))
+    : clockService.now();
+
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+export default getTripWindow;
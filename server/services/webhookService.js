@@ -0,0 +1,274 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import db from '../database/db.js';
+import { logger } from './loggerService.js';
+
+// Tipi di evento sottoscrivibili ('*' = tutti)
+export const WEBHOOK_EVENT_TYPES = {
+  enter: 'Ingresso in geofence',
+  exit: 'Uscita da geofence',
+  not_arrived: 'Mancato arrivo',
+  not_departed: 'Mancata partenza',
+  late: 'Ritardo',
+  speed: 'Eccesso di velocità',
+  temp_high: 'Temperatura alta',
+  temp_low: 'Temperatura bassa',
+  frigo_off: 'Frigo spento',
+  temp_ok: 'Temperatura rientrata',
+  door_open: 'Vano carico aperto',
+  dwell: 'Sosta prolungata in geofence',
+  route_arrival: 'Arrivo a destinazione tratta',
+  route_delay: 'Ritardo tratta',
+  trip_arrival: 'Tappa viaggio raggiunta',
+  trip_departure: 'Partenza da tappa viaggio',
+  trip_delay: 'Ritardo tappa viaggio',
+  trip_expected_late: 'Ritardo previsto su tappa viaggio',
+  route_deviation: 'Deviazione dal percorso del viaggio',
+  trip_status: 'Cambio stato viaggio',
+  alarm: 'Allarme scattato'
+};
+
+const PROCESS_INTERVAL_MS = 15000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+const BATCH_SIZE = 20;
+
+/**
+ * Servizio webhook - invia eventi, allarmi e cambi di stato dei viaggi ai sistemi esterni
+ * con payload JSON firmati HMAC-SHA256. Le consegne sono salvate su DB e ritentate con backoff
+ * esponenziale, quindi sopravvivono ai riavvii del server.
+ */
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processQueue(), PROCESS_INTERVAL_MS);
+    this.processQueue();
+    logger.info('Servizio webhook avviato');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Accoda un evento per tutte le sottoscrizioni attive interessate
+   * @param {string} eventType - Uno dei WEBHOOK_EVENT_TYPES
+   * @param {Object} data - Dati dell'evento
+   * @returns {number} Consegne accodate
+   */
+  dispatch(eventType, data) {
+    try {
+      const subscriptions = db.prepare('SELECT * FROM webhook_subscriptions WHERE attivo = 1').all()
+        .filter(sub => this.matches(sub, eventType));
+      if (subscriptions.length === 0) return 0;
+
+      const payload = JSON.stringify({ event: eventType, timestamp: new Date().toISOString(), data });
+      const insert = db.prepare(`
+        INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+        VALUES (?, ?, ?)
+      `);
+      db.transaction(() => subscriptions.forEach(sub => insert.run(sub.id, eventType, payload)))();
+
+      // Primo tentativo subito, senza aspettare il prossimo giro
+      setImmediate(() => this.processQueue());
+      return subscriptions.length;
+    } catch (error) {
+      logger.error('Errore accodamento webhook', { eventType, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Accoda un webhook per ogni riga della tabella events
+   * @param {Array} events - Righe events (con vehicle_name, targa_camion, geofence_nome)
+   */
+  dispatchEvents(events) {
+    for (const event of events) {
+      if (!WEBHOOK_EVENT_TYPES[event.tipo]) continue;
+      this.dispatch(event.tipo, {
+        eventId: event.id,
+        vehicleId: event.vehicle_id,
+        vehicleName: event.vehicle_name || null,
+        plate: event.targa_camion || null,
+        geofenceId: event.geofence_id,
+        geofenceName: event.geofence_nome || null,
+        message: event.messaggio,
+        latitude: event.latitudine,
+        longitude: event.longitudine,
+        createdAt: event.created_at
+      });
+    }
+  }
+
+  /**
+   * Accoda il webhook trip_status (da monitoraggio o da modifica manuale)
+   * @param {Object} trip - Riga trips
+   * @param {string} previousStatus
+   * @param {string} status
+   */
+  dispatchTripStatus(trip, previousStatus, status) {
+    if (!status || previousStatus === status) return 0;
+    return this.dispatch('trip_status', {
+      tripId: trip.id,
+      tripName: trip.nome,
+      date: trip.data_viaggio,
+      plate: trip.targa_motrice,
+      trailerPlate: trip.targa_rimorchio || null,
+      previousStatus,
+      status
+    });
+  }
+
+  matches(subscription, eventType) {
+    const types = subscription.event_types.split(',').map(t => t.trim());
+    return types.includes('*') || types.includes(eventType);
+  }
+
+  /**
+   * Invia le consegne in attesa arrivate alla scadenza del prossimo tentativo
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const deliveries = db.prepare(`
+        SELECT d.*, s.url, s.secret
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON d.subscription_id = s.id
+        WHERE d.stato = 'pending' AND d.next_attempt_at <= datetime('now') AND s.attivo = 1
+        ORDER BY d.id
+        LIMIT ?
+      `).all(BATCH_SIZE);
+
+      for (const delivery of deliveries) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      logger.error('Errore coda webhook', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Esegue un tentativo di consegna e aggiorna lo stato
+   * @param {Object} delivery - Riga webhook_deliveries con url e secret della sottoscrizione
+   */
+  async deliver(delivery) {
+    const attempts = delivery.tentativi + 1;
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(delivery.url, delivery.payload, {
+        headers: this.buildHeaders(delivery),
+        timeout: REQUEST_TIMEOUT_MS,
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      db.prepare(`
+        UPDATE webhook_deliveries
+        SET stato = 'delivered', tentativi = ?, last_status_code = ?, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(attempts, statusCode, delivery.id);
+      return true;
+    }
+
+    const exhausted = attempts >= MAX_ATTEMPTS;
+    const delay = Math.min(BASE_BACKOFF_SECONDS * 2 ** (attempts - 1), MAX_BACKOFF_SECONDS);
+
+    db.prepare(`
+      UPDATE webhook_deliveries
+      SET stato = ?, tentativi = ?, last_status_code = ?, last_error = ?,
+          next_attempt_at = datetime('now', ?)
+      WHERE id = ?
+    `).run(exhausted ? 'failed' : 'pending', attempts, statusCode, error, `+${delay} seconds`, delivery.id);
+
+    logger.warn(`Webhook ${delivery.id} non consegnato (tentativo ${attempts}/${MAX_ATTEMPTS})`, {
+      url: delivery.url,
+      error
+    });
+    return false;
+  }
+
+  /**
+   * Header della richiesta. La firma è HMAC-SHA256 di "<timestamp>.<body>" con il secret della sottoscrizione:
+   * il ricevente la ricalcola e rifiuta timestamp troppo vecchi (replay)
+   */
+  buildHeaders(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    return {
+      'Content-Type': 'application/json',
+      'User-Agent': 'GPS-Tracker-Webhook/1.0',
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': 'sha256=' + this.sign(delivery.secret, timestamp, delivery.payload)
+    };
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Rimette in coda una consegna (es. fallita dopo tutti i tentativi)
+   * @param {number} id
+   * @returns {boolean}
+   */
+  retryDelivery(id) {
+    const result = db.prepare(`
+      UPDATE webhook_deliveries
+      SET stato = 'pending', tentativi = 0, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(id);
+    if (result.changes > 0) {
+      setImmediate(() => this.processQueue());
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Accoda un evento di prova per una sola sottoscrizione
+   * @param {Object} subscription
+   */
+  sendTest(subscription) {
+    const payload = JSON.stringify({
+      event: 'test',
+      timestamp: new Date().toISOString(),
+      data: { message: 'Webhook di prova', subscriptionId: subscription.id }
+    });
+    const result = db.prepare(`
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload)
+      VALUES (?, 'test', ?)
+    `).run(subscription.id, payload);
+    setImmediate(() => this.processQueue());
+    return result.lastInsertRowid;
+  }
+}
+
+export const webhookService = new WebhookService();
+export default WebhookService;
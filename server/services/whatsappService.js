@@ -6,9 +6,18 @@ import { EventEmitter } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './loggerService.js';
+import { clockService } from './clockService.js';
+import { notificationService } from './notificationService.js';
+import { telephonyService } from './telephonyService.js';
+import { alarmLifecycleService } from './alarmLifecycleService.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Le escalation scadute vengono cercate su alarm_notifications.next_escalation_at a intervalli
+const ESCALATION_POLL_MS = 10000;
+const MAX_ESCALATION_ATTEMPTS = 5;
+const ESCALATION_RETRY_SECONDS = 60;
+
 class WhatsAppService extends EventEmitter {
   constructor() {
     super();
@@ -16,7 +25,26 @@ class WhatsAppService extends EventEmitter {
     this.isReady = false;
     this.qrCode = null;
     this.pendingResponses = new Map(); // notificationId -> timeout
-    this.escalationTimers = new Map(); // notificationId -> {timer, level}
+    this.escalationTimer = null;
+    this.processingEscalations = false;
+  }
+
+  /**
+   * Avvia lo scheduler delle escalation: riprende anche quelle pianificate prima di un riavvio,
+   * perché lo stato (livello e scadenza) è solo su alarm_notifications
+   */
+  startEscalationScheduler() {
+    if (this.escalationTimer) return;
+    this.escalationTimer = setInterval(() => this.processDueEscalations(), ESCALATION_POLL_MS);
+    const pending = this.countPendingEscalations();
+    if (pending > 0) logger.whatsapp(`${pending} escalation in attesa riprese dal database`);
+  }
+
+  stopEscalationScheduler() {
+    if (this.escalationTimer) {
+      clearInterval(this.escalationTimer);
+      this.escalationTimer = null;
+    }
   }
 
   // Inizializza il client WhatsApp
@@ -224,17 +252,21 @@ class WhatsAppService extends EventEmitter {
 
     logger.whatsapp(`Messaggio ricevuto da ${phoneNumber}: ${body}`);
 
-    // Cerca notifiche pending per questo numero
+    // Cerca notifiche pending per questo numero (autista o destinatario di un passo di escalation)
+    const phoneMatch = `%${phoneNumber.slice(-10)}%`;
     const pendingNotification = db.prepare(`
       SELECT an.*, d.nome as driver_nome, d.cognome as driver_cognome
       FROM alarm_notifications an
       LEFT JOIN drivers d ON an.driver_id = d.id
-      WHERE an.telefono_destinatario LIKE ? 
-        AND an.stato = 'sent'
+      WHERE (an.telefono_destinatario LIKE ? OR EXISTS (
+          SELECT 1 FROM alarm_notification_steps s
+          WHERE s.notification_id = an.id AND s.canale != 'telegram' AND s.recapito LIKE ?
+        ))
+        AND an.stato IN ('sent', 'escalated_responsable', 'escalation_failed')
         AND an.risposta_ricevuta = 0
       ORDER BY an.created_at DESC
       LIMIT 1
-    `).get(`%${phoneNumber.slice(-10)}%`);
+    `).get(phoneMatch, phoneMatch);
 
     if (pendingNotification) {
       // Verifica se è una risposta di conferma
@@ -256,7 +288,16 @@ class WhatsAppService extends EventEmitter {
 
       if (isConfirmed) {
         await this.sendMessage(phoneNumber, '✅ Conferma ricevuta. Grazie!');
-        logger.alarm(`Allarme confermato da ${pendingNotification.driver_nome} ${pendingNotification.driver_cognome}`);
+        logger.alarm(`Allarme confermato da ${phoneNumber} (notifica ${pendingNotification.id})`);
+        // La conferma prende in carico l'evento e chiude le escalation delle altre notifiche
+        if (pendingNotification.event_id) {
+          const recipient = db.prepare(`
+            SELECT destinatario_nome FROM alarm_notification_steps
+            WHERE notification_id = ? AND recapito LIKE ? AND destinatario_nome IS NOT NULL
+            ORDER BY id DESC LIMIT 1
+          `).get(pendingNotification.id, phoneMatch);
+          alarmLifecycleService.acknowledge(pendingNotification.event_id, { by: recipient?.destinatario_nome || phoneNumber, via: 'whatsapp' });
+        }
         this.emit('alarm_confirmed', pendingNotification);
       } else {
         await this.sendMessage(phoneNumber, `📝 Risposta registrata: "${message.body}"`);
@@ -265,7 +306,7 @@ class WhatsAppService extends EventEmitter {
     }
   }
 
-  // Invia notifica allarme con escalation
+  // Invia notifica allarme con escalation: il primo passo della policy parte subito
   async sendAlarmNotification(alarmData) {
     const {
       alarmId,
@@ -287,173 +328,344 @@ class WhatsAppService extends EventEmitter {
       .replace('{targa}', vehiclePlate || 'N/D')
       .replace('{messaggio}', messaggio || '');
 
-    // Crea record notifica
+    const alarm = alarmId ? db.prepare('SELECT escalation_policy_id FROM alarms WHERE id = ?').get(alarmId) : null;
+    const policyId = alarm?.escalation_policy_id || null;
+
+    // Crea record notifica (escalation_level 0 = nessun passo ancora eseguito)
     const notificationResult = db.prepare(`
       INSERT INTO alarm_notifications 
-      (alarm_id, event_id, driver_id, vehicle_plate, tipo_notifica, stato, messaggio, telefono_destinatario, escalation_level)
-      VALUES (?, ?, ?, ?, 'whatsapp', 'pending', ?, ?, 1)
-    `).run(alarmId, eventId, driverId, vehiclePlate, alarmMessage, driverPhone);
+      (alarm_id, event_id, driver_id, vehicle_plate, tipo_notifica, stato, messaggio, telefono_destinatario,
+       escalation_level, policy_id)
+      VALUES (?, ?, ?, ?, 'whatsapp', 'pending', ?, ?, 0, ?)
+    `).run(alarmId, eventId, driverId, vehiclePlate, alarmMessage, driverPhone, policyId);
 
     const notificationId = notificationResult.lastInsertRowid;
+    const result = await this.processEscalation(notificationId);
 
-    // Invia messaggio WhatsApp
-    const result = await this.sendMessage(driverPhone, alarmMessage);
-
+    if (result.waiting) {
+      // WhatsApp non connesso: il primo passo parte alla riconnessione
+      this.scheduleEscalation(notificationId, 0);
+    }
     if (result.success) {
-      // Aggiorna stato notifica
-      const nextEscalationTime = new Date(Date.now() + config.timeout_risposta_minuti * 60 * 1000);
-      
-      db.prepare(`
-        UPDATE alarm_notifications 
-        SET stato = 'sent',
-            whatsapp_message_id = ?,
-            inviato_at = CURRENT_TIMESTAMP,
-            next_escalation_at = ?
-        WHERE id = ?
-      `).run(result.messageId, nextEscalationTime.toISOString(), notificationId);
-
-      // Imposta timer per escalation
-      this.scheduleEscalation(notificationId, config.timeout_risposta_minuti * 60 * 1000, 1);
-
-      logger.whatsapp(`Notifica allarme inviata a ${driverName} (${driverPhone})`);
+      logger.whatsapp(`Notifica allarme inviata${driverName ? ` a ${driverName}` : ''} (policy ${policyId || 'predefinita'})`);
       return { success: true, notificationId };
-    } else {
-      // Fallback: prova subito chiamata
-      db.prepare(`
-        UPDATE alarm_notifications SET stato = 'failed' WHERE id = ?
-      `).run(notificationId);
-      
-      logger.error('Fallito invio notifica WhatsApp, tenta chiamata...');
-      await this.escalateToCall(notificationId);
-      return { success: false, error: result.error, notificationId };
     }
+    // Il primo passo resta pianificato: lo scheduler lo ritenta
+    logger.error('Fallito invio primo passo di escalation, verrà ritentato', { error: result.error });
+    return { success: false, error: result.error, notificationId };
   }
 
-  // Pianifica escalation
-  scheduleEscalation(notificationId, delayMs, level) {
-    // Cancella timer esistente
-    this.cancelEscalation(notificationId);
+  /**
+   * Passi della policy di escalation della notifica. Senza policy si usa la sequenza predefinita:
+   * WhatsApp all'autista, sollecito all'autista (chiamata vocale se l'allarme ha notifica_chiamata),
+   * WhatsApp a tutti i responsabili
+   * @param {Object} notification - Riga alarm_notifications (policy_id, alarm_id)
+   * @returns {Array} Passi ordinati { canale, destinatario, responsable_id, telegram_chat_id, attesa_minuti }
+   */
+  getPolicySteps(notification) {
+    const policyId = notification.policy_id;
+    if (policyId) {
+      const steps = db.prepare('SELECT * FROM escalation_policy_steps WHERE policy_id = ? ORDER BY ordine').all(policyId);
+      if (steps.length > 0) return steps;
+      logger.warn(`Policy di escalation ${policyId} senza passi, uso la sequenza predefinita`);
+    }
 
-    const timer = setTimeout(async () => {
-      await this.processEscalation(notificationId, level);
-    }, delayMs);
+    const config = this.getConfig();
+    const alarm = notification.alarm_id
+      ? db.prepare('SELECT notifica_chiamata FROM alarms WHERE id = ?').get(notification.alarm_id)
+      : null;
+    return [
+      { canale: 'whatsapp', destinatario: 'driver', attesa_minuti: config.timeout_risposta_minuti },
+      { canale: alarm?.notifica_chiamata ? 'call' : 'whatsapp', destinatario: 'driver', attesa_minuti: config.timeout_chiamata_minuti },
+      { canale: 'whatsapp', destinatario: 'responsabili', attesa_minuti: 0 }
+    ];
+  }
 
-    this.escalationTimers.set(notificationId, { timer, level });
-    logger.debug(`Escalation livello ${level} pianificata per notifica ${notificationId} tra ${delayMs/1000}s`);
+  // Pianifica escalation (delayMs sull'orologio applicativo, accelerato col simulatore)
+  scheduleEscalation(notificationId, delayMs) {
+    const dueAt = new Date(clockService.now().getTime() + delayMs);
+    db.prepare('UPDATE alarm_notifications SET next_escalation_at = ? WHERE id = ?').run(dueAt.toISOString(), notificationId);
+    logger.debug(`Escalation pianificata per notifica ${notificationId} tra ${delayMs/1000}s`);
   }
 
   // Cancella escalation
   cancelEscalation(notificationId) {
-    const existing = this.escalationTimers.get(notificationId);
-    if (existing) {
-      clearTimeout(existing.timer);
-      this.escalationTimers.delete(notificationId);
+    const result = db.prepare('UPDATE alarm_notifications SET next_escalation_at = NULL WHERE id = ? AND next_escalation_at IS NOT NULL')
+      .run(notificationId);
+    if (result.changes > 0) {
       logger.debug(`Escalation cancellata per notifica ${notificationId}`);
     }
   }
 
-  // Processa escalation
-  async processEscalation(notificationId, currentLevel) {
+  countPendingEscalations() {
+    return db.prepare(`
+      SELECT COUNT(*) as count FROM alarm_notifications
+      WHERE next_escalation_at IS NOT NULL AND risposta_ricevuta = 0
+    `).get().count;
+  }
+
+  // Esegue le escalation scadute (orologio applicativo); i passi WhatsApp attendono la connessione
+  async processDueEscalations() {
+    if (this.processingEscalations) return;
+    this.processingEscalations = true;
+
+    try {
+      const due = db.prepare(`
+        SELECT id FROM alarm_notifications
+        WHERE next_escalation_at IS NOT NULL AND next_escalation_at <= ? AND risposta_ricevuta = 0
+        ORDER BY next_escalation_at
+        LIMIT 20
+      `).all(clockService.now().toISOString());
+
+      for (const { id } of due) {
+        await this.processEscalation(id);
+      }
+    } catch (error) {
+      logger.error('Errore scheduler escalation', { error: error.message });
+    } finally {
+      this.processingEscalations = false;
+    }
+  }
+
+  // Processa escalation: esegue il passo della policy successivo all'ultimo salvato sulla notifica
+  async processEscalation(notificationId) {
     const notification = db.prepare('SELECT * FROM alarm_notifications WHERE id = ?').get(notificationId);
     
     if (!notification || notification.risposta_ricevuta || notification.stato === 'confirmed') {
       logger.debug(`Escalation non necessaria per notifica ${notificationId}`);
-      return;
+      this.cancelEscalation(notificationId);
+      return { success: false, error: 'Escalation non necessaria' };
     }
 
-    const config = this.getConfig();
+    const steps = this.getPolicySteps(notification);
+    const level = (notification.escalation_level || 0) + 1;
+    const step = steps[level - 1];
 
-    if (currentLevel === 1) {
-      // Livello 1 -> Livello 2: Chiamata all'autista
-      logger.alarm(`Escalation livello 2: Chiamata all'autista per notifica ${notificationId}`);
-      await this.escalateToCall(notificationId);
-      
-      // Pianifica prossima escalation (chiamata responsabile)
-      this.scheduleEscalation(notificationId, config.timeout_chiamata_minuti * 60 * 1000, 2);
-      
-    } else if (currentLevel === 2) {
-      // Livello 2 -> Livello 3: Contatta responsabile
-      logger.alarm(`Escalation livello 3: Contatto responsabile per notifica ${notificationId}`);
-      await this.escalateToResponsable(notificationId);
+    if (!step) {
+      this.cancelEscalation(notificationId);
+      return { success: true };
     }
-  }
 
-  // Escalation: Chiamata telefonica (simulata - WhatsApp non supporta chiamate automatiche)
-  // In produzione si userebbe Twilio o simili
-  async escalateToCall(notificationId) {
-    const notification = db.prepare('SELECT * FROM alarm_notifications WHERE id = ?').get(notificationId);
-    if (!notification) return;
+    // Senza WhatsApp connesso i passi WhatsApp restano in attesa (non contano come tentativi)
+    if (this.usesWhatsApp(step) && !this.isReady) {
+      return { success: false, waiting: true, error: 'WhatsApp non connesso' };
+    }
+
+    logger.alarm(`Escalation passo ${level}/${steps.length} (${step.canale} → ${step.destinatario}) per notifica ${notificationId}`);
+    const result = await this.executeStep(notification, step, level);
+
+    if (result.success) {
+      // Passo senza destinatari: si passa subito al successivo
+      const waitMs = result.skipped ? 0 : (step.attesa_minuti || 0) * 60 * 1000;
+      const nextAt = steps[level] ? new Date(clockService.now().getTime() + waitMs).toISOString() : null;
+      const stato = level === 1 ? 'sent' : step.destinatario === 'driver' ? notification.stato : 'escalated_responsable';
 
-    // Invia messaggio urgente WhatsApp come "chiamata"
-    const urgentMessage = `🚨 URGENTE - CHIAMATA AUTOMATICA 🚨\n\n` +
-      `Non hai risposto all'allarme precedente!\n\n` +
-      `${notification.messaggio}\n\n` +
-      `⚠️ Se non rispondi entro pochi minuti, verrà contattato il responsabile.\n\n` +
-      `Rispondi OK per confermare.`;
+      db.prepare(`
+        UPDATE alarm_notifications
+        SET escalation_level = ?, stato = ?, tentativi_escalation = 0, ultimo_errore = NULL, next_escalation_at = ?,
+            inviato_at = COALESCE(inviato_at, CURRENT_TIMESTAMP),
+            whatsapp_message_id = COALESCE(whatsapp_message_id, ?)
+        WHERE id = ? AND risposta_ricevuta = 0
+      `).run(level, stato, nextAt, result.messageId || null, notificationId);
+
+      if (step.canale === 'call' && !result.skipped && !telephonyService.isConfigured()) {
+        db.prepare('UPDATE alarm_notifications SET chiamata_effettuata = 1, chiamata_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .run(notificationId);
+      }
+
+      this.emit('escalation_step', notification, step, level);
+      if (nextAt && waitMs === 0) setImmediate(() => this.processDueEscalations());
+      return result;
+    }
 
-    await this.sendMessage(notification.telefono_destinatario, urgentMessage);
+    const attempts = (notification.tentativi_escalation || 0) + 1;
+    const exhausted = attempts >= MAX_ESCALATION_ATTEMPTS;
+    const retryAt = new Date(clockService.now().getTime() + ESCALATION_RETRY_SECONDS * attempts * 1000);
 
     db.prepare(`
-      UPDATE alarm_notifications 
-      SET chiamata_effettuata = 1,
-          chiamata_at = CURRENT_TIMESTAMP,
-          escalation_level = 2
-      WHERE id = ?
-    `).run(notificationId);
-
-    this.emit('escalation_call', notification);
+      UPDATE alarm_notifications
+      SET tentativi_escalation = ?, ultimo_errore = ?, next_escalation_at = ?,
+          stato = CASE WHEN ? THEN 'escalation_failed' ELSE stato END
+      WHERE id = ? AND risposta_ricevuta = 0
+    `).run(attempts, result.error || 'Invio escalation non riuscito', exhausted ? null : retryAt.toISOString(), exhausted ? 1 : 0, notificationId);
+
+    logger.warn(`Escalation notifica ${notificationId} non riuscita (tentativo ${attempts}/${MAX_ESCALATION_ATTEMPTS})`);
+    return result;
   }
 
-  // Escalation: Contatta responsabile
-  async escalateToResponsable(notificationId) {
-    const notification = db.prepare('SELECT * FROM alarm_notifications WHERE id = ?').get(notificationId);
-    if (!notification) return;
+  /**
+   * Rimette in coda un'escalation fallita dopo tutti i tentativi, dal passo in cui si era fermata
+   * @param {number} notificationId
+   * @returns {boolean}
+   */
+  retryEscalation(notificationId) {
+    const result = db.prepare(`
+      UPDATE alarm_notifications
+      SET stato = 'sent', tentativi_escalation = 0, next_escalation_at = ?
+      WHERE id = ? AND stato = 'escalation_failed'
+    `).run(clockService.now().toISOString(), notificationId);
+    if (result.changes > 0) {
+      setImmediate(() => this.processDueEscalations());
+    }
+    return result.changes > 0;
+  }
+
+  /**
+   * Esegue un passo di escalation verso tutti i suoi destinatari e ne registra lo storico.
+   * Il passo riesce se almeno un destinatario è stato raggiunto.
+   * @returns {Object} { success, skipped?, messageId?, error? }
+   */
+  async executeStep(notification, step, level) {
+    const recipients = this.resolveRecipients(notification, step);
+    const executedAt = clockService.now().toISOString();
+    const record = db.prepare(`
+      INSERT INTO alarm_notification_steps
+      (notification_id, livello, canale, destinatario, destinatario_nome, recapito, esito, errore, riferimento, eseguito_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    if (recipients.length === 0) {
+      const error = step.destinatario === 'on_call' ? 'Nessun responsabile reperibile' : 'Nessun destinatario disponibile';
+      record.run(notification.id, level, step.canale, step.destinatario, null, null, 'skipped', error, null, executedAt);
+      logger.warn(`Passo ${level} di escalation saltato per notifica ${notification.id}: ${error}`);
+      return { success: true, skipped: true };
+    }
 
-    // Ottieni responsabili attivi ordinati per priorità
-    const responsables = db.prepare(`
-      SELECT * FROM responsables WHERE attivo = 1 ORDER BY priorita ASC
-    `).all();
+    const voice = step.canale === 'call' && telephonyService.isConfigured();
+    const message = voice || step.canale === 'sms'
+      ? this.buildPhoneMessage(notification, step, level)
+      : this.buildStepMessage(notification, step, level);
+    let delivered = 0;
+    let messageId = null;
+    let lastError = null;
+
+    for (const recipient of recipients) {
+      // Chiamate e SMS vanno al numero di telefono, i messaggi WhatsApp al numero WhatsApp
+      const address = voice || step.canale === 'sms' ? recipient.telefono || recipient.recapito : recipient.recapito;
+      let result;
+      if (step.canale === 'telegram') {
+        result = await this.sendTelegramStep(address, message);
+      } else if (step.canale === 'sms') {
+        result = await telephonyService.sendSms(address, message);
+      } else if (voice) {
+        result = await telephonyService.call(notification.id, address, message);
+      } else {
+        // Senza provider telefonico la chiamata diventa un messaggio WhatsApp urgente
+        result = await this.sendMessage(address, message);
+      }
 
-    if (responsables.length === 0) {
-      logger.error('Nessun responsabile configurato per escalation!');
-      return;
+      record.run(notification.id, level, step.canale, step.destinatario, recipient.nome, address,
+        result.success ? 'sent' : 'failed', result.success ? null : result.error,
+        result.callId || (step.canale === 'sms' ? result.messageId : null) || null, executedAt);
+
+      if (result.success) {
+        delivered++;
+        messageId = messageId || result.messageId || null;
+      } else {
+        lastError = result.error;
+      }
+    }
+
+    if (delivered === 0) return { success: false, error: lastError };
+    return { success: true, messageId };
+  }
+
+  /**
+   * Destinatari di un passo: autista della notifica, un responsabile, tutti i responsabili attivi,
+   * i responsabili reperibili o un gruppo Telegram
+   * @returns {Array} [{ nome, recapito (WhatsApp o chat Telegram), telefono }]
+   */
+  resolveRecipients(notification, step) {
+    const phoneOf = (person) => ({
+      nome: `${person.nome} ${person.cognome}`,
+      recapito: person.telefono_whatsapp || person.telefono,
+      telefono: person.telefono
+    });
+
+    switch (step.destinatario) {
+      case 'driver': {
+        if (!notification.telefono_destinatario) return [];
+        const driver = notification.driver_id
+          ? db.prepare('SELECT nome, cognome, telefono FROM drivers WHERE id = ?').get(notification.driver_id)
+          : null;
+        return [{
+          nome: driver ? `${driver.nome} ${driver.cognome}` : 'Autista',
+          recapito: notification.telefono_destinatario,
+          telefono: driver?.telefono || notification.telefono_destinatario
+        }];
+      }
+      case 'responsabile': {
+        const resp = db.prepare('SELECT * FROM responsables WHERE id = ? AND attivo = 1').get(step.responsable_id);
+        return resp ? [phoneOf(resp)] : [];
+      }
+      case 'responsabili':
+        return db.prepare('SELECT * FROM responsables WHERE attivo = 1 ORDER BY priorita ASC').all().map(phoneOf);
+      case 'on_call':
+        return db.prepare('SELECT * FROM responsables WHERE attivo = 1 AND reperibile = 1 ORDER BY priorita ASC').all().map(phoneOf);
+      case 'telegram_group': {
+        const chatId = step.telegram_chat_id || process.env.TELEGRAM_CHAT_ID;
+        return chatId ? [{ nome: 'Gruppo Telegram', recapito: chatId }] : [];
+      }
+      default:
+        return [];
+    }
+  }
+
+  // Testo del passo: il primo è il messaggio d'allarme, poi solleciti all'autista o escalation agli altri
+  buildStepMessage(notification, step, level) {
+    if (level === 1) return notification.messaggio;
+
+    if (step.destinatario === 'driver') {
+      // Chiamata senza provider telefonico: WhatsApp non supporta chiamate automatiche, si invia un messaggio urgente
+      return `🚨 URGENTE - ${step.canale === 'call' ? 'CHIAMATA AUTOMATICA' : 'SOLLECITO'} 🚨\n\n` +
+        `Non hai risposto all'allarme precedente!\n\n` +
+        `${notification.messaggio}\n\n` +
+        `⚠️ Se non rispondi entro pochi minuti, verrà contattato il responsabile.\n\n` +
+        `Rispondi OK per confermare.`;
     }
 
-    // Ottieni info autista
     const driver = notification.driver_id 
       ? db.prepare('SELECT * FROM drivers WHERE id = ?').get(notification.driver_id)
       : null;
-
     const driverInfo = driver 
       ? `${driver.nome} ${driver.cognome} (${driver.telefono})`
       : 'Autista non identificato';
 
-    // Messaggio per il responsabile
-    const responsableMessage = `🚨 ESCALATION ALLARME 🚨\n\n` +
-      `L'autista NON HA RISPOSTO all'allarme!\n\n` +
+    return `🚨 ESCALATION ALLARME 🚨\n\n` +
+      `Nessuna risposta all'allarme!\n\n` +
       `📋 Dettagli:\n` +
       `• Veicolo: ${notification.vehicle_plate}\n` +
       `• Autista: ${driverInfo}\n` +
       `• Allarme: ${notification.messaggio}\n` +
-      `• Inviato: ${notification.inviato_at}\n` +
+      `• Inviato: ${notification.inviato_at || 'Non inviato'}\n` +
       `• Chiamata: ${notification.chiamata_at || 'Non effettuata'}\n\n` +
-      `⚠️ Richiesta azione immediata!`;
+      `⚠️ Richiesta azione immediata!` +
+      (step.canale === 'telegram' ? '' : '\n\nRispondi OK per confermare.');
+  }
 
-    // Invia a tutti i responsabili
-    for (const resp of responsables) {
-      const phone = resp.telefono_whatsapp || resp.telefono;
-      await this.sendMessage(phone, responsableMessage);
-      logger.whatsapp(`Notifica responsabile inviata a ${resp.nome} ${resp.cognome}`);
-    }
+  // Testo per chiamata vocale (sintesi vocale) e SMS: niente emoji né formattazione
+  buildPhoneMessage(notification, step, level) {
+    const text = (notification.messaggio || '')
+      .replace(/[*_`]/g, '')
+      .replace(/[^\p{L}\p{N}\p{P}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const intro = step.destinatario === 'driver' || level === 1
+      ? `Allarme per il veicolo ${notification.vehicle_plate || ''}.`
+      : `Escalation allarme per il veicolo ${notification.vehicle_plate || ''}: nessuna risposta ricevuta.`;
+
+    return `${intro} ${text}`;
+  }
 
-    db.prepare(`
-      UPDATE alarm_notifications 
-      SET escalation_level = 3,
-          stato = 'escalated_responsable'
-      WHERE id = ?
-    `).run(notificationId);
+  // Passi che usano il client WhatsApp (le chiamate solo se manca il provider telefonico)
+  usesWhatsApp(step) {
+    return step.canale === 'whatsapp' || (step.canale === 'call' && !telephonyService.isConfigured());
+  }
 
-    this.emit('escalation_responsable', notification, responsables);
+  // Invio Telegram (testo semplice: il messaggio d'allarme può contenere caratteri Markdown)
+  async sendTelegramStep(chatId, message) {
+    const sent = await notificationService.sendTelegram(message, chatId, { parse_mode: undefined });
+    return sent ? { success: true } : { success: false, error: 'Invio Telegram non riuscito' };
   }
 
   // Ottieni autista per veicolo
@@ -477,19 +689,14 @@ class WhatsAppService extends EventEmitter {
     return {
       isReady: this.isReady,
       qrCode: this.qrCode,
-      pendingEscalations: this.escalationTimers.size
+      pendingEscalations: this.countPendingEscalations()
     };
   }
 
   // Disconnetti
   async disconnect() {
     if (this.client) {
-      // Cancella tutti i timer
-      for (const [id, data] of this.escalationTimers) {
-        clearTimeout(data.timer);
-      }
-      this.escalationTimers.clear();
-      
+      // Le escalation in attesa restano su DB e riprendono alla riconnessione
       await this.client.destroy();
       this.isReady = false;
       logger.whatsapp('WhatsApp Bot disconnesso');
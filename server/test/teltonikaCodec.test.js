@@ -0,0 +1,263 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  CODEC_8, CODEC_8E, TeltonikaParseError, readImei, packetLength, crc16, parseAvlPacket, buildAck
+} from '../services/gpsSources/teltonikaCodec.js';
+import TeltonikaAdapter from '../services/gpsSources/teltonikaAdapter.js';
+
+// Pacchetti registrati (esempi della documentazione Teltonika, CRC originale)
+const CODEC_8_PACKET = '000000000000003608010000016B40D8EA30010000000000000000000000000000000105021503010101425E0F01F10000601A014E0000000000000000010000C7CF';
+const CODEC_8_TWO_RECORDS = '000000000000004308020000016B40D57B480100000000000000000000000000000001010101000000000000016B40D5C198010000000000000000000000000000000101010101000000020000252C';
+const CODEC_8E_PACKET = '000000000000004A8E010000016B412CEE000100000000000000000000000000000000010005000100010100010011001D00010010015E2C880002000B000000003544C87A000E000000001DD7E06A00000100002994';
+const IMEI_HANDSHAKE = '000F333536333037303432343431303133';
+
+const hex = (value) => Buffer.from(value, 'hex');
+
+const u16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16BE(value);
+  return buffer;
+};
+
+const u32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32BE(value >>> 0);
+  return buffer;
+};
+
+/**
+ * Pacchetto Codec 8E con un record GPS: IO da 1, 2 e 4 byte e IO a lunghezza variabile (NX)
+ */
+function buildCodec8ePacket({ timestamp, latitude, longitude, satellites = 9, speed = 50, io1 = {}, io2 = {}, io4 = {}, nx = {} }) {
+  const gps = Buffer.alloc(15);
+  gps.writeInt32BE(Math.round(longitude * 1e7), 0);
+  gps.writeInt32BE(Math.round(latitude * 1e7), 4);
+  gps.writeInt16BE(120, 8);
+  gps.writeUInt16BE(90, 10);
+  gps.writeUInt8(satellites, 12);
+  gps.writeUInt16BE(speed, 13);
+
+  const group = (values, write) => Buffer.concat([
+    u16(Object.keys(values).length),
+    ...Object.entries(values).map(([id, value]) => Buffer.concat([u16(Number(id)), write(value)]))
+  ]);
+  const total = [io1, io2, io4, nx].reduce((sum, values) => sum + Object.keys(values).length, 0);
+
+  const header = Buffer.alloc(9);
+  header.writeBigUInt64BE(BigInt(timestamp.getTime()), 0);
+  header.writeUInt8(1, 8);
+
+  const data = Buffer.concat([
+    Buffer.from([CODEC_8E, 1]),
+    header,
+    gps,
+    u16(0), u16(total),
+    group(io1, value => Buffer.from([value])),
+    group(io2, u16),
+    group(io4, u32),
+    group({}, () => Buffer.alloc(8)),
+    group(nx, value => Buffer.concat([u16(value.length), value])),
+    Buffer.from([1])
+  ]);
+
+  return Buffer.concat([u32(0), u32(data.length), data, u32(crc16(data))]);
+}
+
+function imeiHandshake(imei) {
+  return Buffer.concat([u16(imei.length), Buffer.from(imei, 'ascii')]);
+}
+
+/**
+ * Socket finto: registra le risposte del server e la chiusura
+ */
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.remoteAddress = '127.0.0.1';
+  socket.remotePort = 40000;
+  socket.written = [];
+  socket.destroyed = false;
+  socket.setTimeout = () => {};
+  socket.write = (data) => socket.written.push(Buffer.from(data));
+  socket.end = (data) => {
+    if (data) socket.written.push(Buffer.from(data));
+    socket.ended = true;
+  };
+  socket.destroy = () => { socket.destroyed = true; };
+  return socket;
+}
+
+function connectDevice(imei = '356307042441013') {
+  const adapter = new TeltonikaAdapter({ io: { temperature1: 72, temperature2: 73 } });
+  adapter.resolveDevice = (value) => ({ imei: value, idServizio: 7, targa: 'AB123CD', nickname: 'FMB test' });
+  const positions = [];
+  adapter.onPositions = (batch) => positions.push(...batch);
+  const socket = fakeSocket();
+  adapter.handleConnection(socket);
+  socket.emit('data', imeiHandshake(imei));
+  return { adapter, socket, positions };
+}
+
+describe('crc16', () => {
+  test('matches the CRC of recorded packets', () => {
+    for (const packet of [CODEC_8_PACKET, CODEC_8_TWO_RECORDS, CODEC_8E_PACKET].map(hex)) {
+      const dataLength = packet.readUInt32BE(4);
+      assert.equal(crc16(packet.subarray(8, 8 + dataLength)), packet.readUInt32BE(8 + dataLength));
+    }
+  });
+
+  test('rejects a packet with a corrupted byte', () => {
+    const packet = hex(CODEC_8_PACKET);
+    packet[20] ^= 0xff;
+    assert.throws(() => parseAvlPacket(packet), TeltonikaParseError);
+  });
+});
+
+describe('parseAvlPacket', () => {
+  test('decodes a recorded Codec 8 packet', () => {
+    const { codec, records } = parseAvlPacket(hex(CODEC_8_PACKET));
+    assert.equal(codec, CODEC_8);
+    assert.equal(records.length, 1);
+    assert.equal(records[0].timestamp.toISOString(), '2019-06-10T10:04:46.000Z');
+    assert.equal(records[0].priority, 1);
+    assert.equal(records[0].eventIoId, 1);
+    assert.deepEqual(records[0].io, { 1: 1, 21: 3, 66: 0x5e0f, 241: 0x601a, 78: 0 });
+  });
+
+  test('decodes every record of a recorded Codec 8 packet', () => {
+    const { records } = parseAvlPacket(hex(CODEC_8_TWO_RECORDS));
+    assert.deepEqual(records.map(r => r.io[1]), [0, 1]);
+    assert.deepEqual(records.map(r => r.timestamp.toISOString()), ['2019-06-10T10:01:01.000Z', '2019-06-10T10:01:19.000Z']);
+  });
+
+  test('decodes a recorded Codec 8E packet with 2-byte IO ids', () => {
+    const { codec, records } = parseAvlPacket(hex(CODEC_8E_PACKET));
+    assert.equal(codec, CODEC_8E);
+    assert.deepEqual(records[0].io, { 1: 1, 17: 0x1d, 16: 0x015e2c88, 11: 0x3544c87a, 14: 0x1dd7e06a });
+  });
+
+  test('reads variable-length NX IO elements in Codec 8E', () => {
+    const packet = buildCodec8ePacket({
+      timestamp: new Date('2024-03-01T08:00:00Z'),
+      latitude: 45.4642,
+      longitude: 9.19,
+      io1: { 239: 1 },
+      nx: { 256: Buffer.from('VIN0123', 'ascii'), 385: Buffer.from([0xde, 0xad, 0xbe]) }
+    });
+    const { records } = parseAvlPacket(packet);
+    assert.equal(records[0].io[239], 1);
+    assert.equal(records[0].io[256], Buffer.from('VIN0123', 'ascii').toString('hex'));
+    assert.equal(records[0].io[385], 'deadbe');
+    assert.equal(records[0].gps.latitude, 45.4642);
+    assert.equal(records[0].gps.longitude, 9.19);
+  });
+
+  test('rejects an unsupported codec', () => {
+    const data = Buffer.from([0x0c, 0x00, 0x00]);
+    const packet = Buffer.concat([u32(0), u32(data.length), data, u32(crc16(data))]);
+    assert.throws(() => parseAvlPacket(packet), /Codec non supportato/);
+  });
+});
+
+describe('framing', () => {
+  test('reads the IMEI handshake only when complete', () => {
+    const handshake = hex(IMEI_HANDSHAKE);
+    assert.equal(readImei(handshake.subarray(0, 1)), null);
+    assert.equal(readImei(handshake.subarray(0, 10)), null);
+    assert.deepEqual(readImei(handshake), { imei: '356307042441013', length: 17 });
+    assert.throws(() => readImei(Buffer.concat([u16(3), Buffer.from('12a')])), TeltonikaParseError);
+  });
+
+  test('measures a packet only once the header has arrived', () => {
+    const packet = hex(CODEC_8_PACKET);
+    assert.equal(packetLength(packet.subarray(0, 7)), null);
+    assert.equal(packetLength(packet.subarray(0, 8)), packet.length);
+    assert.throws(() => packetLength(Buffer.from('0000000100000001', 'hex')), TeltonikaParseError);
+  });
+
+  test('answers the IMEI handshake with 0x01', () => {
+    const { socket } = connectDevice();
+    assert.deepEqual(socket.written, [Buffer.from([0x01])]);
+  });
+
+  test('rejects an unknown device with 0x00', () => {
+    const adapter = new TeltonikaAdapter();
+    adapter.resolveDevice = () => null;
+    const socket = fakeSocket();
+    adapter.handleConnection(socket);
+    socket.emit('data', hex(IMEI_HANDSHAKE));
+    assert.deepEqual(socket.written, [Buffer.from([0x00])]);
+    assert.equal(socket.ended, true);
+  });
+
+  test('reassembles a packet split across TCP frames', () => {
+    const { socket, positions } = connectDevice();
+    const packet = buildCodec8ePacket({ timestamp: new Date('2024-03-01T08:00:00Z'), latitude: 45.1, longitude: 9.2 });
+
+    const cuts = [0, 3, 11, 30, packet.length];
+    for (let i = 1; i < cuts.length; i++) {
+      socket.emit('data', packet.subarray(cuts[i - 1], cuts[i]));
+    }
+
+    assert.deepEqual(socket.written.slice(1), [buildAck(1)]);
+    assert.equal(positions.length, 1);
+    assert.equal(positions[0].latitude, 45.1);
+    assert.equal(socket.destroyed, false);
+  });
+
+  test('splits concatenated packets and the handshake in the same frame', () => {
+    const adapter = new TeltonikaAdapter();
+    adapter.resolveDevice = (imei) => ({ imei, targa: 'AB123CD', nickname: 'FMB test' });
+    const positions = [];
+    adapter.onPositions = (batch) => positions.push(...batch);
+    const socket = fakeSocket();
+    adapter.handleConnection(socket);
+
+    const first = buildCodec8ePacket({ timestamp: new Date('2024-03-01T08:00:00Z'), latitude: 45.1, longitude: 9.2 });
+    const second = buildCodec8ePacket({ timestamp: new Date('2024-03-01T08:01:00Z'), latitude: 45.2, longitude: 9.3 });
+    socket.emit('data', Buffer.concat([imeiHandshake('356307042441013'), first, second.subarray(0, 20)]));
+    socket.emit('data', second.subarray(20));
+
+    assert.deepEqual(socket.written, [Buffer.from([0x01]), buildAck(1), buildAck(1)]);
+    assert.deepEqual(positions.map(p => p.latitude), [45.1, 45.2]);
+  });
+
+  test('answers 0 records to a packet with a bad CRC', () => {
+    const { socket, positions } = connectDevice();
+    const packet = buildCodec8ePacket({ timestamp: new Date('2024-03-01T08:00:00Z'), latitude: 45.1, longitude: 9.2 });
+    packet[packet.length - 1] ^= 0xff;
+    socket.emit('data', packet);
+
+    assert.deepEqual(socket.written.slice(1), [buildAck(0)]);
+    assert.equal(positions.length, 0);
+  });
+});
+
+describe('readTemperature', () => {
+  const adapter = new TeltonikaAdapter();
+
+  test('reads negative Dallas temperatures as signed tenths of a degree', () => {
+    assert.equal(adapter.readTemperature(0xffffff06), -25);
+    assert.equal(adapter.readTemperature(0xffffffff), -0.1);
+    assert.equal(adapter.readTemperature(42), 4.2);
+  });
+
+  test('ignores sensor error values', () => {
+    assert.equal(adapter.readTemperature(850), null);
+    assert.equal(adapter.readTemperature(undefined), null);
+  });
+
+  test('carries a negative probe reading from the packet to the position', () => {
+    const { socket, positions } = connectDevice();
+    socket.emit('data', buildCodec8ePacket({
+      timestamp: new Date('2024-03-01T08:00:00Z'),
+      latitude: 45.1,
+      longitude: 9.2,
+      io4: { 72: -183, 73: 850 }
+    }));
+
+    assert.equal(positions[0].temperature1, -18.3);
+    assert.equal(positions[0].temperature2, null);
+    assert.equal(positions[0].sondeCount, 2);
+  });
+});